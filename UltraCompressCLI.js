@@ -0,0 +1,591 @@
+#!/usr/bin/env node
+/**
+ * UltraCompressPro CLI - run the compression pipeline on files and folders
+ *
+ * @description Node.js front end for UltraCompressPro using the pure-JS backend
+ * @license MIT
+ *
+ * Usage:
+ *   ultracompress <files|dirs|globs...> [options]
+ *   ultracompress ./assets -p large,small -q aggressive -f jpeg -o ./dist
+ */
+
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+const UltraCompressPro = require("./UltraCompressPro.js");
+
+const File = globalThis.File || require("buffer").File;
+
+// ==================== CONSTANTS ====================
+
+const INPUT_EXTENSIONS = {
+  ".jpg": "image/jpeg",
+  ".jpeg": "image/jpeg",
+  ".png": "image/png",
+  ".webp": "image/webp",
+  ".avif": "image/avif",
+  ".gif": "image/gif",
+  ".bmp": "image/bmp",
+};
+
+const FORMAT_ALIASES = {
+  jpg: UltraCompressPro.ImageFormat.JPEG,
+  jpeg: UltraCompressPro.ImageFormat.JPEG,
+  png: UltraCompressPro.ImageFormat.PNG,
+  png8: UltraCompressPro.ImageFormat.PNG8,
+  gif: UltraCompressPro.ImageFormat.GIF,
+  webp: UltraCompressPro.ImageFormat.WEBP,
+  avif: UltraCompressPro.ImageFormat.AVIF,
+  auto: "auto",
+};
+
+const OUTPUT_EXTENSIONS = {
+  "image/jpeg": "jpg",
+  "image/png": "png",
+  "image/png8": "png",
+  "image/webp": "webp",
+  "image/avif": "avif",
+  "image/gif": "gif",
+};
+
+const DEFAULTS = {
+  presets: ["large", "small"],
+  quality: "balanced",
+  format: null,
+  out: "compressed",
+  name: "{dir}/{name}-{preset}.{ext}",
+  concurrency: 4,
+  stopOnError: false,
+  quiet: false,
+  json: false,
+};
+
+const TABLE_COLUMNS = [
+  "file",
+  "status",
+  "versions",
+  "original KB",
+  "output KB",
+  "note",
+];
+
+const HELP = `Usage: ultracompress <files|dirs|globs...> [options]
+
+Options:
+  -p, --preset <names>      Comma-separated presets (default: large,small)
+  -q, --quality <mode>      maximum | high | balanced | aggressive | extreme
+  -f, --format <format>     jpeg | png | png8 | gif | webp | avif | auto
+                            (default: analyzer)
+  -o, --out <dir>           Output directory (default: ./compressed)
+  -n, --name <template>     Output file name
+                            (default: {dir}/{name}-{preset}.{ext})
+                            Tokens: {name} {preset} {version} {width} {height}
+                                    {ext} {dir} ({dir} is the path below the
+                                    input folder or glob base)
+  -c, --concurrency <n>     Files processed at once (default: 4)
+      --stop-on-error       Abort the batch on the first failure
+      --json                Print the batch summary as JSON
+      --quiet               Only print the summary
+  -h, --help                Show this help
+  -v, --version             Show the library version
+
+Exit codes: 0 success, 1 one or more files failed, 2 usage error`;
+
+// ==================== ARGUMENTS ====================
+
+class UsageError extends Error {}
+UsageError.prototype.name = "UsageError";
+
+/**
+ * Parse command-line arguments
+ * @param {string[]} argv - Arguments without node and script path
+ * @returns {Object}
+ */
+function parseArgs(argv) {
+  const options = { ...DEFAULTS, inputs: [] };
+  const aliases = {
+    "-p": "--preset",
+    "-q": "--quality",
+    "-f": "--format",
+    "-o": "--out",
+    "-n": "--name",
+    "-c": "--concurrency",
+    "-h": "--help",
+    "-v": "--version",
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    let arg = argv[i];
+    let value = null;
+
+    if (arg.startsWith("--") && arg.includes("=")) {
+      [arg, value] = [
+        arg.slice(0, arg.indexOf("=")),
+        arg.slice(arg.indexOf("=") + 1),
+      ];
+    }
+    arg = aliases[arg] || arg;
+
+    const takeValue = () => {
+      if (value !== null) return value;
+      if (i + 1 >= argv.length) throw new UsageError(`${arg} needs a value`);
+      return argv[++i];
+    };
+
+    switch (arg) {
+      case "--preset":
+        options.presets = takeValue()
+          .split(",")
+          .map((name) => name.trim())
+          .filter(Boolean);
+        break;
+      case "--quality":
+        options.quality = takeValue();
+        if (
+          !Object.values(UltraCompressPro.CompressionQuality).includes(
+            options.quality
+          )
+        ) {
+          throw new UsageError(`Unknown quality mode: ${options.quality}`);
+        }
+        break;
+      case "--format": {
+        const format = takeValue().toLowerCase();
+        options.format = FORMAT_ALIASES[format];
+        if (!options.format) throw new UsageError(`Unknown format: ${format}`);
+        break;
+      }
+      case "--out":
+        options.out = takeValue();
+        break;
+      case "--name":
+        options.name = takeValue();
+        break;
+      case "--concurrency":
+        options.concurrency = parseInt(takeValue(), 10);
+        if (!(options.concurrency > 0)) {
+          throw new UsageError("--concurrency must be a positive integer");
+        }
+        break;
+      case "--stop-on-error":
+        options.stopOnError = true;
+        break;
+      case "--json":
+        options.json = true;
+        break;
+      case "--quiet":
+        options.quiet = true;
+        break;
+      case "--help":
+        options.help = true;
+        break;
+      case "--version":
+        options.version = true;
+        break;
+      default:
+        if (arg.startsWith("-") && arg !== "-") {
+          throw new UsageError(`Unknown option: ${arg}`);
+        }
+        options.inputs.push(arg);
+    }
+  }
+
+  return options;
+}
+
+// ==================== INPUT RESOLUTION ====================
+
+/**
+ * Convert a glob (*, ?, **) into a RegExp over forward-slash paths
+ * @param {string} pattern
+ * @returns {RegExp}
+ */
+function globToRegExp(pattern) {
+  let source = "";
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+    if (char === "*" && pattern[i + 1] === "*") {
+      source += pattern[i + 2] === "/" ? "(?:.*/)?" : ".*";
+      i += pattern[i + 2] === "/" ? 2 : 1;
+    } else if (char === "*") {
+      source += "[^/]*";
+    } else if (char === "?") {
+      source += "[^/]";
+    } else {
+      source += char.replace(/[.+^${}()|[\]\\]/g, "\\$&");
+    }
+  }
+  return new RegExp(`^${source}$`);
+}
+
+function walk(dir) {
+  const files = [];
+  for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+    const full = path.join(dir, entry.name);
+    if (entry.isDirectory()) files.push(...walk(full));
+    else if (entry.isFile()) files.push(full);
+  }
+  return files;
+}
+
+const isImage = (file) =>
+  Object.prototype.hasOwnProperty.call(
+    INPUT_EXTENSIONS,
+    path.extname(file).toLowerCase()
+  );
+
+/**
+ * Expand files, directories (recursively) and globs into image paths
+ * @param {string[]} inputs
+ * @returns {Object[]} { file, root } pairs, root being the input base dir
+ */
+function resolveInputs(inputs) {
+  const seen = new Set();
+  const resolved = [];
+  const add = (file, root) => {
+    const absolute = path.resolve(file);
+    if (seen.has(absolute)) return;
+    seen.add(absolute);
+    resolved.push({ file: absolute, root: path.resolve(root) });
+  };
+
+  for (const input of inputs) {
+    if (/[*?]/.test(input)) {
+      const normalized = input.split(path.sep).join("/");
+      const base = normalized.slice(0, normalized.search(/[*?]/));
+      const root = base.includes("/")
+        ? base.slice(0, base.lastIndexOf("/")) || "/"
+        : ".";
+      const pattern = globToRegExp(
+        path.resolve(normalized).split(path.sep).join("/")
+      );
+      if (!fs.existsSync(root)) continue;
+      walk(root)
+        .filter((file) =>
+          pattern.test(path.resolve(file).split(path.sep).join("/"))
+        )
+        .filter(isImage)
+        .forEach((file) => add(file, root));
+      continue;
+    }
+
+    if (!fs.existsSync(input)) {
+      throw new UsageError(`No such file or directory: ${input}`);
+    }
+    if (fs.statSync(input).isDirectory()) {
+      walk(input)
+        .filter(isImage)
+        .forEach((file) => add(file, input));
+    } else {
+      add(input, path.dirname(input));
+    }
+  }
+
+  return resolved;
+}
+
+/**
+ * Open an input as a File without reading it: fs.openAsBlob (Node 19.8+)
+ * returns a disk-backed blob, so each file is read when its job runs
+ * @param {Object} input - { file, root }
+ * @returns {Promise<File>}
+ */
+async function openAsFile({ file }) {
+  const type = INPUT_EXTENSIONS[path.extname(file).toLowerCase()] || "";
+  const data = fs.openAsBlob
+    ? await fs.openAsBlob(file, { type })
+    : fs.readFileSync(file);
+  return new File([data], path.basename(file), { type });
+}
+
+// ==================== OUTPUT ====================
+
+/**
+ * Fill the naming template for one version
+ * @param {string} template
+ * @param {Object} input - { file, root }
+ * @param {Object} metadata - Version metadata
+ * @returns {string} Relative output path
+ */
+function formatName(template, input, metadata) {
+  const parsed = path.parse(input.file);
+  const tokens = {
+    name: parsed.name,
+    preset: metadata.presetName,
+    version: metadata.versionIndex,
+    width: metadata.width,
+    height: metadata.height,
+    ext: OUTPUT_EXTENSIONS[metadata.outputFormat] || "bin",
+    dir: path.relative(input.root, parsed.dir),
+  };
+  return template.replace(/\{(\w+)\}/g, (match, key) =>
+    key in tokens ? String(tokens[key]) : match
+  );
+}
+
+/**
+ * Reserve the output paths of one file's versions
+ * @param {Object[]} versions
+ * @param {Object} input - { file, root }
+ * @param {Object} options
+ * @param {Map} claimed - Output path -> input file, shared across the batch
+ * @returns {string[]} Output paths, one per version
+ * @throws {Error} When a path is already taken, rather than overwrite it
+ */
+function claimTargets(versions, input, options, claimed) {
+  const targets = versions.map((version) =>
+    path.resolve(
+      path.join(options.out, formatName(options.name, input, version.metadata))
+    )
+  );
+  targets.forEach((target, i) => {
+    const owner =
+      claimed.get(target) || (targets.indexOf(target) !== i && input.file);
+    if (owner) {
+      const relative = (file) => path.relative(process.cwd(), file);
+      throw new Error(
+        `${relative(target)} is also written for ${relative(owner)}; ` +
+          "add {dir}, {preset} or {version} to --name"
+      );
+    }
+  });
+  targets.forEach((target) => claimed.set(target, input.file));
+  return targets;
+}
+
+async function writeVersions(versions, targets) {
+  for (const [i, version] of versions.entries()) {
+    fs.mkdirSync(path.dirname(targets[i]), { recursive: true });
+    fs.writeFileSync(targets[i], Buffer.from(await version.blob.arrayBuffer()));
+    if (version.preview) URL.revokeObjectURL(version.preview);
+  }
+}
+
+/**
+ * Render rows as a plain-text table
+ * @param {Object[]} rows
+ * @param {string[]} columns
+ * @returns {string}
+ */
+function formatTable(rows, columns) {
+  const widths = columns.map((column) =>
+    Math.max(
+      column.length,
+      ...rows.map((row) => String(row[column] ?? "").length)
+    )
+  );
+  const line = (cells) =>
+    cells
+      .map((cell, i) => String(cell ?? "").padEnd(widths[i]))
+      .join("  ")
+      .trimEnd();
+  return [
+    line(columns),
+    line(widths.map((width) => "-".repeat(width))),
+    ...rows.map((row) => line(columns.map((column) => row[column]))),
+  ].join("\n");
+}
+
+/**
+ * Batch summary with file counts taken from the per-file rows: files whose
+ * output path was taken count as failed, and cancelled files (the rest of a
+ * --stop-on-error batch) are counted apart from failures
+ * @param {number} total - Input files
+ * @param {Object[]} rows - Per-file rows, sparse by input index
+ * @param {Object} [batchSummary] - BatchSummary, absent when the batch stopped
+ * @returns {Object}
+ */
+function summarize(total, rows, batchSummary = null) {
+  const count = (status) =>
+    rows.filter((row) => row && row.status === status).length;
+  const successful = count("ok");
+  return {
+    ...batchSummary,
+    total,
+    successful,
+    failed: count("failed"),
+    cancelled: count("cancelled"),
+    successRate: parseFloat(((successful / total) * 100).toFixed(2)),
+  };
+}
+
+function summaryRows(summary) {
+  const counts = [
+    {
+      metric: "Files",
+      value: `${summary.successful}/${summary.total} ok (${summary.successRate}%)`,
+    },
+    { metric: "Failed", value: summary.failed },
+    { metric: "Cancelled", value: summary.cancelled },
+  ];
+  if (summary.totalTime === undefined) return counts;
+  return [
+    ...counts,
+    { metric: "Original", value: `${summary.totalOriginalSizeKB} KB` },
+    { metric: "Compressed", value: `${summary.totalCompressedSizeKB} KB` },
+    {
+      metric: "Saved",
+      value: `${summary.totalSavedKB} KB (${summary.compressionRatio}%)`,
+    },
+    {
+      metric: "Time",
+      value: `${summary.totalTime} ms (${summary.averageTimePerFile} ms/file)`,
+    },
+  ];
+}
+
+// ==================== MAIN ====================
+
+/**
+ * Run the CLI
+ * @param {string[]} argv
+ * @param {Object} io - { stdout, stderr } writers (default: process streams)
+ * @returns {Promise<number>} Exit code
+ */
+async function run(
+  argv,
+  io = { stdout: process.stdout, stderr: process.stderr }
+) {
+  const print = (text) => io.stdout.write(`${text}\n`);
+  const printError = (text) => io.stderr.write(`${text}\n`);
+
+  let options;
+  let inputs;
+  try {
+    options = parseArgs(argv);
+    if (options.help) {
+      print(HELP);
+      return 0;
+    }
+    if (options.version) {
+      print(UltraCompressPro.VERSION);
+      return 0;
+    }
+    if (!options.inputs.length) throw new UsageError("No input files given");
+    inputs = resolveInputs(options.inputs);
+    if (!inputs.length) throw new UsageError("No images matched the inputs");
+  } catch (error) {
+    if (!(error instanceof UsageError)) throw error;
+    printError(`ultracompress: ${error.message}\n\n${HELP}`);
+    return 2;
+  }
+
+  // Same pipeline as the browser, with the DOM-free codecs
+  UltraCompressPro.Backends.use("js");
+  const compressor = new UltraCompressPro({ concurrency: options.concurrency });
+  for (const name of options.presets) {
+    if (!compressor.presets[name]) {
+      printError(
+        `ultracompress: unknown preset "${name}" (available: ${Object.keys(
+          compressor.presets
+        ).join(", ")})`
+      );
+      return 2;
+    }
+  }
+
+  const rows = [];
+  const writes = [];
+  const claimed = new Map();
+  const onFileComplete = (result, progress) => {
+    const input = inputs[result.index];
+    let targets = null;
+    let note = result.success
+      ? ""
+      : `${result.code || "ERROR"}: ${result.error}`;
+    if (result.success) {
+      try {
+        targets = claimTargets(result.data.versions, input, options, claimed);
+      } catch (error) {
+        note = `OUTPUT_EXISTS: ${error.message}`;
+      }
+    }
+    const row = {
+      file: path.relative(process.cwd(), input.file),
+      status: targets ? "ok" : result.cancelled ? "cancelled" : "failed",
+      versions: targets ? result.data.versions.length : 0,
+      "original KB": (result.fileSize / 1024).toFixed(1),
+      "output KB": targets
+        ? (
+            result.data.versions.reduce((sum, v) => sum + v.blob.size, 0) / 1024
+          ).toFixed(1)
+        : "",
+      note,
+    };
+    rows[result.index] = row;
+    if (targets) writes.push(writeVersions(result.data.versions, targets));
+    if (!options.quiet && !options.json) {
+      print(
+        `[${progress.processed}/${progress.total}] ${row.status.padEnd(6)} ${
+          row.file
+        }`
+      );
+    }
+  };
+
+  let batch = null;
+  let failure = null;
+  try {
+    batch = await compressor.compressMultiple(
+      await Promise.all(inputs.map(openAsFile)),
+      {
+        presets: options.presets,
+        quality: options.quality,
+        outputFormat: options.format,
+        concurrency: options.concurrency,
+        stopOnError: options.stopOnError,
+        onFileComplete,
+      }
+    );
+  } catch (error) {
+    failure = error;
+  }
+  await Promise.all(writes);
+
+  const summary = summarize(inputs.length, rows, batch && batch.summary);
+
+  if (options.json) {
+    print(
+      JSON.stringify(
+        {
+          summary,
+          files: rows.filter(Boolean),
+          error: failure && failure.message,
+        },
+        null,
+        2
+      )
+    );
+  } else {
+    if (!options.quiet)
+      print(`\n${formatTable(rows.filter(Boolean), TABLE_COLUMNS)}`);
+    print(`\n${formatTable(summaryRows(summary), ["metric", "value"])}`);
+    if (failure) printError(`\nultracompress: ${failure.message}`);
+  }
+
+  return failure || summary.failed > 0 ? 1 : 0;
+}
+
+if (require.main === module) {
+  run(process.argv.slice(2)).then(
+    (code) => {
+      process.exitCode = code;
+    },
+    (error) => {
+      process.stderr.write(`ultracompress: ${error.stack || error}\n`);
+      process.exitCode = 1;
+    }
+  );
+}
+
+module.exports = {
+  run,
+  parseArgs,
+  resolveInputs,
+  formatName,
+  claimTargets,
+  openAsFile,
+  summarize,
+};
@@ -17,11 +17,32 @@ declare module "ultracompresspro" {
   export enum ImageFormat {
     JPEG = "image/jpeg",
     PNG = "image/png",
+    /** Palette PNG (the blob's type is image/png) */
+    PNG8 = "image/png8",
     WEBP = "image/webp",
+    AVIF = "image/avif",
     GIF = "image/gif",
     BMP = "image/bmp",
     TIFF = "image/tiff",
     SVG = "image/svg+xml",
+    HEIC = "image/heic",
+    HEIF = "image/heif",
+    ICO = "image/x-icon",
+    JXL = "image/jxl",
+  }
+
+  /** How a preset's image fills its width x height box */
+  export enum FitMode {
+    /** Fill the box, cropping the overflow */
+    COVER = "cover",
+    /** Fit inside the box, padding the rest */
+    CONTAIN = "contain",
+    /** Stretch to the box */
+    FILL = "fill",
+    /** Fit inside the box; output may be smaller */
+    INSIDE = "inside",
+    /** Cover the box; output may be larger */
+    OUTSIDE = "outside",
   }
 
   export enum ProcessingStatus {
@@ -39,8 +60,11 @@ declare module "ultracompresspro" {
     ERROR = "error",
     CANCEL = "cancel",
     VERSION_COMPLETE = "version_complete",
+    VERSION_ERROR = "version_error",
     BATCH_START = "batch_start",
     BATCH_COMPLETE = "batch_complete",
+    BATCH_PAUSE = "batch_pause",
+    BATCH_RESUME = "batch_resume",
   }
 
   // ==================== INTERFACES ====================
@@ -48,15 +72,204 @@ declare module "ultracompresspro" {
   export interface CompressorConfig {
     defaultQuality?: CompressionQuality | string;
     maxFileSize?: number;
+    /** Sniffed MIME types validateFile() accepts; null accepts any image */
+    allowedFormats?: Array<ImageFormat | string> | null;
     concurrency?: number;
+    /** Run the compression pipeline in a pool of Web Workers */
     enableWebWorkers?: boolean;
-    cacheResults?: boolean;
+    /** Script URL loaded by pool workers (defaults to this library's URL) */
+    workerUrl?: string | null;
+    cacheResults?: boolean | CacheConfig;
+  }
+
+  export interface CacheConfig {
+    /** Storage backend; IndexedDB falls back to memory when unavailable */
+    storage?: "memory" | "indexeddb";
+    maxEntries?: number;
+    /** Maximum total bytes of cached blobs (memory storage only) */
+    maxSize?: number;
+    /** Database name (IndexedDB storage only) */
+    dbName?: string;
+  }
+
+  export interface CacheStats {
+    enabled: boolean;
+    storage?: "memory" | "indexeddb";
+    entries: number;
+    size: number;
+    sizeKB?: number;
+    hits: number;
+    misses: number;
+    hitRate?: number;
   }
 
-  export interface PresetConfig {
-    maxDimension: number;
-    targetSize: number;
+  export interface FitOptions {
+    /** Default "cover" */
+    fit?: FitMode | `${FitMode}`;
+    /** Output box; with only one side the other follows aspectRatio or the source */
+    width?: number | null;
+    height?: number | null;
+    /** Never scale the image up */
+    withoutEnlargement?: boolean;
+    /**
+     * Padding for "contain": a CSS color, "transparent" or "blur".
+     * Defaults to transparent for transparent images and white otherwise.
+     */
+    background?: string | null;
+  }
+
+  export interface PresetConfig extends FitOptions {
+    /** Required unless width or height is set; caps the output box */
+    maxDimension?: number | null;
+    /**
+     * Target bytes, or a { min, max } byte range the analysis picks a
+     * target from; optional when targetQuality is set
+     */
+    targetSize?: number | TargetSizeRange | null;
+    /** Derive the target from a targetSize range (default true for ranges) */
+    adaptiveTarget?: boolean;
     aspectRatio?: number | null;
+    /** Minimum SSIM (0-1); switches the preset to quality-targeted mode */
+    targetQuality?: number;
+    /** Byte cap in quality mode (defaults to targetSize) */
+    maxSize?: number;
+    /** Resample with a fixed kernel instead of the canvas' own smoothing */
+    resize?: ResizeOptions;
+  }
+
+  export type ResizeKernel =
+    | "nearest"
+    | "box"
+    | "triangle"
+    | "catmull-rom"
+    | "mitchell"
+    | "lanczos3";
+
+  export interface ResizeOptions {
+    /** Default "lanczos3" */
+    kernel?: ResizeKernel;
+    /** Filter in linear light instead of on sRGB values */
+    linear?: boolean;
+  }
+
+  export interface TargetSizeRange {
+    min: number;
+    max: number;
+  }
+
+  export interface AdaptiveTargetExplanation {
+    /** Content subtype of the image, if classified */
+    subType: ContentSubType | null;
+    /** Formula evaluated: the subtype's own, or "DEFAULT" when it has none */
+    formula: ContentSubType | "DEFAULT";
+    range: TargetSizeRange;
+    /** Starting point on the 4-40KB reference scale */
+    baseKB: number;
+    /** KB each content feature added */
+    terms: Record<string, number>;
+    megapixels: number;
+    referenceKB: number;
+    /** 0 picks range.min, 1 picks range.max */
+    demand: number;
+  }
+
+  export interface VersionConstraint {
+    mode: "size" | "quality";
+    /** Which constraint determined the final encode */
+    binding: "size" | "quality";
+    targetSize?: number;
+    targetQuality?: number;
+    maxSize?: number | null;
+    /** Encoder quality parameter the search settled on */
+    encoderQuality?: number;
+    achievedSsim?: number | null;
+    qualityMet?: boolean | null;
+    sizeMet?: boolean;
+    /** True when the output had to be downscaled to fit the byte cap */
+    downscaled?: boolean;
+    /** Palette size of an animated GIF */
+    colors?: number;
+    /** How an adaptive targetSize was derived */
+    adaptiveTarget?: AdaptiveTargetExplanation;
+  }
+
+  export interface FormatFallback {
+    requested: string;
+    used: string;
+    /** Formats probed and rejected before `used` */
+    tried: string[];
+  }
+
+  export type MetadataGroup =
+    | "exif"
+    | "icc"
+    | "xmp"
+    | "copyright"
+    | "gps"
+    | "camera"
+    | "datetime";
+
+  export interface MetadataOptions {
+    /** "auto" writes upright pixels; "preserve" keeps them as stored plus the tag */
+    orientation?: "auto" | "preserve";
+    /** Groups to carry over (default ["icc"]); "exif" covers every EXIF group */
+    keep?: MetadataGroup[] | "all";
+    /** Groups removed even when `keep` includes them */
+    strip?: MetadataGroup[];
+  }
+
+  export interface EmbeddedMetadataReport {
+    orientation: {
+      /** EXIF orientation of the input (1 when absent) */
+      source: number;
+      mode: "auto" | "preserve";
+      /** Whether the pixels were rotated or flipped */
+      applied: boolean;
+    };
+    /** Groups found in the input and written to this version */
+    kept: MetadataGroup[];
+    /** Groups found in the input and left out */
+    removed: MetadataGroup[];
+    /** Bytes the written metadata adds to the version */
+    bytes: number;
+    /** True when the output container cannot carry metadata (AVIF, GIF) */
+    unsupported?: boolean;
+  }
+
+  export interface EmbeddedMetadata {
+    format: string;
+    orientation: number;
+    exif: { littleEndian: boolean; entries: object[] } | null;
+    icc: Uint8Array | null;
+    xmp: string | null;
+    /** Readable EXIF strings: make, model, artist, copyright, dateTime... */
+    tags: Record<string, string>;
+    groups: MetadataGroup[];
+  }
+
+  export interface FormatCandidate {
+    format: string;
+    /** Encoder output bytes; the shipped output's for the selected one */
+    size: number;
+    /** null in a size race */
+    encoderQuality: number | null;
+    /** null when the selected output was downscaled and metrics are off */
+    ssim: number | null;
+    /** null in a size race */
+    qualityMet: boolean | null;
+    sizeMet: boolean;
+    selected: boolean;
+    /** The selected output had to be downscaled after the race */
+    downscaled?: boolean;
+  }
+
+  export interface QualitySearchResult {
+    blob: Blob;
+    quality: number;
+    ssim: number;
+    binding: "size" | "quality";
+    qualityMet: boolean;
+    sizeMet: boolean;
   }
 
   export interface Dimensions {
@@ -66,10 +279,125 @@ declare module "ultracompresspro" {
     sourceHeight: number;
     scale: number;
     aspectRatio: number;
+    fit: FitMode | `${FitMode}`;
+    /** Source rectangle that is drawn */
+    crop: CropRect | PlacedCrop;
+    /** Where the image lands in a padded ("contain") output */
+    placement: { x: number; y: number; width: number; height: number } | null;
+    background: string | null;
+  }
+
+  export type ContentCategory =
+    | "PHOTO"
+    | "GRAPHIC"
+    | "LOGO"
+    | "LINE_ART"
+    | "ICON"
+    | "UI"
+    | "SCREENSHOT"
+    | "VECTOR";
+
+  export type ContentSubType =
+    | "PHOTO_NATURAL"
+    | "PHOTO_PORTRAIT"
+    | "PHOTO_LOWCOLOR"
+    | "PHOTO_GENERAL"
+    | "GRAPHIC"
+    | "LOGO_SIMPLE"
+    | "LOGO_COMPLEX"
+    | "LINE_ART_PURE"
+    | "ICON_FLAT"
+    | "ICON_SMALL"
+    | "UI_BLOCKS"
+    | "UI_GRID"
+    | "UI_STRUCTURED"
+    | "UI_GENERAL"
+    | "SCREENSHOT"
+    | "VECTOR";
+
+  /** Features measured by the classifier on a 9x9 grid of samples */
+  export interface ContentFeatures {
+    width: number;
+    height: number;
+    aspectRatio: number;
+    megapixels: number;
+    uniqueColorCount: number;
+    dominantColorRatio: number;
+    histogramPeakiness: number;
+    colorEntropy: number;
+    saturationMean: number;
+    saturationStdDev: number;
+    brightnessRange: number;
+    hueDiversity: number;
+    textureScore: number;
+    edgeDensity: number;
+    edgeUniformity: number;
+    edgeSharpness: number;
+    edgeDirectionality: number;
+    cornerCount: number;
+    textureCoherence: number;
+    microDetailDensity: number;
+    noiseLevel: number;
+    gradientSmoothness: number;
+    patternRepetition: number;
+    blockiness: number;
+    flatnessRatio: number;
+    localVariation: number;
+    gridScore: number;
+    symmetryScore: number;
+    regionConsistency: number;
+    centerWeightScore: number;
+    geometricRegularity: number;
+    naturalness: number;
+    organicScore: number;
+    artificialEdgeRatio: number;
+  }
+
+  export interface ContentClassification {
+    category: ContentCategory;
+    subType: ContentSubType;
+    /** 40-100 */
+    confidence: number;
+    /** Deciding rule, or the scoring factors as "Name:points" */
+    reason: string;
+    /** null when decided from the file type, name or size alone */
+    features: ContentFeatures | null;
+  }
+
+  export interface CategoryProfile {
+    /** Encoder quality range searched */
+    quality: [number, number];
+    /** PNG8 is suggested and raced */
+    palette: boolean;
+    /** Downscaled output is sharpened */
+    sharpen: boolean;
+  }
+
+  export type SamplingStrategy = "downsample" | "grid";
+
+  export interface SamplingOptions {
+    /** Default "downsample"; "grid" counts colours on native-resolution tiles */
+    strategy?: SamplingStrategy;
+    /** Samples per side (default 200) */
+    size?: number;
+  }
+
+  export interface RegionStats {
+    /** Region in source pixels */
+    x: number;
+    y: number;
+    width: number;
+    height: number;
+    complexity: number;
+    avgBrightness: number;
+    avgSaturation: number;
+    variance: number;
+    transparencyRatio: number;
   }
 
   export interface ImageAnalysis {
     complexity: number;
+    /** Distinct colours at 6 bits per channel */
     uniqueColors: number;
     hasTransparency: boolean;
     transparencyRatio: number;
@@ -88,6 +416,15 @@ declare module "ultracompresspro" {
     isBright: boolean;
     isVibrant: boolean;
     isDesaturated: boolean;
+    category: ContentCategory;
+    subType: ContentSubType;
+    confidence: number;
+    reason: string;
+    contentFeatures: ContentFeatures | null;
+    /** The pixel sample the regions were measured on */
+    sampling: Required<SamplingOptions> & { width: number; height: number };
+    /** A 3x3 grid of source regions, row by row */
+    regions: RegionStats[];
   }
 
   export interface VersionMetadata {
@@ -115,10 +452,25 @@ declare module "ultracompresspro" {
     aspectRatio: number;
     scale: number;
     resolutionReduction: number;
+    fit: FitMode | `${FitMode}`;
+    /** Source rectangle the version shows, rounded to input pixels */
+    crop: PlacedCrop;
 
     inputFormat: string;
     outputFormat: string;
     formatChanged: boolean;
+    /** Every format tried by outputFormat: "auto" (null otherwise) */
+    formatCandidates: FormatCandidate[] | null;
+    /** Set when the requested encoder was unavailable */
+    formatFallback: FormatFallback | null;
+    /** EXIF/ICC/XMP kept or removed, and how orientation was handled */
+    embeddedMetadata: EmbeddedMetadataReport | null;
+    /** Set when an animated input was re-encoded frame by frame */
+    animation: {
+      frameCount: number;
+      duration: number;
+      loopCount: number;
+    } | null;
 
     compressionTime: number;
     compressionTimeFormatted: string;
@@ -126,9 +478,22 @@ declare module "ultracompresspro" {
     throughputFormatted: string;
 
     quality: string;
+    /** SSIM x 100 when metrics were computed, else the analysis estimate */
     qualityScore: number;
 
+    /** Luma SSIM between the resized source and the decoded output */
+    ssim: number | null;
+    /** Multi-scale SSIM (only when requested via qualityMetrics) */
+    msssim: number | null;
+    /** PSNR in dB over RGB (Infinity when lossless) */
+    psnr: number | null;
+
+    /** Which target drove the encoder */
+    constraint: VersionConstraint;
+
     imageType: string;
+    category: ContentCategory;
+    subType: ContentSubType;
     complexity: number;
     compressibility: number;
     hasTransparency: boolean;
@@ -155,6 +520,35 @@ declare module "ultracompresspro" {
     height: number;
     aspectRatio: number;
     isAnimated: boolean;
+    /** 1 for still images */
+    frameCount: number;
+    /** Total playback time of one loop in ms (0 for still images) */
+    duration: number;
+  }
+
+  /** Header fields read by ImageUtils.probe() without decoding */
+  export interface ProbeResult {
+    /** Sniffed MIME type; null if unrecognized */
+    format: string | null;
+    width: number | null;
+    height: number | null;
+    /** Bits per sample (per pixel for BMP, palette bits for GIF) */
+    bitDepth: number | null;
+    hasAlpha: boolean | null;
+    isAnimated: boolean;
+    /** EXIF orientation 1-8 (from irot/imir for AVIF/HEIF) */
+    orientation: number;
+  }
+
+  /** A file signature for ImageUtils.registerSignature() */
+  export interface FileSignature {
+    /** MIME type reported on a match (optional if test returns one) */
+    type?: string | null;
+    /** Magic bytes; null matches any byte */
+    bytes?: Array<number | null>;
+    offset?: number;
+    /** Custom check over the first bytes; may return the MIME type */
+    test?: (bytes: Uint8Array) => boolean | string | null;
   }
 
   export interface PerformanceMetrics {
@@ -193,18 +587,33 @@ declare module "ultracompresspro" {
   export interface CompressionResult {
     success: boolean;
     jobId: string;
+    /** True when the versions were served from the result cache */
+    fromCache: boolean;
     file: FileInfo;
     versions: CompressedVersion[];
+    /** Presets that could not be produced; the rest still succeeded */
+    failedVersions: FailedVersion[];
     analysis: ImageAnalysis;
+    /** Requested placeholders; null when none were asked for */
+    placeholders: Placeholders | null;
     performance: PerformanceMetrics;
     summary: Summary;
     timestamp: string;
   }
 
+  export interface FailedVersion {
+    versionIndex: number;
+    presetName: string;
+    code: ErrorCode;
+    error: UltraCompressError;
+  }
+
   export interface CompressionError {
     success: false;
     jobId: string;
     error: string;
+    code: ErrorCode;
+    failedVersions: FailedVersion[];
     stack?: string;
     file: {
       name: string;
@@ -216,9 +625,13 @@ declare module "ultracompresspro" {
     fileName: string;
     fileSize: number;
     index: number;
+    jobId: string;
     success: boolean;
+    /** True when the job was stopped through cancel(jobId) or a signal */
+    cancelled: boolean;
     data: CompressionResult | null;
     error: string | null;
+    code: ErrorCode | null;
   }
 
   export interface BatchSummary {
@@ -272,17 +685,155 @@ declare module "ultracompresspro" {
     quality?: CompressionQuality | string;
     presets?: string[] | PresetConfig[];
     customPresets?: PresetConfig[] | null;
-    outputFormat?: ImageFormat | string | null;
-    metadata?: boolean;
+    /** "auto" races JPEG/WebP/PNG at equal SSIM and keeps the smallest */
+    outputFormat?: ImageFormat | "auto" | string | null;
+    /** true keeps the ICC profile, false strips everything; always auto-orients unless told otherwise */
+    metadata?: boolean | MetadataOptions;
+    /** Aborts the job between encode iterations, scale steps and versions */
+    signal?: AbortSignal | null;
+    /** Use a caller-chosen job id (must be unique per instance) */
+    jobId?: string;
+    /** Fail a version with TargetUnreachableError instead of returning an oversized blob */
+    enforceTargetSize?: boolean;
+    /** Metrics computed per version (default ["ssim", "psnr"]); false to skip */
+    qualityMetrics?: boolean | QualityMetricName[];
+    /** Quantization for PNG8 and GIF output */
+    palette?: PaletteOptions;
+    /** Center cover crops on this point (input pixels, after auto-orient) */
+    focalPoint?: { x: number; y: number } | null;
+    /** Center cover crops on this rectangle, e.g. a stored metadata.crop */
+    focusRect?: CropRect | null;
+    /** Crop placement without a focal point or rectangle (default "attention") */
+    cropStrategy?: CropStrategy;
+    /** How the analysis reads pixels (default "downsample", 200 per side) */
+    sampling?: SamplingStrategy | SamplingOptions;
+    /** Low-quality placeholders to return, or true for all of them */
+    placeholders?: PlaceholderType[] | PlaceholderOptions | boolean;
+  }
+
+  export type PlaceholderType =
+    | "blurhash"
+    | "thumbhash"
+    | "dominantColor"
+    | "lqip";
+
+  export interface PlaceholderOptions {
+    /** Default all types */
+    types?: PlaceholderType[];
+    /**
+     * Longest data URL accepted for the LQIP (default 1024). The js
+     * backend's JPEGs need about 850.
+     */
+    lqipMaxBytes?: number;
+    /** Largest LQIP side in pixels (default 32) */
+    lqipMaxDimension?: number;
+  }
+
+  export interface Lqip {
+    /** base64 WebP, or JPEG where WebP cannot be encoded */
+    dataUrl: string;
+    width: number;
+    height: number;
+    type: string;
+    /** Length of dataUrl */
+    size: number;
+  }
+
+  export interface Placeholders {
+    blurhash?: string;
+    /** base64 */
+    thumbhash?: string;
+    /** "#rrggbb"; null for a fully transparent image */
+    dominantColor?: string | null;
+    /** null when no LQIP fits lqipMaxBytes */
+    lqip?: Lqip | null;
+  }
+
+  export type CropStrategy = "attention" | "center";
+
+  export interface CropRect {
+    x: number;
+    y: number;
+    width: number;
+    height: number;
+  }
+
+  export interface PlacedCrop extends CropRect {
+    /** null when the whole image is shown */
+    strategy: CropStrategy | "focalPoint" | "focusRect" | null;
+  }
+
+  export interface SaliencyMap {
+    width: number;
+    height: number;
+    data: Float32Array;
+    /** Map pixels per source pixel */
+    scaleX: number;
+    scaleY: number;
+  }
+
+  export type DitherMode = "none" | "floyd-steinberg" | "ordered";
+
+  export interface PaletteOptions {
+    /** Largest palette (2-256, default 256); quality may pick fewer */
+    colors?: number;
+    /** Default "floyd-steinberg" */
+    dither?: DitherMode;
+    /** Default "median-cut" */
+    method?: "median-cut" | "k-means";
+  }
+
+  /** A file with its queue priority (higher runs first) */
+  export interface BatchFileEntry {
+    file: File | Blob;
+    priority?: number;
+  }
+
+  export type BatchInput = FileList | Array<File | Blob | BatchFileEntry>;
+
+  export interface QueueJob {
+    jobId: string;
+    batchId: string;
+    index: number;
+    fileName: string;
+    fileSize: number;
+    priority: number;
+    status: ProcessingStatus;
+    startedAt: number | null;
+    completedAt: number | null;
+    error: string | null;
   }
 
   export interface BatchOptions extends CompressOptions {
+    /** Maximum files processed at once; a new file starts as soon as one finishes */
     concurrency?: number;
+    /** Default priority for files without their own */
+    priority?: number;
     onProgress?: (progress: ProgressData) => void;
     onFileComplete?: (result: BatchFileResult, progress: ProgressData) => void;
     stopOnError?: boolean;
   }
 
+  export interface StreamOptions extends BatchOptions {
+    /** Also yield an item each time a version completes */
+    includeVersions?: boolean;
+    /** Unconsumed file results buffered before new files stop starting */
+    highWaterMark?: number;
+  }
+
+  export interface StreamVersionItem {
+    type: "version";
+    jobId: string;
+    versionIndex: number;
+    totalVersions: number;
+    metadata: VersionMetadata;
+  }
+
+  export interface StreamFileItem {
+    type: "file";
+    result: BatchFileResult;
+  }
+
   export interface LibraryInfo {
     name: string;
     version: string;
@@ -311,28 +862,367 @@ declare module "ultracompresspro" {
   export type EventCallback = (data: EventData) => void;
   export type UnsubscribeFn = () => void;
 
+  // ==================== ERRORS ====================
+
+  export enum ErrorCode {
+    INVALID_INPUT = "INVALID_INPUT",
+    EMPTY_FILE = "EMPTY_FILE",
+    FILE_TOO_LARGE = "FILE_TOO_LARGE",
+    UNSUPPORTED_FORMAT = "UNSUPPORTED_FORMAT",
+    DECODE_FAILED = "DECODE_FAILED",
+    ENCODE_FAILED = "ENCODE_FAILED",
+    TARGET_UNREACHABLE = "TARGET_UNREACHABLE",
+    ABORTED = "ABORTED",
+    WORKER_FAILED = "WORKER_FAILED",
+  }
+
+  export interface ErrorDetails {
+    code?: ErrorCode | string;
+    jobId?: string | null;
+    versionIndex?: number | null;
+    cause?: unknown;
+    [key: string]: unknown;
+  }
+
+  export class UltraCompressError extends Error {
+    code: ErrorCode | string;
+    jobId: string | null;
+    versionIndex: number | null;
+    /** Extra context, e.g. { size, maxSize } or { targetSize, actualSize } */
+    details: Record<string, unknown>;
+    cause?: unknown;
+    /** Set when every requested version failed */
+    failedVersions?: FailedVersion[];
+    constructor(message: string, details?: ErrorDetails);
+    toJSON(): Record<string, unknown>;
+    static fromJSON(data: Record<string, any>): UltraCompressError;
+    static wrap(
+      error: Error,
+      ErrorClass?: typeof UltraCompressError,
+      details?: ErrorDetails
+    ): UltraCompressError;
+  }
+
+  export class InvalidInputError extends UltraCompressError {}
+  export class UnsupportedFormatError extends UltraCompressError {}
+  export class FileTooLargeError extends UltraCompressError {}
+  export class DecodeError extends UltraCompressError {}
+  export class EncodeError extends UltraCompressError {}
+  export class TargetUnreachableError extends UltraCompressError {}
+  export class AbortError extends UltraCompressError {
+    constructor(message?: string, details?: ErrorDetails);
+  }
+
   // ==================== UTILITY CLASSES ====================
 
+  export type QualityMetricName = "ssim" | "msssim" | "psnr";
+
+  export interface ImageDataLike {
+    data: Uint8ClampedArray | Uint8Array;
+    width: number;
+    height: number;
+  }
+
+  export type ImageSource =
+    | ImageDataLike
+    | HTMLCanvasElement
+    | OffscreenCanvas
+    | RasterCanvas
+    | HTMLImageElement
+    | ImageBitmap
+    | RasterImage
+    | Blob;
+
+  // ==================== BACKENDS ====================
+
+  export type AnyCanvas = HTMLCanvasElement | OffscreenCanvas | RasterCanvas;
+  export type Drawable = HTMLImageElement | ImageBitmap | RasterImage;
+
+  /** Decoded RGBA pixels produced by the js backend */
+  export class RasterImage {
+    constructor(width: number, height: number, data: Uint8ClampedArray);
+    readonly width: number;
+    readonly height: number;
+    readonly data: Uint8ClampedArray;
+  }
+
+  /** In-memory canvas implementing the 2D context subset the library uses */
+  export class RasterCanvas {
+    constructor(width?: number, height?: number);
+    width: number;
+    height: number;
+    readonly data: Uint8ClampedArray;
+    getContext(type: "2d"): RasterContext;
+  }
+
+  export interface RasterContext {
+    readonly canvas: RasterCanvas;
+    imageSmoothingEnabled: boolean;
+    imageSmoothingQuality: string;
+    fillStyle: string;
+    createImageData(width: number, height: number): ImageDataLike;
+    getImageData(sx: number, sy: number, sw: number, sh: number): ImageDataLike;
+    putImageData(imageData: ImageDataLike, dx: number, dy: number): void;
+    clearRect(x: number, y: number, w: number, h: number): void;
+    fillRect(x: number, y: number, w: number, h: number): void;
+    drawImage(source: ImageSource, dx: number, dy: number): void;
+    drawImage(
+      source: ImageSource,
+      dx: number,
+      dy: number,
+      dw: number,
+      dh: number
+    ): void;
+    drawImage(
+      source: ImageSource,
+      sx: number,
+      sy: number,
+      sw: number,
+      sh: number,
+      dx: number,
+      dy: number,
+      dw: number,
+      dh: number
+    ): void;
+  }
+
+  export interface ImageBackend {
+    name: string;
+    /** Formats the backend can encode; null when they must be probed */
+    encodes?: string[] | null;
+    /** True when decoded images already follow their EXIF orientation */
+    orients?: boolean;
+    isAvailable?(): boolean;
+    decode(
+      file: Blob,
+      options?: { colorSpaceConversion?: "default" | "none" }
+    ): Promise<Drawable>;
+    createCanvas(width: number, height: number): AnyCanvas;
+    isCanvas(canvas: unknown): boolean;
+    encode(canvas: AnyCanvas, mimeType: string, quality: number): Promise<Blob>;
+  }
+
+  export class ImageBackends {
+    static register(backend: ImageBackend): ImageBackend;
+    /** Select "canvas", "js", a custom backend, or "auto" */
+    static use(backend?: "auto" | string | ImageBackend): ImageBackend;
+    static get(): ImageBackend;
+    static forCanvas(canvas: unknown): ImageBackend | null;
+    static list(): string[];
+  }
+
+  export class ImageMetadata {
+    /** Read EXIF/ICC/XMP from JPEG, PNG or WebP bytes (never throws on bad metadata) */
+    static read(bytes: Uint8Array): Promise<EmbeddedMetadata>;
+    static normalizeOptions(
+      option?: boolean | MetadataOptions
+    ): Required<MetadataOptions>;
+    static keeps(group: MetadataGroup, options: MetadataOptions): boolean;
+    /** Redraw an image as a viewer shows it for the EXIF orientation */
+    static orient(img: Drawable, orientation: number): Drawable;
+  }
+
+  export interface PixelCodec {
+    decode(bytes: Uint8Array): ImageDataLike | Promise<ImageDataLike>;
+    encode(
+      imageData: ImageDataLike,
+      quality?: number
+    ): Uint8Array | Promise<Uint8Array>;
+  }
+
+  export interface AnimationFrame {
+    /** Full RGBA canvas after compositing */
+    data: Uint8ClampedArray;
+    /** Display time in ms */
+    delay: number;
+  }
+
+  export interface Animation {
+    width: number;
+    height: number;
+    /** Number of plays; 0 repeats forever */
+    loopCount: number;
+    duration?: number;
+    hasAlpha?: boolean;
+    frames: AnimationFrame[];
+  }
+
+  export interface GifCodec {
+    decode(bytes: Uint8Array): Animation;
+    encode(animation: Animation, options?: PaletteOptions): Uint8Array;
+  }
+
+  export interface IndexedImage {
+    width: number;
+    height: number;
+    /** Packed RGBA entries, translucent ones first */
+    palette: Uint8Array;
+    /** -1 when the palette has no transparent entry */
+    transparentIndex: number;
+    indices: Uint8Array;
+  }
+
+  export interface QuantizeOptions {
+    colors?: number;
+    method?: "median-cut" | "k-means";
+    dither?: DitherMode;
+    /** "binary" (GIF) makes pixels under half opacity transparent */
+    alpha?: "full" | "binary";
+    /** Reserve a transparent entry even if no pixel needs it */
+    transparent?: boolean;
+  }
+
+  export class ColorQuantizer {
+    static normalizeOptions(option?: PaletteOptions): Required<PaletteOptions>;
+    /** 256 colors from quality 0.8 up, fewer below */
+    static colorsForQuality(quality: number): number;
+    static quantize(
+      imageData: ImageDataLike,
+      options?: QuantizeOptions
+    ): IndexedImage;
+    static buildPalette(
+      buffers: Uint8ClampedArray[],
+      options?: QuantizeOptions
+    ): { palette: Uint8Array; transparentIndex: number };
+    static map(
+      imageData: ImageDataLike,
+      palette: Uint8Array,
+      options?: {
+        dither?: DitherMode;
+        alpha?: "full" | "binary";
+        transparentIndex?: number;
+      }
+    ): Uint8Array;
+  }
+
+  export class ImagePlaceholder {
+    /** Throws InvalidInputError; null when no placeholder is requested */
+    static normalizeOptions(
+      placeholders?: PlaceholderType[] | PlaceholderOptions | boolean | null
+    ): Required<PlaceholderOptions> | null;
+    static generate(
+      img: Drawable | HTMLCanvasElement,
+      options: Required<PlaceholderOptions>
+    ): Promise<Placeholders>;
+    /** 4x3 components (3x4 for portrait images) */
+    static blurhash(img: Drawable | HTMLCanvasElement): Promise<string>;
+    static thumbhash(img: Drawable | HTMLCanvasElement): Promise<string>;
+    static dominantColor(
+      img: Drawable | HTMLCanvasElement
+    ): Promise<string | null>;
+    static lqip(
+      img: Drawable | HTMLCanvasElement,
+      options?: PlaceholderOptions
+    ): Promise<Lqip | null>;
+  }
+
+  export interface AnimatedCompressResult {
+    blob: Blob;
+    /** GIF palette size used */
+    colors?: number;
+    /** WebP encoder quality used */
+    quality?: number;
+    sizeMet: boolean;
+  }
+
+  export class ImageAnimation {
+    /** Decode an animated GIF, APNG or WebP; null for a single frame */
+    static decode(bytes: Uint8Array, format: string): Promise<Animation | null>;
+    static frameToCanvas(animation: Animation, index?: number): AnyCanvas;
+    static resize(
+      animation: Animation,
+      dimensions: Dimensions,
+      analysis: ImageAnalysis,
+      resize?: ResizeOptions | null
+    ): Animation;
+    static compress(
+      animation: Animation,
+      format: string,
+      options?: {
+        targetSize?: number | null;
+        quality?: number;
+        signal?: AbortSignal;
+      }
+    ): Promise<AnimatedCompressResult>;
+    static encode(
+      animation: Animation,
+      format: string,
+      options?: { colors?: number; quality?: number }
+    ): Promise<Blob>;
+  }
+
+  export interface QualityComparison {
+    ssim?: number;
+    msssim?: number;
+    psnr?: number;
+    mse?: number;
+  }
+
+  export class QualityMetrics {
+    static compare(
+      imageA: ImageSource,
+      imageB: ImageSource,
+      options?: { metrics?: QualityMetricName[] }
+    ): Promise<QualityComparison>;
+    static ssim(a: ImageDataLike, b: ImageDataLike): number;
+    static msssim(a: ImageDataLike, b: ImageDataLike): number;
+    static mse(a: ImageDataLike, b: ImageDataLike): number;
+    static psnr(a: ImageDataLike, b: ImageDataLike): number;
+    static psnrFromMse(mse: number): number;
+  }
+
   export class ImageUtils {
-    static detectMimeType(bytes: Uint8Array): string;
-    static isAnimated(file: File): Promise<boolean>;
-    static loadImage(file: File | Blob): Promise<HTMLImageElement>;
+    static detectMimeType(bytes: Uint8Array): string | null;
+    static registerSignature(signature: FileSignature): FileSignature;
+    /** Detects the type from the first bytes of a file */
+    static sniffMimeType(file: File | Blob): Promise<string | null>;
+    static isAnimated(file: File | Blob): Promise<boolean>;
+    /** Reads only the header; throws DecodeError if it is corrupt */
+    static probe(file: File | Blob): Promise<ProbeResult>;
+    static loadImage(
+      file: File | Blob,
+      options?: { colorSpaceConversion?: "default" | "none" }
+    ): Promise<Drawable>;
+    static createCanvas(width: number, height: number): AnyCanvas;
+    static isCanvas(canvas: unknown): boolean;
+    static getImageData(
+      source: ImageSource,
+      width?: number,
+      height?: number
+    ): Promise<ImageDataLike>;
+    /** PNG8 and GIF are quantized for any backend; quality sets the palette size */
     static canvasToBlob(
-      canvas: HTMLCanvasElement,
+      canvas: AnyCanvas,
       mimeType?: string,
-      quality?: number
+      quality?: number,
+      palette?: PaletteOptions
     ): Promise<Blob>;
     static isWebPSupported(): boolean;
+    /** Encodes a pixel and checks the MIME type; cached per format */
+    static probeEncoder(format: string): Promise<boolean>;
     static calculateDimensions(
       width: number,
       height: number,
-      maxDimension: number,
-      targetAspectRatio?: number | null
+      maxDimension: number | null,
+      targetAspectRatio?: number | null,
+      fitOptions?: FitOptions | null
     ): Dimensions;
+    /** Throws InvalidInputError; null when the preset sets no fit options */
+    static normalizeFit(config?: FitOptions): Required<FitOptions> | null;
   }
 
   export class ImageAnalyzer {
-    static analyze(img: HTMLImageElement, file: File): Promise<ImageAnalysis>;
+    static analyze(
+      img: HTMLImageElement | ImageBitmap | Drawable | HTMLCanvasElement,
+      file?: File | Blob | null,
+      sampling?: SamplingStrategy | SamplingOptions | null
+    ): Promise<ImageAnalysis>;
+    /** Throws InvalidInputError for an unknown strategy or a bad size */
+    static normalizeSampling(
+      sampling?: SamplingStrategy | SamplingOptions | null
+    ): Required<SamplingOptions>;
+    /** Edge, skin-tone, saturation and contrast energy on a small copy; cached per image */
+    static saliencyMap(img: Drawable | HTMLCanvasElement): SaliencyMap;
     static calculateRecommendedQuality(
       complexity: number,
       imageType: string,
@@ -344,8 +1234,21 @@ declare module "ultracompresspro" {
     ): number;
     static suggestFormat(
       imageType: string,
-      hasTransparency: boolean
+      hasTransparency: boolean,
+      category?: ContentCategory | null
     ): ImageFormat;
+    /** `type` is the sniffed MIME type (Utils.sniffMimeType); SVG is only recognized from it */
+    static classify(
+      img: HTMLImageElement | ImageBitmap | Drawable | HTMLCanvasElement,
+      file?: File | Blob | null,
+      type?: string | null
+    ): ContentClassification;
+    /** Falls back to the coarse imageType for analyses without a category */
+    static categoryProfile(
+      analysis: Pick<ImageAnalysis, "imageType"> & {
+        category?: ContentCategory;
+      }
+    ): CategoryProfile;
   }
 
   export class CompressionEngine {
@@ -354,19 +1257,108 @@ declare module "ultracompresspro" {
       format: string,
       targetSize: number,
       analysis: ImageAnalysis,
-      qualityMode?: CompressionQuality | string
+      qualityMode?: CompressionQuality | string,
+      options?: { signal?: AbortSignal; palette?: PaletteOptions }
     ): Promise<Blob>;
     static advancedOptimize(
       canvas: HTMLCanvasElement,
       format: string,
       targetSize: number,
-      analysis: ImageAnalysis
+      analysis: ImageAnalysis,
+      options?: {
+        signal?: AbortSignal;
+        palette?: PaletteOptions;
+        resize?: ResizeOptions | null;
+      }
     ): Promise<Blob>;
+    static compressToQuality(
+      canvas: HTMLCanvasElement,
+      format: string,
+      constraints: { targetQuality: number; maxSize?: number | null },
+      options?: {
+        signal?: AbortSignal;
+        iterations?: number;
+        palette?: PaletteOptions;
+      }
+    ): Promise<QualitySearchResult>;
+    static raceFormats(
+      canvas: HTMLCanvasElement,
+      formats: string[],
+      constraints: { targetQuality: number; maxSize?: number | null },
+      options?: { signal?: AbortSignal; palette?: PaletteOptions }
+    ): Promise<{
+      format: string;
+      result: QualitySearchResult;
+      candidates: FormatCandidate[];
+    }>;
+    /** Encode every format toward targetSize and keep the best-looking one */
+    static raceFormatsToSize(
+      canvas: HTMLCanvasElement,
+      formats: string[],
+      targetSize: number,
+      analysis: ImageAnalysis,
+      qualityMode: string,
+      options?: { signal?: AbortSignal; palette?: PaletteOptions }
+    ): Promise<{
+      format: string;
+      blob: Blob;
+      candidates: FormatCandidate[];
+    }>;
     static createOptimizedCanvas(
       img: HTMLImageElement,
       dimensions: Dimensions,
-      analysis: ImageAnalysis
+      analysis: ImageAnalysis,
+      resize?: ResizeOptions | null
+    ): HTMLCanvasElement;
+    static scaleCanvas(
+      canvas: HTMLCanvasElement,
+      scale: number,
+      resize?: ResizeOptions | null
     ): HTMLCanvasElement;
+    /** Throws InvalidInputError for an invalid targetSize or adaptiveTarget */
+    static normalizeTargetSize(
+      config?: Pick<PresetConfig, "targetSize" | "adaptiveTarget">
+    ): {
+      targetSize: number | TargetSizeRange | null;
+      adaptiveTarget: boolean;
+    };
+    /** Byte target of a preset for one analysed image */
+    static resolveTargetSize(
+      preset: Pick<PresetConfig, "targetSize" | "adaptiveTarget">,
+      analysis: ImageAnalysis
+    ): {
+      targetSize: number | null;
+      adaptiveTarget: AdaptiveTargetExplanation | null;
+    };
+    /** Throws InvalidInputError for invalid options */
+    static normalizeFocus(
+      options?: Pick<
+        CompressOptions,
+        "focalPoint" | "focusRect" | "cropStrategy"
+      >
+    ): {
+      strategy: CropStrategy;
+      focalPoint: { x: number; y: number } | null;
+      focusRect: CropRect | null;
+    };
+    /** Move a cover crop onto the focus, or the most salient window */
+    static placeCrop(
+      img: Drawable | HTMLCanvasElement,
+      dimensions: Dimensions,
+      focus?: ReturnType<typeof CompressionEngine.normalizeFocus> | null
+    ): PlacedCrop;
+    /** Throws InvalidInputError for an unknown kernel; null means canvas smoothing */
+    static normalizeResize(
+      resize?: ResizeOptions | null
+    ): Required<ResizeOptions> | null;
+    /** Same pixels in every browser */
+    static resample(
+      source: Drawable | ImageDataLike,
+      rect: { x: number; y: number; width: number; height: number },
+      width: number,
+      height: number,
+      options: ResizeOptions
+    ): AnyCanvas;
   }
 
   // ==================== MAIN CLASS ====================
@@ -375,11 +1367,36 @@ declare module "ultracompresspro" {
     static readonly VERSION: string;
     static readonly CompressionQuality: typeof CompressionQuality;
     static readonly ImageFormat: typeof ImageFormat;
+    static readonly FitMode: typeof FitMode;
     static readonly ProcessingStatus: typeof ProcessingStatus;
     static readonly EventType: typeof EventType;
     static readonly Utils: typeof ImageUtils;
     static readonly Analyzer: typeof ImageAnalyzer;
     static readonly Engine: typeof CompressionEngine;
+    static readonly Metrics: typeof QualityMetrics;
+    static readonly Backends: typeof ImageBackends;
+    static readonly RasterCanvas: typeof RasterCanvas;
+    static readonly Codecs: {
+      Jpeg: PixelCodec;
+      Png: PixelCodec & {
+        decodeAnimation(bytes: Uint8Array): Promise<Animation>;
+        encodeIndexed(indexed: IndexedImage): Promise<Uint8Array>;
+      };
+      Gif: GifCodec;
+    };
+    static readonly Animation: typeof ImageAnimation;
+    static readonly Quantizer: typeof ColorQuantizer;
+    static readonly Placeholder: typeof ImagePlaceholder;
+    static readonly Metadata: typeof ImageMetadata;
+    static readonly ErrorCode: typeof ErrorCode;
+    static readonly UltraCompressError: typeof UltraCompressError;
+    static readonly InvalidInputError: typeof InvalidInputError;
+    static readonly UnsupportedFormatError: typeof UnsupportedFormatError;
+    static readonly FileTooLargeError: typeof FileTooLargeError;
+    static readonly DecodeError: typeof DecodeError;
+    static readonly EncodeError: typeof EncodeError;
+    static readonly TargetUnreachableError: typeof TargetUnreachableError;
+    static readonly AbortError: typeof AbortError;
 
     readonly version: string;
     readonly config: CompressorConfig;
@@ -392,7 +1409,7 @@ declare module "ultracompresspro" {
     getInfo(): LibraryInfo;
     getStats(): Statistics;
     resetStats(): void;
-    validateFile(file: File | Blob): boolean;
+    validateFile(file: File | Blob): Promise<boolean>;
 
     compress(
       file: File | Blob,
@@ -400,11 +1417,37 @@ declare module "ultracompresspro" {
     ): Promise<CompressionResult>;
 
     compressMultiple(
-      files: File[] | FileList,
+      files: BatchInput,
       options?: BatchOptions
     ): Promise<BatchResult>;
 
-    cancel(): void;
+    stream(
+      files: BatchInput,
+      options?: StreamOptions & { includeVersions?: false }
+    ): AsyncGenerator<BatchFileResult, void, undefined>;
+    stream(
+      files: BatchInput,
+      options: StreamOptions & { includeVersions: true }
+    ): AsyncGenerator<StreamFileItem | StreamVersionItem, void, undefined>;
+
+    pause(batchId?: string): void;
+    resume(batchId?: string): void;
+    addToBatch(
+      files: BatchInput,
+      options?: { batchId?: string; priority?: number }
+    ): string[];
+    getQueue(batchId?: string): QueueJob[];
+    /** Whether a job is running, or pending in a batch */
+    hasJob(jobId: string): boolean;
+    /** Unique id for the jobId option, "<prefix>_<time>_<random>" */
+    createJobId(prefix?: string): string;
+
+    /** Cancel one job, or every running job and batch when omitted */
+    cancel(jobId?: string): boolean;
+    destroy(): void;
+
+    clearCache(): Promise<void>;
+    getCacheStats(): Promise<CacheStats>;
 
     addPreset(name: string, config: PresetConfig): PresetConfig;
     removePreset(name: string): boolean;
@@ -412,6 +1455,7 @@ declare module "ultracompresspro" {
 
     // Utility Methods
     loadImage(file: File | Blob): Promise<HTMLImageElement>;
+    probe(file: File | Blob): Promise<ProbeResult>;
     createCanvas(
       img: HTMLImageElement,
       dimensions: Dimensions
@@ -424,11 +1468,17 @@ declare module "ultracompresspro" {
     calculateDimensions(
       width: number,
       height: number,
-      maxDimension: number,
-      aspectRatio?: number | null
+      maxDimension: number | null,
+      aspectRatio?: number | null,
+      fit?: FitOptions | null
     ): Dimensions;
-    analyzeImage(file: File | Blob): Promise<ImageAnalysis>;
+    analyzeImage(
+      file: File | Blob,
+      options?: { sampling?: SamplingStrategy | SamplingOptions }
+    ): Promise<ImageAnalysis>;
+    /** Synchronous check; AVIF is only reported after canEncode() probed it */
     isFormatSupported(format: string): boolean;
+    canEncode(format: string): Promise<boolean>;
 
     // Event Methods
     on(event: EventType | string, callback: EventCallback): UnsubscribeFn;
@@ -38,6 +38,18 @@
 
   const VERSION = "3.0.0";
 
+  // Captured while the script is executing so the worker pool can load the
+  // same file into its workers (document.currentScript is null afterwards).
+  const SCRIPT_URL =
+    typeof document !== "undefined" && document.currentScript
+      ? document.currentScript.src
+      : null;
+
+  const IS_WORKER_SCOPE =
+    typeof WorkerGlobalScope !== "undefined" &&
+    typeof self !== "undefined" &&
+    self instanceof WorkerGlobalScope;
+
   const CompressionQuality = {
     MAXIMUM: "maximum",
     HIGH: "high",
@@ -49,11 +61,34 @@
   const ImageFormat = {
     JPEG: "image/jpeg",
     PNG: "image/png",
+    // Palette PNG; written as image/png
+    PNG8: "image/png8",
     WEBP: "image/webp",
+    AVIF: "image/avif",
     GIF: "image/gif",
     BMP: "image/bmp",
     TIFF: "image/tiff",
     SVG: "image/svg+xml",
+    HEIC: "image/heic",
+    HEIF: "image/heif",
+    ICO: "image/x-icon",
+    JXL: "image/jxl",
+  };
+
+  // Encoders tried in order when a format cannot be encoded here.
+  // JPEG is swapped for PNG when the image has transparency.
+  const FORMAT_FALLBACKS = {
+    [ImageFormat.AVIF]: [ImageFormat.WEBP, ImageFormat.JPEG],
+    [ImageFormat.WEBP]: [ImageFormat.JPEG],
+  };
+
+  // How a preset's image fills its width x height box
+  const FitMode = {
+    COVER: "cover", // Fill the box, cropping the overflow
+    CONTAIN: "contain", // Fit inside the box, padding the rest
+    FILL: "fill", // Stretch to the box
+    INSIDE: "inside", // Fit inside the box; output may be smaller
+    OUTSIDE: "outside", // Cover the box; output may be larger
   };
 
   const ProcessingStatus = {
@@ -71,581 +106,8954 @@
     ERROR: "error",
     CANCEL: "cancel",
     VERSION_COMPLETE: "version_complete",
+    VERSION_ERROR: "version_error",
     BATCH_START: "batch_start",
     BATCH_COMPLETE: "batch_complete",
+    BATCH_PAUSE: "batch_pause",
+    BATCH_RESUME: "batch_resume",
   };
 
-  // ==================== UTILITY FUNCTIONS ====================
+  // ==================== ERRORS ====================
+
+  const ErrorCode = {
+    INVALID_INPUT: "INVALID_INPUT",
+    EMPTY_FILE: "EMPTY_FILE",
+    FILE_TOO_LARGE: "FILE_TOO_LARGE",
+    UNSUPPORTED_FORMAT: "UNSUPPORTED_FORMAT",
+    DECODE_FAILED: "DECODE_FAILED",
+    ENCODE_FAILED: "ENCODE_FAILED",
+    TARGET_UNREACHABLE: "TARGET_UNREACHABLE",
+    ABORTED: "ABORTED",
+    WORKER_FAILED: "WORKER_FAILED",
+  };
 
-  class ImageUtils {
+  class UltraCompressError extends Error {
     /**
-     * Detect file type from magic bytes
-     * @param {Uint8Array} bytes - File bytes
-     * @returns {string} MIME type
+     * Base class for all library errors
+     * @param {string} message
+     * @param {Object} details
+     * @param {string} details.code - Stable ErrorCode value
+     * @param {string} details.jobId - Job the error belongs to
+     * @param {number} details.versionIndex - Failed version, if any
+     * @param {Error} details.cause - Underlying error
      */
-    static detectMimeType(bytes) {
-      const signatures = [
-        { bytes: [0xff, 0xd8, 0xff], type: ImageFormat.JPEG },
-        { bytes: [0x89, 0x50, 0x4e, 0x47], type: ImageFormat.PNG },
-        { bytes: [0x47, 0x49, 0x46], type: ImageFormat.GIF },
-        { bytes: [0x52, 0x49, 0x46, 0x46], type: ImageFormat.WEBP, offset: 0 },
-        { bytes: [0x42, 0x4d], type: ImageFormat.BMP },
-      ];
+    constructor(
+      message,
+      { code, jobId = null, versionIndex = null, cause, ...details } = {}
+    ) {
+      super(message);
+      this.code = code || this.constructor.code;
+      this.jobId = jobId;
+      this.versionIndex = versionIndex;
+      this.details = details;
+      if (cause !== undefined) this.cause = cause;
+    }
 
-      for (const sig of signatures) {
-        const offset = sig.offset || 0;
-        if (bytes.length >= offset + sig.bytes.length) {
-          if (sig.bytes.every((byte, i) => bytes[offset + i] === byte)) {
-            return sig.type;
+    /**
+     * Plain representation that survives postMessage and storage
+     * @returns {Object}
+     */
+    toJSON() {
+      return {
+        name: this.name,
+        code: this.code,
+        message: this.message,
+        jobId: this.jobId,
+        versionIndex: this.versionIndex,
+        details: this.details,
+        stack: this.stack,
+      };
+    }
+
+    /**
+     * Rebuild a typed error from toJSON() output or any Error-like object
+     * @param {Object} data
+     * @returns {UltraCompressError}
+     */
+    static fromJSON(data) {
+      const ErrorClass =
+        ERROR_CLASSES.find((cls) => cls.prototype.name === data.name) ||
+        UltraCompressError;
+      const error = new ErrorClass(data.message, {
+        ...(data.details || {}),
+        code: data.code,
+        jobId: data.jobId,
+        versionIndex: data.versionIndex,
+      });
+      if (data.stack) error.stack = data.stack;
+      return error;
+    }
+
+    /**
+     * Return the error unchanged if typed, otherwise wrap it
+     * @param {Error} error
+     * @param {Function} ErrorClass - Class used for wrapping
+     * @param {Object} details
+     * @returns {UltraCompressError}
+     */
+    static wrap(error, ErrorClass = UltraCompressError, details = {}) {
+      if (error instanceof UltraCompressError) {
+        Object.keys(details).forEach((key) => {
+          if (error[key] === null || error[key] === undefined) {
+            error[key] = details[key];
           }
-        }
+        });
+        return error;
       }
-
-      return "image/unknown";
+      return new ErrorClass(error.message, { ...details, cause: error });
     }
+  }
+  // Names are set explicitly so they survive minification
+  UltraCompressError.prototype.name = "UltraCompressError";
+  UltraCompressError.code = "UNKNOWN";
 
+  class InvalidInputError extends UltraCompressError {}
+  InvalidInputError.prototype.name = "InvalidInputError";
+  InvalidInputError.code = ErrorCode.INVALID_INPUT;
+
+  class UnsupportedFormatError extends UltraCompressError {}
+  UnsupportedFormatError.prototype.name = "UnsupportedFormatError";
+  UnsupportedFormatError.code = ErrorCode.UNSUPPORTED_FORMAT;
+
+  class FileTooLargeError extends UltraCompressError {}
+  FileTooLargeError.prototype.name = "FileTooLargeError";
+  FileTooLargeError.code = ErrorCode.FILE_TOO_LARGE;
+
+  class DecodeError extends UltraCompressError {}
+  DecodeError.prototype.name = "DecodeError";
+  DecodeError.code = ErrorCode.DECODE_FAILED;
+
+  class EncodeError extends UltraCompressError {}
+  EncodeError.prototype.name = "EncodeError";
+  EncodeError.code = ErrorCode.ENCODE_FAILED;
+
+  class TargetUnreachableError extends UltraCompressError {}
+  TargetUnreachableError.prototype.name = "TargetUnreachableError";
+  TargetUnreachableError.code = ErrorCode.TARGET_UNREACHABLE;
+
+  class AbortError extends UltraCompressError {
     /**
-     * Check if image has animation
-     * @param {File} file - Image file
-     * @returns {Promise<boolean>}
+     * Raised when a job is cancelled through cancel() or an AbortSignal
+     * @param {string} message
+     * @param {Object} details
      */
-    static async isAnimated(file) {
-      if (!file.type.includes("gif")) return false;
+    constructor(message = "Operation cancelled", details = {}) {
+      super(message, details);
+    }
+  }
+  AbortError.prototype.name = "AbortError";
+  AbortError.code = ErrorCode.ABORTED;
+
+  const ERROR_CLASSES = [
+    UltraCompressError,
+    InvalidInputError,
+    UnsupportedFormatError,
+    FileTooLargeError,
+    DecodeError,
+    EncodeError,
+    TargetUnreachableError,
+    AbortError,
+  ];
+
+  /**
+   * Throw an AbortError if the signal has been aborted
+   * @param {AbortSignal} [signal]
+   * @param {string} [jobId]
+   */
+  function throwIfAborted(signal, jobId = null) {
+    if (signal && signal.aborted) {
+      throw new AbortError(undefined, { jobId });
+    }
+  }
 
-      const buffer = await file.arrayBuffer();
-      const bytes = new Uint8Array(buffer);
-      let frameCount = 0;
+  /**
+   * Yield a macrotask, then throw if the signal has been aborted. Off the
+   * browser main thread the pure-JS codecs never wait on I/O, so without
+   * this a job holds the event loop (timers, sockets, abort handlers) until
+   * it finishes. Browser canvases already encode asynchronously.
+   * @param {AbortSignal} [signal]
+   * @param {string} [jobId]
+   * @returns {Promise<void>}
+   */
+  async function checkpoint(signal, jobId = null) {
+    if (typeof document === "undefined") {
+      await new Promise((resolve) =>
+        typeof setImmediate === "function"
+          ? setImmediate(resolve)
+          : setTimeout(resolve, 0)
+      );
+    }
+    throwIfAborted(signal, jobId);
+  }
 
-      for (let i = 0; i < bytes.length - 1; i++) {
-        if (bytes[i] === 0x21 && bytes[i + 1] === 0xf9) {
-          frameCount++;
-          if (frameCount > 1) return true;
-        }
+  // ==================== PIXEL CODECS ====================
+
+  // Zigzag scan position -> natural (row-major) coefficient index
+  const JPEG_ZIGZAG = new Uint8Array([
+    0, 1, 8, 16, 9, 2, 3, 10, 17, 24, 32, 25, 18, 11, 4, 5, 12, 19, 26, 33, 40,
+    48, 41, 34, 27, 20, 13, 6, 7, 14, 21, 28, 35, 42, 49, 56, 57, 50, 43, 36,
+    29, 22, 15, 23, 30, 37, 44, 51, 58, 59, 52, 45, 38, 31, 39, 46, 53, 60, 61,
+    54, 47, 55, 62, 63,
+  ]);
+
+  // DCT basis: JPEG_COSINES[x * 8 + u] = C(u) / 2 * cos((2x + 1) * u * PI / 16)
+  const JPEG_COSINES = (() => {
+    const table = new Float32Array(64);
+    for (let x = 0; x < 8; x++) {
+      for (let u = 0; u < 8; u++) {
+        const scale = u === 0 ? Math.SQRT1_2 / 2 : 0.5;
+        table[x * 8 + u] = scale * Math.cos(((2 * x + 1) * u * Math.PI) / 16);
       }
+    }
+    return table;
+  })();
+
+  // ITU-T T.81 Annex K example tables, natural order
+  const JPEG_LUMA_QUANT = [
+    16, 11, 10, 16, 24, 40, 51, 61, 12, 12, 14, 19, 26, 58, 60, 55, 14, 13, 16,
+    24, 40, 57, 69, 56, 14, 17, 22, 29, 51, 87, 80, 62, 18, 22, 37, 56, 68, 109,
+    103, 77, 24, 35, 55, 64, 81, 104, 113, 92, 49, 64, 78, 87, 103, 121, 120,
+    101, 72, 92, 95, 98, 112, 100, 103, 99,
+  ];
+  const JPEG_CHROMA_QUANT = [
+    17, 18, 24, 47, 99, 99, 99, 99, 18, 21, 26, 66, 99, 99, 99, 99, 24, 26, 56,
+    99, 99, 99, 99, 99, 47, 66, 99, 99, 99, 99, 99, 99, 99, 99, 99, 99, 99, 99,
+    99, 99, 99, 99, 99, 99, 99, 99, 99, 99, 99, 99, 99, 99, 99, 99, 99, 99, 99,
+    99, 99, 99, 99, 99, 99, 99,
+  ];
+
+  // Annex K.3 Huffman tables as { counts (codes per length 1-16), symbols }
+  const JPEG_HUFFMAN = {
+    lumaDC: {
+      counts: [0, 1, 5, 1, 1, 1, 1, 1, 1, 0, 0, 0, 0, 0, 0, 0],
+      symbols: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11],
+    },
+    chromaDC: {
+      counts: [0, 3, 1, 1, 1, 1, 1, 1, 1, 1, 1, 0, 0, 0, 0, 0],
+      symbols: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11],
+    },
+    lumaAC: {
+      counts: [0, 2, 1, 3, 3, 2, 4, 3, 5, 5, 4, 4, 0, 0, 1, 0x7d],
+      symbols: [
+        0x01, 0x02, 0x03, 0x00, 0x04, 0x11, 0x05, 0x12, 0x21, 0x31, 0x41, 0x06,
+        0x13, 0x51, 0x61, 0x07, 0x22, 0x71, 0x14, 0x32, 0x81, 0x91, 0xa1, 0x08,
+        0x23, 0x42, 0xb1, 0xc1, 0x15, 0x52, 0xd1, 0xf0, 0x24, 0x33, 0x62, 0x72,
+        0x82, 0x09, 0x0a, 0x16, 0x17, 0x18, 0x19, 0x1a, 0x25, 0x26, 0x27, 0x28,
+        0x29, 0x2a, 0x34, 0x35, 0x36, 0x37, 0x38, 0x39, 0x3a, 0x43, 0x44, 0x45,
+        0x46, 0x47, 0x48, 0x49, 0x4a, 0x53, 0x54, 0x55, 0x56, 0x57, 0x58, 0x59,
+        0x5a, 0x63, 0x64, 0x65, 0x66, 0x67, 0x68, 0x69, 0x6a, 0x73, 0x74, 0x75,
+        0x76, 0x77, 0x78, 0x79, 0x7a, 0x83, 0x84, 0x85, 0x86, 0x87, 0x88, 0x89,
+        0x8a, 0x92, 0x93, 0x94, 0x95, 0x96, 0x97, 0x98, 0x99, 0x9a, 0xa2, 0xa3,
+        0xa4, 0xa5, 0xa6, 0xa7, 0xa8, 0xa9, 0xaa, 0xb2, 0xb3, 0xb4, 0xb5, 0xb6,
+        0xb7, 0xb8, 0xb9, 0xba, 0xc2, 0xc3, 0xc4, 0xc5, 0xc6, 0xc7, 0xc8, 0xc9,
+        0xca, 0xd2, 0xd3, 0xd4, 0xd5, 0xd6, 0xd7, 0xd8, 0xd9, 0xda, 0xe1, 0xe2,
+        0xe3, 0xe4, 0xe5, 0xe6, 0xe7, 0xe8, 0xe9, 0xea, 0xf1, 0xf2, 0xf3, 0xf4,
+        0xf5, 0xf6, 0xf7, 0xf8, 0xf9, 0xfa,
+      ],
+    },
+    chromaAC: {
+      counts: [0, 2, 1, 2, 4, 4, 3, 4, 7, 5, 4, 4, 0, 1, 2, 0x77],
+      symbols: [
+        0x00, 0x01, 0x02, 0x03, 0x11, 0x04, 0x05, 0x21, 0x31, 0x06, 0x12, 0x41,
+        0x51, 0x07, 0x61, 0x71, 0x13, 0x22, 0x32, 0x81, 0x08, 0x14, 0x42, 0x91,
+        0xa1, 0xb1, 0xc1, 0x09, 0x23, 0x33, 0x52, 0xf0, 0x15, 0x62, 0x72, 0xd1,
+        0x0a, 0x16, 0x24, 0x34, 0xe1, 0x25, 0xf1, 0x17, 0x18, 0x19, 0x1a, 0x26,
+        0x27, 0x28, 0x29, 0x2a, 0x35, 0x36, 0x37, 0x38, 0x39, 0x3a, 0x43, 0x44,
+        0x45, 0x46, 0x47, 0x48, 0x49, 0x4a, 0x53, 0x54, 0x55, 0x56, 0x57, 0x58,
+        0x59, 0x5a, 0x63, 0x64, 0x65, 0x66, 0x67, 0x68, 0x69, 0x6a, 0x73, 0x74,
+        0x75, 0x76, 0x77, 0x78, 0x79, 0x7a, 0x82, 0x83, 0x84, 0x85, 0x86, 0x87,
+        0x88, 0x89, 0x8a, 0x92, 0x93, 0x94, 0x95, 0x96, 0x97, 0x98, 0x99, 0x9a,
+        0xa2, 0xa3, 0xa4, 0xa5, 0xa6, 0xa7, 0xa8, 0xa9, 0xaa, 0xb2, 0xb3, 0xb4,
+        0xb5, 0xb6, 0xb7, 0xb8, 0xb9, 0xba, 0xc2, 0xc3, 0xc4, 0xc5, 0xc6, 0xc7,
+        0xc8, 0xc9, 0xca, 0xd2, 0xd3, 0xd4, 0xd5, 0xd6, 0xd7, 0xd8, 0xd9, 0xda,
+        0xe2, 0xe3, 0xe4, 0xe5, 0xe6, 0xe7, 0xe8, 0xe9, 0xea, 0xf2, 0xf3, 0xf4,
+        0xf5, 0xf6, 0xf7, 0xf8, 0xf9, 0xfa,
+      ],
+    },
+  };
 
-      return false;
+  const PNG_SIGNATURE = [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a];
+
+  // Adam7 passes as [xStart, yStart, xStep, yStep]
+  const PNG_ADAM7 = [
+    [0, 0, 8, 8],
+    [4, 0, 8, 8],
+    [0, 4, 4, 8],
+    [2, 0, 4, 4],
+    [0, 2, 2, 4],
+    [1, 0, 2, 2],
+    [0, 1, 1, 2],
+  ];
+
+  const CRC32_TABLE = (() => {
+    const table = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+      }
+      table[n] = c >>> 0;
+    }
+    return table;
+  })();
+
+  /**
+   * Growable byte buffer used by the encoders
+   */
+  class ByteWriter {
+    constructor(capacity = 4096) {
+      this.bytes = new Uint8Array(capacity);
+      this.length = 0;
     }
 
-    /**
-     * Load image from file/blob
-     * @param {File|Blob} file - Image file
-     * @returns {Promise<HTMLImageElement>}
-     */
-    static loadImage(file) {
-      return new Promise((resolve, reject) => {
-        const img = new Image();
-        const url = URL.createObjectURL(file);
+    _ensure(extra) {
+      if (this.length + extra <= this.bytes.length) return;
+      let capacity = this.bytes.length * 2;
+      while (capacity < this.length + extra) capacity *= 2;
+      const bytes = new Uint8Array(capacity);
+      bytes.set(this.bytes.subarray(0, this.length));
+      this.bytes = bytes;
+    }
 
-        const cleanup = () => URL.revokeObjectURL(url);
+    byte(value) {
+      this._ensure(1);
+      this.bytes[this.length++] = value & 0xff;
+    }
 
-        img.onload = () => {
-          cleanup();
-          resolve(img);
-        };
+    uint16(value) {
+      this.byte(value >> 8);
+      this.byte(value);
+    }
 
-        img.onerror = () => {
-          cleanup();
-          reject(new Error("Failed to load image"));
-        };
+    uint32(value) {
+      this.uint16(value >>> 16);
+      this.uint16(value & 0xffff);
+    }
 
-        img.src = url;
-      });
+    write(bytes) {
+      this._ensure(bytes.length);
+      this.bytes.set(bytes, this.length);
+      this.length += bytes.length;
     }
 
-    /**
-     * Convert canvas to blob with fallback
-     * @param {HTMLCanvasElement} canvas
-     * @param {string} mimeType
-     * @param {number} quality
-     * @returns {Promise<Blob>}
-     */
-    static canvasToBlob(canvas, mimeType = ImageFormat.JPEG, quality = 0.9) {
-      return new Promise((resolve, reject) => {
-        if (!canvas || !(canvas instanceof HTMLCanvasElement)) {
-          return reject(new Error("Invalid canvas element"));
-        }
+    ascii(text) {
+      for (let i = 0; i < text.length; i++) this.byte(text.charCodeAt(i));
+    }
 
-        canvas.toBlob(
-          (blob) =>
-            blob ? resolve(blob) : reject(new Error("Failed to create blob")),
-          mimeType,
-          quality
-        );
-      });
+    toUint8Array() {
+      return this.bytes.slice(0, this.length);
     }
+  }
 
+  class Zlib {
     /**
-     * Check WebP support
-     * @returns {boolean}
+     * Inflate a zlib stream using the platform DecompressionStream
+     * @param {Uint8Array} bytes
+     * @returns {Promise<Uint8Array>}
      */
-    static isWebPSupported() {
-      const canvas = document.createElement("canvas");
-      canvas.width = canvas.height = 1;
-      return canvas.toDataURL("image/webp").indexOf("data:image/webp") === 0;
+    static inflate(bytes) {
+      return Zlib._transform(bytes, "DecompressionStream");
     }
 
     /**
-     * Calculate optimal dimensions with aspect ratio
-     * @param {number} width - Original width
-     * @param {number} height - Original height
-     * @param {number} maxDimension - Maximum dimension
-     * @param {number} targetAspectRatio - Target aspect ratio
-     * @returns {Object}
+     * Deflate into a zlib stream using the platform CompressionStream
+     * @param {Uint8Array} bytes
+     * @returns {Promise<Uint8Array>}
      */
-    static calculateDimensions(
-      width,
-      height,
-      maxDimension,
-      targetAspectRatio = null
-    ) {
-      const currentAspect = width / height;
-      let targetWidth, targetHeight;
+    static deflate(bytes) {
+      return Zlib._transform(bytes, "CompressionStream");
+    }
 
-      if (width > height) {
-        targetWidth = Math.min(width, maxDimension);
-        targetHeight = Math.round(targetWidth / currentAspect);
-      } else {
-        targetHeight = Math.min(height, maxDimension);
-        targetWidth = Math.round(targetHeight * currentAspect);
+    static async _transform(bytes, streamName) {
+      const Stream = globalThis[streamName];
+      if (typeof Stream !== "function") {
+        throw new Error(`${streamName} is not available in this environment`);
       }
+      const stream = new Blob([bytes])
+        .stream()
+        .pipeThrough(new Stream("deflate"));
+      return new Uint8Array(await new Response(stream).arrayBuffer());
+    }
 
-      if (targetAspectRatio) {
-        const newAspect = targetWidth / targetHeight;
-        if (Math.abs(newAspect - targetAspectRatio) > 0.01) {
-          if (newAspect > targetAspectRatio) {
-            targetWidth = Math.round(targetHeight * targetAspectRatio);
-          } else {
-            targetHeight = Math.round(targetWidth / targetAspectRatio);
-          }
-        }
+    static crc32(bytes, crc = 0xffffffff) {
+      for (let i = 0; i < bytes.length; i++) {
+        crc = CRC32_TABLE[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
       }
-
-      return {
-        width: targetWidth,
-        height: targetHeight,
-        sourceWidth: width,
-        sourceHeight: height,
-        scale: targetWidth / width,
-        aspectRatio: targetWidth / targetHeight,
-      };
+      return crc;
     }
   }
 
-  // ==================== IMAGE ANALYZER ====================
-
-  class ImageAnalyzer {
+  class PngCodec {
     /**
-     * Analyze image characteristics for optimal compression
-     * @param {HTMLImageElement} img - Source image
-     * @param {File} file - Original file
-     * @returns {Promise<Object>}
+     * Decode a PNG (all bit depths and color types, Adam7 included)
+     * @param {Uint8Array} bytes
+     * @returns {Promise<Object>} { width, height, data }
      */
-    static async analyze(img, file) {
-      const canvas = document.createElement("canvas");
-      const sampleSize = Math.min(img.width, img.height, 200);
-      canvas.width = canvas.height = sampleSize;
+    static async decode(bytes) {
+      if (!PNG_SIGNATURE.every((byte, i) => bytes[i] === byte)) {
+        throw new DecodeError("Not a PNG file", { format: ImageFormat.PNG });
+      }
 
-      const ctx = canvas.getContext("2d", { willReadFrequently: true });
-      ctx.drawImage(img, 0, 0, sampleSize, sampleSize);
+      const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.length);
+      const idat = [];
+      let header = null;
+      let palette = null;
+      let transparency = null;
+      let pos = 8;
+
+      while (pos + 8 <= bytes.length) {
+        const length = view.getUint32(pos);
+        const type = String.fromCharCode(...bytes.subarray(pos + 4, pos + 8));
+        const data = bytes.subarray(pos + 8, pos + 8 + length);
+        pos += 12 + length;
+
+        if (type === "IHDR") {
+          const chunk = new DataView(data.buffer, data.byteOffset, data.length);
+          header = {
+            width: chunk.getUint32(0),
+            height: chunk.getUint32(4),
+            bitDepth: data[8],
+            colorType: data[9],
+            interlace: data[12],
+          };
+        } else if (type === "PLTE") {
+          palette = data;
+        } else if (type === "tRNS") {
+          transparency = data;
+        } else if (type === "IDAT") {
+          idat.push(data);
+        } else if (type === "IEND") {
+          break;
+        }
+      }
 
-      const imageData = ctx.getImageData(0, 0, sampleSize, sampleSize);
-      const data = imageData.data;
+      if (!header || !idat.length) {
+        throw new DecodeError("Truncated PNG file", {
+          format: ImageFormat.PNG,
+        });
+      }
 
-      const metrics = {
-        edges: 0,
-        variance: 0,
-        transparentPixels: 0,
-        colorFrequency: new Map(),
-        brightnessSum: 0,
-        saturationSum: 0,
-      };
+      const compressed = new Uint8Array(
+        idat.reduce((sum, chunk) => sum + chunk.length, 0)
+      );
+      idat.reduce((offset, chunk) => {
+        compressed.set(chunk, offset);
+        return offset + chunk.length;
+      }, 0);
+      const raw = await Zlib.inflate(compressed);
+
+      const { width, height, bitDepth, colorType, interlace } = header;
+      const channels = { 0: 1, 2: 3, 3: 1, 4: 2, 6: 4 }[colorType];
+      if (!channels) {
+        throw new DecodeError(`Unsupported PNG color type ${colorType}`, {
+          format: ImageFormat.PNG,
+        });
+      }
 
-      for (let i = 0; i < data.length; i += 4) {
-        const r = data[i];
-        const g = data[i + 1];
-        const b = data[i + 2];
-        const a = data[i + 3];
+      const pixels = new Uint8ClampedArray(width * height * 4);
+      const writeRow = PngCodec._createRowWriter(
+        header,
+        channels,
+        palette,
+        transparency,
+        pixels
+      );
+      const bitsPerPixel = channels * bitDepth;
+      const passes = interlace ? PNG_ADAM7 : [[0, 0, 1, 1]];
+      let offset = 0;
+
+      for (const [x0, y0, dx, dy] of passes) {
+        const passWidth = Math.ceil((width - x0) / dx);
+        const passHeight = Math.ceil((height - y0) / dy);
+        if (passWidth <= 0 || passHeight <= 0) continue;
+
+        const rowBytes = Math.ceil((passWidth * bitsPerPixel) / 8);
+        const rows = PngCodec._unfilter(
+          raw,
+          offset,
+          rowBytes,
+          passHeight,
+          Math.max(1, bitsPerPixel >> 3)
+        );
+        offset += (rowBytes + 1) * passHeight;
+
+        for (let y = 0; y < passHeight; y++) {
+          writeRow(
+            rows.subarray(y * rowBytes, (y + 1) * rowBytes),
+            passWidth,
+            y0 + y * dy,
+            x0,
+            dx
+          );
+        }
+      }
 
-        // Transparency
-        if (a < 255) metrics.transparentPixels++;
+      return { width, height, data: pixels };
+    }
 
-        // Color frequency
-        const colorKey = `${r},${g},${b}`;
-        metrics.colorFrequency.set(
-          colorKey,
-          (metrics.colorFrequency.get(colorKey) || 0) + 1
-        );
+    /**
+     * Encode RGBA pixels as a truecolor PNG (RGB when fully opaque)
+     * @param {Object} imageData - { width, height, data }
+     * @returns {Promise<Uint8Array>}
+     */
+    static async encode({ width, height, data }) {
+      let opaque = true;
+      for (let i = 3; i < data.length; i += 4) {
+        if (data[i] !== 255) {
+          opaque = false;
+          break;
+        }
+      }
 
-        // Brightness
-        metrics.brightnessSum += (r + g + b) / 3;
+      const channels = opaque ? 3 : 4;
+      const rowBytes = width * channels;
+      const filtered = new Uint8Array((rowBytes + 1) * height);
+      let previous = new Uint8Array(rowBytes);
+      let current = new Uint8Array(rowBytes);
+      const candidate = new Uint8Array(rowBytes);
+      const best = new Uint8Array(rowBytes);
+
+      for (let y = 0; y < height; y++) {
+        for (let x = 0, i = y * width * 4, j = 0; x < width; x++, i += 4) {
+          current[j++] = data[i];
+          current[j++] = data[i + 1];
+          current[j++] = data[i + 2];
+          if (!opaque) current[j++] = data[i + 3];
+        }
 
-        // Edge detection
-        if (i > 0) {
-          const diff =
-            Math.abs(r - data[i - 4]) +
-            Math.abs(g - data[i - 3]) +
-            Math.abs(b - data[i - 2]);
-          if (diff > 30) metrics.edges++;
-          metrics.variance += diff;
+        // Adaptive filtering: keep the filter with the smallest residuals
+        let bestFilter = 0;
+        let bestScore = Infinity;
+        for (let filter = 0; filter < 5; filter++) {
+          let score = 0;
+          for (let i = 0; i < rowBytes; i++) {
+            const a = i >= channels ? current[i - channels] : 0;
+            const b = previous[i];
+            const c = i >= channels ? previous[i - channels] : 0;
+            const predictor =
+              filter === 0
+                ? 0
+                : filter === 1
+                ? a
+                : filter === 2
+                ? b
+                : filter === 3
+                ? (a + b) >> 1
+                : PngCodec._paeth(a, b, c);
+            const value = (current[i] - predictor) & 0xff;
+            candidate[i] = value;
+            score += value < 128 ? value : 256 - value;
+          }
+          if (score < bestScore) {
+            bestScore = score;
+            bestFilter = filter;
+            best.set(candidate);
+          }
         }
 
-        // Saturation (simplified)
-        const max = Math.max(r, g, b);
-        const min = Math.min(r, g, b);
-        if (max > 0) {
-          metrics.saturationSum += ((max - min) / max) * 100;
+        filtered[y * (rowBytes + 1)] = bestFilter;
+        filtered.set(best, y * (rowBytes + 1) + 1);
+        [previous, current] = [current, previous];
+      }
+
+      const header = new Uint8Array(13);
+      const headerView = new DataView(header.buffer);
+      headerView.setUint32(0, width);
+      headerView.setUint32(4, height);
+      header[8] = 8;
+      header[9] = opaque ? 2 : 6;
+
+      const out = new ByteWriter(Math.ceil(filtered.length / 2) + 1024);
+      out.write(PNG_SIGNATURE);
+      PngCodec._writeChunk(out, "IHDR", header);
+      PngCodec._writeChunk(out, "IDAT", await Zlib.deflate(filtered));
+      PngCodec._writeChunk(out, "IEND", new Uint8Array(0));
+      return out.toUint8Array();
+    }
+
+    /**
+     * Encode palette indices as an indexed PNG, at the smallest bit depth
+     * that holds the palette, with a tRNS chunk for translucent entries
+     * @param {Object} indexed - { width, height, palette, indices } from
+     *   ColorQuantizer.quantize()
+     * @returns {Promise<Uint8Array>}
+     */
+    static async encodeIndexed({ width, height, palette, indices }) {
+      const count = palette.length / 4;
+      const bitDepth = count <= 2 ? 1 : count <= 4 ? 2 : count <= 16 ? 4 : 8;
+      const perByte = 8 / bitDepth;
+      const rowBytes = Math.ceil(width / perByte);
+
+      // Filter type 0 throughout, as recommended for indexed images
+      const filtered = new Uint8Array((rowBytes + 1) * height);
+      for (let y = 0; y < height; y++) {
+        const row = y * (rowBytes + 1) + 1;
+        for (let x = 0; x < width; x++) {
+          const shift = 8 - bitDepth * ((x % perByte) + 1);
+          filtered[row + Math.floor(x / perByte)] |=
+            indices[y * width + x] << shift;
         }
       }
 
-      const totalPixels = data.length / 4;
-      const uniqueColors = metrics.colorFrequency.size;
-      const complexity = (metrics.edges / totalPixels) * 100;
-      const avgBrightness = metrics.brightnessSum / totalPixels;
-      const avgSaturation = metrics.saturationSum / totalPixels;
+      const header = new Uint8Array(13);
+      const headerView = new DataView(header.buffer);
+      headerView.setUint32(0, width);
+      headerView.setUint32(4, height);
+      header[8] = bitDepth;
+      header[9] = 3;
+
+      const colors = new Uint8Array(count * 3);
+      let translucent = 0;
+      for (let i = 0; i < count; i++) {
+        colors.set(palette.subarray(i * 4, i * 4 + 3), i * 3);
+        if (palette[i * 4 + 3] < 255) translucent = i + 1;
+      }
 
-      // Determine image type
-      let imageType = "photo";
-      if (uniqueColors < 256) {
-        imageType = "graphic";
-      } else if (complexity < 5) {
-        imageType = "simple";
-      } else if (complexity > 20) {
-        imageType = "complex";
+      const out = new ByteWriter(Math.ceil(filtered.length / 2) + 1024);
+      out.write(PNG_SIGNATURE);
+      PngCodec._writeChunk(out, "IHDR", header);
+      PngCodec._writeChunk(out, "PLTE", colors);
+      if (translucent) {
+        const alphas = new Uint8Array(translucent);
+        for (let i = 0; i < translucent; i++) alphas[i] = palette[i * 4 + 3];
+        PngCodec._writeChunk(out, "tRNS", alphas);
+      }
+      PngCodec._writeChunk(out, "IDAT", await Zlib.deflate(filtered));
+      PngCodec._writeChunk(out, "IEND", new Uint8Array(0));
+      return out.toUint8Array();
+    }
+
+    /**
+     * Decode every frame of an APNG, composited onto the canvas the way
+     * browsers play it. A PNG without acTL decodes as one frame.
+     * @param {Uint8Array} bytes
+     * @returns {Promise<Object>} { width, height, loopCount, frames: [{ data, delay }] }
+     */
+    static async decodeAnimation(bytes) {
+      if (!PNG_SIGNATURE.every((byte, i) => bytes[i] === byte)) {
+        throw new DecodeError("Not a PNG file", { format: ImageFormat.PNG });
       }
 
-      const hasTransparency = metrics.transparentPixels > 0;
-      const transparencyRatio = (metrics.transparentPixels / totalPixels) * 100;
+      const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.length);
+      const shared = []; // Chunks every frame's standalone PNG needs
+      const controls = [];
+      let header = null;
+      let loopCount = 0;
+      let current = null;
+      let pos = 8;
+
+      while (pos + 8 <= bytes.length) {
+        const length = view.getUint32(pos);
+        const type = String.fromCharCode(...bytes.subarray(pos + 4, pos + 8));
+        const data = bytes.subarray(pos + 8, pos + 8 + length);
+        pos += 12 + length;
+
+        if (type === "IHDR") {
+          header = data;
+        } else if (type === "PLTE" || type === "tRNS") {
+          shared.push({ type, data });
+        } else if (type === "acTL") {
+          loopCount = new DataView(data.buffer, data.byteOffset).getUint32(4);
+        } else if (type === "fcTL") {
+          const chunk = new DataView(data.buffer, data.byteOffset, data.length);
+          const denominator = chunk.getUint16(22) || 100;
+          current = {
+            width: chunk.getUint32(4),
+            height: chunk.getUint32(8),
+            x: chunk.getUint32(12),
+            y: chunk.getUint32(16),
+            delay: (chunk.getUint16(20) / denominator) * 1000,
+            dispose: data[24],
+            blend: data[25],
+            data: [],
+          };
+          controls.push(current);
+        } else if (type === "IDAT" || type === "fdAT") {
+          // An IDAT before the first fcTL is a default image that is not
+          // part of the animation
+          if (current)
+            current.data.push(type === "fdAT" ? data.subarray(4) : data);
+        } else if (type === "IEND") {
+          break;
+        }
+      }
 
-      return {
-        // Basic metrics
-        complexity: parseFloat(complexity.toFixed(2)),
-        uniqueColors,
-        hasTransparency,
-        transparencyRatio: parseFloat(transparencyRatio.toFixed(2)),
+      if (!header) {
+        throw new DecodeError("Truncated PNG file", {
+          format: ImageFormat.PNG,
+        });
+      }
+      if (!controls.length) {
+        const decoded = await PngCodec.decode(bytes);
+        return {
+          width: decoded.width,
+          height: decoded.height,
+          loopCount: 1,
+          frames: [{ data: decoded.data, delay: 0 }],
+        };
+      }
 
-        // Image characteristics
-        imageType,
-        avgBrightness: parseFloat(avgBrightness.toFixed(2)),
-        avgSaturation: parseFloat(avgSaturation.toFixed(2)),
-        variance: parseFloat((metrics.variance / totalPixels).toFixed(2)),
+      const headerView = new DataView(header.buffer, header.byteOffset, 8);
+      const width = headerView.getUint32(0);
+      const height = headerView.getUint32(4);
+      const canvas = new Uint8ClampedArray(width * height * 4);
+      const frames = [];
+      let previous = null;
+
+      for (const control of controls.filter((frame) => frame.data.length)) {
+        // Decode the frame as a standalone PNG of its own size
+        const frameHeader = header.slice();
+        const frameView = new DataView(frameHeader.buffer);
+        frameView.setUint32(0, control.width);
+        frameView.setUint32(4, control.height);
+        const out = new ByteWriter();
+        out.write(PNG_SIGNATURE);
+        PngCodec._writeChunk(out, "IHDR", frameHeader);
+        shared.forEach(({ type, data }) =>
+          PngCodec._writeChunk(out, type, data)
+        );
+        control.data.forEach((data) => PngCodec._writeChunk(out, "IDAT", data));
+        PngCodec._writeChunk(out, "IEND", new Uint8Array(0));
+        const decoded = await PngCodec.decode(out.toUint8Array());
+
+        if (previous) {
+          if (previous.dispose === 1) {
+            GifCodec._clearRect(canvas, width, {
+              x: previous.x,
+              y: previous.y,
+              w: previous.width,
+              h: previous.height,
+            });
+          } else if (previous.dispose === 2 && previous.snapshot) {
+            canvas.set(previous.snapshot);
+          }
+        }
+        previous = {
+          ...control,
+          // Restoring before the first frame means clearing
+          dispose:
+            !frames.length && control.dispose === 2 ? 1 : control.dispose,
+          snapshot: control.dispose === 2 ? canvas.slice() : null,
+        };
 
-        // Compression recommendations
-        recommendedQuality: this.calculateRecommendedQuality(
-          complexity,
-          imageType,
-          hasTransparency
-        ),
-        compressibility: this.calculateCompressibility(
-          uniqueColors,
-          complexity
-        ),
-        suggestedFormat: this.suggestFormat(imageType, hasTransparency),
+        for (let row = 0; row < control.height; row++) {
+          const cy = control.y + row;
+          if (cy >= height) break;
+          for (let col = 0; col < control.width; col++) {
+            const cx = control.x + col;
+            if (cx >= width) break;
+            const s = (row * control.width + col) * 4;
+            const o = (cy * width + cx) * 4;
+            const alpha = decoded.data[s + 3];
+            if (control.blend === 0 || alpha === 255) {
+              canvas[o] = decoded.data[s];
+              canvas[o + 1] = decoded.data[s + 1];
+              canvas[o + 2] = decoded.data[s + 2];
+              canvas[o + 3] = alpha;
+            } else if (alpha > 0) {
+              // "Over" compositing in straight alpha
+              const below = (canvas[o + 3] * (255 - alpha)) / 255;
+              const total = alpha + below;
+              for (let c = 0; c < 3; c++) {
+                canvas[o + c] =
+                  (decoded.data[s + c] * alpha + canvas[o + c] * below) / total;
+              }
+              canvas[o + 3] = total;
+            }
+          }
+        }
 
-        // Advanced metrics
-        edgeRatio: parseFloat(((metrics.edges / totalPixels) * 100).toFixed(2)),
-        colorDiversity: parseFloat(
-          ((uniqueColors / totalPixels) * 100).toFixed(2)
-        ),
-        isLowDetail: complexity < 5,
-        isHighDetail: complexity > 20,
-        isDark: avgBrightness < 85,
-        isBright: avgBrightness > 170,
-        isVibrant: avgSaturation > 40,
-        isDesaturated: avgSaturation < 20,
-      };
+        frames.push({ data: canvas.slice(), delay: control.delay });
+      }
+
+      return { width, height, loopCount, frames };
     }
 
-    static calculateRecommendedQuality(complexity, imageType, hasTransparency) {
-      if (imageType === "graphic" || imageType === "simple") return 0.85;
-      if (hasTransparency && complexity < 10) return 0.88;
-      if (complexity > 20) return 0.75;
-      return 0.8;
+    static _writeChunk(out, type, data) {
+      const typeBytes = Uint8Array.from(type, (char) => char.charCodeAt(0));
+      out.uint32(data.length);
+      out.write(typeBytes);
+      out.write(data);
+      out.uint32((Zlib.crc32(data, Zlib.crc32(typeBytes)) ^ 0xffffffff) >>> 0);
     }
 
-    static calculateCompressibility(uniqueColors, complexity) {
-      let score = 50;
-      if (uniqueColors < 256) score += 30;
-      else if (uniqueColors < 1000) score += 20;
-      else if (uniqueColors < 5000) score += 10;
+    static _paeth(a, b, c) {
+      const p = a + b - c;
+      const pa = Math.abs(p - a);
+      const pb = Math.abs(p - b);
+      const pc = Math.abs(p - c);
+      if (pa <= pb && pa <= pc) return a;
+      return pb <= pc ? b : c;
+    }
 
-      if (complexity < 5) score += 20;
-      else if (complexity < 10) score += 10;
+    static _unfilter(raw, offset, rowBytes, rows, bpp) {
+      const out = new Uint8Array(rowBytes * rows);
+      let pos = offset;
+
+      for (let y = 0; y < rows; y++) {
+        const filter = raw[pos++];
+        const row = y * rowBytes;
+        const prior = row - rowBytes;
+
+        for (let i = 0; i < rowBytes; i++) {
+          const a = i >= bpp ? out[row + i - bpp] : 0;
+          const b = y > 0 ? out[prior + i] : 0;
+          const c = y > 0 && i >= bpp ? out[prior + i - bpp] : 0;
+          let value = raw[pos + i];
+
+          if (filter === 1) value += a;
+          else if (filter === 2) value += b;
+          else if (filter === 3) value += (a + b) >> 1;
+          else if (filter === 4) value += PngCodec._paeth(a, b, c);
+          else if (filter !== 0) {
+            throw new DecodeError(`Invalid PNG filter ${filter}`, {
+              format: ImageFormat.PNG,
+            });
+          }
+          out[row + i] = value;
+        }
+        pos += rowBytes;
+      }
 
-      return Math.min(100, score);
+      return out;
     }
 
-    static suggestFormat(imageType, hasTransparency) {
-      if (hasTransparency) return ImageFormat.PNG;
-      if (imageType === "graphic") return ImageFormat.PNG;
-      if (ImageUtils.isWebPSupported()) return ImageFormat.WEBP;
-      return ImageFormat.JPEG;
+    static _createRowWriter(header, channels, palette, transparency, pixels) {
+      const { width, bitDepth, colorType } = header;
+      const max = (1 << bitDepth) - 1;
+      const sample =
+        bitDepth === 8
+          ? (row, index) => row[index]
+          : bitDepth === 16
+          ? (row, index) => (row[index * 2] << 8) | row[index * 2 + 1]
+          : (row, index) => {
+              const bit = index * bitDepth;
+              return (row[bit >> 3] >> (8 - bitDepth - (bit & 7))) & max;
+            };
+      const to8 =
+        bitDepth === 16
+          ? (value) => value >> 8
+          : (value) => Math.round((value * 255) / max);
+      const keyColor =
+        transparency && (colorType === 0 || colorType === 2)
+          ? Array.from(
+              { length: colorType === 0 ? 1 : 3 },
+              (_, i) => (transparency[i * 2] << 8) | transparency[i * 2 + 1]
+            )
+          : null;
+
+      return (row, count, y, x0, dx) => {
+        for (let x = 0; x < count; x++) {
+          const o = (y * width + x0 + x * dx) * 4;
+          const s = x * channels;
+
+          if (colorType === 3) {
+            const index = sample(row, x);
+            pixels[o] = palette ? palette[index * 3] : 0;
+            pixels[o + 1] = palette ? palette[index * 3 + 1] : 0;
+            pixels[o + 2] = palette ? palette[index * 3 + 2] : 0;
+            pixels[o + 3] =
+              transparency && index < transparency.length
+                ? transparency[index]
+                : 255;
+          } else if (colorType === 0 || colorType === 4) {
+            const gray = sample(row, s);
+            pixels[o] = pixels[o + 1] = pixels[o + 2] = to8(gray);
+            pixels[o + 3] =
+              colorType === 4
+                ? to8(sample(row, s + 1))
+                : keyColor && gray === keyColor[0]
+                ? 0
+                : 255;
+          } else {
+            const r = sample(row, s);
+            const g = sample(row, s + 1);
+            const b = sample(row, s + 2);
+            pixels[o] = to8(r);
+            pixels[o + 1] = to8(g);
+            pixels[o + 2] = to8(b);
+            pixels[o + 3] =
+              colorType === 6
+                ? to8(sample(row, s + 3))
+                : keyColor &&
+                  r === keyColor[0] &&
+                  g === keyColor[1] &&
+                  b === keyColor[2]
+                ? 0
+                : 255;
+          }
+        }
+      };
     }
   }
 
-  // ==================== COMPRESSION ENGINE ====================
+  class JpegCodec {
+    /**
+     * Decode a baseline or progressive Huffman-coded JPEG
+     * @param {Uint8Array} bytes
+     * @returns {Object} { width, height, data }
+     */
+    static decode(bytes) {
+      const fail = (message) =>
+        new DecodeError(message, { format: ImageFormat.JPEG });
+      if (bytes[0] !== 0xff || bytes[1] !== 0xd8) throw fail("Not a JPEG file");
+
+      const quantTables = [];
+      const dcTables = [];
+      const acTables = [];
+      let frame = null;
+      let adobe = null;
+      let resetInterval = 0;
+      let pos = 2;
+
+      const readUint16 = () => {
+        const value = (bytes[pos] << 8) | bytes[pos + 1];
+        pos += 2;
+        return value;
+      };
+
+      while (pos < bytes.length) {
+        if (bytes[pos] !== 0xff) {
+          pos++;
+          continue;
+        }
+        const marker = bytes[pos + 1];
+        pos += 2;
+        if (marker === 0xff || marker === 0x00) {
+          pos--;
+          continue;
+        }
+        if (marker === 0xd9) break;
+        if (marker >= 0xd0 && marker <= 0xd8) continue;
+
+        const end = pos + ((bytes[pos] << 8) | bytes[pos + 1]);
+        pos += 2;
+
+        if (marker === 0xee && bytes[pos] === 0x41) {
+          // Adobe APP14: the transform flag says whether YCbCr was used
+          adobe = { transform: bytes[pos + 11] };
+        } else if (marker === 0xdb) {
+          while (pos < end) {
+            const spec = bytes[pos++];
+            const table = new Uint16Array(64);
+            for (let k = 0; k < 64; k++) {
+              table[JPEG_ZIGZAG[k]] = spec >> 4 ? readUint16() : bytes[pos++];
+            }
+            quantTables[spec & 15] = table;
+          }
+        } else if (marker === 0xc4) {
+          while (pos < end) {
+            const spec = bytes[pos++];
+            const counts = bytes.subarray(pos, pos + 16);
+            pos += 16;
+            const total = counts.reduce((sum, count) => sum + count, 0);
+            const table = JpegCodec._buildHuffmanTable(
+              counts,
+              bytes.subarray(pos, pos + total)
+            );
+            pos += total;
+            (spec >> 4 ? acTables : dcTables)[spec & 15] = table;
+          }
+        } else if (marker === 0xdd) {
+          resetInterval = (bytes[pos] << 8) | bytes[pos + 1];
+        } else if (marker >= 0xc0 && marker <= 0xc2) {
+          frame = JpegCodec._readFrame(bytes, pos, marker === 0xc2);
+          if (frame.precision !== 8) {
+            throw fail(`Unsupported JPEG precision ${frame.precision}`);
+          }
+        } else if (
+          marker >= 0xc3 &&
+          marker <= 0xcf &&
+          marker !== 0xc4 &&
+          marker !== 0xc8 &&
+          marker !== 0xcc
+        ) {
+          throw fail("Unsupported JPEG encoding (lossless or arithmetic)");
+        } else if (marker === 0xda) {
+          if (!frame) throw fail("JPEG scan before frame header");
+          const count = bytes[pos];
+          const components = [];
+          for (let i = 0; i < count; i++) {
+            const id = bytes[pos + 1 + i * 2];
+            const tables = bytes[pos + 2 + i * 2];
+            const component = frame.components.find((c) => c.id === id);
+            if (!component) throw fail("JPEG scan has an unknown component");
+            component.dcTable = dcTables[tables >> 4];
+            component.acTable = acTables[tables & 15];
+            components.push(component);
+          }
+          const base = pos + 1 + count * 2;
+          pos = JpegCodec._decodeScan(bytes, end, frame, components, {
+            resetInterval,
+            spectralStart: bytes[base],
+            spectralEnd: bytes[base + 1],
+            successive: bytes[base + 2] & 15,
+            refine: bytes[base + 2] >> 4 !== 0,
+          });
+          continue;
+        }
+
+        pos = end;
+      }
+
+      if (!frame) throw fail("JPEG has no frame header");
+      for (const component of frame.components) {
+        component.quantTable = quantTables[component.tq];
+        if (!component.quantTable) {
+          throw fail("Missing JPEG quantization table");
+        }
+      }
+      return JpegCodec._toRGBA(frame, adobe);
+    }
 
-  class CompressionEngine {
     /**
-     * Intelligent binary search compression
-     * @param {HTMLCanvasElement} canvas
-     * @param {string} format
-     * @param {number} targetSize
-     * @param {Object} analysis
-     * @param {string} qualityMode
-     * @returns {Promise<Blob>}
+     * Encode RGBA pixels as a baseline 4:2:0 JPEG. Transparent pixels are
+     * composited on black like canvas.toBlob does.
+     * @param {Object} imageData - { width, height, data }
+     * @param {number} quality - 0-1
+     * @returns {Uint8Array}
      */
-    static async compress(
-      canvas,
-      format,
-      targetSize,
-      analysis,
-      qualityMode = CompressionQuality.BALANCED
-    ) {
-      const baseQuality = analysis.recommendedQuality;
-      const qualityAdjustment = this.getQualityAdjustment(qualityMode);
+    static encode({ width, height, data }, quality = 0.92) {
+      const factor = Math.min(100, Math.max(1, Math.round(quality * 100)));
+      const scale = factor < 50 ? 5000 / factor : 200 - factor * 2;
+      const quantize = (base) =>
+        base.map((value) =>
+          Math.min(255, Math.max(1, Math.floor((value * scale + 50) / 100)))
+        );
+      const lumaQuant = quantize(JPEG_LUMA_QUANT);
+      const chromaQuant = quantize(JPEG_CHROMA_QUANT);
+
+      const [lumaDC, lumaAC, chromaDC, chromaAC] = [
+        JPEG_HUFFMAN.lumaDC,
+        JPEG_HUFFMAN.lumaAC,
+        JPEG_HUFFMAN.chromaDC,
+        JPEG_HUFFMAN.chromaAC,
+      ].map((table) => JpegCodec._buildEncodeTable(table));
+
+      const out = new ByteWriter(width * height + 1024);
+      out.uint16(0xffd8);
+
+      // JFIF APP0
+      out.uint16(0xffe0);
+      out.uint16(16);
+      out.ascii("JFIF\0");
+      out.write([1, 1, 0, 0, 1, 0, 1, 0, 0]);
+
+      // Quantization tables in zigzag order
+      out.uint16(0xffdb);
+      out.uint16(132);
+      [lumaQuant, chromaQuant].forEach((table, id) => {
+        out.byte(id);
+        for (let k = 0; k < 64; k++) out.byte(table[JPEG_ZIGZAG[k]]);
+      });
 
-      let minQuality = Math.max(0.1, baseQuality - qualityAdjustment.range);
-      let maxQuality = Math.min(0.98, baseQuality + qualityAdjustment.boost);
-      let bestBlob = null;
-      let iterations = 0;
-      const maxIterations = qualityAdjustment.iterations;
+      // Baseline frame: Y at 2x2, Cb/Cr at 1x1
+      out.uint16(0xffc0);
+      out.uint16(17);
+      out.byte(8);
+      out.uint16(height);
+      out.uint16(width);
+      out.byte(3);
+      out.write([1, 0x22, 0, 2, 0x11, 1, 3, 0x11, 1]);
+
+      // Huffman tables
+      out.uint16(0xffc4);
+      out.uint16(2 + 4 * 17 + 12 + 12 + 162 + 162);
+      [
+        [0x00, JPEG_HUFFMAN.lumaDC],
+        [0x10, JPEG_HUFFMAN.lumaAC],
+        [0x01, JPEG_HUFFMAN.chromaDC],
+        [0x11, JPEG_HUFFMAN.chromaAC],
+      ].forEach(([spec, table]) => {
+        out.byte(spec);
+        out.write(table.counts);
+        out.write(table.symbols);
+      });
 
-      while (iterations < maxIterations && maxQuality - minQuality > 0.005) {
-        const quality = (minQuality + maxQuality) / 2;
-        const blob = await ImageUtils.canvasToBlob(canvas, format, quality);
+      // Scan header
+      out.uint16(0xffda);
+      out.uint16(12);
+      out.byte(3);
+      out.write([1, 0x00, 2, 0x11, 3, 0x11, 0, 63, 0]);
+
+      const bits = JpegCodec._createBitWriter(out);
+      const yBlocks = [0, 1, 2, 3].map(() => new Float32Array(64));
+      const cbBlock = new Float32Array(64);
+      const crBlock = new Float32Array(64);
+      const coefficients = new Int32Array(64);
+      const temp = new Float32Array(64);
+      const predictions = [0, 0, 0];
+
+      const encodeBlock = (block, quant, component, dc, ac) => {
+        JpegCodec._forwardDCT(block, quant, coefficients, temp);
+        const diff = coefficients[0] - predictions[component];
+        predictions[component] = coefficients[0];
+        JpegCodec._writeValue(bits, dc, 0, diff);
+
+        let run = 0;
+        for (let k = 1; k < 64; k++) {
+          const value = coefficients[JPEG_ZIGZAG[k]];
+          if (value === 0) {
+            run++;
+            continue;
+          }
+          while (run > 15) {
+            bits.write(...ac[0xf0]);
+            run -= 16;
+          }
+          JpegCodec._writeValue(bits, ac, run << 4, value);
+          run = 0;
+        }
+        if (run > 0) bits.write(...ac[0x00]);
+      };
 
-        if (blob.size <= targetSize * qualityAdjustment.tolerance) {
-          bestBlob = blob;
-          minQuality = quality;
+      for (let mcuY = 0; mcuY < height; mcuY += 16) {
+        for (let mcuX = 0; mcuX < width; mcuX += 16) {
+          cbBlock.fill(0);
+          crBlock.fill(0);
+
+          for (let y = 0; y < 16; y++) {
+            const py = Math.min(height - 1, mcuY + y);
+            for (let x = 0; x < 16; x++) {
+              const px = Math.min(width - 1, mcuX + x);
+              const i = (py * width + px) * 4;
+              const alpha = data[i + 3] / 255;
+              const r = data[i] * alpha;
+              const g = data[i + 1] * alpha;
+              const b = data[i + 2] * alpha;
+
+              const block = yBlocks[(y >> 3) * 2 + (x >> 3)];
+              block[(y & 7) * 8 + (x & 7)] =
+                0.299 * r + 0.587 * g + 0.114 * b - 128;
+
+              const c = (y >> 1) * 8 + (x >> 1);
+              cbBlock[c] += (-0.168736 * r - 0.331264 * g + 0.5 * b) / 4;
+              crBlock[c] += (0.5 * r - 0.418688 * g - 0.081312 * b) / 4;
+            }
+          }
+
+          for (const block of yBlocks) {
+            encodeBlock(block, lumaQuant, 0, lumaDC, lumaAC);
+          }
+          encodeBlock(cbBlock, chromaQuant, 1, chromaDC, chromaAC);
+          encodeBlock(crBlock, chromaQuant, 2, chromaDC, chromaAC);
+        }
+      }
+
+      bits.flush();
+      out.uint16(0xffd9);
+      return out.toUint8Array();
+    }
+
+    static _readFrame(bytes, pos, progressive) {
+      const frame = {
+        progressive,
+        precision: bytes[pos],
+        height: (bytes[pos + 1] << 8) | bytes[pos + 2],
+        width: (bytes[pos + 3] << 8) | bytes[pos + 4],
+        components: [],
+      };
+      const count = bytes[pos + 5];
+      for (let i = 0; i < count; i++) {
+        const o = pos + 6 + i * 3;
+        frame.components.push({
+          id: bytes[o],
+          h: bytes[o + 1] >> 4 || 1,
+          v: bytes[o + 1] & 15 || 1,
+          tq: bytes[o + 2],
+        });
+      }
+
+      frame.maxH = Math.max(...frame.components.map((c) => c.h));
+      frame.maxV = Math.max(...frame.components.map((c) => c.v));
+      frame.mcusPerLine = Math.ceil(frame.width / (8 * frame.maxH));
+      frame.mcusPerColumn = Math.ceil(frame.height / (8 * frame.maxV));
+
+      for (const component of frame.components) {
+        component.blocksPerLine = Math.ceil(
+          Math.ceil((frame.width * component.h) / frame.maxH) / 8
+        );
+        component.blocksPerColumn = Math.ceil(
+          Math.ceil((frame.height * component.v) / frame.maxV) / 8
+        );
+        component.blocksPerLineForMcu = frame.mcusPerLine * component.h;
+        component.blocksPerColumnForMcu = frame.mcusPerColumn * component.v;
+        component.coefficients = new Int16Array(
+          component.blocksPerLineForMcu * component.blocksPerColumnForMcu * 64
+        );
+        component.pred = 0;
+      }
+
+      return frame;
+    }
+
+    static _buildHuffmanTable(counts, symbols) {
+      const maxCode = new Int32Array(18).fill(-1);
+      const valueOffset = new Int32Array(17);
+      let code = 0;
+      let index = 0;
+
+      for (let length = 1; length <= 16; length++) {
+        const count = counts[length - 1];
+        valueOffset[length] = index - code;
+        code += count;
+        index += count;
+        if (count) maxCode[length] = code - 1;
+        code <<= 1;
+      }
+
+      return { maxCode, valueOffset, symbols: Uint8Array.from(symbols) };
+    }
+
+    static _decodeScan(bytes, end, frame, components, scan) {
+      const { resetInterval, spectralStart, spectralEnd, successive, refine } =
+        scan;
+      let pos = end;
+      let bitBuffer = 0;
+      let bitCount = 0;
+      let eobRun = 0;
+      let refineState = 0;
+      let refineValue = 0;
+
+      const readBit = () => {
+        if (bitCount === 0) {
+          bitBuffer = pos < bytes.length ? bytes[pos++] : 0;
+          if (bitBuffer === 0xff) {
+            if (bytes[pos] === 0) {
+              pos++;
+            } else {
+              // Hit a marker: stay on it and feed zeros
+              pos--;
+              bitBuffer = 0;
+            }
+          }
+          bitCount = 8;
+        }
+        bitCount--;
+        return (bitBuffer >> bitCount) & 1;
+      };
+      const receive = (length) => {
+        let value = 0;
+        while (length-- > 0) value = (value << 1) | readBit();
+        return value;
+      };
+      const receiveExtend = (length) => {
+        if (length === 0) return 0;
+        const value = receive(length);
+        return value >= 1 << (length - 1) ? value : value - (1 << length) + 1;
+      };
+      const decodeHuffman = (table) => {
+        if (!table) {
+          throw new DecodeError("Missing JPEG Huffman table", {
+            format: ImageFormat.JPEG,
+          });
+        }
+        let code = readBit();
+        for (let length = 1; length <= 16; length++) {
+          if (code <= table.maxCode[length]) {
+            return table.symbols[table.valueOffset[length] + code];
+          }
+          code = (code << 1) | readBit();
+        }
+        throw new DecodeError("Corrupt JPEG Huffman data", {
+          format: ImageFormat.JPEG,
+        });
+      };
+
+      const decodeBaseline = (component, offset) => {
+        const coefficients = component.coefficients;
+        const t = decodeHuffman(component.dcTable);
+        component.pred += receiveExtend(t);
+        coefficients[offset] = component.pred;
+        for (let k = 1; k < 64; ) {
+          const rs = decodeHuffman(component.acTable);
+          const s = rs & 15;
+          const r = rs >> 4;
+          if (s === 0) {
+            if (r < 15) break;
+            k += 16;
+            continue;
+          }
+          k += r;
+          if (k > 63) break;
+          coefficients[offset + JPEG_ZIGZAG[k]] = receiveExtend(s);
+          k++;
+        }
+      };
+      const decodeDCFirst = (component, offset) => {
+        const t = decodeHuffman(component.dcTable);
+        component.pred += receiveExtend(t) * (1 << successive);
+        component.coefficients[offset] = component.pred;
+      };
+      const decodeDCRefine = (component, offset) => {
+        if (readBit()) component.coefficients[offset] |= 1 << successive;
+      };
+      const decodeACFirst = (component, offset) => {
+        if (eobRun > 0) {
+          eobRun--;
+          return;
+        }
+        for (let k = spectralStart; k <= spectralEnd; ) {
+          const rs = decodeHuffman(component.acTable);
+          const s = rs & 15;
+          const r = rs >> 4;
+          if (s === 0) {
+            if (r < 15) {
+              eobRun = receive(r) + (1 << r) - 1;
+              break;
+            }
+            k += 16;
+            continue;
+          }
+          k += r;
+          if (k > 63) break;
+          component.coefficients[offset + JPEG_ZIGZAG[k]] =
+            receiveExtend(s) * (1 << successive);
+          k++;
+        }
+      };
+      const decodeACRefine = (component, offset) => {
+        const coefficients = component.coefficients;
+        let k = spectralStart;
+        let r = 0;
+
+        while (k <= spectralEnd) {
+          const index = offset + JPEG_ZIGZAG[k];
+          const coefficient = coefficients[index];
+          const sign = coefficient < 0 ? -1 : 1;
+
+          if (refineState === 0) {
+            const rs = decodeHuffman(component.acTable);
+            const s = rs & 15;
+            r = rs >> 4;
+            if (s === 0) {
+              if (r < 15) {
+                eobRun = receive(r) + (1 << r);
+                refineState = 4;
+              } else {
+                r = 16;
+                refineState = 1;
+              }
+            } else {
+              refineValue = receiveExtend(s);
+              refineState = r ? 2 : 3;
+            }
+            continue;
+          }
+
+          if (coefficient) {
+            coefficients[index] += sign * (readBit() << successive);
+          } else if (refineState === 1 || refineState === 2) {
+            r--;
+            if (r === 0) refineState = refineState === 2 ? 3 : 0;
+          } else if (refineState === 3) {
+            coefficients[index] = refineValue * (1 << successive);
+            refineState = 0;
+          }
+          k++;
+        }
+
+        if (refineState === 4) {
+          eobRun--;
+          if (eobRun === 0) refineState = 0;
+        }
+      };
+
+      const decode = !frame.progressive
+        ? decodeBaseline
+        : spectralStart === 0
+        ? refine
+          ? decodeDCRefine
+          : decodeDCFirst
+        : refine
+        ? decodeACRefine
+        : decodeACFirst;
+
+      const single = components.length === 1;
+      const total = single
+        ? components[0].blocksPerLine * components[0].blocksPerColumn
+        : frame.mcusPerLine * frame.mcusPerColumn;
+      const interval = resetInterval || total;
+      let mcu = 0;
+
+      const decodeMcu = () => {
+        if (single) {
+          const component = components[0];
+          const row = Math.floor(mcu / component.blocksPerLine);
+          const col = mcu % component.blocksPerLine;
+          decode(component, 64 * (row * component.blocksPerLineForMcu + col));
+          return;
+        }
+        const mcuRow = Math.floor(mcu / frame.mcusPerLine);
+        const mcuCol = mcu % frame.mcusPerLine;
+        for (const component of components) {
+          for (let v = 0; v < component.v; v++) {
+            for (let h = 0; h < component.h; h++) {
+              const row = mcuRow * component.v + v;
+              const col = mcuCol * component.h + h;
+              decode(
+                component,
+                64 * (row * component.blocksPerLineForMcu + col)
+              );
+            }
+          }
+        }
+      };
+
+      while (mcu < total) {
+        for (const component of components) component.pred = 0;
+        eobRun = 0;
+
+        for (let n = 0; n < interval && mcu < total; n++, mcu++) {
+          decodeMcu();
+        }
+
+        // Skip to the next marker: RSTn continues, anything else ends the scan
+        bitCount = 0;
+        while (
+          pos < bytes.length - 1 &&
+          !(
+            bytes[pos] === 0xff &&
+            bytes[pos + 1] !== 0 &&
+            bytes[pos + 1] !== 0xff
+          )
+        ) {
+          pos++;
+        }
+        if (pos >= bytes.length - 1) break;
+        const marker = bytes[pos + 1];
+        if (marker >= 0xd0 && marker <= 0xd7) {
+          pos += 2;
         } else {
-          maxQuality = quality;
+          break;
         }
+      }
 
-        iterations++;
+      return pos;
+    }
+
+    static _toRGBA(frame, adobe) {
+      const { width, height, maxH, maxV, components } = frame;
+      const planes = components.map((component) =>
+        JpegCodec._componentPlane(component)
+      );
+      const pixels = new Uint8ClampedArray(width * height * 4);
+      const transform = adobe ? adobe.transform !== 0 : components.length === 3;
+      const samples = new Float32Array(components.length);
+
+      const lookups = components.map((component) => ({
+        stride: component.blocksPerLineForMcu * 8,
+        xs: Int32Array.from({ length: width }, (_, x) =>
+          Math.floor((x * component.h) / maxH)
+        ),
+        vScale: component.v / maxV,
+      }));
+
+      for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+          for (let c = 0; c < components.length; c++) {
+            const lookup = lookups[c];
+            const row = Math.floor(y * lookup.vScale);
+            samples[c] = planes[c][row * lookup.stride + lookup.xs[x]];
+          }
+
+          const o = (y * width + x) * 4;
+          if (components.length === 1) {
+            pixels[o] = pixels[o + 1] = pixels[o + 2] = samples[0];
+          } else {
+            let r = samples[0];
+            let g = samples[1];
+            let b = samples[2];
+            if (transform) {
+              const yy = samples[0];
+              const cb = samples[1] - 128;
+              const cr = samples[2] - 128;
+              r = yy + 1.402 * cr;
+              g = yy - 0.344136 * cb - 0.714136 * cr;
+              b = yy + 1.772 * cb;
+            }
+            if (components.length === 4) {
+              // Adobe CMYK is stored inverted
+              const k = samples[3] / 255;
+              r = Math.max(0, Math.min(255, r)) * k;
+              g = Math.max(0, Math.min(255, g)) * k;
+              b = Math.max(0, Math.min(255, b)) * k;
+            }
+            pixels[o] = r;
+            pixels[o + 1] = g;
+            pixels[o + 2] = b;
+          }
+          pixels[o + 3] = 255;
+        }
       }
 
-      if (!bestBlob) {
-        bestBlob = await ImageUtils.canvasToBlob(canvas, format, minQuality);
+      return { width, height, data: pixels };
+    }
+
+    static _componentPlane(component) {
+      const stride = component.blocksPerLineForMcu * 8;
+      const plane = new Float32Array(
+        stride * component.blocksPerColumnForMcu * 8
+      );
+      const block = new Float32Array(64);
+      const temp = new Float32Array(64);
+      const quant = component.quantTable;
+
+      for (let row = 0; row < component.blocksPerColumnForMcu; row++) {
+        for (let col = 0; col < component.blocksPerLineForMcu; col++) {
+          const offset = 64 * (row * component.blocksPerLineForMcu + col);
+          for (let i = 0; i < 64; i++) {
+            block[i] = component.coefficients[offset + i] * quant[i];
+          }
+          JpegCodec._inverseDCT(block, temp);
+
+          const base = row * 8 * stride + col * 8;
+          for (let y = 0; y < 8; y++) {
+            for (let x = 0; x < 8; x++) {
+              const value = block[y * 8 + x] + 128;
+              plane[base + y * stride + x] =
+                value < 0 ? 0 : value > 255 ? 255 : value;
+            }
+          }
+        }
       }
 
-      return bestBlob;
+      return plane;
     }
 
-    static getQualityAdjustment(mode) {
-      const adjustments = {
-        [CompressionQuality.MAXIMUM]: {
-          range: 0.1,
-          boost: 0.15,
-          tolerance: 1.3,
-          iterations: 12,
-        },
-        [CompressionQuality.HIGH]: {
-          range: 0.15,
-          boost: 0.1,
-          tolerance: 1.2,
-          iterations: 15,
-        },
-        [CompressionQuality.BALANCED]: {
-          range: 0.25,
-          boost: 0.05,
-          tolerance: 1.1,
-          iterations: 15,
-        },
-        [CompressionQuality.AGGRESSIVE]: {
-          range: 0.35,
-          boost: 0,
-          tolerance: 1.0,
-          iterations: 18,
+    static _inverseDCT(block, temp) {
+      // Rows, then columns, against the cosine basis
+      for (let y = 0; y < 8; y++) {
+        for (let x = 0; x < 8; x++) {
+          let sum = 0;
+          for (let u = 0; u < 8; u++) {
+            sum += JPEG_COSINES[x * 8 + u] * block[y * 8 + u];
+          }
+          temp[y * 8 + x] = sum;
+        }
+      }
+      for (let x = 0; x < 8; x++) {
+        for (let y = 0; y < 8; y++) {
+          let sum = 0;
+          for (let v = 0; v < 8; v++) {
+            sum += JPEG_COSINES[y * 8 + v] * temp[v * 8 + x];
+          }
+          block[y * 8 + x] = sum;
+        }
+      }
+    }
+
+    static _forwardDCT(block, quant, out, temp) {
+      for (let y = 0; y < 8; y++) {
+        for (let u = 0; u < 8; u++) {
+          let sum = 0;
+          for (let x = 0; x < 8; x++) {
+            sum += JPEG_COSINES[x * 8 + u] * block[y * 8 + x];
+          }
+          temp[y * 8 + u] = sum;
+        }
+      }
+      for (let u = 0; u < 8; u++) {
+        for (let v = 0; v < 8; v++) {
+          let sum = 0;
+          for (let y = 0; y < 8; y++) {
+            sum += JPEG_COSINES[y * 8 + v] * temp[y * 8 + u];
+          }
+          out[v * 8 + u] = Math.round(sum / quant[v * 8 + u]);
+        }
+      }
+    }
+
+    static _buildEncodeTable({ counts, symbols }) {
+      const table = [];
+      let code = 0;
+      let index = 0;
+      for (let length = 1; length <= 16; length++) {
+        for (let i = 0; i < counts[length - 1]; i++) {
+          table[symbols[index++]] = [code, length];
+          code++;
+        }
+        code <<= 1;
+      }
+      return table;
+    }
+
+    static _writeValue(bits, table, prefix, value) {
+      const magnitude = Math.abs(value);
+      const size = magnitude ? 32 - Math.clz32(magnitude) : 0;
+      bits.write(...table[prefix | size]);
+      if (size) {
+        bits.write(value < 0 ? value + (1 << size) - 1 : value, size);
+      }
+    }
+
+    static _createBitWriter(out) {
+      let buffer = 0;
+      let count = 0;
+      const emit = (byte) => {
+        out.byte(byte);
+        if (byte === 0xff) out.byte(0);
+      };
+      return {
+        write(code, length) {
+          buffer = (buffer << length) | (code & ((1 << length) - 1));
+          count += length;
+          while (count >= 8) {
+            count -= 8;
+            emit((buffer >> count) & 0xff);
+          }
+          buffer &= (1 << count) - 1;
         },
-        [CompressionQuality.EXTREME]: {
-          range: 0.45,
-          boost: 0,
-          tolerance: 0.95,
-          iterations: 20,
+        flush() {
+          if (count > 0) {
+            // Pad the final byte with ones
+            this.write((1 << (8 - count)) - 1, 8 - count);
+          }
         },
       };
-      return adjustments[mode] || adjustments[CompressionQuality.BALANCED];
     }
+  }
 
+  const DITHER_MODES = ["none", "floyd-steinberg", "ordered"];
+  const QUANTIZE_METHODS = ["median-cut", "k-means"];
+
+  // Ordered dithering thresholds (8x8 Bayer matrix)
+  const BAYER_8X8 = new Uint8Array([
+    0, 32, 8, 40, 2, 34, 10, 42, 48, 16, 56, 24, 50, 18, 58, 26, 12, 44, 4, 36,
+    14, 46, 6, 38, 60, 28, 52, 20, 62, 30, 54, 22, 3, 35, 11, 43, 1, 33, 9, 41,
+    51, 19, 59, 27, 49, 17, 57, 25, 15, 47, 7, 39, 13, 45, 5, 37, 63, 31, 55,
+    23, 61, 29, 53, 21,
+  ]);
+
+  /**
+   * Palette reduction for indexed output (PNG8, GIF). Palettes are packed
+   * RGBA entries; entries with alpha come first so a PNG tRNS chunk stays
+   * short.
+   */
+  class ColorQuantizer {
     /**
-     * Advanced optimization with progressive scaling
-     * @param {HTMLCanvasElement} canvas
-     * @param {string} format
-     * @param {number} targetSize
-     * @param {Object} analysis
-     * @returns {Promise<Blob>}
+     * Fill in and check palette options
+     * @param {Object} [option] - { colors, dither, method }
+     * @returns {Object} { colors, dither, method }
      */
-    static async advancedOptimize(canvas, format, targetSize, analysis) {
-      const scales = [
-        0.98, 0.95, 0.92, 0.88, 0.85, 0.8, 0.75, 0.7, 0.65, 0.6, 0.55, 0.5,
-      ];
+    static normalizeOptions(option = {}) {
+      const {
+        colors = 256,
+        dither = "floyd-steinberg",
+        method = "median-cut",
+      } = option || {};
+      if (!Number.isInteger(colors) || colors < 2 || colors > 256) {
+        throw new InvalidInputError(
+          `Palette colors must be an integer from 2 to 256 (got ${colors})`
+        );
+      }
+      if (!DITHER_MODES.includes(dither)) {
+        throw new InvalidInputError(
+          `Unknown dither mode "${dither}" (use ${DITHER_MODES.join(", ")})`
+        );
+      }
+      if (!QUANTIZE_METHODS.includes(method)) {
+        throw new InvalidInputError(
+          `Unknown quantization method "${method}" (use ${QUANTIZE_METHODS.join(
+            ", "
+          )})`
+        );
+      }
+      return { colors, dither, method };
+    }
 
-      for (const scale of scales) {
-        const tempCanvas = this.scaleCanvas(canvas, scale);
-        const blob = await this.compress(
-          tempCanvas,
-          format,
-          targetSize,
-          analysis,
-          CompressionQuality.AGGRESSIVE
+    /**
+     * Palette size for an encoder quality (0-1); 0.8 and above keeps all
+     * 256 entries
+     * @param {number} quality
+     * @returns {number}
+     */
+    static colorsForQuality(quality) {
+      const bits = 1 + 7 * Math.min(1, Math.max(0, quality) / 0.8);
+      return Math.max(2, Math.min(256, Math.round(2 ** bits)));
+    }
+
+    /**
+     * Reduce one image to a palette and per-pixel indices
+     * @param {Object} imageData - { width, height, data }
+     * @param {Object} options - See buildPalette() and map()
+     * @returns {Object} { width, height, palette, transparentIndex, indices }
+     */
+    static quantize(imageData, options = {}) {
+      const { palette, transparentIndex } = ColorQuantizer.buildPalette(
+        [imageData.data],
+        options
+      );
+      return {
+        width: imageData.width,
+        height: imageData.height,
+        palette,
+        transparentIndex,
+        indices: ColorQuantizer.map(imageData, palette, {
+          ...options,
+          transparentIndex,
+        }),
+      };
+    }
+
+    /**
+     * Build one palette for one or more RGBA buffers. Buffers with no more
+     * distinct colors than fit keep them exactly; others are reduced by
+     * median cut, optionally refined with k-means.
+     * @param {Uint8ClampedArray[]} buffers
+     * @param {Object} options
+     * @param {number} [options.colors=256] - Entries, transparent one included
+     * @param {string} [options.method="median-cut"] - Or "k-means"
+     * @param {string} [options.alpha="full"] - "full" keeps partial alpha;
+     *   "binary" makes pixels under half opacity transparent, the rest opaque
+     * @param {boolean} [options.transparent=false] - Reserve a transparent
+     *   entry even if no pixel needs one
+     * @returns {Object} { palette, transparentIndex } (-1 without one)
+     */
+    static buildPalette(
+      buffers,
+      {
+        colors = 256,
+        method = "median-cut",
+        alpha = "full",
+        transparent = false,
+      } = {}
+    ) {
+      const maxColors = Math.max(2, Math.min(256, Math.round(colors)));
+      const isTransparent = ColorQuantizer._transparencyTest(alpha);
+      const binary = alpha === "binary";
+
+      // Exact colors, until there are too many to keep
+      const exact = new Map();
+      let needsTransparent = transparent;
+      buffers.forEach((data) => {
+        let last = -1;
+        for (let i = 0; i < data.length; i += 4) {
+          if (isTransparent(data[i + 3])) {
+            needsTransparent = true;
+            continue;
+          }
+          if (exact.size > maxColors) continue;
+          const value = ColorQuantizer._pack(data, i, binary);
+          if (value !== last && !exact.has(value)) exact.set(value, exact.size);
+          last = value;
+        }
+      });
+
+      const count = maxColors - (needsTransparent ? 1 : 0);
+      let entries;
+      if (exact.size <= count) {
+        entries = [...exact.keys()].map((value) => [
+          (value >>> 16) & 0xff,
+          (value >>> 8) & 0xff,
+          value & 0xff,
+          value >>> 24,
+        ]);
+      } else {
+        const histogram = ColorQuantizer._histogram(
+          buffers,
+          isTransparent,
+          binary
         );
+        entries = ColorQuantizer._medianCut(histogram, count);
+        if (method === "k-means") {
+          entries = ColorQuantizer._kMeans(histogram, entries);
+        }
+      }
+      if (needsTransparent) entries.push([0, 0, 0, 0]);
+
+      // Translucent entries first, so tRNS can stop at the last of them
+      entries.sort((a, b) => (a[3] === 255) - (b[3] === 255));
+      const palette = new Uint8Array(Math.max(1, entries.length) * 4);
+      entries.forEach((entry, index) => palette.set(entry, index * 4));
+
+      return {
+        palette,
+        transparentIndex: needsTransparent
+          ? entries.findIndex((entry) => entry[3] === 0)
+          : -1,
+      };
+    }
+
+    /**
+     * Map RGBA pixels to their palette entries. Pixels matching an entry
+     * exactly keep it and are never dithered (nor pass on error).
+     * @param {Object} imageData - { width, height, data }
+     * @param {Uint8Array} palette - From buildPalette()
+     * @param {Object} options
+     * @param {string} [options.dither="none"] - Or "floyd-steinberg", "ordered"
+     * @param {string} [options.alpha="full"] - As given to buildPalette()
+     * @param {number} [options.transparentIndex=-1]
+     * @returns {Uint8Array}
+     */
+    static map(
+      { width, height, data },
+      palette,
+      { dither = "none", alpha = "full", transparentIndex = -1 } = {}
+    ) {
+      const isTransparent = ColorQuantizer._transparencyTest(alpha);
+      const binary = alpha === "binary";
+      const lookup = ColorQuantizer._createLookup(palette, transparentIndex);
+      const exact = new Map();
+      for (let index = 0; index < palette.length / 4; index++) {
+        if (index === transparentIndex) continue;
+        exact.set(ColorQuantizer._pack(palette, index * 4, false), index);
+      }
+
+      const indices = new Uint8Array(width * height);
+      const count = palette.length / 4;
+      const spread = 128 / Math.cbrt(count);
+      // Floyd-Steinberg error for this row and the next, RGB per pixel
+      // with a pixel of padding at each end
+      let errors = new Float32Array((width + 2) * 3);
+      let nextErrors = new Float32Array((width + 2) * 3);
+
+      for (let y = 0; y < height; y++) {
+        // Serpentine scan so the error does not drift in one direction
+        const reverse = dither === "floyd-steinberg" && y % 2 === 1;
+        for (let n = 0; n < width; n++) {
+          const x = reverse ? width - 1 - n : n;
+          const p = y * width + x;
+          const i = p * 4;
+          const a = data[i + 3];
+          if (isTransparent(a) && transparentIndex >= 0) {
+            indices[p] = transparentIndex;
+            continue;
+          }
+
+          const match = exact.get(ColorQuantizer._pack(data, i, binary));
+          if (match !== undefined) {
+            indices[p] = match;
+            continue;
+          }
+
+          const pixelAlpha = binary ? 255 : a;
+          if (dither === "ordered") {
+            const offset =
+              ((BAYER_8X8[(y & 7) * 8 + (x & 7)] + 0.5) / 64 - 0.5) * spread;
+            indices[p] = lookup(
+              data[i] + offset,
+              data[i + 1] + offset,
+              data[i + 2] + offset,
+              pixelAlpha
+            );
+          } else if (dither === "floyd-steinberg") {
+            const e = (x + 1) * 3;
+            const r = Math.max(0, Math.min(255, data[i] + errors[e]));
+            const g = Math.max(0, Math.min(255, data[i + 1] + errors[e + 1]));
+            const b = Math.max(0, Math.min(255, data[i + 2] + errors[e + 2]));
+            const index = lookup(r, g, b, pixelAlpha);
+            indices[p] = index;
+
+            const step = reverse ? -3 : 3;
+            const diffs = [
+              r - palette[index * 4],
+              g - palette[index * 4 + 1],
+              b - palette[index * 4 + 2],
+            ];
+            for (let c = 0; c < 3; c++) {
+              const diff = diffs[c];
+              if (!diff) continue;
+              errors[e + step + c] += (diff * 7) / 16;
+              nextErrors[e - step + c] += (diff * 3) / 16;
+              nextErrors[e + c] += (diff * 5) / 16;
+              nextErrors[e + step + c] += diff / 16;
+            }
+          } else {
+            indices[p] = lookup(data[i], data[i + 1], data[i + 2], pixelAlpha);
+          }
+        }
+        [errors, nextErrors] = [nextErrors, errors];
+        nextErrors.fill(0);
+      }
+
+      return indices;
+    }
+
+    static _transparencyTest(alpha) {
+      return alpha === "binary" ? (a) => a < 128 : (a) => a === 0;
+    }
+
+    // Pixel as an unsigned ARGB integer
+    static _pack(data, i, opaque) {
+      return (
+        (((opaque ? 255 : data[i + 3]) << 24) |
+          (data[i] << 16) |
+          (data[i + 1] << 8) |
+          data[i + 2]) >>>
+        0
+      );
+    }
+
+    // Counts per 4-bit alpha and 5-bit color, sampling large inputs
+    static _histogram(buffers, isTransparent, opaque) {
+      const histogram = new Uint32Array(1 << 19);
+      const total = buffers.reduce((sum, data) => sum + data.length / 4, 0);
+      const step = Math.max(1, Math.floor(total / 500000)) * 4;
+      buffers.forEach((data) => {
+        for (let i = 0; i < data.length; i += step) {
+          if (isTransparent(data[i + 3])) continue;
+          histogram[
+            ((opaque ? 15 : data[i + 3] >> 4) << 15) |
+              ((data[i] >> 3) << 10) |
+              ((data[i + 1] >> 3) << 5) |
+              (data[i + 2] >> 3)
+          ]++;
+        }
+      });
+      return histogram;
+    }
+
+    // Histogram key as 8-bit [r, g, b, a]
+    static _keyColor(key) {
+      return [
+        (((key >> 10) & 31) * 255) / 31,
+        (((key >> 5) & 31) * 255) / 31,
+        ((key & 31) * 255) / 31,
+        (((key >> 15) & 15) * 255) / 15,
+      ];
+    }
+
+    static _medianCut(histogram, maxColors) {
+      const keys = [];
+      for (let key = 0; key < histogram.length; key++) {
+        if (histogram[key]) keys.push(key);
+      }
+      // Alpha is doubled to the 5-bit scale of the color channels
+      const channel = (key, c) =>
+        c === 3 ? ((key >> 15) & 15) * 2 : (key >> (10 - c * 5)) & 31;
+
+      let boxes = [keys];
+      while (boxes.length < maxColors) {
+        // Split the box with the widest channel range at its weighted median
+        let best = null;
+        boxes.forEach((box, index) => {
+          if (box.length < 2) return;
+          for (let c = 0; c < 4; c++) {
+            let min = 31;
+            let max = 0;
+            box.forEach((key) => {
+              const value = channel(key, c);
+              if (value < min) min = value;
+              if (value > max) max = value;
+            });
+            const range = max - min;
+            if (!best || range > best.range) best = { index, c, range };
+          }
+        });
+        if (!best || best.range === 0) break;
+
+        const box = boxes[best.index].sort(
+          (a, b) => channel(a, best.c) - channel(b, best.c)
+        );
+        const weight = box.reduce((sum, key) => sum + histogram[key], 0);
+        let split = 0;
+        for (let seen = 0; split < box.length - 2; split++) {
+          seen += histogram[box[split]];
+          if (seen >= weight / 2) break;
+        }
+        boxes.splice(
+          best.index,
+          1,
+          box.slice(0, split + 1),
+          box.slice(split + 1)
+        );
+      }
+
+      return boxes
+        .filter((box) => box.length)
+        .map((box) => {
+          const sums = [0, 0, 0, 0];
+          let weight = 0;
+          box.forEach((key) => {
+            const color = ColorQuantizer._keyColor(key);
+            for (let c = 0; c < 4; c++) sums[c] += color[c] * histogram[key];
+            weight += histogram[key];
+          });
+          return sums.map((sum) => Math.round(sum / weight));
+        });
+    }
+
+    // Lloyd iterations over the histogram, starting from the given entries
+    static _kMeans(histogram, entries, iterations = 4) {
+      const keys = [];
+      for (let key = 0; key < histogram.length; key++) {
+        if (histogram[key]) keys.push(key);
+      }
+      const colors = keys.map((key) => ColorQuantizer._keyColor(key));
+      let centers = entries.map((entry) => entry.slice());
+
+      for (let iteration = 0; iteration < iterations; iteration++) {
+        const sums = centers.map(() => [0, 0, 0, 0, 0]);
+        colors.forEach((color, k) => {
+          let best = 0;
+          let bestDistance = Infinity;
+          centers.forEach((center, index) => {
+            const distance = ColorQuantizer._distance(center, color);
+            if (distance < bestDistance) {
+              bestDistance = distance;
+              best = index;
+            }
+          });
+          const weight = histogram[keys[k]];
+          for (let c = 0; c < 4; c++) sums[best][c] += color[c] * weight;
+          sums[best][4] += weight;
+        });
+        // Centers without members stay where they are
+        centers = centers.map((center, index) =>
+          sums[index][4]
+            ? sums[index].slice(0, 4).map((sum) => sum / sums[index][4])
+            : center
+        );
+      }
+
+      return centers.map((center) => center.map(Math.round));
+    }
+
+    // Perceptually weighted squared distance between RGBA colors
+    static _distance(a, b) {
+      const dr = a[0] - b[0];
+      const dg = a[1] - b[1];
+      const db = a[2] - b[2];
+      const da = a[3] - b[3];
+      return dr * dr * 2 + dg * dg * 4 + db * db * 3 + da * da * 3;
+    }
+
+    /**
+     * Nearest-palette-entry lookup, cached per 4-bit alpha and 5-bit color
+     */
+    static _createLookup(palette, skipIndex = -1) {
+      const cache = new Int16Array(1 << 19).fill(-1);
+      const count = palette.length / 4;
+      const color = [0, 0, 0, 0];
+      const entry = [0, 0, 0, 0];
+      return (r, g, b, a) => {
+        color[0] = Math.max(0, Math.min(255, r));
+        color[1] = Math.max(0, Math.min(255, g));
+        color[2] = Math.max(0, Math.min(255, b));
+        color[3] = a;
+        const key =
+          ((a >> 4) << 15) |
+          ((color[0] >> 3) << 10) |
+          ((color[1] >> 3) << 5) |
+          (color[2] >> 3);
+        if (cache[key] >= 0) return cache[key];
+        let best = 0;
+        let bestDistance = Infinity;
+        for (let i = 0; i < count; i++) {
+          if (i === skipIndex) continue;
+          for (let c = 0; c < 4; c++) entry[c] = palette[i * 4 + c];
+          const distance = ColorQuantizer._distance(entry, color);
+          if (distance < bestDistance) {
+            bestDistance = distance;
+            best = i;
+          }
+        }
+        cache[key] = best;
+        return best;
+      };
+    }
+  }
+
+  class GifCodec {
+    /**
+     * Decode every frame of a GIF, composited onto the logical screen the
+     * way browsers play it
+     * @param {Uint8Array} bytes
+     * @returns {Object} { width, height, loopCount, frames: [{ data, delay }] }
+     */
+    static decode(bytes) {
+      const fail = (message) =>
+        new DecodeError(message, { format: ImageFormat.GIF });
+      if (String.fromCharCode(...bytes.subarray(0, 3)) !== "GIF") {
+        throw fail("Not a GIF file");
+      }
+      if (bytes.length < 13) throw fail("Truncated GIF file");
+
+      const width = bytes[6] | (bytes[7] << 8);
+      const height = bytes[8] | (bytes[9] << 8);
+      const packed = bytes[10];
+      let pos = 13;
+      let globalPalette = null;
+      if (packed & 0x80) {
+        const size = 3 << ((packed & 0x07) + 1);
+        globalPalette = bytes.subarray(pos, pos + size);
+        pos += size;
+      }
+
+      const canvas = new Uint8ClampedArray(width * height * 4);
+      const frames = [];
+      let loopCount = 1;
+      let control = null;
+      let previous = null; // Region to dispose before the next frame
+
+      const readSubBlocks = () => {
+        const chunks = [];
+        while (pos < bytes.length && bytes[pos] !== 0) {
+          chunks.push(bytes.subarray(pos + 1, pos + 1 + bytes[pos]));
+          pos += bytes[pos] + 1;
+        }
+        pos++;
+        return chunks;
+      };
+
+      while (pos < bytes.length) {
+        const block = bytes[pos++];
+
+        if (block === 0x21) {
+          const label = bytes[pos++];
+          const chunks = readSubBlocks();
+          const data = chunks[0] || new Uint8Array(0);
+          if (label === 0xf9 && data.length >= 4) {
+            control = {
+              disposal: (data[0] >> 2) & 0x07,
+              transparent: data[0] & 0x01 ? data[3] : -1,
+              delay: (data[1] | (data[2] << 8)) * 10,
+            };
+          } else if (
+            label === 0xff &&
+            /^(NETSCAPE2\.0|ANIMEXTS1\.0)$/.test(String.fromCharCode(...data))
+          ) {
+            const loop = chunks[1];
+            if (loop && loop[0] === 1) {
+              // Stored as extra repeats; 0 repeats forever
+              const repeats = loop[1] | (loop[2] << 8);
+              loopCount = repeats === 0 ? 0 : repeats + 1;
+            }
+          }
+        } else if (block === 0x2c) {
+          if (pos + 9 > bytes.length) break;
+          const x = bytes[pos] | (bytes[pos + 1] << 8);
+          const y = bytes[pos + 2] | (bytes[pos + 3] << 8);
+          const w = bytes[pos + 4] | (bytes[pos + 5] << 8);
+          const h = bytes[pos + 6] | (bytes[pos + 7] << 8);
+          const flags = bytes[pos + 8];
+          pos += 9;
+          let palette = globalPalette;
+          if (flags & 0x80) {
+            const size = 3 << ((flags & 0x07) + 1);
+            palette = bytes.subarray(pos, pos + size);
+            pos += size;
+          }
+          if (!palette) throw fail("GIF frame has no color table");
+
+          const minCodeSize = bytes[pos++];
+          const lzw = new ByteWriter(w * h);
+          readSubBlocks().forEach((chunk) => lzw.write(chunk));
+          const indices = GifCodec._lzwDecode(
+            lzw.toUint8Array(),
+            minCodeSize,
+            w * h
+          );
+          const { disposal = 0, transparent = -1, delay = 0 } = control || {};
+          control = null;
+
+          // Dispose of the previous frame, then draw this one
+          if (previous) {
+            if (previous.disposal === 2) {
+              GifCodec._clearRect(canvas, width, previous);
+            } else if (previous.disposal === 3) {
+              canvas.set(previous.snapshot);
+            }
+          }
+          previous = {
+            x,
+            y,
+            w,
+            h,
+            disposal,
+            snapshot: disposal === 3 ? canvas.slice() : null,
+          };
+
+          const rows = flags & 0x40 ? GifCodec._interlacedRows(h) : null;
+          for (let row = 0; row < h; row++) {
+            const cy = y + (rows ? rows[row] : row);
+            if (cy >= height) continue;
+            for (let col = 0; col < w; col++) {
+              const cx = x + col;
+              const index = indices[row * w + col];
+              if (cx >= width || index === transparent) continue;
+              const o = (cy * width + cx) * 4;
+              canvas[o] = palette[index * 3];
+              canvas[o + 1] = palette[index * 3 + 1];
+              canvas[o + 2] = palette[index * 3 + 2];
+              canvas[o + 3] = 255;
+            }
+          }
+
+          // Browsers play delays under 20ms at 100ms
+          frames.push({
+            data: canvas.slice(),
+            delay: delay < 20 ? 100 : delay,
+          });
+        } else {
+          break; // Trailer (0x3b) or garbage after the last frame
+        }
+      }
+
+      if (!frames.length) throw fail("GIF file has no frames");
+      return { width, height, loopCount, frames };
+    }
+
+    /**
+     * Encode frames as a GIF with one shared palette. Unchanged pixels
+     * are left out of each frame (cropped, or transparent within the
+     * changed rectangle) and identical frames are merged.
+     * @param {Object} animation - { width, height, loopCount, frames: [{ data, delay }] }
+     * @param {Object} options
+     * @param {number} options.colors - Palette size (2-256)
+     * @param {string} options.method - See ColorQuantizer.buildPalette()
+     * @param {string} options.dither - See ColorQuantizer.map()
+     * @returns {Uint8Array}
+     */
+    static encode(
+      { width, height, loopCount = 0, frames },
+      { colors = 256, method = "median-cut", dither = "none" } = {}
+    ) {
+      const hasAlpha = frames.some(({ data }) => {
+        for (let i = 3; i < data.length; i += 4) if (data[i] < 128) return true;
+        return false;
+      });
+      // Animations need a transparent entry for pixels that did not
+      // change since the previous frame
+      const { palette, transparentIndex: transparent } =
+        ColorQuantizer.buildPalette(
+          frames.map((frame) => frame.data),
+          { colors, method, alpha: "binary", transparent: frames.length > 1 }
+        );
+      const count = palette.length / 4;
+      const bits = Math.max(1, Math.ceil(Math.log2(count)));
+      const tableSize = 1 << bits;
+
+      const out = new ByteWriter(width * height);
+      out.ascii("GIF89a");
+      out.byte(width & 0xff);
+      out.byte(width >> 8);
+      out.byte(height & 0xff);
+      out.byte(height >> 8);
+      out.byte(0xf0 | (bits - 1)); // Global table, 8-bit color resolution
+      out.byte(Math.max(0, transparent));
+      out.byte(0);
+      const table = new Uint8Array(tableSize * 3);
+      for (let i = 0; i < count; i++) {
+        table.set(palette.subarray(i * 4, i * 4 + 3), i * 3);
+      }
+      out.write(table);
+
+      if (frames.length > 1 && loopCount !== 1) {
+        out.write([0x21, 0xff, 11]);
+        out.ascii("NETSCAPE2.0");
+        const repeats = loopCount === 0 ? 0 : loopCount - 1;
+        out.write([3, 1, repeats & 0xff, (repeats >> 8) & 0xff, 0]);
+      }
+
+      // Indexed frames; a pixel that keeps its index can be skipped
+      const indexed = frames.map(({ data }) =>
+        ColorQuantizer.map({ width, height, data }, palette, {
+          dither,
+          alpha: "binary",
+          transparentIndex: transparent,
+        })
+      );
+
+      const written = [];
+      indexed.forEach((indices, f) => {
+        const before = f > 0 ? indexed[f - 1] : null;
+        let rect = { x: 0, y: 0, w: width, h: height };
+        // With transparency each frame is cleared before the next, so
+        // frames cannot build on each other
+        if (before && !hasAlpha) {
+          rect = GifCodec._changedRect(before, indices, width, height);
+          if (!rect) {
+            written[written.length - 1].delay += frames[f].delay;
+            return;
+          }
+        }
+        written.push({ indices, before, rect, delay: frames[f].delay });
+      });
+
+      written.forEach(({ indices, before, rect, delay }) => {
+        const pixels = new Uint8Array(rect.w * rect.h);
+        for (let row = 0; row < rect.h; row++) {
+          for (let col = 0; col < rect.w; col++) {
+            const p = (rect.y + row) * width + rect.x + col;
+            pixels[row * rect.w + col] =
+              before && !hasAlpha && before[p] === indices[p]
+                ? transparent
+                : indices[p];
+          }
+        }
+
+        const centiseconds = Math.round(delay / 10);
+        out.write([0x21, 0xf9, 4]);
+        // Disposal, transparency flag
+        out.byte(((hasAlpha ? 2 : 1) << 2) | (transparent >= 0 ? 1 : 0));
+        out.byte(centiseconds & 0xff);
+        out.byte((centiseconds >> 8) & 0xff);
+        out.byte(Math.max(0, transparent));
+        out.byte(0);
+
+        out.byte(0x2c);
+        [rect.x, rect.y, rect.w, rect.h].forEach((value) => {
+          out.byte(value & 0xff);
+          out.byte(value >> 8);
+        });
+        out.byte(0);
+
+        const minCodeSize = Math.max(2, bits);
+        out.byte(minCodeSize);
+        const compressed = GifCodec._lzwEncode(pixels, minCodeSize);
+        for (let i = 0; i < compressed.length; i += 255) {
+          const block = compressed.subarray(i, i + 255);
+          out.byte(block.length);
+          out.write(block);
+        }
+        out.byte(0);
+      });
+
+      out.byte(0x3b);
+      return out.toUint8Array();
+    }
+
+    static _changedRect(before, after, width, height) {
+      let x0 = width;
+      let y0 = height;
+      let x1 = -1;
+      let y1 = -1;
+      for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+          const p = y * width + x;
+          if (before[p] === after[p]) continue;
+          if (x < x0) x0 = x;
+          if (x > x1) x1 = x;
+          if (y < y0) y0 = y;
+          y1 = y;
+        }
+      }
+      return x1 < 0 ? null : { x: x0, y: y0, w: x1 - x0 + 1, h: y1 - y0 + 1 };
+    }
+
+    static _clearRect(canvas, width, { x, y, w, h }) {
+      const height = canvas.length / 4 / width;
+      for (let row = y; row < Math.min(height, y + h); row++) {
+        const start = (row * width + x) * 4;
+        canvas.fill(0, start, start + Math.min(w, width - x) * 4);
+      }
+    }
+
+    // Row order of an interlaced image: every 8th from 0, every 8th from
+    // 4, every 4th from 2, every 2nd from 1
+    static _interlacedRows(height) {
+      const rows = [];
+      [
+        [0, 8],
+        [4, 8],
+        [2, 4],
+        [1, 2],
+      ].forEach(([start, step]) => {
+        for (let y = start; y < height; y += step) rows.push(y);
+      });
+      return rows;
+    }
+
+    static _lzwDecode(data, minCodeSize, pixelCount) {
+      const out = new Uint8Array(pixelCount);
+      const clear = 1 << minCodeSize;
+      const end = clear + 1;
+      const prefix = new Int16Array(4096);
+      const suffix = new Uint8Array(4096);
+      const first = new Uint8Array(4096);
+      const stack = new Uint8Array(4097);
+      for (let i = 0; i < clear; i++) {
+        suffix[i] = first[i] = i;
+      }
+
+      let size = minCodeSize + 1;
+      let next = end + 1;
+      let previous = -1;
+      let buffer = 0;
+      let bitCount = 0;
+      let written = 0;
+
+      for (let pos = 0; pos < data.length && written < pixelCount; ) {
+        while (bitCount < size && pos < data.length) {
+          buffer |= data[pos++] << bitCount;
+          bitCount += 8;
+        }
+        if (bitCount < size) break;
+        const code = buffer & ((1 << size) - 1);
+        buffer >>>= size;
+        bitCount -= size;
+
+        if (code === clear) {
+          size = minCodeSize + 1;
+          next = end + 1;
+          previous = -1;
+          continue;
+        }
+        if (code === end) break;
+
+        let top = 0;
+        let current = code;
+        if (previous === -1) {
+          out[written++] = code;
+          previous = code;
+          continue;
+        }
+        if (code >= next) {
+          // The KwKwK case: previous string plus its own first byte
+          stack[top++] = first[previous];
+          current = previous;
+        }
+        while (current >= clear) {
+          stack[top++] = suffix[current];
+          current = prefix[current];
+        }
+        stack[top++] = current;
+
+        if (next < 4096) {
+          prefix[next] = previous;
+          suffix[next] = current;
+          first[next] = first[previous];
+          next++;
+          if (next === 1 << size && size < 12) size++;
+        }
+        while (top > 0 && written < pixelCount) out[written++] = stack[--top];
+        previous = code;
+      }
+
+      return out;
+    }
+
+    static _lzwEncode(pixels, minCodeSize) {
+      const out = new ByteWriter(pixels.length / 2 + 16);
+      const clear = 1 << minCodeSize;
+      const end = clear + 1;
+      // Child code for (prefix code, next index); 0 is "none"
+      const table = new Int16Array(4096 * 256);
+      let size = minCodeSize + 1;
+      let next = end + 1;
+      let buffer = 0;
+      let bitCount = 0;
+
+      const emit = (code) => {
+        buffer |= code << bitCount;
+        bitCount += size;
+        while (bitCount >= 8) {
+          out.byte(buffer & 0xff);
+          buffer >>>= 8;
+          bitCount -= 8;
+        }
+      };
+
+      emit(clear);
+      if (!pixels.length) {
+        emit(end);
+        if (bitCount > 0) out.byte(buffer & 0xff);
+        return out.toUint8Array();
+      }
+
+      let current = pixels[0];
+      for (let i = 1; i < pixels.length; i++) {
+        const pixel = pixels[i];
+        const child = table[current * 256 + pixel];
+        if (child) {
+          current = child;
+          continue;
+        }
+        emit(current);
+        if (next < 4096) {
+          table[current * 256 + pixel] = next++;
+          if (next > 1 << size) size++;
+        } else {
+          emit(clear);
+          table.fill(0);
+          size = minCodeSize + 1;
+          next = end + 1;
+        }
+        current = pixel;
+      }
+
+      emit(current);
+      emit(end);
+      if (bitCount > 0) out.byte(buffer & 0xff);
+      return out.toUint8Array();
+    }
+  }
+
+  // Indexed formats written from the pixels of any backend's canvas.
+  // Options come from ColorQuantizer.normalizeOptions().
+  const PALETTE_ENCODERS = {
+    async [ImageFormat.PNG8](imageData, { colors, dither, method }) {
+      const indexed = ColorQuantizer.quantize(imageData, {
+        colors,
+        dither,
+        method,
+      });
+      return new Blob([await PngCodec.encodeIndexed(indexed)], {
+        type: ImageFormat.PNG,
+      });
+    },
+
+    async [ImageFormat.GIF]({ width, height, data }, options) {
+      const frames = [{ data, delay: 0 }];
+      return new Blob([GifCodec.encode({ width, height, frames }, options)], {
+        type: ImageFormat.GIF,
+      });
+    },
+  };
+
+  // ==================== BACKENDS ====================
+
+  // Mitchell-Netravali cubic with parameters B and C
+  const cubicKernel = (B, C) => (x) => {
+    const t = Math.abs(x);
+    if (t < 1) {
+      return (
+        ((12 - 9 * B - 6 * C) * t ** 3 +
+          (-18 + 12 * B + 6 * C) * t ** 2 +
+          (6 - 2 * B)) /
+        6
+      );
+    }
+    if (t < 2) {
+      return (
+        ((-B - 6 * C) * t ** 3 +
+          (6 * B + 30 * C) * t ** 2 +
+          (-12 * B - 48 * C) * t +
+          (8 * B + 24 * C)) /
+        6
+      );
+    }
+    return 0;
+  };
+
+  const sinc = (x) => (x === 0 ? 1 : Math.sin(Math.PI * x) / (Math.PI * x));
+
+  // Resampling filters by name: support radius in source pixels (at 1:1)
+  // and the weight at a distance. nearest is handled on its own.
+  const RESAMPLE_KERNELS = {
+    nearest: { radius: 0, weight: () => 1 },
+    box: { radius: 0.5, weight: (x) => (Math.abs(x) <= 0.5 ? 1 : 0) },
+    triangle: { radius: 1, weight: (x) => Math.max(0, 1 - Math.abs(x)) },
+    "catmull-rom": { radius: 2, weight: cubicKernel(0, 0.5) },
+    mitchell: { radius: 2, weight: cubicKernel(1 / 3, 1 / 3) },
+    lanczos3: {
+      radius: 3,
+      weight: (x) => (Math.abs(x) < 3 ? sinc(x) * sinc(x / 3) : 0),
+    },
+  };
+
+  // sRGB transfer curve as lookup tables: 8-bit sRGB -> linear (0-255
+  // scale) and 12-bit linear -> 8-bit sRGB
+  const SRGB_TO_LINEAR = new Float32Array(256).map((_, i) => {
+    const v = i / 255;
+    return (v <= 0.04045 ? v / 12.92 : ((v + 0.055) / 1.055) ** 2.4) * 255;
+  });
+  const LINEAR_TO_SRGB = new Uint8Array(4096).map((_, i) => {
+    const v = i / 4095;
+    const srgb = v <= 0.0031308 ? v * 12.92 : 1.055 * v ** (1 / 2.4) - 0.055;
+    return Math.round(srgb * 255);
+  });
+
+  /**
+   * Decoded pixels that can be drawn onto a RasterCanvas
+   */
+  class RasterImage {
+    constructor(width, height, data) {
+      this.width = width;
+      this.height = height;
+      this.data = data;
+    }
+  }
+
+  /**
+   * Minimal in-memory canvas for environments without a DOM. Supports the
+   * subset of the 2D context the library uses.
+   */
+  class RasterCanvas {
+    constructor(width = 300, height = 150) {
+      this._width = Math.max(0, Math.round(width));
+      this._height = Math.max(0, Math.round(height));
+      this.data = new Uint8ClampedArray(this._width * this._height * 4);
+      this._context = null;
+    }
+
+    get width() {
+      return this._width;
+    }
+
+    set width(value) {
+      this._resize(value, this._height);
+    }
+
+    get height() {
+      return this._height;
+    }
+
+    set height(value) {
+      this._resize(this._width, value);
+    }
+
+    getContext(type) {
+      if (type !== "2d") return null;
+      if (!this._context) this._context = new RasterContext(this);
+      return this._context;
+    }
+
+    _resize(width, height) {
+      // Like a real canvas, resizing clears the bitmap
+      this._width = Math.max(0, Math.round(width));
+      this._height = Math.max(0, Math.round(height));
+      this.data = new Uint8ClampedArray(this._width * this._height * 4);
+    }
+  }
+
+  class RasterContext {
+    constructor(canvas) {
+      this.canvas = canvas;
+      this.imageSmoothingEnabled = true;
+      this.imageSmoothingQuality = "low";
+      this.fillStyle = "#000";
+    }
+
+    createImageData(width, height) {
+      return {
+        width,
+        height,
+        data: new Uint8ClampedArray(width * height * 4),
+      };
+    }
+
+    getImageData(sx, sy, sw, sh) {
+      const out = this.createImageData(sw, sh);
+      const { width, height, data } = this.canvas;
+      for (let y = 0; y < sh; y++) {
+        const row = sy + y;
+        if (row < 0 || row >= height) continue;
+        for (let x = 0; x < sw; x++) {
+          const col = sx + x;
+          if (col < 0 || col >= width) continue;
+          const from = (row * width + col) * 4;
+          const to = (y * sw + x) * 4;
+          out.data[to] = data[from];
+          out.data[to + 1] = data[from + 1];
+          out.data[to + 2] = data[from + 2];
+          out.data[to + 3] = data[from + 3];
+        }
+      }
+      return out;
+    }
+
+    putImageData(imageData, dx, dy) {
+      const { width, height, data } = this.canvas;
+      for (let y = 0; y < imageData.height; y++) {
+        const row = dy + y;
+        if (row < 0 || row >= height) continue;
+        for (let x = 0; x < imageData.width; x++) {
+          const col = dx + x;
+          if (col < 0 || col >= width) continue;
+          const from = (y * imageData.width + x) * 4;
+          const to = (row * width + col) * 4;
+          data[to] = imageData.data[from];
+          data[to + 1] = imageData.data[from + 1];
+          data[to + 2] = imageData.data[from + 2];
+          data[to + 3] = imageData.data[from + 3];
+        }
+      }
+    }
+
+    clearRect(x, y, w, h) {
+      this._eachPixel(x, y, w, h, (i, data) => {
+        data[i] = data[i + 1] = data[i + 2] = data[i + 3] = 0;
+      });
+    }
+
+    fillRect(x, y, w, h) {
+      const [r, g, b, a] = RasterContext.parseColor(this.fillStyle);
+      this._eachPixel(x, y, w, h, (i, data) =>
+        RasterContext._blend(data, i, r, g, b, a)
+      );
+    }
+
+    /**
+     * drawImage(source, dx, dy[, dw, dh]) or
+     * drawImage(source, sx, sy, sw, sh, dx, dy, dw, dh)
+     */
+    drawImage(source, ...args) {
+      let sx = 0;
+      let sy = 0;
+      let sw = source.width;
+      let sh = source.height;
+      let dx, dy, dw, dh;
+
+      if (args.length === 8) {
+        [sx, sy, sw, sh, dx, dy, dw, dh] = args;
+      } else {
+        [dx, dy, dw = sw, dh = sh] = args;
+      }
+
+      const pixels = RasterContext._pixelsOf(source);
+      const x0 = Math.round(dx);
+      const y0 = Math.round(dy);
+      const width = Math.round(dx + dw) - x0;
+      const height = Math.round(dy + dh) - y0;
+      if (width <= 0 || height <= 0 || sw <= 0 || sh <= 0) return;
+
+      const scaled = RasterContext.resample(
+        pixels,
+        { x: sx, y: sy, width: sw, height: sh },
+        width,
+        height,
+        { kernel: this.imageSmoothingEnabled ? "triangle" : "nearest" }
+      );
+
+      const target = this.canvas;
+      for (let y = 0; y < height; y++) {
+        const row = y0 + y;
+        if (row < 0 || row >= target.height) continue;
+        for (let x = 0; x < width; x++) {
+          const col = x0 + x;
+          if (col < 0 || col >= target.width) continue;
+          const from = (y * width + x) * 4;
+          RasterContext._blend(
+            target.data,
+            (row * target.width + col) * 4,
+            scaled[from],
+            scaled[from + 1],
+            scaled[from + 2],
+            scaled[from + 3]
+          );
+        }
+      }
+    }
+
+    /**
+     * Resample a source rectangle with a separable filter in premultiplied
+     * alpha. The filter widens when downscaling so every source pixel
+     * contributes.
+     * @param {Object} source - { width, height, data }
+     * @param {Object} rect - Source rectangle { x, y, width, height }
+     * @param {number} width - Output width
+     * @param {number} height - Output height
+     * @param {Object} options
+     * @param {string} [options.kernel="triangle"] - A RESAMPLE_KERNELS name
+     * @param {boolean} [options.linear=false] - Filter in linear light
+     * @returns {Uint8ClampedArray}
+     */
+    static resample(
+      source,
+      rect,
+      width,
+      height,
+      { kernel = "triangle", linear = false } = {}
+    ) {
+      const filter = RESAMPLE_KERNELS[kernel];
+      if (!filter) {
+        throw new InvalidInputError(`Unknown resampling kernel "${kernel}"`);
+      }
+      const xWeights = RasterContext._weights(
+        source.width,
+        rect.x,
+        rect.width,
+        width,
+        filter
+      );
+      const yWeights = RasterContext._weights(
+        source.height,
+        rect.y,
+        rect.height,
+        height,
+        filter
+      );
+      const decode = linear
+        ? (value) => SRGB_TO_LINEAR[value]
+        : (value) => value;
+      const src = source.data;
+      const firstRow = yWeights[0].start;
+      const lastRow = yWeights.reduce(
+        (last, { start, weights }) => Math.max(last, start + weights.length),
+        0
+      );
+
+      // Horizontal pass over the rows the vertical pass reads,
+      // premultiplying alpha as we go
+      const horizontal = new Float32Array(width * (lastRow - firstRow) * 4);
+      for (let y = firstRow; y < lastRow; y++) {
+        for (let x = 0; x < width; x++) {
+          const { start, weights } = xWeights[x];
+          let r = 0;
+          let g = 0;
+          let b = 0;
+          let a = 0;
+          for (let k = 0; k < weights.length; k++) {
+            const i = (y * source.width + start + k) * 4;
+            const alpha = src[i + 3] * weights[k];
+            r += decode(src[i]) * alpha;
+            g += decode(src[i + 1]) * alpha;
+            b += decode(src[i + 2]) * alpha;
+            a += alpha;
+          }
+          const o = ((y - firstRow) * width + x) * 4;
+          horizontal[o] = r;
+          horizontal[o + 1] = g;
+          horizontal[o + 2] = b;
+          horizontal[o + 3] = a;
+        }
+      }
+
+      const out = new Uint8ClampedArray(width * height * 4);
+      for (let y = 0; y < height; y++) {
+        const { start, weights } = yWeights[y];
+        for (let x = 0; x < width; x++) {
+          let r = 0;
+          let g = 0;
+          let b = 0;
+          let a = 0;
+          for (let k = 0; k < weights.length; k++) {
+            const i = ((start - firstRow + k) * width + x) * 4;
+            r += horizontal[i] * weights[k];
+            g += horizontal[i + 1] * weights[k];
+            b += horizontal[i + 2] * weights[k];
+            a += horizontal[i + 3] * weights[k];
+          }
+          const o = (y * width + x) * 4;
+          if (a > 0 && linear) {
+            out[o] = RasterContext._encodeLinear(r / a);
+            out[o + 1] = RasterContext._encodeLinear(g / a);
+            out[o + 2] = RasterContext._encodeLinear(b / a);
+          } else if (a > 0) {
+            out[o] = r / a;
+            out[o + 1] = g / a;
+            out[o + 2] = b / a;
+          }
+          out[o + 3] = a;
+        }
+      }
+
+      return out;
+    }
+
+    /**
+     * Parse the CSS colors the library uses (#rgb, #rrggbb, #rrggbbaa,
+     * rgb(), rgba(), white, black, transparent)
+     * @param {string} color
+     * @returns {number[]} [r, g, b, a] with a in 0-255
+     */
+    static parseColor(color) {
+      const named = {
+        white: [255, 255, 255, 255],
+        black: [0, 0, 0, 255],
+        transparent: [0, 0, 0, 0],
+      };
+      const value = String(color).trim().toLowerCase();
+      if (named[value]) return named[value];
+
+      if (value[0] === "#") {
+        let hex = value.slice(1);
+        if (hex.length <= 4) hex = hex.replace(/./g, (c) => c + c);
+        const channels = hex.match(/../g).map((pair) => parseInt(pair, 16));
+        return channels.length === 3 ? [...channels, 255] : channels;
+      }
+
+      const match = value.match(/^rgba?\(([^)]+)\)$/);
+      if (match) {
+        const [r, g, b, a = 1] = match[1]
+          .split(/[\s,/]+/)
+          .filter(Boolean)
+          .map(parseFloat);
+        return [r, g, b, Math.round(a * 255)];
+      }
+
+      return named.black;
+    }
+
+    static _pixelsOf(source) {
+      if (source instanceof RasterCanvas || source instanceof RasterImage) {
+        return source;
+      }
+      if (source && source.data && source.width && source.height) {
+        return source;
+      }
+      throw new InvalidInputError("Source cannot be drawn on a RasterCanvas");
+    }
+
+    static _weights(size, offset, length, count, filter) {
+      const scale = count / length;
+      // Stretch the filter over the source pixels one output pixel covers
+      const stretch = Math.max(1, 1 / scale);
+      const radius = filter.radius * stretch;
+      const result = [];
+
+      for (let i = 0; i < count; i++) {
+        const center = offset + (i + 0.5) / scale;
+        if (!radius) {
+          const index = Math.min(size - 1, Math.max(0, Math.floor(center)));
+          result.push({ start: index, weights: new Float32Array([1]) });
+          continue;
+        }
+
+        const first = Math.max(0, Math.floor(center - radius));
+        const last = Math.min(size - 1, Math.ceil(center + radius));
+        const weights = new Float32Array(last - first + 1);
+        let total = 0;
+        for (let j = first; j <= last; j++) {
+          const weight = filter.weight((j + 0.5 - center) / stretch);
+          weights[j - first] = weight;
+          total += weight;
+        }
+        if (total === 0) {
+          weights.fill(0);
+          weights[Math.min(weights.length - 1, Math.floor(center) - first)] = 1;
+          total = 1;
+        }
+        for (let k = 0; k < weights.length; k++) weights[k] /= total;
+        result.push({ start: first, weights });
+      }
+
+      return result;
+    }
+
+    static _encodeLinear(value) {
+      const index = Math.round((value / 255) * 4095);
+      return LINEAR_TO_SRGB[Math.max(0, Math.min(4095, index))];
+    }
+
+    static _blend(data, i, r, g, b, a) {
+      if (a >= 255 || data[i + 3] === 0) {
+        data[i] = r;
+        data[i + 1] = g;
+        data[i + 2] = b;
+        data[i + 3] = a;
+        return;
+      }
+      if (a <= 0) return;
+
+      // Source-over in premultiplied space
+      const sa = a / 255;
+      const da = (data[i + 3] / 255) * (1 - sa);
+      const outA = sa + da;
+      data[i] = (r * sa + data[i] * da) / outA;
+      data[i + 1] = (g * sa + data[i + 1] * da) / outA;
+      data[i + 2] = (b * sa + data[i + 2] * da) / outA;
+      data[i + 3] = outA * 255;
+    }
+
+    _eachPixel(x, y, w, h, fn) {
+      const { width, height, data } = this.canvas;
+      const x0 = Math.max(0, Math.round(x));
+      const y0 = Math.max(0, Math.round(y));
+      const x1 = Math.min(width, Math.round(x + w));
+      const y1 = Math.min(height, Math.round(y + h));
+      for (let row = y0; row < y1; row++) {
+        for (let col = x0; col < x1; col++) fn((row * width + col) * 4, data);
+      }
+    }
+  }
+
+  // Backends by name, in auto-selection order
+  const backendRegistry = new Map();
+  let activeBackend = null;
+
+  /**
+   * Registry of pixel backends. A backend decodes blobs to drawables,
+   * creates canvases (whose drawImage does the resizing) and encodes
+   * canvases back to blobs.
+   */
+  class ImageBackends {
+    /**
+     * Register a backend
+     * @param {Object} backend - { name, isAvailable, decode, createCanvas, isCanvas, encode, encodes?, orients? }
+     * @returns {Object}
+     */
+    static register(backend) {
+      const required = ["decode", "createCanvas", "isCanvas", "encode"];
+      if (!backend || !backend.name || required.some((m) => !backend[m])) {
+        throw new InvalidInputError(
+          `Backend requires a name and ${required.join(", ")}`
+        );
+      }
+      backendRegistry.set(backend.name, backend);
+      return backend;
+    }
+
+    /**
+     * Select the backend to use, or "auto" to pick the first available
+     * @param {string|Object} backend
+     * @returns {Object} The active backend
+     */
+    static use(backend = "auto") {
+      if (backend === "auto" || backend === null) {
+        activeBackend = null;
+        return ImageBackends.get();
+      }
+      if (typeof backend === "object") ImageBackends.register(backend);
+      const selected =
+        typeof backend === "object" ? backend : backendRegistry.get(backend);
+      if (!selected) {
+        throw new InvalidInputError(`Unknown backend: ${backend}`);
+      }
+      activeBackend = selected;
+      return selected;
+    }
+
+    /**
+     * Active backend, auto-selected on first use
+     * @returns {Object}
+     */
+    static get() {
+      if (!activeBackend) {
+        activeBackend = [...backendRegistry.values()].find(
+          (backend) => !backend.isAvailable || backend.isAvailable()
+        );
+      }
+      return activeBackend;
+    }
+
+    /**
+     * Backend that owns a canvas, so canvases are always encoded by the
+     * implementation that created them
+     * @param {*} canvas
+     * @returns {Object|null}
+     */
+    static forCanvas(canvas) {
+      for (const backend of backendRegistry.values()) {
+        if (backend.isCanvas(canvas)) return backend;
+      }
+      return null;
+    }
+
+    static list() {
+      return [...backendRegistry.keys()];
+    }
+  }
+
+  ImageBackends.register({
+    name: "canvas",
+    encodes: null, // Unknown up front; probed per format
+    orients: true, // Browsers apply EXIF orientation when decoding
+
+    isAvailable() {
+      return (
+        typeof document !== "undefined" ||
+        (typeof OffscreenCanvas !== "undefined" &&
+          typeof createImageBitmap === "function")
+      );
+    },
+
+    decode(file, { colorSpaceConversion = "default" } = {}) {
+      // Workers have no Image element; createImageBitmap decodes off-thread
+      // and is the only way to get pixels without colour conversion
+      if (
+        typeof Image === "undefined" ||
+        (colorSpaceConversion === "none" &&
+          typeof createImageBitmap === "function")
+      ) {
+        return createImageBitmap(file, { colorSpaceConversion }).catch(
+          (error) => {
+            throw new DecodeError("Failed to load image", { cause: error });
+          }
+        );
+      }
+
+      return new Promise((resolve, reject) => {
+        const img = new Image();
+        const url = URL.createObjectURL(file);
+
+        const cleanup = () => URL.revokeObjectURL(url);
+
+        img.onload = () => {
+          cleanup();
+          resolve(img);
+        };
+
+        img.onerror = () => {
+          cleanup();
+          reject(new DecodeError("Failed to load image"));
+        };
+
+        img.src = url;
+      });
+    },
+
+    createCanvas(width, height) {
+      if (typeof document !== "undefined") {
+        const canvas = document.createElement("canvas");
+        canvas.width = width;
+        canvas.height = height;
+        return canvas;
+      }
+      return new OffscreenCanvas(width, height);
+    },
+
+    isCanvas(canvas) {
+      if (
+        typeof HTMLCanvasElement !== "undefined" &&
+        canvas instanceof HTMLCanvasElement
+      ) {
+        return true;
+      }
+      return (
+        typeof OffscreenCanvas !== "undefined" &&
+        canvas instanceof OffscreenCanvas
+      );
+    },
+
+    encode(canvas, mimeType, quality) {
+      if (typeof canvas.convertToBlob === "function") {
+        return canvas.convertToBlob({ type: mimeType, quality });
+      }
+      return new Promise((resolve, reject) =>
+        canvas.toBlob(
+          (blob) => (blob ? resolve(blob) : reject(new Error("Empty blob"))),
+          mimeType,
+          quality
+        )
+      );
+    },
+  });
+
+  ImageBackends.register({
+    name: "js",
+    encodes: [ImageFormat.JPEG, ImageFormat.PNG],
+
+    async decode(file) {
+      const bytes = new Uint8Array(await file.arrayBuffer());
+      const type = ImageUtils.detectMimeType(bytes);
+      let decoded;
+
+      if (type === ImageFormat.JPEG) {
+        decoded = JpegCodec.decode(bytes);
+      } else if (type === ImageFormat.PNG) {
+        decoded = await PngCodec.decode(bytes);
+      } else if (type === ImageFormat.GIF) {
+        const { width, height, frames } = GifCodec.decode(bytes);
+        decoded = { width, height, data: frames[0].data };
+      } else {
+        throw new UnsupportedFormatError(
+          `The js backend cannot decode ${type || "this file"}`,
+          { format: type }
+        );
+      }
+
+      return new RasterImage(decoded.width, decoded.height, decoded.data);
+    },
+
+    createCanvas(width, height) {
+      return new RasterCanvas(width, height);
+    },
+
+    isCanvas(canvas) {
+      return canvas instanceof RasterCanvas;
+    },
+
+    async encode(canvas, mimeType, quality) {
+      if (mimeType === ImageFormat.JPEG) {
+        return new Blob([JpegCodec.encode(canvas, quality)], {
+          type: mimeType,
+        });
+      }
+      if (mimeType === ImageFormat.PNG) {
+        return new Blob([await PngCodec.encode(canvas)], { type: mimeType });
+      }
+      throw new UnsupportedFormatError(
+        `The js backend cannot encode ${mimeType}`,
+        { format: mimeType }
+      );
+    },
+  });
+
+  // ==================== METADATA ====================
+
+  // Names accepted by the metadata keep/strip options. Everything except
+  // icc and xmp lives in the EXIF block.
+  const METADATA_GROUPS = [
+    "exif",
+    "icc",
+    "xmp",
+    "copyright",
+    "gps",
+    "camera",
+    "datetime",
+  ];
+
+  const METADATA_ORIENTATIONS = ["auto", "preserve"];
+
+  // Byte size of each TIFF field type, indexed by type id
+  const TIFF_TYPE_SIZES = [0, 1, 1, 2, 4, 8, 1, 1, 2, 4, 8, 4, 8];
+
+  const EXIF_IFD_POINTER = 0x8769;
+  const GPS_IFD_POINTER = 0x8825;
+  const EXIF_ORIENTATION = 0x0112;
+
+  // IFD0 tags with their own group; the rest of IFD0 is "exif", the Exif
+  // sub-IFD defaults to "camera" and the GPS IFD is "gps"
+  const EXIF_TAG_GROUPS = {
+    0x013b: "copyright", // Artist
+    0x8298: "copyright", // Copyright
+    0x010f: "camera", // Make
+    0x0110: "camera", // Model
+    0x0132: "datetime", // DateTime
+    0x9003: "datetime", // DateTimeOriginal
+    0x9004: "datetime", // DateTimeDigitized
+    0x9010: "datetime", // OffsetTime
+    0x9011: "datetime", // OffsetTimeOriginal
+    0x9012: "datetime", // OffsetTimeDigitized
+    0x9290: "datetime", // SubSecTime
+    0x9291: "datetime", // SubSecTimeOriginal
+    0x9292: "datetime", // SubSecTimeDigitized
+  };
+
+  // Tags describing the source encoding, which re-encoding invalidates.
+  // MakerNote goes too: vendor blocks hold offsets that break once the
+  // EXIF block is rebuilt.
+  const EXIF_DROPPED_TAGS = new Set([
+    0x0100, 0x0101, 0x0102, 0x0103, 0x0106, 0x0111, 0x0115, 0x0116, 0x0117,
+    0x011c, 0x0201, 0x0202, 0xa002, 0xa003, 0xa005, 0x927c,
+  ]);
+
+  // Tags surfaced by ImageMetadata.read() as readable strings
+  const EXIF_TAG_NAMES = {
+    0x010e: "imageDescription",
+    0x010f: "make",
+    0x0110: "model",
+    0x0131: "software",
+    0x0132: "dateTime",
+    0x013b: "artist",
+    0x8298: "copyright",
+    0x9003: "dateTimeOriginal",
+  };
+
+  const JPEG_EXIF_HEADER = "Exif\0\0";
+  const JPEG_XMP_HEADER = "http://ns.adobe.com/xap/1.0/\0";
+  const JPEG_ICC_HEADER = "ICC_PROFILE\0";
+  const JPEG_SEGMENT_MAX = 65533; // Payload bytes after the length field
+  const PNG_XMP_KEYWORD = "XML:com.adobe.xmp";
+
+  // Source pixel index for each output pixel, by EXIF orientation;
+  // w and h are the stored (unrotated) size
+  const ORIENTATION_MAPS = {
+    2: (x, y, w) => y * w + (w - 1 - x),
+    3: (x, y, w, h) => (h - 1 - y) * w + (w - 1 - x),
+    4: (x, y, w, h) => (h - 1 - y) * w + x,
+    5: (x, y, w) => x * w + y,
+    6: (x, y, w, h) => (h - 1 - x) * w + y,
+    7: (x, y, w, h) => (h - 1 - x) * w + (w - 1 - y),
+    8: (x, y, w) => x * w + (w - 1 - y),
+  };
+
+  // Orientation that undoes each one (the rotations swap, flips are
+  // their own inverse)
+  const ORIENTATION_INVERSES = { 6: 8, 8: 6 };
+
+  /**
+   * EXIF, ICC and XMP reader/writer for JPEG, PNG and WebP files
+   */
+  class ImageMetadata {
+    /**
+     * Read embedded metadata. Damaged metadata never throws; whatever
+     * could be read is returned.
+     * @param {Uint8Array} bytes - File bytes
+     * @returns {Promise<Object>} { format, orientation, exif, icc, xmp, tags, groups }
+     */
+    static async read(bytes) {
+      const format = ImageUtils.detectMimeType(bytes);
+      const found = { exif: null, icc: null, xmp: null };
+
+      try {
+        if (format === ImageFormat.JPEG) ImageMetadata._readJpeg(bytes, found);
+        else if (format === ImageFormat.PNG) {
+          await ImageMetadata._readPng(bytes, found);
+        } else if (format === ImageFormat.WEBP) {
+          ImageMetadata._readWebp(bytes, found);
+        }
+      } catch (error) {
+        // Keep what was found before the damage
+      }
+
+      let exif = null;
+      try {
+        exif = found.exif ? ImageMetadata._parseTiff(found.exif) : null;
+      } catch (error) {
+        exif = null;
+      }
+
+      const tags = {};
+      let orientation = 1;
+      const groups = new Set();
+      if (found.icc) groups.add("icc");
+      if (found.xmp) groups.add("xmp");
+
+      (exif ? exif.entries : []).forEach((entry) => {
+        if (entry.ifd === "ifd0" && entry.tag === EXIF_ORIENTATION) {
+          const view = new DataView(entry.value.buffer, entry.value.byteOffset);
+          const value = view.getUint16(0, exif.littleEndian);
+          if (value >= 1 && value <= 8) orientation = value;
+          return;
+        }
+        if (EXIF_DROPPED_TAGS.has(entry.tag)) return;
+        groups.add(ImageMetadata._groupOf(entry));
+
+        const name = EXIF_TAG_NAMES[entry.tag];
+        if (name && entry.type === 2 && entry.ifd !== "gps") {
+          tags[name] = new TextDecoder()
+            .decode(entry.value)
+            .replace(/\0+$/, "")
+            .trim();
+        }
+      });
+
+      return {
+        format,
+        orientation,
+        exif,
+        icc: found.icc,
+        xmp: found.xmp,
+        tags,
+        groups: METADATA_GROUPS.filter((group) => groups.has(group)),
+      };
+    }
+
+    /**
+     * Normalize the compress() `metadata` option
+     * @param {boolean|Object} option - true (keep ICC), false (strip all)
+     *   or { orientation, keep, strip }
+     * @returns {Object} { orientation, keep, strip }
+     */
+    static normalizeOptions(option = true) {
+      const config =
+        option === false
+          ? { keep: [] }
+          : option === true || option === null
+          ? {}
+          : option;
+      const keep =
+        config.keep === "all" ? [...METADATA_GROUPS] : config.keep || ["icc"];
+      const strip = config.strip || [];
+      const orientation = config.orientation || "auto";
+
+      const unknown = [...keep, ...strip].find(
+        (group) => !METADATA_GROUPS.includes(group)
+      );
+      if (unknown) {
+        throw new InvalidInputError(
+          `Unknown metadata group "${unknown}" (use ${METADATA_GROUPS.join(
+            ", "
+          )})`
+        );
+      }
+      if (!METADATA_ORIENTATIONS.includes(orientation)) {
+        throw new InvalidInputError(
+          `metadata.orientation must be ${METADATA_ORIENTATIONS.join(" or ")}`
+        );
+      }
+
+      return { orientation, keep, strip };
+    }
+
+    /**
+     * Whether a metadata group survives the keep/strip options
+     * @param {string} group
+     * @param {Object} options - From normalizeOptions()
+     * @returns {boolean}
+     */
+    static keeps(group, options) {
+      const inExif = group !== "icc" && group !== "xmp";
+      if (
+        options.strip.includes(group) ||
+        (inExif && options.strip.includes("exif"))
+      ) {
+        return false;
+      }
+      return (
+        options.keep.includes(group) ||
+        (inExif && options.keep.includes("exif"))
+      );
+    }
+
+    /**
+     * Bring decoded pixels into the orientation the output needs: upright
+     * for "auto", as stored for "preserve" (the tag then travels along).
+     * Backends flagged `orients` decode upright already.
+     * @param {Drawable} img - Decoded image
+     * @param {number} orientation - EXIF orientation of the source
+     * @param {string} mode - "auto" or "preserve"
+     * @returns {Object} { image, transform } where transform is the
+     *   orientation applied (1 when the pixels were left alone)
+     */
+    static applyOrientation(img, orientation, mode) {
+      const decodedUpright = !!ImageBackends.get().orients;
+      const wantUpright = mode === "auto";
+      const transform =
+        orientation === 1 || decodedUpright === wantUpright
+          ? 1
+          : wantUpright
+          ? orientation
+          : ORIENTATION_INVERSES[orientation] || orientation;
+
+      return { image: ImageMetadata.orient(img, transform), transform };
+    }
+
+    /**
+     * Redraw an image so the result is what a viewer shows for the given
+     * EXIF orientation
+     * @param {Drawable} img
+     * @param {number} orientation - 1-8 (1 returns the image unchanged)
+     * @returns {Drawable}
+     */
+    static orient(img, orientation) {
+      const map = ORIENTATION_MAPS[orientation];
+      if (!map) return img;
+
+      const { width, height } = img;
+      const source = ImageUtils.createCanvas(width, height);
+      const sourceCtx = source.getContext("2d");
+      sourceCtx.drawImage(img, 0, 0);
+      const pixels = sourceCtx.getImageData(0, 0, width, height).data;
+
+      const swap = orientation >= 5;
+      const canvas = ImageUtils.createCanvas(
+        swap ? height : width,
+        swap ? width : height
+      );
+      const ctx = canvas.getContext("2d");
+      const output = ctx.createImageData(canvas.width, canvas.height);
+      const out = output.data;
+
+      for (let y = 0, o = 0; y < canvas.height; y++) {
+        for (let x = 0; x < canvas.width; x++, o += 4) {
+          const s = map(x, y, width, height) * 4;
+          out[o] = pixels[s];
+          out[o + 1] = pixels[s + 1];
+          out[o + 2] = pixels[s + 2];
+          out[o + 3] = pixels[s + 3];
+        }
+      }
+
+      ctx.putImageData(output, 0, 0);
+      return canvas;
+    }
+
+    /**
+     * Work out what to write into every output version
+     * @param {Object} source - From read()
+     * @param {Object} options - From normalizeOptions()
+     * @param {number} transform - Orientation applied to the pixels
+     * @returns {Object} { exif, icc, xmp, report }
+     */
+    static plan(source, options, transform) {
+      const keep = (group) => ImageMetadata.keeps(group, options);
+      const entries = source.exif
+        ? source.exif.entries.filter(
+            (entry) =>
+              entry.tag !== EXIF_ORIENTATION &&
+              !EXIF_DROPPED_TAGS.has(entry.tag) &&
+              keep(ImageMetadata._groupOf(entry))
+          )
+        : [];
+
+      // Stored pixels need their tag, whatever else is stripped
+      const orientationTag =
+        options.orientation === "preserve" && source.orientation !== 1
+          ? source.orientation
+          : null;
+      const exif =
+        entries.length || orientationTag
+          ? ImageMetadata._writeTiff(
+              source.exif ? source.exif.littleEndian : false,
+              entries,
+              orientationTag
+            )
+          : null;
+
+      let xmp = source.xmp && keep("xmp") ? source.xmp : null;
+      if (xmp && options.orientation === "auto") {
+        xmp = xmp
+          .replace(/(tiff:Orientation=")\d(")/g, "$11$2")
+          .replace(/(<tiff:Orientation>)\d(<\/tiff:Orientation>)/g, "$11$2");
+      }
+      if (xmp && !keep("gps")) {
+        xmp = xmp
+          .replace(/\s+exif:GPS\w+="[^"]*"/g, "")
+          .replace(/<exif:(GPS\w+)\b[^>]*?\/>/g, "")
+          .replace(/<exif:(GPS\w+)\b[^>]*>[\s\S]*?<\/exif:\1>/g, "");
+      }
+
+      return {
+        exif,
+        icc: source.icc && keep("icc") ? source.icc : null,
+        xmp,
+        report: {
+          orientation: {
+            source: source.orientation,
+            mode: options.orientation,
+            applied: transform !== 1,
+          },
+          kept: source.groups.filter(keep),
+          removed: source.groups.filter((group) => !keep(group)),
+          bytes: 0,
+        },
+      };
+    }
+
+    /**
+     * Bytes inject() can add for a plan, whatever the container; size
+     * searches leave this much room for it
+     * @param {Object} plan - From plan()
+     * @returns {number}
+     */
+    static reservedBytes({ exif, icc, xmp }) {
+      const parts = [exif, icc, xmp && new TextEncoder().encode(xmp)].filter(
+        Boolean
+      );
+      // Headers and framing per part: APP segments (a profile spans one
+      // per chunkSize bytes), PNG chunks around zlib data, WebP chunks
+      const chunkSize = JPEG_SEGMENT_MAX - JPEG_ICC_HEADER.length - 2;
+      return parts.reduce(
+        (sum, data) =>
+          sum +
+          data.length +
+          64 * Math.max(1, Math.ceil(data.length / chunkSize)),
+        0
+      );
+    }
+
+    /**
+     * Write planned metadata into an encoded blob
+     * @param {Blob} blob - Encoder output (JPEG, PNG or WebP)
+     * @param {Object} plan - From plan()
+     * @param {Object} dimensions - { width, height } of the output
+     * @returns {Promise<Object>} { blob, report }
+     */
+    static async inject(blob, plan, dimensions) {
+      const report = { ...plan.report };
+      if (!plan.exif && !plan.icc && !plan.xmp) return { blob, report };
+
+      const bytes = new Uint8Array(await blob.arrayBuffer());
+      let written = null;
+      if (blob.type === ImageFormat.JPEG) {
+        written = ImageMetadata._writeJpeg(bytes, plan);
+      } else if (blob.type === ImageFormat.PNG) {
+        written = await ImageMetadata._writePng(bytes, plan);
+      } else if (blob.type === ImageFormat.WEBP) {
+        written = ImageMetadata._writeWebp(bytes, plan, dimensions);
+      }
+
+      if (!written) {
+        // The container has no place for metadata (AVIF, GIF)
+        return {
+          blob,
+          report: {
+            ...report,
+            kept: [],
+            removed: [...report.kept, ...report.removed],
+            unsupported: true,
+          },
+        };
+      }
+
+      // Segments too large for the container are dropped with their groups
+      const skipped = (group) =>
+        written.skipped.includes(
+          group === "icc" || group === "xmp" ? group : "exif"
+        );
+      report.kept = plan.report.kept.filter((group) => !skipped(group));
+      report.removed = [
+        ...plan.report.removed,
+        ...plan.report.kept.filter(skipped),
+      ];
+      report.bytes = written.bytes.length - bytes.length;
+
+      return {
+        blob: new Blob([written.bytes], { type: blob.type }),
+        report,
+      };
+    }
+
+    static _groupOf(entry) {
+      if (entry.ifd === "gps") return "gps";
+      return (
+        EXIF_TAG_GROUPS[entry.tag] || (entry.ifd === "exif" ? "camera" : "exif")
+      );
+    }
+
+    static _startsWith(bytes, text, offset = 0) {
+      if (bytes.length < offset + text.length) return false;
+      for (let i = 0; i < text.length; i++) {
+        if (bytes[offset + i] !== text.charCodeAt(i)) return false;
+      }
+      return true;
+    }
+
+    static _concat(chunks) {
+      const out = new Uint8Array(
+        chunks.reduce((sum, chunk) => sum + chunk.length, 0)
+      );
+      chunks.reduce((offset, chunk) => {
+        out.set(chunk, offset);
+        return offset + chunk.length;
+      }, 0);
+      return out;
+    }
+
+    static _ascii(text) {
+      return Uint8Array.from(text, (char) => char.charCodeAt(0));
+    }
+
+    // ---------- Containers: reading ----------
+
+    static _readJpeg(bytes, found) {
+      const iccChunks = [];
+      let pos = 2;
+
+      while (pos + 4 <= bytes.length && bytes[pos] === 0xff) {
+        const marker = bytes[pos + 1];
+        if (marker === 0xff) {
+          pos++; // Fill byte
+          continue;
+        }
+        if (marker === 0xda || marker === 0xd9) break;
+
+        const length = (bytes[pos + 2] << 8) | bytes[pos + 3];
+        const data = bytes.subarray(pos + 4, pos + 2 + length);
+        pos += 2 + length;
+
+        if (
+          marker === 0xe1 &&
+          ImageMetadata._startsWith(data, JPEG_EXIF_HEADER)
+        ) {
+          found.exif = data.subarray(JPEG_EXIF_HEADER.length);
+        } else if (
+          marker === 0xe1 &&
+          ImageMetadata._startsWith(data, JPEG_XMP_HEADER)
+        ) {
+          found.xmp = new TextDecoder().decode(
+            data.subarray(JPEG_XMP_HEADER.length)
+          );
+        } else if (
+          marker === 0xe2 &&
+          ImageMetadata._startsWith(data, JPEG_ICC_HEADER)
+        ) {
+          const offset = JPEG_ICC_HEADER.length;
+          iccChunks.push({
+            sequence: data[offset],
+            data: data.subarray(offset + 2),
+          });
+        }
+      }
+
+      if (iccChunks.length) {
+        iccChunks.sort((a, b) => a.sequence - b.sequence);
+        found.icc = ImageMetadata._concat(iccChunks.map((chunk) => chunk.data));
+      }
+    }
+
+    static async _readPng(bytes, found) {
+      const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.length);
+      let pos = 8;
+
+      while (pos + 8 <= bytes.length) {
+        const length = view.getUint32(pos);
+        const type = String.fromCharCode(...bytes.subarray(pos + 4, pos + 8));
+        const data = bytes.subarray(pos + 8, pos + 8 + length);
+        pos += 12 + length;
+
+        if (type === "eXIf") {
+          found.exif = data;
+        } else if (type === "iCCP") {
+          // Profile name, NUL, compression method, zlib data
+          found.icc = await Zlib.inflate(data.subarray(data.indexOf(0) + 2));
+        } else if (
+          type === "iTXt" &&
+          ImageMetadata._startsWith(data, `${PNG_XMP_KEYWORD}\0`)
+        ) {
+          let offset = PNG_XMP_KEYWORD.length + 1;
+          const compressed = data[offset] === 1;
+          offset = data.indexOf(0, offset + 2) + 1; // Language tag
+          offset = data.indexOf(0, offset) + 1; // Translated keyword
+          const text = data.subarray(offset);
+          found.xmp = new TextDecoder().decode(
+            compressed ? await Zlib.inflate(text) : text
+          );
+        } else if (type === "IEND") {
+          break;
+        }
+      }
+    }
+
+    static _readWebp(bytes, found) {
+      if (!ImageMetadata._startsWith(bytes, "WEBP", 8)) return;
+      ImageMetadata._webpChunks(bytes).forEach(({ type, data }) => {
+        if (type === "EXIF") {
+          // Some writers keep the JPEG "Exif\0\0" prefix
+          found.exif = ImageMetadata._startsWith(data, JPEG_EXIF_HEADER)
+            ? data.subarray(JPEG_EXIF_HEADER.length)
+            : data;
+        } else if (type === "ICCP") {
+          found.icc = data;
+        } else if (type === "XMP ") {
+          found.xmp = new TextDecoder().decode(data);
+        }
+      });
+    }
+
+    static _webpChunks(bytes, start = 12) {
+      const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.length);
+      const chunks = [];
+      let pos = start;
+
+      while (pos + 8 <= bytes.length) {
+        const type = String.fromCharCode(...bytes.subarray(pos, pos + 4));
+        const size = view.getUint32(pos + 4, true);
+        chunks.push({ type, data: bytes.subarray(pos + 8, pos + 8 + size) });
+        pos += 8 + size + (size & 1);
+      }
+
+      return chunks;
+    }
+
+    // ---------- EXIF (TIFF) ----------
+
+    /**
+     * Flatten IFD0 and its Exif/GPS sub-IFDs into entries with raw value
+     * bytes (IFD1 thumbnails are not read)
+     */
+    static _parseTiff(tiff) {
+      const littleEndian = tiff[0] === 0x49;
+      if (tiff.length < 8 || (!littleEndian && tiff[0] !== 0x4d)) return null;
+
+      const view = new DataView(tiff.buffer, tiff.byteOffset, tiff.length);
+      const u16 = (offset) => view.getUint16(offset, littleEndian);
+      const u32 = (offset) => view.getUint32(offset, littleEndian);
+      if (u16(2) !== 42) return null;
+
+      const entries = [];
+      const readIfd = (offset, ifd) => {
+        if (offset < 8 || offset + 2 > tiff.length) return;
+        const count = u16(offset);
+
+        for (let i = 0; i < count; i++) {
+          const at = offset + 2 + i * 12;
+          if (at + 12 > tiff.length) break;
+          const tag = u16(at);
+          const type = u16(at + 2);
+          const valueCount = u32(at + 4);
+
+          if (ifd === "ifd0" && tag === EXIF_IFD_POINTER) {
+            readIfd(u32(at + 8), "exif");
+            continue;
+          }
+          if (ifd === "ifd0" && tag === GPS_IFD_POINTER) {
+            readIfd(u32(at + 8), "gps");
+            continue;
+          }
+
+          const size = (TIFF_TYPE_SIZES[type] || 0) * valueCount;
+          const valueAt = size <= 4 ? at + 8 : u32(at + 8);
+          if (!size || valueAt + size > tiff.length) continue;
+          entries.push({
+            ifd,
+            tag,
+            type,
+            count: valueCount,
+            value: tiff.slice(valueAt, valueAt + size),
+          });
+        }
+      };
+
+      readIfd(u32(4), "ifd0");
+      return { littleEndian, entries };
+    }
+
+    /**
+     * Build a TIFF block from entries, keeping their byte order so raw
+     * values can be copied as-is
+     */
+    static _writeTiff(littleEndian, entries, orientation) {
+      const ifds = { ifd0: [], exif: [], gps: [] };
+      entries.forEach((entry) => ifds[entry.ifd].push(entry));
+
+      if (orientation) {
+        const value = new Uint8Array(2);
+        new DataView(value.buffer).setUint16(0, orientation, littleEndian);
+        ifds.ifd0.push({ tag: EXIF_ORIENTATION, type: 3, count: 1, value });
+      }
+
+      const order = ["ifd0"];
+      [
+        ["exif", EXIF_IFD_POINTER],
+        ["gps", GPS_IFD_POINTER],
+      ].forEach(([name, tag]) => {
+        if (!ifds[name].length) return;
+        order.push(name);
+        ifds.ifd0.push({ tag, type: 4, count: 1, target: name });
+      });
+
+      // TIFF requires ascending tags; values over 4 bytes follow the IFDs
+      const offsets = {};
+      let size = 8;
+      order.forEach((name) => {
+        ifds[name].sort((a, b) => a.tag - b.tag);
+        offsets[name] = size;
+        size += 2 + ifds[name].length * 12 + 4;
+      });
+      const dataOffsets = new Map();
+      order.forEach((name) =>
+        ifds[name].forEach((entry) => {
+          if (entry.target || entry.value.length <= 4) return;
+          dataOffsets.set(entry, size);
+          size += entry.value.length + (entry.value.length & 1);
+        })
+      );
+
+      const out = new Uint8Array(size);
+      const view = new DataView(out.buffer);
+      out[0] = out[1] = littleEndian ? 0x49 : 0x4d;
+      view.setUint16(2, 42, littleEndian);
+      view.setUint32(4, 8, littleEndian);
+
+      order.forEach((name) => {
+        let pos = offsets[name];
+        view.setUint16(pos, ifds[name].length, littleEndian);
+        pos += 2;
+        ifds[name].forEach((entry) => {
+          view.setUint16(pos, entry.tag, littleEndian);
+          view.setUint16(pos + 2, entry.type, littleEndian);
+          view.setUint32(pos + 4, entry.count, littleEndian);
+          if (entry.target) {
+            view.setUint32(pos + 8, offsets[entry.target], littleEndian);
+          } else if (dataOffsets.has(entry)) {
+            view.setUint32(pos + 8, dataOffsets.get(entry), littleEndian);
+            out.set(entry.value, dataOffsets.get(entry));
+          } else {
+            out.set(entry.value, pos + 8);
+          }
+          pos += 12;
+        });
+        // Next-IFD offset stays 0: the thumbnail IFD is not carried over
+      });
+
+      return out;
+    }
+
+    // ---------- Containers: writing ----------
+
+    static _writeJpeg(bytes, { exif, icc, xmp }) {
+      const segments = [];
+      const skipped = [];
+      const segment = (marker, ...parts) => {
+        const payload = ImageMetadata._concat(parts);
+        const out = new Uint8Array(payload.length + 4);
+        out[0] = 0xff;
+        out[1] = marker;
+        out[2] = (payload.length + 2) >> 8;
+        out[3] = (payload.length + 2) & 0xff;
+        out.set(payload, 4);
+        segments.push(out);
+      };
+
+      if (exif) {
+        if (exif.length + JPEG_EXIF_HEADER.length > JPEG_SEGMENT_MAX) {
+          skipped.push("exif");
+        } else {
+          segment(0xe1, ImageMetadata._ascii(JPEG_EXIF_HEADER), exif);
+        }
+      }
+      if (xmp) {
+        const data = new TextEncoder().encode(xmp);
+        if (data.length + JPEG_XMP_HEADER.length > JPEG_SEGMENT_MAX) {
+          skipped.push("xmp");
+        } else {
+          segment(0xe1, ImageMetadata._ascii(JPEG_XMP_HEADER), data);
+        }
+      }
+      if (icc) {
+        // Profiles are split over APP2 segments numbered from 1
+        const chunkSize = JPEG_SEGMENT_MAX - JPEG_ICC_HEADER.length - 2;
+        const count = Math.ceil(icc.length / chunkSize);
+        for (let i = 0; i < count; i++) {
+          segment(
+            0xe2,
+            ImageMetadata._ascii(JPEG_ICC_HEADER),
+            Uint8Array.of(i + 1, count),
+            icc.subarray(i * chunkSize, (i + 1) * chunkSize)
+          );
+        }
+      }
+
+      // Insert after SOI and a leading JFIF APP0; drop metadata segments
+      // the encoder may have written itself
+      const kept = [bytes.subarray(0, 2)];
+      let pos = 2;
+      let inserted = false;
+      while (pos + 4 <= bytes.length && bytes[pos] === 0xff) {
+        const marker = bytes[pos + 1];
+        if (marker === 0xda) break;
+        const length = (bytes[pos + 2] << 8) | bytes[pos + 3];
+        const data = bytes.subarray(pos + 4, pos + 2 + length);
+
+        if (!inserted && marker !== 0xe0) {
+          kept.push(...segments);
+          inserted = true;
+        }
+        const replaced =
+          (marker === 0xe1 &&
+            (ImageMetadata._startsWith(data, JPEG_EXIF_HEADER) ||
+              ImageMetadata._startsWith(data, JPEG_XMP_HEADER))) ||
+          (marker === 0xe2 && ImageMetadata._startsWith(data, JPEG_ICC_HEADER));
+        if (!replaced) kept.push(bytes.subarray(pos, pos + 2 + length));
+        pos += 2 + length;
+      }
+      if (!inserted) kept.push(...segments);
+      kept.push(bytes.subarray(pos));
+
+      return { bytes: ImageMetadata._concat(kept), skipped };
+    }
+
+    static async _writePng(bytes, { exif, icc, xmp }) {
+      const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.length);
+      const out = new ByteWriter(bytes.length + 1024);
+      out.write(bytes.subarray(0, 8));
+
+      let pos = 8;
+      while (pos + 8 <= bytes.length) {
+        const length = view.getUint32(pos);
+        const type = String.fromCharCode(...bytes.subarray(pos + 4, pos + 8));
+        const data = bytes.subarray(pos + 8, pos + 8 + length);
+        const chunk = bytes.subarray(pos, pos + 12 + length);
+        pos += 12 + length;
+
+        const isXmp =
+          type === "iTXt" &&
+          ImageMetadata._startsWith(data, `${PNG_XMP_KEYWORD}\0`);
+        // An embedded profile supersedes the sRGB/gAMA/cHRM colour chunks
+        const replaced =
+          type === "eXIf" ||
+          isXmp ||
+          (icc && ["iCCP", "sRGB", "gAMA", "cHRM"].includes(type));
+        if (!replaced) out.write(chunk);
+
+        if (type !== "IHDR") continue;
+        if (icc) {
+          PngCodec._writeChunk(
+            out,
+            "iCCP",
+            ImageMetadata._concat([
+              ImageMetadata._ascii("ICC Profile\0\0"),
+              await Zlib.deflate(icc),
+            ])
+          );
+        }
+        if (exif) PngCodec._writeChunk(out, "eXIf", exif);
+        if (xmp) {
+          PngCodec._writeChunk(
+            out,
+            "iTXt",
+            ImageMetadata._concat([
+              ImageMetadata._ascii(`${PNG_XMP_KEYWORD}\0\0\0\0\0`),
+              new TextEncoder().encode(xmp),
+            ])
+          );
+        }
+      }
+
+      return { bytes: out.toUint8Array(), skipped: [] };
+    }
+
+    static _writeWebp(bytes, { exif, icc, xmp }, { width, height }) {
+      if (!ImageMetadata._startsWith(bytes, "WEBP", 8)) return null;
+      const chunks = ImageMetadata._webpChunks(bytes);
+
+      // Extended format: VP8X, ICCP, image data (with ANIM/ALPH), EXIF, XMP
+      const vp8x = chunks.find((chunk) => chunk.type === "VP8X");
+      let flags = vp8x ? vp8x.data[0] & 0x12 : 0; // Keep animation/alpha
+      const vp8l = chunks.find((chunk) => chunk.type === "VP8L");
+      if (
+        chunks.some((chunk) => chunk.type === "ALPH") ||
+        (vp8l && vp8l.data[4] & 0x10)
+      ) {
+        flags |= 0x10;
+      }
+      if (icc) flags |= 0x20;
+      if (exif) flags |= 0x08;
+      if (xmp) flags |= 0x04;
+
+      const header = new Uint8Array(10);
+      header[0] = flags;
+      const canvasWidth = vp8x
+        ? vp8x.data[4] | (vp8x.data[5] << 8) | (vp8x.data[6] << 16)
+        : width - 1;
+      const canvasHeight = vp8x
+        ? vp8x.data[7] | (vp8x.data[8] << 8) | (vp8x.data[9] << 16)
+        : height - 1;
+      header.set([canvasWidth, canvasWidth >> 8, canvasWidth >> 16], 4);
+      header.set([canvasHeight, canvasHeight >> 8, canvasHeight >> 16], 7);
+
+      const body = [{ type: "VP8X", data: header }];
+      if (icc) body.push({ type: "ICCP", data: icc });
+      chunks
+        .filter(
+          (chunk) => !["VP8X", "ICCP", "EXIF", "XMP "].includes(chunk.type)
+        )
+        .forEach((chunk) => body.push(chunk));
+      if (exif) body.push({ type: "EXIF", data: exif });
+      if (xmp) body.push({ type: "XMP ", data: new TextEncoder().encode(xmp) });
+
+      return { bytes: ImageMetadata._writeWebpChunks(body), skipped: [] };
+    }
+
+    /**
+     * RIFF/WEBP container around chunks ({ type, data })
+     * @param {Object[]} chunks
+     * @returns {Uint8Array}
+     */
+    static _writeWebpChunks(chunks) {
+      const size = chunks.reduce(
+        (sum, chunk) => sum + 8 + chunk.data.length + (chunk.data.length & 1),
+        4
+      );
+      const out = new Uint8Array(8 + size);
+      const view = new DataView(out.buffer);
+      out.set(ImageMetadata._ascii("RIFF"), 0);
+      view.setUint32(4, size, true);
+      out.set(ImageMetadata._ascii("WEBP"), 8);
+
+      let pos = 12;
+      chunks.forEach(({ type, data }) => {
+        out.set(ImageMetadata._ascii(type), pos);
+        view.setUint32(pos + 4, data.length, true);
+        out.set(data, pos + 8);
+        pos += 8 + data.length + (data.length & 1);
+      });
+
+      return out;
+    }
+  }
+
+  // ==================== ANIMATION ====================
+
+  // Palette sizes tried, largest first, to bring a GIF under its target
+  const GIF_COLOR_STEPS = [256, 128, 64, 32, 16];
+
+  // Encoder quality multipliers tried to bring an animated WebP under its
+  // target
+  const WEBP_QUALITY_STEPS = [1, 0.8, 0.6, 0.45, 0.3];
+
+  /**
+   * Frame-by-frame handling of animated GIF, APNG and WebP. An animation is
+   * { width, height, loopCount, duration, hasAlpha, frames: [{ data, delay }] }
+   * where every frame is a full RGBA canvas, delays are in milliseconds and
+   * loopCount 0 repeats forever.
+   */
+  class ImageAnimation {
+    /**
+     * Decode every frame of an animated file
+     * @param {Uint8Array} bytes
+     * @param {string} format - Sniffed MIME type
+     * @returns {Promise<Object|null>} null when the file holds a single frame
+     */
+    static async decode(bytes, format) {
+      let animation = null;
+      if (format === ImageFormat.GIF) {
+        animation = GifCodec.decode(bytes);
+      } else if (format === ImageFormat.PNG) {
+        animation = await PngCodec.decodeAnimation(bytes);
+      } else if (format === ImageFormat.WEBP) {
+        animation = await ImageAnimation._decodeWebp(bytes);
+      }
+      if (!animation || animation.frames.length < 2) return null;
+
+      return {
+        ...animation,
+        duration: animation.frames.reduce((sum, frame) => sum + frame.delay, 0),
+        hasAlpha: animation.frames.some(({ data }) => {
+          for (let i = 3; i < data.length; i += 4)
+            if (data[i] < 255) return true;
+          return false;
+        }),
+      };
+    }
+
+    /**
+     * Draw one frame onto a canvas of the active backend
+     * @param {Object} animation
+     * @param {number} index
+     * @returns {HTMLCanvasElement|OffscreenCanvas|RasterCanvas}
+     */
+    static frameToCanvas({ width, height, frames }, index = 0) {
+      return ImageAnimation._toCanvas(frames[index].data, width, height);
+    }
+
+    /**
+     * Resize (and crop, like still images) every frame
+     * @param {Object} animation
+     * @param {Object} dimensions - From ImageUtils.calculateDimensions()
+     * @param {Object} analysis - Analysis of the first frame
+     * @param {Object} [resize] - Preset resampling { kernel, linear }
+     * @returns {Object} Animation at the new size
+     */
+    static resize(animation, dimensions, analysis, resize = null) {
+      const { width, height } = dimensions;
+      const frameAnalysis = {
+        ...analysis,
+        hasTransparency: animation.hasAlpha,
+      };
+      const frames = animation.frames.map((frame, index) => {
+        const canvas = CompressionEngine.createOptimizedCanvas(
+          ImageAnimation.frameToCanvas(animation, index),
+          dimensions,
+          frameAnalysis,
+          resize
+        );
+        const { data } = canvas
+          .getContext("2d")
+          .getImageData(0, 0, width, height);
+        return { data, delay: frame.delay };
+      });
+      return { ...animation, width, height, frames };
+    }
+
+    /**
+     * Encode as GIF or animated WebP, stepping the palette size (GIF) or
+     * encoder quality (WebP) down until the output fits targetSize
+     * @param {Object} animation
+     * @param {string} format - ImageFormat.GIF or ImageFormat.WEBP
+     * @param {Object} options
+     * @param {number} [options.targetSize] - Bytes; null encodes once
+     * @param {number} [options.quality] - WebP encoder quality (0-1)
+     * @param {AbortSignal} [options.signal] - Checked before every encode
+     * @returns {Promise<Object>} { blob, colors?, quality?, sizeMet }
+     */
+    static async compress(
+      animation,
+      format,
+      { targetSize = null, quality = 0.8, signal } = {}
+    ) {
+      const steps =
+        format === ImageFormat.GIF
+          ? GIF_COLOR_STEPS.map((colors) => ({ colors }))
+          : WEBP_QUALITY_STEPS.map((factor) => ({ quality: quality * factor }));
+
+      let best = null;
+      for (const step of targetSize ? steps : steps.slice(0, 1)) {
+        await checkpoint(signal);
+        const blob = await ImageAnimation.encode(animation, format, step);
+        if (!best || blob.size < best.blob.size) best = { ...step, blob };
+        if (!targetSize || blob.size <= targetSize) break;
+      }
+
+      return { ...best, sizeMet: !targetSize || best.blob.size <= targetSize };
+    }
+
+    /**
+     * Encode once
+     * @param {Object} animation
+     * @param {string} format - ImageFormat.GIF or ImageFormat.WEBP
+     * @param {Object} options - { colors } for GIF, { quality } for WebP
+     * @returns {Promise<Blob>}
+     */
+    static async encode(
+      animation,
+      format,
+      { colors = 256, quality = 0.8 } = {}
+    ) {
+      if (format === ImageFormat.GIF) {
+        return new Blob([GifCodec.encode(animation, { colors })], {
+          type: ImageFormat.GIF,
+        });
+      }
+      if (format === ImageFormat.WEBP) {
+        return ImageAnimation._encodeWebp(animation, quality);
+      }
+      throw new UnsupportedFormatError(`Cannot encode animated ${format}`, {
+        format,
+      });
+    }
+
+    static _toCanvas(data, width, height) {
+      const canvas = ImageUtils.createCanvas(width, height);
+      const ctx = canvas.getContext("2d");
+      const imageData = ctx.createImageData(width, height);
+      imageData.data.set(data);
+      ctx.putImageData(imageData, 0, 0);
+      return canvas;
+    }
+
+    /**
+     * Frames of an animated WebP. Each ANMF frame is rewrapped as a still
+     * WebP and decoded by the active backend.
+     */
+    static async _decodeWebp(bytes) {
+      if (!ImageMetadata._startsWith(bytes, "WEBP", 8)) return null;
+      const chunks = ImageMetadata._webpChunks(bytes);
+      const vp8x = chunks.find((chunk) => chunk.type === "VP8X");
+      const anim = chunks.find((chunk) => chunk.type === "ANIM");
+      if (!vp8x || !anim) return null;
+
+      const u24 = (data, at) =>
+        data[at] | (data[at + 1] << 8) | (data[at + 2] << 16);
+      const width = u24(vp8x.data, 4) + 1;
+      const height = u24(vp8x.data, 7) + 1;
+      const canvas = new Uint8ClampedArray(width * height * 4);
+      const frames = [];
+      let dispose = null;
+
+      for (const { type, data } of chunks) {
+        if (type !== "ANMF") continue;
+        const rect = {
+          x: u24(data, 0) * 2,
+          y: u24(data, 3) * 2,
+          w: u24(data, 6) + 1,
+          h: u24(data, 9) + 1,
+        };
+        const delay = u24(data, 12);
+        const blend = !(data[15] & 0x02);
+
+        const parts = ImageMetadata._webpChunks(data, 16).filter((chunk) =>
+          ["ALPH", "VP8 ", "VP8L"].includes(chunk.type)
+        );
+        const still = parts.some((chunk) => chunk.type === "ALPH")
+          ? [ImageAnimation._vp8x(0x10, rect.w, rect.h), ...parts]
+          : parts;
+        const pixels = await ImageUtils.getImageData(
+          new Blob([ImageMetadata._writeWebpChunks(still)], {
+            type: ImageFormat.WEBP,
+          })
+        );
+
+        if (dispose) GifCodec._clearRect(canvas, width, dispose);
+        dispose = data[15] & 0x01 ? rect : null;
+        ImageAnimation._drawFrame(
+          canvas,
+          width,
+          height,
+          pixels.data,
+          rect,
+          blend
+        );
+        frames.push({ data: canvas.slice(), delay });
+      }
+
+      return {
+        width,
+        height,
+        loopCount: anim.data[4] | (anim.data[5] << 8),
+        frames,
+      };
+    }
+
+    /**
+     * Animated WebP from frames encoded by the active backend. Each frame
+     * after the first only carries the rectangle that changed.
+     */
+    static async _encodeWebp(
+      { width, height, loopCount, hasAlpha, frames },
+      quality
+    ) {
+      const anmf = [];
+      let previous = null;
+
+      for (const frame of frames) {
+        const rect = previous
+          ? ImageAnimation._changedRect(previous, frame.data, width, height)
+          : { x: 0, y: 0, w: width, h: height };
+        previous = frame.data;
+        if (!rect) {
+          anmf[anmf.length - 1].delay += frame.delay;
+          continue;
+        }
+
+        const cropped = new Uint8ClampedArray(rect.w * rect.h * 4);
+        for (let row = 0; row < rect.h; row++) {
+          const start = ((rect.y + row) * width + rect.x) * 4;
+          cropped.set(
+            frame.data.subarray(start, start + rect.w * 4),
+            row * rect.w * 4
+          );
+        }
+        const blob = await ImageUtils.canvasToBlob(
+          ImageAnimation._toCanvas(cropped, rect.w, rect.h),
+          ImageFormat.WEBP,
+          quality
+        );
+        if (blob.type !== ImageFormat.WEBP) {
+          throw new UnsupportedFormatError("WebP encoding is not available", {
+            format: ImageFormat.WEBP,
+          });
+        }
+        const parts = ImageMetadata._webpChunks(
+          new Uint8Array(await blob.arrayBuffer())
+        ).filter((chunk) => ["ALPH", "VP8 ", "VP8L"].includes(chunk.type));
+        anmf.push({ rect, delay: frame.delay, parts });
+      }
+
+      const u24 = (value) => [
+        value & 0xff,
+        (value >> 8) & 0xff,
+        (value >> 16) & 0xff,
+      ];
+      const chunks = [
+        ImageAnimation._vp8x(hasAlpha ? 0x12 : 0x02, width, height),
+        {
+          type: "ANIM",
+          data: new Uint8Array([
+            0,
+            0,
+            0,
+            0,
+            loopCount & 0xff,
+            (loopCount >> 8) & 0xff,
+          ]),
+        },
+        ...anmf.map(({ rect, delay, parts }) => {
+          const header = new Uint8Array([
+            ...u24(rect.x / 2),
+            ...u24(rect.y / 2),
+            ...u24(rect.w - 1),
+            ...u24(rect.h - 1),
+            ...u24(Math.min(0xffffff, Math.round(delay))),
+            0x02, // Replace the rectangle instead of blending; no disposal
+          ]);
+          const body = ImageMetadata._writeWebpChunks(parts).subarray(12);
+          const data = new Uint8Array(header.length + body.length);
+          data.set(header);
+          data.set(body, header.length);
+          return { type: "ANMF", data };
+        }),
+      ];
+
+      return new Blob([ImageMetadata._writeWebpChunks(chunks)], {
+        type: ImageFormat.WEBP,
+      });
+    }
+
+    /**
+     * Bounding box of the pixels that differ, widened to even offsets as
+     * ANMF requires; null when nothing changed
+     */
+    static _changedRect(before, after, width, height) {
+      let x0 = width;
+      let y0 = height;
+      let x1 = -1;
+      let y1 = -1;
+      for (let y = 0, i = 0; y < height; y++) {
+        for (let x = 0; x < width; x++, i += 4) {
+          if (
+            before[i] === after[i] &&
+            before[i + 1] === after[i + 1] &&
+            before[i + 2] === after[i + 2] &&
+            before[i + 3] === after[i + 3]
+          ) {
+            continue;
+          }
+          if (x < x0) x0 = x;
+          if (x > x1) x1 = x;
+          if (y < y0) y0 = y;
+          y1 = y;
+        }
+      }
+      if (x1 < 0) return null;
+      x0 &= ~1;
+      y0 &= ~1;
+      return { x: x0, y: y0, w: x1 - x0 + 1, h: y1 - y0 + 1 };
+    }
+
+    static _drawFrame(canvas, width, height, pixels, rect, blend) {
+      for (let row = 0; row < rect.h && rect.y + row < height; row++) {
+        for (let col = 0; col < rect.w && rect.x + col < width; col++) {
+          const s = (row * rect.w + col) * 4;
+          const o = ((rect.y + row) * width + rect.x + col) * 4;
+          const alpha = pixels[s + 3];
+          if (!blend || alpha === 255) {
+            canvas.set(pixels.subarray(s, s + 4), o);
+          } else if (alpha > 0) {
+            const below = (canvas[o + 3] * (255 - alpha)) / 255;
+            const total = alpha + below;
+            for (let c = 0; c < 3; c++) {
+              canvas[o + c] =
+                (pixels[s + c] * alpha + canvas[o + c] * below) / total;
+            }
+            canvas[o + 3] = total;
+          }
+        }
+      }
+    }
+
+    static _vp8x(flags, width, height) {
+      const data = new Uint8Array(10);
+      data[0] = flags;
+      data.set([width - 1, (width - 1) >> 8, (width - 1) >> 16], 4);
+      data.set([height - 1, (height - 1) >> 8, (height - 1) >> 16], 7);
+      return { type: "VP8X", data };
+    }
+  }
+
+  // ==================== UTILITY FUNCTIONS ====================
+
+  // Bytes fetched up front by ImageUtils.probe(); parsers slice further
+  // into the file only when a header runs past this
+  const PROBE_HEAD_SIZE = 16 * 1024;
+
+  // ISO-BMFF brands (ftyp) and the formats they identify
+  const HEIF_BRANDS = {
+    avif: ImageFormat.AVIF,
+    avis: ImageFormat.AVIF,
+    heic: ImageFormat.HEIC,
+    heix: ImageFormat.HEIC,
+    heim: ImageFormat.HEIC,
+    heis: ImageFormat.HEIC,
+    hevc: ImageFormat.HEIC,
+    hevx: ImageFormat.HEIC,
+    mif1: ImageFormat.HEIF,
+    msf1: ImageFormat.HEIF,
+  };
+
+  // Brands that mark an image sequence rather than a still image
+  const HEIF_SEQUENCE_BRANDS = ["avis", "msf1", "hevc", "hevx", "heis"];
+
+  // SVG may open with a UTF-8 BOM, an XML declaration, comments and a
+  // doctype (matched against the bytes read as Latin-1)
+  const SVG_SNIFF_PATTERN =
+    /^(\xEF\xBB\xBF)?\s*(<\?xml[^>]*>\s*)?((<!--[\s\S]*?-->|<!DOCTYPE[^>]*>)\s*)*<svg[\s>/]/i;
+
+  /**
+   * Built-in file signatures, checked after registered ones. `bytes` may
+   * hold null for "any byte"; `test` handles what a fixed pattern cannot.
+   */
+  const BUILTIN_SIGNATURES = [
+    { type: ImageFormat.JPEG, bytes: [0xff, 0xd8, 0xff] },
+    {
+      type: ImageFormat.PNG,
+      bytes: [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a],
+    },
+    { type: ImageFormat.GIF, bytes: [0x47, 0x49, 0x46, 0x38] }, // GIF8
+    {
+      // RIFF, size, then the WEBP fourcc (WAV and AVI are RIFF too)
+      type: ImageFormat.WEBP,
+      bytes: [
+        0x52,
+        0x49,
+        0x46,
+        0x46,
+        null,
+        null,
+        null,
+        null,
+        0x57,
+        0x45,
+        0x42,
+        0x50,
+      ],
+    },
+    { type: ImageFormat.BMP, bytes: [0x42, 0x4d] },
+    { type: ImageFormat.TIFF, bytes: [0x49, 0x49, 0x2a, 0x00] },
+    { type: ImageFormat.TIFF, bytes: [0x4d, 0x4d, 0x00, 0x2a] },
+    { type: ImageFormat.ICO, bytes: [0x00, 0x00, 0x01, 0x00] },
+    { type: ImageFormat.JXL, bytes: [0xff, 0x0a] }, // Bare codestream
+    {
+      type: ImageFormat.JXL,
+      bytes: [0, 0, 0, 0x0c, 0x4a, 0x58, 0x4c, 0x20, 0x0d, 0x0a, 0x87, 0x0a],
+    },
+    { type: null, test: (bytes) => ImageUtils._sniffFtyp(bytes) },
+    {
+      type: ImageFormat.SVG,
+      test: (bytes) =>
+        SVG_SNIFF_PATTERN.test(
+          ImageUtils._readAscii(bytes, 0, Math.min(bytes.length, 4096))
+        ),
+    },
+  ];
+
+  // Signatures added with ImageUtils.registerSignature(), newest first
+  const signatureRegistry = [];
+
+  const HEIF_ALPHA_URNS = [
+    "urn:mpeg:mpegB:cicp:systems:auxiliary:alpha",
+    "urn:mpeg:hevc:2015:auxid:1",
+  ];
+
+  // EXIF orientation for "mirror horizontally (or not), then rotate
+  // clockwise by N degrees"
+  const ORIENTATION_FROM_TRANSFORM = {
+    "0,0": 1,
+    "1,0": 2,
+    "0,180": 3,
+    "1,180": 4,
+    "1,270": 5,
+    "0,90": 6,
+    "1,90": 7,
+    "0,270": 8,
+  };
+
+  /**
+   * Random access to a Blob through slice(). The first read from offset 0
+   * is kept so header parsers can revisit it without another slice.
+   */
+  class BlobReader {
+    constructor(blob) {
+      this.blob = blob;
+      this.size = blob.size;
+      this.head = new Uint8Array(0);
+    }
+
+    /**
+     * @param {number} offset
+     * @param {number} length
+     * @returns {Promise<Uint8Array>} Shorter than length at end of file
+     */
+    async read(offset, length) {
+      if (offset + length <= this.head.length) {
+        return this.head.subarray(offset, offset + length);
+      }
+      const bytes = new Uint8Array(
+        await this.blob.slice(offset, offset + length).arrayBuffer()
+      );
+      if (offset === 0 && bytes.length > this.head.length) this.head = bytes;
+      return bytes;
+    }
+
+    /**
+     * Read exactly length bytes or throw
+     */
+    async readExactly(offset, length) {
+      const bytes = await this.read(offset, length);
+      if (bytes.length < length) throw new Error("Unexpected end of file");
+      return bytes;
+    }
+  }
+
+  class ImageUtils {
+    /**
+     * Detect file type from magic bytes. Registered signatures are tried
+     * before the built-in ones, so they can refine or override them.
+     * @param {Uint8Array} bytes - File bytes (the first few KB suffice)
+     * @returns {string|null} MIME type, or null if unrecognized
+     */
+    static detectMimeType(bytes) {
+      for (const sig of [...signatureRegistry, ...BUILTIN_SIGNATURES]) {
+        if (sig.test) {
+          const result = sig.test(bytes);
+          if (typeof result === "string") return result;
+          if (result && sig.type) return sig.type;
+          continue;
+        }
+
+        const offset = sig.offset || 0;
+        if (
+          bytes.length >= offset + sig.bytes.length &&
+          sig.bytes.every(
+            (byte, i) => byte === null || bytes[offset + i] === byte
+          )
+        ) {
+          return sig.type;
+        }
+      }
+
+      return null;
+    }
+
+    /**
+     * Register a file signature for detectMimeType() and validateFile()
+     * @param {Object} signature - { type, bytes?, offset?, test? }; test(bytes) returns a boolean or a MIME type
+     * @returns {Object}
+     */
+    static registerSignature(signature) {
+      const { type, bytes, test } = signature || {};
+      if (
+        (typeof test !== "function" && !Array.isArray(bytes)) ||
+        (typeof type !== "string" && typeof test !== "function")
+      ) {
+        throw new InvalidInputError(
+          "Signature requires a type and either bytes or a test function"
+        );
+      }
+      signatureRegistry.unshift(signature);
+      return signature;
+    }
+
+    /**
+     * Read just enough of a file to detect its type
+     * @param {File|Blob} file
+     * @returns {Promise<string|null>}
+     */
+    static async sniffMimeType(file) {
+      const head = await file.slice(0, PROBE_HEAD_SIZE).arrayBuffer();
+      return ImageUtils.detectMimeType(new Uint8Array(head));
+    }
+
+    /**
+     * ISO-BMFF (AVIF/HEIF) type from the ftyp box: the major brand if it
+     * is specific, else the first specific compatible brand
+     */
+    static _sniffFtyp(bytes) {
+      if (bytes.length < 12 || ImageUtils._readAscii(bytes, 4, 4) !== "ftyp") {
+        return null;
+      }
+      const size = new DataView(bytes.buffer, bytes.byteOffset, 4).getUint32(0);
+      const brands = [ImageUtils._readAscii(bytes, 8, 4)];
+      for (let pos = 16; pos + 4 <= Math.min(size, bytes.length); pos += 4) {
+        brands.push(ImageUtils._readAscii(bytes, pos, 4));
+      }
+      const known = brands.filter((brand) => HEIF_BRANDS[brand]);
+      const specific = known.find(
+        (brand) => HEIF_BRANDS[brand] !== ImageFormat.HEIF
+      );
+      return HEIF_BRANDS[specific || known[0]] || null;
+    }
+
+    /**
+     * Check if image has animation (GIF, APNG, WebP or an AVIF/HEIF
+     * sequence), from the header only
+     * @param {File} file - Image file
+     * @returns {Promise<boolean>}
+     */
+    static async isAnimated(file) {
+      const probe = await ImageUtils.probe(file).catch(() => null);
+      return !!(probe && probe.isAnimated);
+    }
+
+    /**
+     * Read format, dimensions, bit depth, alpha, animation and orientation
+     * from the file header without decoding. Only the first few KB are
+     * read (plus any header segments they point to), via Blob.slice.
+     * @param {File|Blob} file
+     * @returns {Promise<Object>} { format, width, height, bitDepth, hasAlpha, isAnimated, orientation }
+     */
+    static async probe(file) {
+      const reader = new BlobReader(file);
+      const head = await reader.read(0, PROBE_HEAD_SIZE);
+      const format = ImageUtils.detectMimeType(head);
+      const result = {
+        format,
+        width: null,
+        height: null,
+        bitDepth: null,
+        hasAlpha: null,
+        isAnimated: false,
+        orientation: 1,
+      };
+
+      const parsers = {
+        [ImageFormat.JPEG]: ImageUtils._probeJpeg,
+        [ImageFormat.PNG]: ImageUtils._probePng,
+        [ImageFormat.GIF]: ImageUtils._probeGif,
+        [ImageFormat.WEBP]: ImageUtils._probeWebp,
+        [ImageFormat.BMP]: ImageUtils._probeBmp,
+        [ImageFormat.TIFF]: ImageUtils._probeTiff,
+        [ImageFormat.AVIF]: ImageUtils._probeHeif,
+        [ImageFormat.HEIC]: ImageUtils._probeHeif,
+        [ImageFormat.HEIF]: ImageUtils._probeHeif,
+      };
+      const parser = parsers[format];
+      if (!parser) return result;
+
+      try {
+        return { ...result, ...(await parser(reader, head)) };
+      } catch (error) {
+        throw new DecodeError(`Unreadable ${format} header: ${error.message}`, {
+          format,
+          cause: error,
+        });
+      }
+    }
+
+    static _readAscii(bytes, offset, length) {
+      return String.fromCharCode(...bytes.subarray(offset, offset + length));
+    }
+
+    static async _probeJpeg(reader) {
+      let pos = 2;
+      let orientation = 1;
+
+      while (pos + 4 <= reader.size) {
+        const marker = await reader.readExactly(pos, 4);
+        if (marker[0] !== 0xff) throw new Error("missing marker");
+        const type = marker[1];
+        if (type === 0xff) {
+          pos++; // Fill byte
+          continue;
+        }
+        if (type === 0x01 || (type >= 0xd0 && type <= 0xd8)) {
+          pos += 2; // Standalone markers
+          continue;
+        }
+        if (type === 0xd9 || type === 0xda) break;
+
+        const length = (marker[2] << 8) | marker[3];
+        const isFrame =
+          type >= 0xc0 &&
+          type <= 0xcf &&
+          type !== 0xc4 &&
+          type !== 0xc8 &&
+          type !== 0xcc;
+
+        if (isFrame) {
+          const sof = await reader.readExactly(pos + 4, 6);
+          return {
+            width: (sof[3] << 8) | sof[4],
+            height: (sof[1] << 8) | sof[2],
+            bitDepth: sof[0],
+            hasAlpha: false,
+            isAnimated: false,
+            orientation,
+          };
+        }
+        if (type === 0xe1 && orientation === 1) {
+          const data = await reader.read(pos + 4, length - 2);
+          if (ImageMetadata._startsWith(data, JPEG_EXIF_HEADER)) {
+            const tags = await ImageUtils._readTiffTags(
+              new BlobReader(new Blob([data.subarray(JPEG_EXIF_HEADER.length)]))
+            );
+            orientation = ImageUtils._validOrientation(tags[EXIF_ORIENTATION]);
+          }
+        }
+        pos += 2 + length;
+      }
+
+      throw new Error("no frame header before image data");
+    }
+
+    static async _probePng(reader, head) {
+      if (head.length < 33 || ImageUtils._readAscii(head, 12, 4) !== "IHDR") {
+        throw new Error("missing IHDR");
+      }
+      const view = new DataView(head.buffer, head.byteOffset, head.length);
+      const colorType = head[25];
+      const result = {
+        width: view.getUint32(16),
+        height: view.getUint32(20),
+        bitDepth: head[24],
+        hasAlpha: colorType === 4 || colorType === 6,
+        isAnimated: false,
+        orientation: 1,
+      };
+
+      // Ancillary chunks that matter here all precede IDAT
+      let pos = 33;
+      while (pos + 8 <= reader.size) {
+        const header = await reader.readExactly(pos, 8);
+        const length = new DataView(header.buffer, header.byteOffset).getUint32(
+          0
+        );
+        const type = ImageUtils._readAscii(header, 4, 4);
+        if (type === "IDAT" || type === "IEND") break;
+
+        if (type === "tRNS") {
+          result.hasAlpha = true;
+        } else if (type === "acTL") {
+          const data = await reader.readExactly(pos + 8, 4);
+          result.isAnimated =
+            new DataView(data.buffer, data.byteOffset).getUint32(0) > 1;
+        } else if (type === "eXIf") {
+          const data = await reader.readExactly(pos + 8, length);
+          const tags = await ImageUtils._readTiffTags(
+            new BlobReader(new Blob([data]))
+          );
+          result.orientation = ImageUtils._validOrientation(
+            tags[EXIF_ORIENTATION]
+          );
+        }
+        pos += 12 + length;
+      }
+
+      return result;
+    }
+
+    static async _probeGif(reader, head) {
+      if (head.length < 13) throw new Error("truncated header");
+      const packed = head[10];
+      const result = {
+        width: head[6] | (head[7] << 8),
+        height: head[8] | (head[9] << 8),
+        bitDepth: packed & 0x80 ? (packed & 0x07) + 1 : 8,
+        hasAlpha: false,
+        isAnimated: false,
+        orientation: 1,
+      };
+
+      // Walk blocks within the head only: a looping extension or a second
+      // frame there means animation, without reading the pixel data
+      let pos = 13 + (packed & 0x80 ? 3 << ((packed & 0x07) + 1) : 0);
+      let frames = 0;
+      const skipSubBlocks = () => {
+        while (pos < head.length && head[pos] !== 0) pos += head[pos] + 1;
+        pos++;
+      };
+
+      while (pos < head.length) {
+        const block = head[pos];
+        if (block === 0x21) {
+          const label = head[pos + 1];
+          if (label === 0xf9 && head[pos + 3] & 0x01) result.hasAlpha = true;
+          if (label === 0xff) {
+            const app = ImageUtils._readAscii(head, pos + 3, 11);
+            if (app === "NETSCAPE2.0" || app === "ANIMEXTS1.0") {
+              result.isAnimated = true;
+            }
+          }
+          pos += 2;
+          skipSubBlocks();
+        } else if (block === 0x2c) {
+          if (++frames > 1) {
+            result.isAnimated = true;
+            break;
+          }
+          const local = head[pos + 9];
+          pos += 10 + (local & 0x80 ? 3 << ((local & 0x07) + 1) : 0) + 1;
+          skipSubBlocks();
+        } else {
+          break; // Trailer or the end of what was read
+        }
+      }
+
+      return result;
+    }
+
+    static async _probeWebp(reader) {
+      const result = {
+        width: null,
+        height: null,
+        bitDepth: 8,
+        hasAlpha: false,
+        isAnimated: false,
+        orientation: 1,
+      };
+      let hasExif = false;
+      let pos = 12;
+
+      while (pos + 8 <= reader.size) {
+        const header = await reader.readExactly(pos, 8);
+        const type = ImageUtils._readAscii(header, 0, 4);
+        const size = new DataView(header.buffer, header.byteOffset).getUint32(
+          4,
+          true
+        );
+
+        if (type === "VP8X") {
+          const data = await reader.readExactly(pos + 8, 10);
+          result.hasAlpha = !!(data[0] & 0x10);
+          result.isAnimated = !!(data[0] & 0x02);
+          hasExif = !!(data[0] & 0x08);
+          result.width = 1 + (data[4] | (data[5] << 8) | (data[6] << 16));
+          result.height = 1 + (data[7] | (data[8] << 8) | (data[9] << 16));
+          if (!hasExif) return result;
+        } else if (type === "VP8 " && result.width === null) {
+          const data = await reader.readExactly(pos + 8, 10);
+          if (data[3] !== 0x9d || data[4] !== 0x01 || data[5] !== 0x2a) {
+            throw new Error("bad VP8 start code");
+          }
+          result.width = (data[6] | (data[7] << 8)) & 0x3fff;
+          result.height = (data[8] | (data[9] << 8)) & 0x3fff;
+          return result;
+        } else if (type === "VP8L" && result.width === null) {
+          const data = await reader.readExactly(pos + 8, 5);
+          if (data[0] !== 0x2f) throw new Error("bad VP8L signature");
+          const bits =
+            (data[1] | (data[2] << 8) | (data[3] << 16) | (data[4] << 24)) >>>
+            0;
+          result.width = (bits & 0x3fff) + 1;
+          result.height = ((bits >>> 14) & 0x3fff) + 1;
+          result.hasAlpha = !!((bits >>> 28) & 1);
+          return result;
+        } else if (type === "EXIF") {
+          let data = await reader.readExactly(pos + 8, size);
+          if (ImageMetadata._startsWith(data, JPEG_EXIF_HEADER)) {
+            data = data.subarray(JPEG_EXIF_HEADER.length);
+          }
+          const tags = await ImageUtils._readTiffTags(
+            new BlobReader(new Blob([data]))
+          );
+          result.orientation = ImageUtils._validOrientation(
+            tags[EXIF_ORIENTATION]
+          );
+          return result;
+        }
+        pos += 8 + size + (size & 1);
+      }
+
+      if (result.width === null) throw new Error("no image chunk");
+      return result;
+    }
+
+    static async _probeBmp(reader, head) {
+      if (head.length < 30) throw new Error("truncated header");
+      const view = new DataView(head.buffer, head.byteOffset, head.length);
+      const dibSize = view.getUint32(14, true);
+
+      if (dibSize === 12) {
+        // OS/2 BITMAPCOREHEADER
+        return {
+          width: view.getUint16(18, true),
+          height: view.getUint16(20, true),
+          bitDepth: view.getUint16(24, true),
+          hasAlpha: false,
+          isAnimated: false,
+          orientation: 1,
+        };
+      }
+
+      const bitDepth = view.getUint16(28, true);
+      // V3+ headers carry an alpha mask right after the RGB masks
+      const hasAlpha =
+        bitDepth === 32 &&
+        dibSize >= 56 &&
+        head.length >= 70 &&
+        view.getUint32(66, true) !== 0;
+      return {
+        width: view.getInt32(18, true),
+        height: Math.abs(view.getInt32(22, true)), // Negative: top-down rows
+        bitDepth,
+        hasAlpha,
+        isAnimated: false,
+        orientation: 1,
+      };
+    }
+
+    static async _probeTiff(reader) {
+      const tags = await ImageUtils._readTiffTags(reader);
+      if (!tags[0x0100] || !tags[0x0101]) throw new Error("missing size tags");
+      return {
+        width: tags[0x0100],
+        height: tags[0x0101],
+        bitDepth: tags[0x0102] || 1,
+        hasAlpha: tags[0x0152] !== undefined, // ExtraSamples
+        isAnimated: false,
+        orientation: ImageUtils._validOrientation(tags[EXIF_ORIENTATION]),
+      };
+    }
+
+    /**
+     * First SHORT/LONG value of each IFD0 tag of a TIFF block
+     * @param {BlobReader} reader - Positioned at the TIFF header
+     * @returns {Promise<Object>} tag -> value
+     */
+    static async _readTiffTags(reader) {
+      const header = await reader.readExactly(0, 8);
+      const littleEndian = header[0] === 0x49;
+      const headerView = new DataView(header.buffer, header.byteOffset, 8);
+      if (headerView.getUint16(2, littleEndian) !== 42) {
+        throw new Error("bad TIFF header");
+      }
+
+      const ifd = headerView.getUint32(4, littleEndian);
+      const countBytes = await reader.readExactly(ifd, 2);
+      const count = new DataView(
+        countBytes.buffer,
+        countBytes.byteOffset
+      ).getUint16(0, littleEndian);
+      const entries = await reader.read(ifd + 2, count * 12);
+      const view = new DataView(
+        entries.buffer,
+        entries.byteOffset,
+        entries.length
+      );
+
+      const tags = {};
+      for (let at = 0; at + 12 <= entries.length; at += 12) {
+        const tag = view.getUint16(at, littleEndian);
+        const size = TIFF_TYPE_SIZES[view.getUint16(at + 2, littleEndian)];
+        if (size !== 2 && size !== 4) continue;
+
+        // Values over 4 bytes live elsewhere; only the first is needed
+        const valueCount = view.getUint32(at + 4, littleEndian);
+        let value = entries.subarray(at + 8, at + 8 + size);
+        if (size * valueCount > 4) {
+          value = await reader.readExactly(
+            view.getUint32(at + 8, littleEndian),
+            size
+          );
+        }
+        const valueView = new DataView(value.buffer, value.byteOffset, size);
+        tags[tag] =
+          size === 2
+            ? valueView.getUint16(0, littleEndian)
+            : valueView.getUint32(0, littleEndian);
+      }
+      return tags;
+    }
+
+    static _validOrientation(value) {
+      return value >= 1 && value <= 8 ? value : 1;
+    }
+
+    static async _probeHeif(reader) {
+      const boxes = (bytes, start, end) => {
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.length);
+        const found = [];
+        let pos = start;
+        while (pos + 8 <= end) {
+          let size = view.getUint32(pos);
+          let headerSize = 8;
+          if (size === 1) {
+            size = Number(view.getBigUint64(pos + 8));
+            headerSize = 16;
+          } else if (size === 0) {
+            size = end - pos;
+          }
+          if (size < headerSize) break;
+          found.push({
+            type: ImageUtils._readAscii(bytes, pos + 4, 4),
+            start: pos + headerSize,
+            end: Math.min(pos + size, end),
+          });
+          pos += size;
+        }
+        return found;
+      };
+
+      // Top-level boxes are walked through the reader so only ftyp and
+      // meta are fetched, however large mdat is
+      const top = {};
+      let pos = 0;
+      while (pos + 8 <= reader.size && !(top.ftyp && top.meta)) {
+        const header = await reader.read(pos, 16);
+        const view = new DataView(header.buffer, header.byteOffset, 8);
+        const type = ImageUtils._readAscii(header, 4, 4);
+        let size = view.getUint32(0);
+        let headerSize = 8;
+        if (size === 1) {
+          if (header.length < 16) throw new Error("truncated box header");
+          size = Number(
+            new DataView(header.buffer, header.byteOffset + 8, 8).getBigUint64(
+              0
+            )
+          );
+          headerSize = 16;
+        } else if (size === 0) {
+          size = reader.size - pos;
+        }
+        if (size < headerSize) throw new Error(`bad ${type} box size`);
+        if ((type === "ftyp" || type === "meta") && !top[type]) {
+          top[type] = {
+            bytes: await reader.readExactly(pos, size),
+            start: headerSize,
+          };
+        }
+        pos += size;
+      }
+      if (!top.meta) throw new Error("missing meta box");
+
+      const { ftyp } = top;
+      const brands = [ImageUtils._readAscii(ftyp.bytes, ftyp.start, 4)];
+      for (let at = ftyp.start + 8; at + 4 <= ftyp.bytes.length; at += 4) {
+        brands.push(ImageUtils._readAscii(ftyp.bytes, at, 4));
+      }
+
+      const meta = top.meta.bytes;
+      const children = boxes(meta, top.meta.start + 4, meta.length);
+      const child = (type, list = children) =>
+        list.find((box) => box.type === type);
+      const view = new DataView(meta.buffer, meta.byteOffset, meta.length);
+
+      const pitm = child("pitm");
+      const primary = !pitm
+        ? 1
+        : meta[pitm.start] === 0
+        ? view.getUint16(pitm.start + 4)
+        : view.getUint32(pitm.start + 4);
+
+      const iprp = child("iprp");
+      if (!iprp) throw new Error("missing item properties");
+      const iprpChildren = boxes(meta, iprp.start, iprp.end);
+      const ipco = child("ipco", iprpChildren);
+      const properties = ipco ? boxes(meta, ipco.start, ipco.end) : [];
+
+      // Property indices (1-based) associated with the primary item, in order
+      const associated = [];
+      iprpChildren
+        .filter((box) => box.type === "ipma")
+        .forEach((ipma) => {
+          const version = meta[ipma.start];
+          const wide = meta[ipma.start + 3] & 1;
+          let pos = ipma.start + 4;
+          const entryCount = view.getUint32(pos);
+          pos += 4;
+          for (let i = 0; i < entryCount && pos < ipma.end; i++) {
+            const itemId =
+              version < 1 ? view.getUint16(pos) : view.getUint32(pos);
+            pos += version < 1 ? 2 : 4;
+            const count = meta[pos++];
+            for (let j = 0; j < count; j++) {
+              const index = wide
+                ? view.getUint16(pos) & 0x7fff
+                : meta[pos] & 0x7f;
+              pos += wide ? 2 : 1;
+              if (itemId === primary && index > 0) {
+                associated.push(properties[index - 1]);
+              }
+            }
+          }
+        });
+
+      const result = {
+        width: null,
+        height: null,
+        bitDepth: 8,
+        hasAlpha: properties.some(
+          (box) =>
+            box.type === "auxC" &&
+            HEIF_ALPHA_URNS.includes(
+              ImageUtils._readAscii(
+                meta,
+                box.start + 4,
+                box.end - box.start - 4
+              ).split("\0")[0]
+            )
+        ),
+        isAnimated: brands.some((brand) =>
+          HEIF_SEQUENCE_BRANDS.includes(brand)
+        ),
+        orientation: 1,
+      };
+
+      // Transformations apply in association order; tracked as "mirror
+      // horizontally, then rotate clockwise"
+      let mirrored = 0;
+      let rotation = 0;
+      associated.filter(Boolean).forEach((box) => {
+        if (box.type === "ispe") {
+          result.width = view.getUint32(box.start + 4);
+          result.height = view.getUint32(box.start + 8);
+        } else if (box.type === "pixi") {
+          result.bitDepth = meta[box.start + 5];
+        } else if (box.type === "irot") {
+          // Anticlockwise quarter turns
+          rotation = (rotation + 360 - (meta[box.start] & 3) * 90) % 360;
+        } else if (box.type === "imir") {
+          // Axis 0 mirrors left-right, 1 top-bottom (= left-right + 180)
+          mirrored ^= 1;
+          rotation = ((meta[box.start] & 1 ? 180 : 0) - rotation + 360) % 360;
+        }
+      });
+      result.orientation =
+        ORIENTATION_FROM_TRANSFORM[`${mirrored},${rotation}`] || 1;
+
+      if (result.width === null) throw new Error("missing ispe property");
+      return result;
+    }
+
+    /**
+     * Load image from file/blob with the active backend
+     * @param {File|Blob} file - Image file
+     * @param {Object} options - Decode options ({ colorSpaceConversion })
+     * @returns {Promise<HTMLImageElement|ImageBitmap|RasterImage>}
+     */
+    static async loadImage(file, options = {}) {
+      try {
+        return await ImageBackends.get().decode(file, options);
+      } catch (error) {
+        if (error instanceof UltraCompressError) throw error;
+        throw new DecodeError("Failed to load image", { cause: error });
+      }
+    }
+
+    /**
+     * Create a canvas with the active backend (DOM canvas, OffscreenCanvas
+     * in workers, RasterCanvas without either)
+     * @param {number} width
+     * @param {number} height
+     * @returns {HTMLCanvasElement|OffscreenCanvas|RasterCanvas}
+     */
+    static createCanvas(width, height) {
+      return ImageBackends.get().createCanvas(width, height);
+    }
+
+    /**
+     * Check whether a value is a canvas of any registered backend
+     * @param {*} canvas
+     * @returns {boolean}
+     */
+    static isCanvas(canvas) {
+      return Boolean(canvas) && ImageBackends.forCanvas(canvas) !== null;
+    }
+
+    /**
+     * Encode a canvas with the backend that created it. PNG8 and GIF are
+     * quantized here for every backend, quality picking the palette size.
+     * @param {HTMLCanvasElement|OffscreenCanvas|RasterCanvas} canvas
+     * @param {string} mimeType
+     * @param {number} quality
+     * @param {Object} [palette] - { colors, dither, method } for PNG8/GIF
+     * @returns {Promise<Blob>}
+     */
+    static async canvasToBlob(
+      canvas,
+      mimeType = ImageFormat.JPEG,
+      quality = 0.9,
+      palette = {}
+    ) {
+      const backend = ImageUtils.isCanvas(canvas)
+        ? ImageBackends.forCanvas(canvas)
+        : null;
+      if (!backend) throw new InvalidInputError("Invalid canvas element");
+
+      try {
+        if (PALETTE_ENCODERS[mimeType]) {
+          const options = ColorQuantizer.normalizeOptions(palette);
+          return await PALETTE_ENCODERS[mimeType](
+            await ImageUtils.getImageData(canvas),
+            {
+              ...options,
+              colors: Math.min(
+                options.colors,
+                ColorQuantizer.colorsForQuality(quality)
+              ),
+            }
+          );
+        }
+        return await backend.encode(canvas, mimeType, quality);
+      } catch (error) {
+        throw UltraCompressError.wrap(error, EncodeError, { format: mimeType });
+      }
+    }
+
+    /**
+     * Read RGBA pixels from any drawable source
+     * @param {ImageData|HTMLCanvasElement|OffscreenCanvas|HTMLImageElement|ImageBitmap|Blob} source
+     * @param {number} [width] - Output width (defaults to the source width)
+     * @param {number} [height] - Output height (defaults to the source height)
+     * @returns {Promise<ImageData>}
+     */
+    static async getImageData(source, width, height) {
+      if (source instanceof Blob) {
+        const img = await ImageUtils.loadImage(source);
+        try {
+          return await ImageUtils.getImageData(img, width, height);
+        } finally {
+          if (typeof img.close === "function") img.close();
+        }
+      }
+
+      const w = width || source.width;
+      const h = height || source.height;
+      const isPixels = source.data && typeof source.getContext !== "function";
+
+      if (isPixels && w === source.width && h === source.height) {
+        return source;
+      }
+
+      let drawable = source;
+      if (isPixels) {
+        drawable = ImageUtils.createCanvas(source.width, source.height);
+        const pixelCtx = drawable.getContext("2d");
+        const imageData = pixelCtx.createImageData(source.width, source.height);
+        imageData.data.set(source.data);
+        pixelCtx.putImageData(imageData, 0, 0);
+      }
+
+      const canvas = ImageUtils.createCanvas(w, h);
+      const ctx = canvas.getContext("2d", { willReadFrequently: true });
+      ctx.imageSmoothingEnabled = true;
+      ctx.imageSmoothingQuality = "high";
+      ctx.drawImage(drawable, 0, 0, w, h);
+      return ctx.getImageData(0, 0, w, h);
+    }
+
+    /**
+     * Check WebP support
+     * @returns {boolean}
+     */
+    static isWebPSupported() {
+      if (ImageUtils._webpSupported === undefined) {
+        const { encodes } = ImageBackends.get();
+        if (encodes) return encodes.includes(ImageFormat.WEBP);
+        // Workers cannot probe synchronously; the pool seeds this value
+        if (typeof document === "undefined") return true;
+        const canvas = document.createElement("canvas");
+        canvas.width = canvas.height = 1;
+        ImageUtils._webpSupported =
+          canvas.toDataURL("image/webp").indexOf("data:image/webp") === 0;
+      }
+      return ImageUtils._webpSupported;
+    }
+
+    /**
+     * Check whether the canvas can really encode a format. Browsers fall
+     * back to PNG silently, so the probe encodes a pixel and checks the
+     * returned MIME type. Results are cached per format.
+     * @param {string} format
+     * @returns {Promise<boolean>}
+     */
+    static probeEncoder(format) {
+      if (!ImageUtils._encoderProbes) ImageUtils._encoderProbes = new Map();
+      if (!ImageUtils._encoderProbes.has(format)) {
+        const probe = (async () => {
+          const { encodes } = ImageBackends.get();
+          if (encodes) return encodes.includes(format);
+          try {
+            const canvas = ImageUtils.createCanvas(1, 1);
+            const blob = await ImageUtils.canvasToBlob(canvas, format, 0.5);
+            return blob.type === format;
+          } catch (error) {
+            return false;
+          }
+        })();
+        probe.then((supported) => {
+          ImageUtils._encoderSupported = {
+            ...ImageUtils._encoderSupported,
+            [format]: supported,
+          };
+        });
+        ImageUtils._encoderProbes.set(format, probe);
+      }
+      return ImageUtils._encoderProbes.get(format);
+    }
+
+    /**
+     * Calculate output dimensions and where the image goes in them.
+     * Without width/height the box is the source scaled to maxDimension
+     * and cropped to the target aspect ratio.
+     * @param {number} width - Original width
+     * @param {number} height - Original height
+     * @param {number} maxDimension - Maximum dimension
+     * @param {number} targetAspectRatio - Target aspect ratio
+     * @param {Object} [fitOptions] - From ImageUtils.normalizeFit()
+     * @returns {Object} { width, height, sourceWidth, sourceHeight, scale,
+     *   aspectRatio, fit, crop, placement, background }
+     */
+    static calculateDimensions(
+      width,
+      height,
+      maxDimension,
+      targetAspectRatio = null,
+      fitOptions = null
+    ) {
+      const {
+        fit = FitMode.COVER,
+        width: boxWidth = null,
+        height: boxHeight = null,
+        withoutEnlargement = false,
+        background = null,
+      } = fitOptions || {};
+      const currentAspect = width / height;
+      let targetWidth, targetHeight;
+
+      if (boxWidth || boxHeight) {
+        const aspect = targetAspectRatio || currentAspect;
+        targetWidth = boxWidth || Math.round(boxHeight * aspect);
+        targetHeight = boxHeight || Math.round(boxWidth / aspect);
+        const longest = Math.max(targetWidth, targetHeight);
+        if (maxDimension && longest > maxDimension) {
+          targetWidth = Math.round((targetWidth * maxDimension) / longest);
+          targetHeight = Math.round((targetHeight * maxDimension) / longest);
+        }
+      } else {
+        if (width > height) {
+          targetWidth = Math.min(width, maxDimension);
+          targetHeight = Math.round(targetWidth / currentAspect);
+        } else {
+          targetHeight = Math.min(height, maxDimension);
+          targetWidth = Math.round(targetHeight * currentAspect);
+        }
+
+        if (targetAspectRatio) {
+          const newAspect = targetWidth / targetHeight;
+          if (Math.abs(newAspect - targetAspectRatio) > 0.01) {
+            if (newAspect > targetAspectRatio) {
+              targetWidth = Math.round(targetHeight * targetAspectRatio);
+            } else {
+              targetHeight = Math.round(targetWidth / targetAspectRatio);
+            }
+          }
+        }
+      }
+
+      let crop = { x: 0, y: 0, width, height };
+      let placement = null;
+
+      if (fit === FitMode.COVER) {
+        crop = CompressionEngine._cropRect({
+          width: targetWidth,
+          height: targetHeight,
+          sourceWidth: width,
+          sourceHeight: height,
+        });
+        if (withoutEnlargement && targetWidth > crop.width) {
+          targetWidth = Math.round(crop.width);
+          targetHeight = Math.round(crop.height);
+        }
+      } else if (fit === FitMode.FILL) {
+        if (withoutEnlargement) {
+          targetWidth = Math.min(targetWidth, width);
+          targetHeight = Math.min(targetHeight, height);
+        }
+      } else {
+        const fitsWidth = targetWidth / width;
+        const fitsHeight = targetHeight / height;
+        let factor =
+          fit === FitMode.OUTSIDE
+            ? Math.max(fitsWidth, fitsHeight)
+            : Math.min(fitsWidth, fitsHeight);
+        if (withoutEnlargement) factor = Math.min(1, factor);
+        const imageWidth = Math.max(1, Math.round(width * factor));
+        const imageHeight = Math.max(1, Math.round(height * factor));
+
+        if (fit === FitMode.CONTAIN) {
+          placement = {
+            x: Math.floor((targetWidth - imageWidth) / 2),
+            y: Math.floor((targetHeight - imageHeight) / 2),
+            width: imageWidth,
+            height: imageHeight,
+          };
+        } else {
+          targetWidth = imageWidth;
+          targetHeight = imageHeight;
+        }
+      }
+
+      targetWidth = Math.max(1, targetWidth);
+      targetHeight = Math.max(1, targetHeight);
+      const padded =
+        placement &&
+        (placement.width < targetWidth || placement.height < targetHeight);
+
+      return {
+        width: targetWidth,
+        height: targetHeight,
+        sourceWidth: width,
+        sourceHeight: height,
+        scale: targetWidth / width,
+        aspectRatio: targetWidth / targetHeight,
+        fit,
+        // Source rectangle that is drawn
+        crop,
+        // Where it lands in the output; null fills the whole output
+        placement: padded ? placement : null,
+        background: padded ? background : null,
+      };
+    }
+
+    /**
+     * Check a preset's fit options
+     * @param {Object} config - Preset with fit, width, height,
+     *   withoutEnlargement and background
+     * @returns {Object|null} Normalized options, or null when the preset
+     *   sets none of them
+     */
+    static normalizeFit(config = {}) {
+      const keys = [
+        "fit",
+        "width",
+        "height",
+        "withoutEnlargement",
+        "background",
+      ];
+      if (!keys.some((key) => config[key] != null)) return null;
+
+      const {
+        fit = FitMode.COVER,
+        width = null,
+        height = null,
+        withoutEnlargement = false,
+        background = null,
+      } = config;
+      const modes = Object.values(FitMode);
+      if (!modes.includes(fit)) {
+        throw new InvalidInputError(
+          `Unknown fit "${fit}" (use ${modes.join(", ")})`
+        );
+      }
+      const size = (value, name) => {
+        if (value == null) return null;
+        const parsed = parseInt(value);
+        if (!(parsed > 0)) {
+          throw new InvalidInputError(
+            `Preset ${name} must be a positive number of pixels`
+          );
+        }
+        return parsed;
+      };
+      if (background != null && typeof background !== "string") {
+        throw new InvalidInputError(
+          'Preset background must be a CSS color, "transparent" or "blur"'
+        );
+      }
+
+      return {
+        fit,
+        width: size(width, "width"),
+        height: size(height, "height"),
+        withoutEnlargement: Boolean(withoutEnlargement),
+        background,
+      };
+    }
+  }
+
+  // ==================== IMAGE ANALYZER ====================
+
+  // Crop placement when neither focalPoint nor focusRect is given
+  const CROP_STRATEGIES = ["attention", "center"];
+
+  // Samples per side in ImageAnalyzer.classify(), and tiles per side of
+  // the "grid" sampling strategy of analyze()
+  const CONTENT_GRID = 9;
+
+  // How analyze() reads pixels: the whole image scaled down with its
+  // aspect ratio kept, or native-resolution tiles spread over the image
+  const SAMPLING_STRATEGIES = ["downsample", "grid"];
+
+  // Samples per side analyze() reads by default
+  const ANALYSIS_SAMPLE_SIZE = 200;
+
+  // Regions per side analyze() reports statistics for
+  const ANALYSIS_REGIONS = 3;
+
+  // How each content category is encoded: the encoder quality range
+  // searched, whether a palette format suits it and whether downscaled
+  // output is sharpened
+  const CATEGORY_PROFILES = {
+    PHOTO: { quality: [0.35, 0.95], palette: false, sharpen: true },
+    GRAPHIC: { quality: [0.5, 0.95], palette: false, sharpen: false },
+    UI: { quality: [0.6, 0.98], palette: false, sharpen: false },
+    SCREENSHOT: { quality: [0.6, 0.98], palette: false, sharpen: false },
+    LOGO: { quality: [0.7, 0.98], palette: true, sharpen: false },
+    LINE_ART: { quality: [0.7, 0.98], palette: true, sharpen: false },
+    ICON: { quality: [0.7, 0.98], palette: true, sharpen: false },
+    VECTOR: { quality: [0.7, 0.98], palette: false, sharpen: false },
+  };
+
+  // Longest side of the saliency map
+  const SALIENCY_SIZE = 96;
+
+  // One saliency map per image, shared by every preset that crops it
+  const saliencyCache = new WeakMap();
+
+  class ImageAnalyzer {
+    /**
+     * Analyze image characteristics for optimal compression
+     * @param {HTMLImageElement|ImageBitmap} img - Source image
+     * @param {File} file - Original file
+     * @param {string|Object} [sampling] - See normalizeSampling()
+     * @returns {Promise<Object>}
+     */
+    static async analyze(img, file, sampling = null) {
+      const options = this.normalizeSampling(sampling);
+      const sample = this._sample(img, options);
+      const measured = this._measure(sample);
+      // Edge thresholds are set for the downsampled scale, where neighbours
+      // lie further apart in the source than in native-resolution tiles, so
+      // complexity and the averages come from a downsampled pass. Colours
+      // come from the tiles: scaling down blends neighbouring pixels into
+      // colours the image does not contain, hiding a flat graphic's palette.
+      const overall =
+        options.strategy === "grid"
+          ? this._measure(
+              this._sample(img, { strategy: "downsample", size: options.size })
+            )
+          : measured;
+      const { uniqueColors } = measured;
+
+      const summarize = (metrics) => {
+        const pixels = metrics.pixels || 1;
+        return {
+          complexity: (metrics.edges / pixels) * 100,
+          avgBrightness: metrics.brightnessSum / pixels,
+          avgSaturation: metrics.saturationSum / pixels,
+          variance: metrics.variance / pixels,
+          transparencyRatio: (metrics.transparentPixels / pixels) * 100,
+        };
+      };
+      const round = (value) => parseFloat(value.toFixed(2));
+      const regions = measured.regionStats.map((metrics, index) => {
+        const stats = summarize(metrics);
+        return {
+          ...this._regionRect(img, index),
+          complexity: round(stats.complexity),
+          avgBrightness: round(stats.avgBrightness),
+          avgSaturation: round(stats.avgSaturation),
+          variance: round(stats.variance),
+          transparencyRatio: round(stats.transparencyRatio),
+        };
+      });
+
+      const totals = overall.regionStats.reduce((sum, metrics) => {
+        Object.keys(metrics).forEach((key) => {
+          sum[key] = (sum[key] || 0) + metrics[key];
+        });
+        return sum;
+      }, {});
+      const totalPixels = totals.pixels;
+      const { complexity, avgBrightness, avgSaturation, transparencyRatio } =
+        summarize(totals);
+
+      // Determine image type
+      let imageType = "photo";
+      if (uniqueColors < 256) {
+        imageType = "graphic";
+      } else if (complexity < 5) {
+        imageType = "simple";
+      } else if (complexity > 20) {
+        imageType = "complex";
+      }
+
+      const hasTransparency = totals.transparentPixels > 0;
+
+      const classification = this.classify(
+        img,
+        file,
+        file ? await ImageUtils.sniffMimeType(file) : null
+      );
+      const [minQuality, maxQuality] =
+        CATEGORY_PROFILES[classification.category].quality;
+
+      return {
+        // Basic metrics
+        complexity: parseFloat(complexity.toFixed(2)),
+        uniqueColors,
+        hasTransparency,
+        transparencyRatio: parseFloat(transparencyRatio.toFixed(2)),
+
+        // Image characteristics
+        imageType,
+        avgBrightness: parseFloat(avgBrightness.toFixed(2)),
+        avgSaturation: parseFloat(avgSaturation.toFixed(2)),
+        variance: parseFloat((totals.variance / totalPixels).toFixed(2)),
+
+        // Content category from the V23 classifier
+        category: classification.category,
+        subType: classification.subType,
+        confidence: parseFloat(classification.confidence.toFixed(1)),
+        reason: classification.reason,
+        contentFeatures: classification.features,
+
+        // Compression recommendations, within the category's range
+        recommendedQuality: Math.min(
+          maxQuality,
+          Math.max(
+            minQuality,
+            this.calculateRecommendedQuality(
+              complexity,
+              imageType,
+              hasTransparency
+            )
+          )
+        ),
+        compressibility: this.calculateCompressibility(
+          uniqueColors,
+          complexity
+        ),
+        suggestedFormat: this.suggestFormat(
+          imageType,
+          hasTransparency,
+          classification.category
+        ),
+
+        // Advanced metrics
+        edgeRatio: parseFloat(complexity.toFixed(2)),
+        colorDiversity: parseFloat(
+          ((uniqueColors / totalPixels) * 100).toFixed(2)
+        ),
+        isLowDetail: complexity < 5,
+        isHighDetail: complexity > 20,
+        isDark: avgBrightness < 85,
+        isBright: avgBrightness > 170,
+        isVibrant: avgSaturation > 40,
+        isDesaturated: avgSaturation < 20,
+
+        // What was measured: the sample and a 3x3 grid of source regions
+        sampling: {
+          strategy: options.strategy,
+          size: options.size,
+          width: sample.width,
+          height: sample.height,
+        },
+        regions,
+      };
+    }
+
+    /**
+     * Check the sampling option of analyze()
+     * @param {string|Object} [sampling] - "downsample" (default) scales the
+     *   whole image to fit size x size, keeping its aspect ratio; "grid"
+     *   reads a 9x9 grid of native-resolution tiles totalling about
+     *   size x size pixels, which count the colours (and so decide
+     *   imageType, quality and format) and give the region statistics.
+     *   Or { strategy, size } with size defaulting to 200.
+     * @returns {Object} { strategy, size }
+     */
+    static normalizeSampling(sampling = null) {
+      const { strategy = "downsample", size = ANALYSIS_SAMPLE_SIZE } =
+        typeof sampling === "string" ? { strategy: sampling } : sampling || {};
+      if (!SAMPLING_STRATEGIES.includes(strategy)) {
+        throw new InvalidInputError(
+          `Unknown sampling strategy "${strategy}" (use ${SAMPLING_STRATEGIES.join(
+            ", "
+          )})`
+        );
+      }
+      const samples = parseInt(size);
+      if (!(samples > 0)) {
+        throw new InvalidInputError(
+          "Sampling size must be a positive number of pixels"
+        );
+      }
+      return { strategy, size: samples };
+    }
+
+    /**
+     * Count edges, colours, brightness, saturation and transparency of a
+     * sample from _sample(), per ANALYSIS_REGIONS region
+     * @returns {Object} { regionStats, uniqueColors }
+     */
+    static _measure({ data, width, seams, regionOf }) {
+      const regionStats = Array.from(
+        { length: ANALYSIS_REGIONS * ANALYSIS_REGIONS },
+        () => ({
+          pixels: 0,
+          edges: 0,
+          variance: 0,
+          transparentPixels: 0,
+          brightnessSum: 0,
+          saturationSum: 0,
+        })
+      );
+      // Colors are counted at 6 bits per channel
+      const colorCounts = new Uint32Array(1 << 18);
+      let uniqueColors = 0;
+
+      for (let i = 0, p = 0; i < data.length; i += 4, p++) {
+        const r = data[i];
+        const g = data[i + 1];
+        const b = data[i + 2];
+        const a = data[i + 3];
+        const metrics = regionStats[regionOf[p]];
+        metrics.pixels++;
+
+        // Transparency
+        if (a < 255) metrics.transparentPixels++;
+
+        // Color frequency
+        if (!colorCounts[((r >> 2) << 12) | ((g >> 2) << 6) | (b >> 2)]++) {
+          uniqueColors++;
+        }
+
+        // Brightness
+        metrics.brightnessSum += (r + g + b) / 3;
+
+        // Edge detection, against the left neighbour in the source
+        if (!seams[p % width]) {
+          const diff =
+            Math.abs(r - data[i - 4]) +
+            Math.abs(g - data[i - 3]) +
+            Math.abs(b - data[i - 2]);
+          if (diff > 30) metrics.edges++;
+          metrics.variance += diff;
+        }
+
+        // Saturation (simplified)
+        const max = Math.max(r, g, b);
+        const min = Math.min(r, g, b);
+        if (max > 0) {
+          metrics.saturationSum += ((max - min) / max) * 100;
+        }
+      }
+
+      return { regionStats, uniqueColors };
+    }
+
+    /**
+     * Read the pixels analyze() measures into one buffer
+     * @returns {Object} { width, height, data, seams, regionOf } where seams
+     *   marks the columns whose left neighbour is not adjacent in the source
+     *   and regionOf maps each pixel to its ANALYSIS_REGIONS region
+     */
+    static _sample(img, { strategy, size }) {
+      const grid = CONTENT_GRID;
+      const regions = ANALYSIS_REGIONS;
+      let width, height, tileWidth, tileHeight;
+      if (strategy === "grid") {
+        tileWidth = Math.max(
+          1,
+          Math.min(Math.round(size / grid), Math.floor(img.width / grid))
+        );
+        tileHeight = Math.max(
+          1,
+          Math.min(Math.round(size / grid), Math.floor(img.height / grid))
+        );
+        width = tileWidth * grid;
+        height = tileHeight * grid;
+      } else {
+        const fit = Math.min(1, size / Math.max(img.width, img.height));
+        width = Math.max(1, Math.round(img.width * fit));
+        height = Math.max(1, Math.round(img.height * fit));
+      }
+
+      const canvas = ImageUtils.createCanvas(width, height);
+      const ctx = canvas.getContext("2d", { willReadFrequently: true });
+      if (strategy === "grid") {
+        // Each tile sits in the middle of its cell of the source
+        const place = (cell, tile, extent) =>
+          Math.min(
+            extent - tile,
+            Math.max(0, Math.round(((cell + 0.5) * extent) / grid - tile / 2))
+          );
+        for (let gy = 0; gy < grid; gy++) {
+          for (let gx = 0; gx < grid; gx++) {
+            ctx.drawImage(
+              img,
+              place(gx, tileWidth, img.width),
+              place(gy, tileHeight, img.height),
+              tileWidth,
+              tileHeight,
+              gx * tileWidth,
+              gy * tileHeight,
+              tileWidth,
+              tileHeight
+            );
+          }
+        }
+      } else {
+        ctx.drawImage(img, 0, 0, width, height);
+      }
+      const { data } = ctx.getImageData(0, 0, width, height);
+
+      // Tiles map to regions by their grid cell, downsampled pixels by
+      // their position
+      const column = new Uint8Array(width);
+      const seams = new Uint8Array(width);
+      for (let x = 0; x < width; x++) {
+        column[x] = tileWidth
+          ? Math.floor((Math.floor(x / tileWidth) * regions) / grid)
+          : Math.floor((x * regions) / width);
+        seams[x] = tileWidth ? x % tileWidth === 0 : x === 0;
+      }
+      const regionOf = new Uint8Array(width * height);
+      for (let y = 0; y < height; y++) {
+        const row = tileHeight
+          ? Math.floor((Math.floor(y / tileHeight) * regions) / grid)
+          : Math.floor((y * regions) / height);
+        for (let x = 0; x < width; x++) {
+          regionOf[y * width + x] = row * regions + column[x];
+        }
+      }
+
+      return { width, height, data, seams, regionOf };
+    }
+
+    // Source rectangle of region `index` in analyze()'s grid
+    static _regionRect(img, index) {
+      const regions = ANALYSIS_REGIONS;
+      const edge = (i, extent) => Math.round((i * extent) / regions);
+      const column = index % regions;
+      const row = Math.floor(index / regions);
+      const x = edge(column, img.width);
+      const y = edge(row, img.height);
+      return {
+        x,
+        y,
+        width: edge(column + 1, img.width) - x,
+        height: edge(row + 1, img.height) - y,
+      };
+    }
+
+    /**
+     * Estimate where the subject is: edge density, skin tones, saturation
+     * and contrast against the mean brightness, on a small copy of the
+     * image. Transparent pixels carry no weight.
+     * @param {HTMLImageElement|HTMLCanvasElement|ImageBitmap} img
+     * @returns {Object} { width, height, data: Float32Array, scaleX, scaleY }
+     *   where scale maps source pixels to map pixels
+     */
+    static saliencyMap(img) {
+      if (saliencyCache.has(img)) return saliencyCache.get(img);
+
+      const fit = Math.min(1, SALIENCY_SIZE / Math.max(img.width, img.height));
+      const width = Math.max(1, Math.round(img.width * fit));
+      const height = Math.max(1, Math.round(img.height * fit));
+      const canvas = ImageUtils.createCanvas(width, height);
+      const ctx = canvas.getContext("2d", { willReadFrequently: true });
+      ctx.drawImage(img, 0, 0, width, height);
+      const { data } = ctx.getImageData(0, 0, width, height);
+
+      const count = width * height;
+      const luma = new Float32Array(count);
+      let lumaSum = 0;
+      for (let i = 0; i < count; i++) {
+        const o = i * 4;
+        luma[i] = 0.299 * data[o] + 0.587 * data[o + 1] + 0.114 * data[o + 2];
+        lumaSum += luma[i];
+      }
+      const mean = lumaSum / count;
+
+      const energy = new Float32Array(count);
+      for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+          const i = y * width + x;
+          const o = i * 4;
+          const r = data[o];
+          const g = data[o + 1];
+          const b = data[o + 2];
+
+          const dx =
+            luma[y * width + Math.min(width - 1, x + 1)] -
+            luma[y * width + Math.max(0, x - 1)];
+          const dy =
+            luma[Math.min(height - 1, y + 1) * width + x] -
+            luma[Math.max(0, y - 1) * width + x];
+          const edge = Math.min(1, (Math.abs(dx) + Math.abs(dy)) / 128);
+
+          // Skin tones cluster in a small CbCr box
+          const cb = 128 - 0.168736 * r - 0.331264 * g + 0.5 * b;
+          const cr = 128 + 0.5 * r - 0.418688 * g - 0.081312 * b;
+          const skin =
+            luma[i] > 40 && cb >= 77 && cb <= 127 && cr >= 133 && cr <= 173
+              ? 1
+              : 0;
+
+          const max = Math.max(r, g, b);
+          const saturation = max ? (max - Math.min(r, g, b)) / max : 0;
+          const contrast = Math.abs(luma[i] - mean) / 255;
+
+          energy[i] =
+            ((0.5 * edge + skin + 0.2 * saturation + 0.3 * contrast) *
+              data[o + 3]) /
+            255;
+        }
+      }
+
+      const map = {
+        width,
+        height,
+        data: energy,
+        scaleX: width / img.width,
+        scaleY: height / img.height,
+      };
+      saliencyCache.set(img, map);
+      return map;
+    }
+
+    /**
+     * Classify the content as PHOTO, GRAPHIC, LOGO, LINE_ART, ICON, UI,
+     * SCREENSHOT or VECTOR, with a subtype, a confidence (40-100) and the
+     * reason. SVG files, "screen" file names and small files are decided
+     * up front; everything else is measured on a 9x9 grid of samples and
+     * goes through two elimination passes before falling back to a
+     * weighted score per category.
+     * @param {HTMLImageElement|ImageBitmap} img - Source image
+     * @param {File|Blob} [file] - Original file
+     * @param {string} [type] - MIME type sniffed from the file's bytes
+     *   (ImageUtils.sniffMimeType); file.type is not trusted for SVG
+     * @returns {Object} { category, subType, confidence, reason, features }
+     *   where features is null for the up-front decisions
+     */
+    static classify(img, file = null, type = null) {
+      const name = ((file && file.name) || "").toLowerCase();
+      const early = (category, confidence, reason, subType) => ({
+        category,
+        subType,
+        confidence,
+        reason,
+        features: null,
+      });
+
+      if (type === ImageFormat.SVG) {
+        return early("VECTOR", 100, "SVG file", "VECTOR");
+      }
+      if (name.includes("screen")) {
+        return early("SCREENSHOT", 95, "File name", "SCREENSHOT");
+      }
+      if (img.width <= 128 && img.height <= 128 && file && file.size < 50000) {
+        return early("ICON", 95, "Small size", "ICON_SMALL");
+      }
+
+      const m = this._measureContent(img);
+      const verdict =
+        this._eliminate(m) ||
+        this._crossValidate(m) ||
+        this._decide(m, this._scoreCategories(m));
+
+      const features = {};
+      Object.keys(m).forEach((key) => {
+        features[key] = parseFloat(m[key].toFixed(4));
+      });
+      return { ...verdict, features };
+    }
+
+    /**
+     * Encoding profile of an analysis' content category. Analyses without
+     * a category (built by hand) get what their imageType implies.
+     * @param {Object} analysis
+     * @returns {Object} { quality: [min, max], palette, sharpen }
+     */
+    static categoryProfile(analysis) {
+      return (
+        CATEGORY_PROFILES[analysis.category] || {
+          quality: [0.1, 0.98],
+          palette: analysis.imageType === "graphic",
+          sharpen: analysis.imageType === "photo",
+        }
+      );
+    }
+
+    // Color, texture, edge, structure and naturalness features of a 9x9
+    // grid of square samples
+    static _measureContent(img) {
+      const { width, height } = img;
+      const grid = CONTENT_GRID;
+      const regionWidth = Math.floor(width / grid);
+      const regionHeight = Math.floor(height / grid);
+      const size = Math.max(
+        1,
+        Math.min(
+          width,
+          height,
+          Math.max(
+            20,
+            Math.min(80, Math.floor(Math.min(regionWidth, regionHeight) * 0.75))
+          )
+        )
+      );
+      const count = size * size;
+      const canvas = ImageUtils.createCanvas(size, size);
+      const ctx = canvas.getContext("2d", { willReadFrequently: true });
+
+      // Colors are counted at 5 bits per channel, and per region also at 4;
+      // stamps mark the keys a region has already seen
+      const colorCounts = new Uint32Array(1 << 15);
+      const colorStamps = new Uint16Array(1 << 15);
+      const localStamps = new Uint16Array(1 << 12);
+      const hueBins = new Uint32Array(12);
+      const histogram = new Uint32Array(256);
+      const luma = new Float32Array(count);
+      const regions = [];
+      const t = {
+        saturation: 0,
+        saturationSq: 0,
+        minBright: 255,
+        maxBright: 0,
+        edges: 0,
+        edgeSum: 0,
+        edgeSq: 0,
+        strongEdges: 0,
+        horizontal: 0,
+        vertical: 0,
+        diagonal: 0,
+        sharp: 0,
+        smooth: 0,
+        corners: 0,
+        gradients: 0,
+        gradientSum: 0,
+        gradientSq: 0,
+        microDetail: 0,
+        noise: 0,
+        flat: 0,
+        blocks: 0,
+      };
+
+      for (let index = 0; index < grid * grid; index++) {
+        const x0 = Math.min((index % grid) * regionWidth, width - size);
+        const y0 = Math.min(
+          Math.floor(index / grid) * regionHeight,
+          height - size
+        );
+        ctx.clearRect(0, 0, size, size);
+        ctx.drawImage(img, x0, y0, size, size, 0, 0, size, size);
+        const { data } = ctx.getImageData(0, 0, size, size);
+
+        const stamp = index + 1;
+        let colors = 0;
+        let localColors = 0;
+        let lumaSum = 0;
+        let lumaSq = 0;
+        histogram.fill(0);
+
+        for (let p = 0; p < count; p++) {
+          const o = p * 4;
+          const r = data[o];
+          const g = data[o + 1];
+          const b = data[o + 2];
+
+          luma[p] = r * 0.299 + g * 0.587 + b * 0.114;
+          const gray = Math.floor(luma[p]);
+          histogram[gray]++;
+          lumaSum += gray;
+          lumaSq += gray * gray;
+          if (gray < t.minBright) t.minBright = gray;
+          if (gray > t.maxBright) t.maxBright = gray;
+
+          const key = ((r >> 3) << 10) | ((g >> 3) << 5) | (b >> 3);
+          colorCounts[key]++;
+          if (colorStamps[key] !== stamp) {
+            colorStamps[key] = stamp;
+            colors++;
+          }
+          const local = ((r >> 4) << 8) | ((g >> 4) << 4) | (b >> 4);
+          if (localStamps[local] !== stamp) {
+            localStamps[local] = stamp;
+            localColors++;
+          }
+
+          const max = Math.max(r, g, b);
+          const min = Math.min(r, g, b);
+          const saturation = max ? ((max - min) / max) * 100 : 0;
+          t.saturation += saturation;
+          t.saturationSq += saturation * saturation;
+          let hue = 0;
+          if (max !== min) {
+            if (max === r) hue = ((g - b) / (max - min) + 6) % 6;
+            else if (max === g) hue = (b - r) / (max - min) + 2;
+            else hue = (r - g) / (max - min) + 4;
+          }
+          hueBins[Math.floor(hue * 2)]++; // 30 degree bins
+
+          // Horizontal step in mean intensity
+          if (p % size) {
+            const step =
+              Math.abs(r + g + b - data[o - 4] - data[o - 3] - data[o - 2]) / 3;
+            t.gradients++;
+            t.gradientSum += step;
+            t.gradientSq += step * step;
+            if (step > 0 && step < 10) t.microDetail++;
+            if (step > 0 && step < 5) t.noise++;
+          }
+        }
+
+        // Sobel magnitude and direction
+        let edgeSum = 0;
+        let edgeCount = 0;
+        for (let y = 1; y < size - 1; y++) {
+          for (let x = 1; x < size - 1; x++) {
+            const i = y * size + x;
+            const gx =
+              luma[i - size + 1] +
+              2 * luma[i + 1] +
+              luma[i + size + 1] -
+              luma[i - size - 1] -
+              2 * luma[i - 1] -
+              luma[i + size - 1];
+            const gy =
+              luma[i + size - 1] +
+              2 * luma[i + size] +
+              luma[i + size + 1] -
+              luma[i - size - 1] -
+              2 * luma[i - size] -
+              luma[i - size + 1];
+            const magnitude = Math.sqrt(gx * gx + gy * gy);
+            edgeSum += magnitude;
+            edgeCount++;
+            t.edgeSum += magnitude;
+            t.edgeSq += magnitude * magnitude;
+            if (magnitude > 40) t.strongEdges++;
+
+            if (magnitude > 30) {
+              const angle = Math.abs((Math.atan2(gy, gx) * 180) / Math.PI);
+              if (angle < 22.5 || angle > 157.5) t.horizontal++;
+              else if (angle > 67.5 && angle < 112.5) t.vertical++;
+              else t.diagonal++;
+
+              if (magnitude > 80) t.sharp++;
+              else if (magnitude < 50) t.smooth++;
+            }
+            if (Math.abs(gx) > 50 && Math.abs(gy) > 50) t.corners++;
+          }
+        }
+        t.edges += edgeCount;
+
+        const mean = lumaSum / count;
+        const stdDev = Math.sqrt(Math.max(0, lumaSq / count - mean * mean));
+        let entropy = 0;
+        for (let level = 0; level < 256; level++) {
+          if (!histogram[level]) continue;
+          const share = histogram[level] / count;
+          entropy -= share * Math.log2(share);
+        }
+        if (stdDev < 8 && entropy < 3 && localColors < 8) t.flat++;
+        if (localColors <= 5 && stdDev < 15) t.blocks++;
+
+        regions.push({
+          stdDev,
+          entropy,
+          colors,
+          localColors,
+          edgeMean: edgeCount ? edgeSum / edgeCount : 0,
+        });
+      }
+
+      const pixels = regions.length * count;
+      const average = (values) =>
+        values.reduce((sum, value) => sum + value, 0) / values.length;
+      const deviation = (values, mean) =>
+        Math.sqrt(average(values.map((value) => (value - mean) ** 2)));
+
+      const counts = [];
+      for (let key = 0; key < colorCounts.length; key++) {
+        if (colorCounts[key]) counts.push(colorCounts[key]);
+      }
+      counts.sort((a, b) => b - a);
+
+      const saturationMean = t.saturation / pixels;
+      const edgeMean = t.edges ? t.edgeSum / t.edges : 0;
+      const gradientMean = t.gradients ? t.gradientSum / t.gradients : 0;
+      const directional = t.horizontal + t.vertical + t.diagonal;
+      const edgeMeans = regions.map((region) => region.edgeMean);
+      const textureMean = average(edgeMeans);
+      const entropies = regions.map((region) => region.entropy);
+
+      const m = {
+        width,
+        height,
+        aspectRatio: width / height,
+        megapixels: (width * height) / 1000000,
+
+        // Color
+        uniqueColorCount: counts.length,
+        dominantColorRatio: counts[0] / pixels,
+        histogramPeakiness:
+          counts.slice(0, 5).reduce((sum, value) => sum + value, 0) / pixels,
+        colorEntropy: average(entropies),
+        saturationMean,
+        saturationStdDev: Math.sqrt(
+          Math.max(0, t.saturationSq / pixels - saturationMean ** 2)
+        ),
+        brightnessRange: t.maxBright - t.minBright,
+        hueDiversity: hueBins.filter(Boolean).length / 12,
+
+        // Texture and edges
+        textureScore: edgeMean / 255,
+        edgeDensity: t.edges ? t.strongEdges / t.edges : 0,
+        edgeUniformity: t.edges
+          ? 1 - Math.sqrt(Math.max(0, t.edgeSq / t.edges - edgeMean ** 2)) / 255
+          : 1,
+        edgeSharpness: t.sharp / (t.sharp + t.smooth + 1),
+        edgeDirectionality: directional
+          ? (t.horizontal + t.vertical) / directional
+          : 0,
+        // Per 10,000 pixels of the whole image, as V23 counted them
+        cornerCount: t.corners / ((width * height) / 10000),
+        textureCoherence: textureMean / (deviation(edgeMeans, textureMean) + 1),
+        microDetailDensity: t.gradients ? t.microDetail / t.gradients : 0,
+        noiseLevel: t.gradients ? t.noise / t.gradients : 0,
+        gradientSmoothness:
+          gradientMean /
+          (Math.sqrt(
+            Math.max(0, t.gradientSq / (t.gradients || 1) - gradientMean ** 2)
+          ) +
+            1),
+
+        // Structure
+        patternRepetition: 1 / (1 + deviation(entropies, average(entropies))),
+        blockiness: t.blocks / regions.length,
+        flatnessRatio: t.flat / regions.length,
+        localVariation: average(regions.map((region) => region.stdDev)) / 255,
+      };
+
+      // Neighbouring samples whose color counts jump suggest a grid
+      let gridJumps = 0;
+      for (let y = 0; y < grid - 1; y++) {
+        for (let x = 0; x < grid - 1; x++) {
+          const i = y * grid + x;
+          if (
+            Math.abs(regions[i].localColors - regions[i + 1].localColors) > 10
+          ) {
+            gridJumps++;
+          }
+        }
+      }
+      m.gridScore = gridJumps / (grid * grid);
+
+      const half = Math.floor(grid / 2);
+      let mirrored = 0;
+      for (let y = 0; y < grid; y++) {
+        for (let x = 0; x < half; x++) {
+          const left = regions[y * grid + x];
+          const right = regions[y * grid + grid - 1 - x];
+          if (Math.abs(left.colors - right.colors) < 5) mirrored++;
+        }
+      }
+      m.symmetryScore = mirrored / (grid * half);
+
+      let colorChanges = 0;
+      for (let i = 1; i < regions.length; i++) {
+        colorChanges += Math.abs(regions[i].colors - regions[i - 1].colors);
+      }
+      m.regionConsistency = 1 - colorChanges / (regions.length * 50);
+
+      const center = [];
+      for (let y = Math.floor(grid / 3); y < Math.ceil((grid * 2) / 3); y++) {
+        for (let x = Math.floor(grid / 3); x < Math.ceil((grid * 2) / 3); x++) {
+          center.push(regions[y * grid + x].edgeMean);
+        }
+      }
+      m.centerWeightScore = average(center) / (textureMean + 1);
+
+      m.geometricRegularity =
+        m.edgeDensity * m.edgeUniformity * m.edgeDirectionality;
+      m.naturalness =
+        m.localVariation * 0.3 +
+        m.noiseLevel * 0.25 +
+        (1 - m.patternRepetition) * 0.25 +
+        (1 - m.edgeDirectionality) * 0.2;
+      m.organicScore = 1 - m.edgeDirectionality;
+      m.artificialEdgeRatio = m.edgeSharpness * m.edgeDirectionality;
+
+      return m;
+    }
+
+    // First pass: combinations no other category produces
+    static _eliminate(m) {
+      if (
+        m.uniqueColorCount <= 10 &&
+        m.flatnessRatio > 0.65 &&
+        m.megapixels < 0.1
+      ) {
+        return {
+          category: "ICON",
+          subType: "ICON_FLAT",
+          confidence: 99,
+          reason: `${m.uniqueColorCount} colors, flat and small`,
+        };
+      }
+      if (
+        m.uniqueColorCount <= 32 &&
+        m.edgeDensity > 0.012 &&
+        m.textureScore < 0.1 &&
+        m.saturationMean < 8 &&
+        m.edgeSharpness > 0.6
+      ) {
+        return {
+          category: "LINE_ART",
+          subType: "LINE_ART_PURE",
+          confidence: 98,
+          reason: "Monochrome with sharp edges and no texture",
+        };
+      }
+      if (
+        m.blockiness > 0.65 &&
+        m.histogramPeakiness > 0.4 &&
+        m.artificialEdgeRatio > 0.35 &&
+        m.uniqueColorCount < 200
+      ) {
+        return {
+          category: "UI",
+          subType: "UI_BLOCKS",
+          confidence: 97,
+          reason: "Color blocks, artificial edges and few colors",
+        };
+      }
+      if (
+        m.gridScore > 0.25 &&
+        m.edgeDirectionality > 0.7 &&
+        m.geometricRegularity > 0.2
+      ) {
+        return {
+          category: "UI",
+          subType: "UI_GRID",
+          confidence: 96,
+          reason: "Grid pattern with horizontal and vertical edges",
+        };
+      }
+      return null;
+    }
+
+    // Second pass: features that confirm each other
+    static _crossValidate(m) {
+      if (
+        m.naturalness > 0.4 &&
+        m.textureScore > 0.2 &&
+        m.organicScore > 0.5 &&
+        m.edgeDirectionality < 0.45 &&
+        m.artificialEdgeRatio < 0.25 &&
+        m.uniqueColorCount > 300
+      ) {
+        return {
+          category: "PHOTO",
+          subType: "PHOTO_NATURAL",
+          confidence: 96,
+          reason: "Natural, organic, random texture",
+        };
+      }
+      if (
+        m.naturalness > 0.35 &&
+        m.textureScore > 0.25 &&
+        m.textureCoherence < 5 &&
+        m.organicScore > 0.55 &&
+        m.blockiness < 0.3 &&
+        m.gridScore < 0.15
+      ) {
+        return {
+          category: "PHOTO",
+          subType: "PHOTO_LOWCOLOR",
+          confidence: 95,
+          reason: "Natural organic texture without blocks",
+        };
+      }
+      if (
+        m.artificialEdgeRatio > 0.4 &&
+        m.blockiness > 0.5 &&
+        m.edgeSharpness > 0.55 &&
+        m.naturalness < 0.25
+      ) {
+        return {
+          category: "UI",
+          subType: "UI_STRUCTURED",
+          confidence: 95,
+          reason: "Sharp artificial edges and color blocks",
+        };
+      }
+      if (
+        m.uniqueColorCount < 50 &&
+        m.flatnessRatio > 0.55 &&
+        m.dominantColorRatio > 0.25 &&
+        m.edgeSharpness > 0.5
+      ) {
+        return {
+          category: "LOGO",
+          subType: "LOGO_SIMPLE",
+          confidence: 94,
+          reason: "Few colors, flat, sharp edges",
+        };
+      }
+      return null;
+    }
+
+    // Third pass: points per category, kept with the factors behind them
+    static _scoreCategories(m) {
+      const scores = {};
+      ["PHOTO", "LINE_ART", "LOGO", "UI", "SCREENSHOT", "GRAPHIC"].forEach(
+        (category) => (scores[category] = { total: 0, factors: [] })
+      );
+      const add = (category, factor, points) => {
+        if (!points) return;
+        scores[category].total += points;
+        scores[category].factors.push(`${factor}:${Math.round(points)}`);
+      };
+      const colors = m.uniqueColorCount;
+
+      add("PHOTO", "Nat", m.naturalness * 120);
+      add(
+        "PHOTO",
+        "Col",
+        colors > 1500 ? 35 : colors > 800 ? 25 : colors > 400 ? 15 : 0
+      );
+      add(
+        "PHOTO",
+        "Tex",
+        m.textureScore > 0.25 ? 25 : m.textureScore > 0.15 ? 15 : 0
+      );
+      add("PHOTO", "Org", m.organicScore > 0.5 ? 20 : 0);
+      add("PHOTO", "SatVar", m.saturationStdDev > 15 ? 15 : 0);
+      add("PHOTO", "HueDiv", m.hueDiversity > 0.4 ? 15 : 0);
+      add(
+        "PHOTO",
+        "Noise",
+        m.noiseLevel > 0.5 ? 25 : m.noiseLevel > 0.25 ? 12 : 0
+      );
+      add("PHOTO", "Center", m.centerWeightScore > 1.15 ? 10 : 0);
+      add("PHOTO", "Block", m.blockiness > 0.5 ? -40 : 0);
+      add("PHOTO", "ArtEdge", m.artificialEdgeRatio > 0.4 ? -35 : 0);
+      add("PHOTO", "Grid", m.gridScore > 0.2 ? -30 : 0);
+
+      add("LINE_ART", "Col", colors < 50 ? 45 : colors < 100 ? 25 : 0);
+      add("LINE_ART", "Edge", m.edgeDensity > 0.01 ? 35 : 0);
+      add("LINE_ART", "NoTex", m.textureScore < 0.12 ? 30 : 0);
+      add("LINE_ART", "LowSat", m.saturationMean < 12 ? 25 : 0);
+      add("LINE_ART", "Sharp", m.edgeSharpness > 0.6 ? 20 : 0);
+      add("LINE_ART", "Soft", m.edgeSharpness < 0.3 ? -30 : 0);
+
+      add("LOGO", "Col", colors < 150 ? Math.max(0, 60 - colors / 2.5) : 0);
+      add("LOGO", "Flat", m.flatnessRatio > 0.5 ? m.flatnessRatio * 35 : 0);
+      add(
+        "LOGO",
+        "Edge",
+        m.edgeDensity > 0.005 && m.edgeDensity < 0.08 ? 25 : 0
+      );
+      add("LOGO", "Dom", m.dominantColorRatio > 0.3 ? 20 : 0);
+      add("LOGO", "Sym", m.symmetryScore > 0.6 ? 15 : 0);
+      add("LOGO", "TexPen", m.textureScore > 0.2 ? -30 : 0);
+
+      add(
+        "UI",
+        "ArtEdge",
+        m.artificialEdgeRatio > 0.15 ? m.artificialEdgeRatio * 100 : 0
+      );
+      add("UI", "Block", m.blockiness > 0.3 ? m.blockiness * 50 : 0);
+      add("UI", "Sharp", m.edgeSharpness > 0.5 ? 25 : 0);
+      add("UI", "Grid", m.gridScore > 0.1 ? m.gridScore * 80 : 0);
+      add("UI", "NoTex", m.textureScore < 0.18 ? 20 : 0);
+      add("UI", "Peaks", m.histogramPeakiness > 0.3 ? 15 : 0);
+      // Natural content rules UI out more than anything else
+      add("UI", "NatPen", m.naturalness > 0.35 ? -50 : 0);
+
+      // Screenshots score as UI, favoring unusual aspect ratios
+      add("SCREENSHOT", "UI", scores.UI.total * 0.85);
+      add(
+        "SCREENSHOT",
+        "Aspect",
+        m.aspectRatio > 1.5 || m.aspectRatio < 0.6 ? 15 : 0
+      );
+
+      add("GRAPHIC", "MidCol", colors > 50 && colors < 1000 ? 35 : 0);
+      add("GRAPHIC", "LowTex", m.textureScore < 0.22 ? 30 : 0);
+      add(
+        "GRAPHIC",
+        "SimpSat",
+        m.saturationMean > 20 && m.saturationStdDev < 25 ? 25 : 0
+      );
+      add("GRAPHIC", "SmoothGrad", m.gradientSmoothness > 0.5 ? 15 : 0);
+      add("GRAPHIC", "NatPen", m.naturalness > 0.4 ? -30 : 0);
+      // Sensor grain: most neighbouring pixels differ slightly
+      add("GRAPHIC", "Grain", m.noiseLevel > 0.5 ? -30 : 0);
+
+      return scores;
+    }
+
+    // Highest score wins; its confidence is capped below the elimination
+    // passes'
+    static _decide(m, scores) {
+      const [category, { total, factors }] = Object.entries(scores).sort(
+        (a, b) => b[1].total - a[1].total
+      )[0];
+      const colors = m.uniqueColorCount;
+
+      let subType = category;
+      if (category === "PHOTO") {
+        if (m.naturalness > 0.4 && m.organicScore > 0.5) {
+          subType = "PHOTO_NATURAL";
+        } else if (
+          m.centerWeightScore > 1.2 &&
+          colors > 1000 &&
+          m.organicScore > 0.4
+        ) {
+          // A detailed subject, not a street of straight edges
+          subType = "PHOTO_PORTRAIT";
+        } else if (colors < 800) {
+          subType = "PHOTO_LOWCOLOR";
+        } else {
+          subType = "PHOTO_GENERAL";
+        }
+      } else if (category === "UI") {
+        if (m.blockiness > 0.6) subType = "UI_BLOCKS";
+        else if (m.gridScore > 0.2) subType = "UI_GRID";
+        else subType = "UI_GENERAL";
+      } else if (category === "LOGO") {
+        subType = colors < 50 ? "LOGO_SIMPLE" : "LOGO_COMPLEX";
+      } else if (category === "LINE_ART") {
+        subType = "LINE_ART_PURE";
+      }
+
+      return {
+        category,
+        subType,
+        confidence: Math.min(93, Math.max(40, total / 2)),
+        reason: factors.join(", "),
+      };
+    }
+
+    static calculateRecommendedQuality(complexity, imageType, hasTransparency) {
+      if (imageType === "graphic" || imageType === "simple") return 0.85;
+      if (hasTransparency && complexity < 10) return 0.88;
+      if (complexity > 20) return 0.75;
+      return 0.8;
+    }
+
+    static calculateCompressibility(uniqueColors, complexity) {
+      let score = 50;
+      if (uniqueColors < 256) score += 30;
+      else if (uniqueColors < 1000) score += 20;
+      else if (uniqueColors < 5000) score += 10;
+
+      if (complexity < 5) score += 20;
+      else if (complexity < 10) score += 10;
+
+      return Math.min(100, score);
+    }
+
+    static suggestFormat(imageType, hasTransparency, category = null) {
+      const profile = CATEGORY_PROFILES[category];
+      if (imageType === "graphic" || (profile && profile.palette)) {
+        return ImageFormat.PNG8;
+      }
+      if (hasTransparency) return ImageFormat.PNG;
+      if (ImageUtils.isWebPSupported()) return ImageFormat.WEBP;
+      return ImageFormat.JPEG;
+    }
+  }
+
+  // ==================== QUALITY METRICS ====================
+
+  // Stability constants from Wang et al. (2004) for 8-bit images
+  const SSIM_C1 = (0.01 * 255) ** 2;
+  const SSIM_C2 = (0.03 * 255) ** 2;
+  const MSSSIM_WEIGHTS = [0.0448, 0.2856, 0.3001, 0.2363, 0.1333];
+
+  class QualityMetrics {
+    /**
+     * Compare two images; B is resampled to A's size when they differ
+     * @param {ImageData|HTMLCanvasElement|OffscreenCanvas|HTMLImageElement|ImageBitmap|Blob} imageA - Reference
+     * @param {ImageData|HTMLCanvasElement|OffscreenCanvas|HTMLImageElement|ImageBitmap|Blob} imageB - Distorted
+     * @param {Object} options
+     * @param {string[]} options.metrics - Any of "ssim", "msssim", "psnr"
+     * @returns {Promise<Object>} { ssim, msssim, psnr, mse } for requested metrics
+     */
+    static async compare(imageA, imageB, options = {}) {
+      const { metrics = ["ssim", "msssim", "psnr"] } = options;
+
+      const a = await ImageUtils.getImageData(imageA);
+      const b = await ImageUtils.getImageData(imageB, a.width, a.height);
+
+      const result = {};
+      if (metrics.includes("ssim")) result.ssim = this.ssim(a, b);
+      if (metrics.includes("msssim")) result.msssim = this.msssim(a, b);
+      if (metrics.includes("psnr")) {
+        result.mse = this.mse(a, b);
+        result.psnr = this.psnrFromMse(result.mse);
+      }
+      return result;
+    }
+
+    /**
+     * Structural similarity of the luma channel (1 = identical)
+     * @param {ImageData} a
+     * @param {ImageData} b
+     * @returns {number}
+     */
+    static ssim(a, b) {
+      this._assertSameSize(a, b);
+      // Downsample as recommended by Wang et al. so results reflect
+      // typical viewing distance and stay fast on large images
+      const factor = Math.max(1, Math.round(Math.min(a.width, a.height) / 256));
+      const x = this._downsample(this._luma(a), a.width, a.height, factor);
+      const y = this._downsample(this._luma(b), b.width, b.height, factor);
+      return this._ssimStats(x.data, y.data, x.width, x.height).ssim;
+    }
+
+    /**
+     * Multi-scale SSIM over up to five dyadic scales
+     * @param {ImageData} a
+     * @param {ImageData} b
+     * @returns {number}
+     */
+    static msssim(a, b) {
+      this._assertSameSize(a, b);
+      let x = { data: this._luma(a), width: a.width, height: a.height };
+      let y = { data: this._luma(b), width: b.width, height: b.height };
+
+      // Small images support fewer scales; renormalize the weights used
+      let scales = 1;
+      while (
+        scales < MSSSIM_WEIGHTS.length &&
+        Math.min(x.width, x.height) >> scales >= 11
+      ) {
+        scales++;
+      }
+      const weights = MSSSIM_WEIGHTS.slice(0, scales);
+      const weightSum = weights.reduce((sum, w) => sum + w, 0);
+
+      let result = 1;
+      for (let i = 0; i < scales; i++) {
+        const stats = this._ssimStats(x.data, y.data, x.width, x.height);
+        const value = i === scales - 1 ? stats.ssim : stats.cs;
+        result *= Math.pow(Math.max(value, 0), weights[i] / weightSum);
+
+        if (i < scales - 1) {
+          x = this._downsample(x.data, x.width, x.height, 2);
+          y = this._downsample(y.data, y.width, y.height, 2);
+        }
+      }
+      return result;
+    }
+
+    /**
+     * Mean squared error over RGB, alpha composited on white
+     * @param {ImageData} a
+     * @param {ImageData} b
+     * @returns {number}
+     */
+    static mse(a, b) {
+      this._assertSameSize(a, b);
+      const da = a.data;
+      const db = b.data;
+      let sum = 0;
+
+      for (let i = 0; i < da.length; i += 4) {
+        const alphaA = da[i + 3] / 255;
+        const alphaB = db[i + 3] / 255;
+        for (let c = 0; c < 3; c++) {
+          const va = da[i + c] * alphaA + 255 * (1 - alphaA);
+          const vb = db[i + c] * alphaB + 255 * (1 - alphaB);
+          sum += (va - vb) * (va - vb);
+        }
+      }
+      return sum / ((da.length / 4) * 3);
+    }
+
+    /**
+     * Peak signal-to-noise ratio in dB (Infinity for identical images)
+     * @param {ImageData} a
+     * @param {ImageData} b
+     * @returns {number}
+     */
+    static psnr(a, b) {
+      return this.psnrFromMse(this.mse(a, b));
+    }
+
+    static psnrFromMse(mse) {
+      return mse === 0 ? Infinity : 10 * Math.log10((255 * 255) / mse);
+    }
+
+    static _assertSameSize(a, b) {
+      if (a.width !== b.width || a.height !== b.height) {
+        throw new InvalidInputError(
+          `Image sizes differ: ${a.width}x${a.height} vs ${b.width}x${b.height}`
+        );
+      }
+    }
+
+    static _luma(image) {
+      const { data } = image;
+      const luma = new Float32Array(data.length / 4);
+      for (let i = 0, p = 0; i < data.length; i += 4, p++) {
+        const alpha = data[i + 3] / 255;
+        const y = 0.299 * data[i] + 0.587 * data[i + 1] + 0.114 * data[i + 2];
+        luma[p] = y * alpha + 255 * (1 - alpha);
+      }
+      return luma;
+    }
+
+    static _downsample(plane, width, height, factor) {
+      if (factor <= 1) return { data: plane, width, height };
+
+      const w = Math.max(1, Math.floor(width / factor));
+      const h = Math.max(1, Math.floor(height / factor));
+      const out = new Float32Array(w * h);
+      const area = factor * factor;
+
+      for (let y = 0; y < h; y++) {
+        for (let x = 0; x < w; x++) {
+          let sum = 0;
+          for (let dy = 0; dy < factor; dy++) {
+            const row = (y * factor + dy) * width + x * factor;
+            for (let dx = 0; dx < factor; dx++) sum += plane[row + dx];
+          }
+          out[y * w + x] = sum / area;
+        }
+      }
+      return { data: out, width: w, height: h };
+    }
+
+    /**
+     * Mean SSIM and contrast-structure terms using an 11x11 Gaussian
+     * window (sigma 1.5), evaluated where the window fits the image
+     */
+    static _ssimStats(x, y, width, height) {
+      const kernel = this._gaussianKernel(11, 1.5);
+      const n = width * height;
+      const xx = new Float32Array(n);
+      const yy = new Float32Array(n);
+      const xy = new Float32Array(n);
+      for (let i = 0; i < n; i++) {
+        xx[i] = x[i] * x[i];
+        yy[i] = y[i] * y[i];
+        xy[i] = x[i] * y[i];
+      }
+
+      const muX = this._blur(x, width, height, kernel);
+      const muY = this._blur(y, width, height, kernel);
+      const sXX = this._blur(xx, width, height, kernel);
+      const sYY = this._blur(yy, width, height, kernel);
+      const sXY = this._blur(xy, width, height, kernel);
+
+      const r = kernel.length >> 1;
+      const fits = width > 2 * r && height > 2 * r;
+      const x0 = fits ? r : 0;
+      const y0 = fits ? r : 0;
+
+      let ssimSum = 0;
+      let csSum = 0;
+      let count = 0;
+      for (let py = y0; py < height - y0; py++) {
+        for (let px = x0; px < width - x0; px++) {
+          const i = py * width + px;
+          const mx = muX[i];
+          const my = muY[i];
+          const varX = sXX[i] - mx * mx;
+          const varY = sYY[i] - my * my;
+          const cov = sXY[i] - mx * my;
+
+          const cs = (2 * cov + SSIM_C2) / (varX + varY + SSIM_C2);
+          const l = (2 * mx * my + SSIM_C1) / (mx * mx + my * my + SSIM_C1);
+          ssimSum += l * cs;
+          csSum += cs;
+          count++;
+        }
+      }
+
+      return { ssim: ssimSum / count, cs: csSum / count };
+    }
+
+    static _gaussianKernel(size, sigma) {
+      const kernel = new Float32Array(size);
+      const r = size >> 1;
+      let sum = 0;
+      for (let i = 0; i < size; i++) {
+        kernel[i] = Math.exp(-((i - r) ** 2) / (2 * sigma * sigma));
+        sum += kernel[i];
+      }
+      for (let i = 0; i < size; i++) kernel[i] /= sum;
+      return kernel;
+    }
+
+    static _blur(src, width, height, kernel) {
+      const r = kernel.length >> 1;
+      const tmp = new Float32Array(src.length);
+      const out = new Float32Array(src.length);
+
+      for (let y = 0; y < height; y++) {
+        const row = y * width;
+        for (let x = 0; x < width; x++) {
+          let sum = 0;
+          for (let k = -r; k <= r; k++) {
+            const sx = Math.min(width - 1, Math.max(0, x + k));
+            sum += src[row + sx] * kernel[k + r];
+          }
+          tmp[row + x] = sum;
+        }
+      }
+
+      for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+          let sum = 0;
+          for (let k = -r; k <= r; k++) {
+            const sy = Math.min(height - 1, Math.max(0, y + k));
+            sum += tmp[sy * width + x] * kernel[k + r];
+          }
+          out[y * width + x] = sum;
+        }
+      }
+
+      return out;
+    }
+  }
+
+  // ==================== PLACEHOLDERS ====================
+
+  const PLACEHOLDER_TYPES = ["blurhash", "thumbhash", "dominantColor", "lqip"];
+
+  // Base 83 alphabet of BlurHash strings
+  const BLURHASH_DIGITS =
+    "0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz#$%*+,-.:;=?@[]^_{|}~";
+
+  // LQIP encoder qualities, tried at each size before shrinking
+  const LQIP_QUALITIES = [0.6, 0.4, 0.2];
+
+  class ImagePlaceholder {
+    /**
+     * Check the placeholders option
+     * @param {string[]|boolean|Object} [placeholders] - Types to generate,
+     *   true for all, or { types, lqipMaxBytes, lqipMaxDimension }
+     * @returns {Object|null} { types, lqipMaxBytes, lqipMaxDimension }, or
+     *   null when no placeholder is wanted
+     */
+    static normalizeOptions(placeholders = null) {
+      if (!placeholders) return null;
+      const {
+        types = PLACEHOLDER_TYPES,
+        lqipMaxBytes = 1024,
+        lqipMaxDimension = 32,
+      } = Array.isArray(placeholders)
+        ? { types: placeholders }
+        : placeholders === true
+        ? {}
+        : placeholders;
+
+      if (!Array.isArray(types)) {
+        throw new InvalidInputError("placeholders must list placeholder types");
+      }
+      types.forEach((type) => {
+        if (!PLACEHOLDER_TYPES.includes(type)) {
+          throw new InvalidInputError(
+            `Unknown placeholder "${type}" (use ${PLACEHOLDER_TYPES.join(
+              ", "
+            )})`
+          );
+        }
+      });
+      const maxBytes = parseInt(lqipMaxBytes);
+      const maxDimension = parseInt(lqipMaxDimension);
+      if (!(maxBytes > 0) || !(maxDimension > 0)) {
+        throw new InvalidInputError(
+          "lqipMaxBytes and lqipMaxDimension must be positive numbers"
+        );
+      }
+      if (!types.length) return null;
+      return {
+        types: [...new Set(types)],
+        lqipMaxBytes: maxBytes,
+        lqipMaxDimension: maxDimension,
+      };
+    }
+
+    /**
+     * Generate the requested placeholders for a decoded image
+     * @param {HTMLImageElement|HTMLCanvasElement|ImageBitmap} img
+     * @param {Object} options - From normalizeOptions()
+     * @returns {Promise<Object>} One entry per requested type
+     */
+    static async generate(img, options) {
+      const placeholders = {};
+      for (const type of options.types) {
+        placeholders[type] = await this[type](img, options);
+      }
+      return placeholders;
+    }
+
+    /**
+     * BlurHash of the image, 4x3 components (3x4 for portrait images)
+     * computed on a copy at most 32 pixels wide
+     * @param {HTMLImageElement|HTMLCanvasElement|ImageBitmap} img
+     * @returns {Promise<string>}
+     */
+    static async blurhash(img) {
+      const { width, height, data } = await this._thumbnail(img, 32);
+      const componentsX = width >= height ? 4 : 3;
+      const componentsY = width >= height ? 3 : 4;
+
+      const linear = new Float32Array(width * height * 3);
+      for (let i = 0, o = 0; i < data.length; i += 4, o += 3) {
+        linear[o] = SRGB_TO_LINEAR[data[i]] / 255;
+        linear[o + 1] = SRGB_TO_LINEAR[data[i + 1]] / 255;
+        linear[o + 2] = SRGB_TO_LINEAR[data[i + 2]] / 255;
+      }
+
+      const factors = [];
+      for (let cy = 0; cy < componentsY; cy++) {
+        for (let cx = 0; cx < componentsX; cx++) {
+          const normalisation = cx || cy ? 2 : 1;
+          const factor = [0, 0, 0];
+          for (let y = 0; y < height; y++) {
+            const basisY = Math.cos((Math.PI * cy * y) / height);
+            for (let x = 0; x < width; x++) {
+              const basis = basisY * Math.cos((Math.PI * cx * x) / width);
+              const o = (y * width + x) * 3;
+              factor[0] += basis * linear[o];
+              factor[1] += basis * linear[o + 1];
+              factor[2] += basis * linear[o + 2];
+            }
+          }
+          const scale = normalisation / (width * height);
+          factors.push(factor.map((value) => value * scale));
+        }
+      }
+
+      const encode83 = (value, length) => {
+        let result = "";
+        for (let i = length - 1; i >= 0; i--) {
+          result += BLURHASH_DIGITS[Math.floor(value / 83 ** i) % 83];
+        }
+        return result;
+      };
+      const toSrgb = (value) => {
+        const v = Math.min(1, Math.max(0, value));
+        return Math.round(
+          (v <= 0.0031308 ? v * 12.92 : 1.055 * v ** (1 / 2.4) - 0.055) * 255
+        );
+      };
+
+      const [dc, ...ac] = factors;
+      let hash = encode83(componentsX - 1 + (componentsY - 1) * 9, 1);
+      let maximum = 1;
+      if (ac.length) {
+        // Largest magnitude, as in the C reference; ignoring negative
+        // terms clips them on decode
+        const actual = Math.max(...ac.map((f) => Math.max(...f.map(Math.abs))));
+        const quantised = Math.max(
+          0,
+          Math.min(82, Math.floor(actual * 166 - 0.5))
+        );
+        maximum = (quantised + 1) / 166;
+        hash += encode83(quantised, 1);
+      } else {
+        hash += encode83(0, 1);
+      }
+      hash += encode83(
+        (toSrgb(dc[0]) << 16) + (toSrgb(dc[1]) << 8) + toSrgb(dc[2]),
+        4
+      );
+      ac.forEach((factor) => {
+        const [r, g, b] = factor.map((value) => {
+          const v = value / maximum;
+          return Math.max(
+            0,
+            Math.min(
+              18,
+              Math.floor(Math.sign(v) * Math.abs(v) ** 0.5 * 9 + 9.5)
+            )
+          );
+        });
+        hash += encode83(r * 19 * 19 + g * 19 + b, 2);
+      });
+      return hash;
+    }
+
+    /**
+     * ThumbHash of the image as base64, including its alpha and aspect
+     * ratio, computed on a copy at most 100 pixels wide
+     * @param {HTMLImageElement|HTMLCanvasElement|ImageBitmap} img
+     * @returns {Promise<string>}
+     */
+    static async thumbhash(img) {
+      const { width: w, height: h, data } = await this._thumbnail(img, 100);
+      const count = w * h;
+
+      // Average color, weighted by alpha
+      let avgR = 0;
+      let avgG = 0;
+      let avgB = 0;
+      let avgA = 0;
+      for (let i = 0; i < data.length; i += 4) {
+        const alpha = data[i + 3] / 255;
+        avgR += (alpha / 255) * data[i];
+        avgG += (alpha / 255) * data[i + 1];
+        avgB += (alpha / 255) * data[i + 2];
+        avgA += alpha;
+      }
+      if (avgA) {
+        avgR /= avgA;
+        avgG /= avgA;
+        avgB /= avgA;
+      }
+
+      // Fewer luminance terms when alpha needs room
+      const hasAlpha = avgA < count;
+      const limit = hasAlpha ? 5 : 7;
+      const lx = Math.max(1, Math.round((limit * w) / Math.max(w, h)));
+      const ly = Math.max(1, Math.round((limit * h) / Math.max(w, h)));
+
+      // Luminance, yellow-blue, red-green and alpha, composited onto the
+      // average color
+      const l = new Float64Array(count);
+      const p = new Float64Array(count);
+      const q = new Float64Array(count);
+      const a = new Float64Array(count);
+      for (let i = 0, j = 0; i < count; i++, j += 4) {
+        const alpha = data[j + 3] / 255;
+        const r = avgR * (1 - alpha) + (alpha / 255) * data[j];
+        const g = avgG * (1 - alpha) + (alpha / 255) * data[j + 1];
+        const b = avgB * (1 - alpha) + (alpha / 255) * data[j + 2];
+        l[i] = (r + g + b) / 3;
+        p[i] = (r + g) / 2 - b;
+        q[i] = r - g;
+        a[i] = alpha;
+      }
+
+      // DCT into a constant term and AC terms normalised to 0-1
+      const encodeChannel = (channel, nx, ny) => {
+        let dc = 0;
+        let scale = 0;
+        const ac = [];
+        const fx = new Float64Array(w);
+        for (let cy = 0; cy < ny; cy++) {
+          for (let cx = 0; cx * ny < nx * (ny - cy); cx++) {
+            for (let x = 0; x < w; x++) {
+              fx[x] = Math.cos((Math.PI / w) * cx * (x + 0.5));
+            }
+            let f = 0;
+            for (let y = 0; y < h; y++) {
+              const fy = Math.cos((Math.PI / h) * cy * (y + 0.5));
+              for (let x = 0; x < w; x++) f += channel[x + y * w] * fx[x] * fy;
+            }
+            f /= count;
+            if (cx || cy) {
+              ac.push(f);
+              scale = Math.max(scale, Math.abs(f));
+            } else {
+              dc = f;
+            }
+          }
+        }
+        if (scale) {
+          for (let i = 0; i < ac.length; i++)
+            ac[i] = 0.5 + (0.5 / scale) * ac[i];
+        }
+        return { dc, ac, scale };
+      };
+      const lum = encodeChannel(l, Math.max(3, lx), Math.max(3, ly));
+      const yb = encodeChannel(p, 3, 3);
+      const rg = encodeChannel(q, 3, 3);
+      const alpha = hasAlpha ? encodeChannel(a, 5, 5) : null;
+
+      const isLandscape = w > h;
+      const round = Math.round;
+      const header24 =
+        round(63 * lum.dc) |
+        (round(31.5 + 31.5 * yb.dc) << 6) |
+        (round(31.5 + 31.5 * rg.dc) << 12) |
+        (round(31 * lum.scale) << 18) |
+        (hasAlpha << 23);
+      const header16 =
+        (isLandscape ? ly : lx) |
+        (round(63 * yb.scale) << 3) |
+        (round(63 * rg.scale) << 9) |
+        (isLandscape << 15);
+      const hash = [
+        header24 & 255,
+        (header24 >> 8) & 255,
+        header24 >> 16,
+        header16 & 255,
+        header16 >> 8,
+      ];
+      if (alpha)
+        hash.push(round(15 * alpha.dc) | (round(15 * alpha.scale) << 4));
+
+      // Two 4-bit AC terms per byte
+      const start = hash.length;
+      let index = 0;
+      const channels = alpha ? [lum, yb, rg, alpha] : [lum, yb, rg];
+      channels.forEach(({ ac }) => {
+        ac.forEach((f) => {
+          const at = start + (index >> 1);
+          hash[at] = (hash[at] || 0) | (round(15 * f) << ((index & 1) << 2));
+          index++;
+        });
+      });
+      return this._base64(new Uint8Array(hash));
+    }
+
+    /**
+     * Most common color of the opaque pixels, averaged within its 4-bit
+     * per channel bucket
+     * @param {HTMLImageElement|HTMLCanvasElement|ImageBitmap} img
+     * @returns {Promise<string|null>} "#rrggbb", or null when the image is
+     *   fully transparent
+     */
+    static async dominantColor(img) {
+      const { data } = await this._thumbnail(img, 64);
+      const counts = new Uint32Array(1 << 12);
+      const sums = new Float64Array(3 << 12);
+      let best = -1;
+      for (let i = 0; i < data.length; i += 4) {
+        if (data[i + 3] < 128) continue;
+        const key =
+          ((data[i] >> 4) << 8) |
+          ((data[i + 1] >> 4) << 4) |
+          (data[i + 2] >> 4);
+        counts[key]++;
+        sums[key * 3] += data[i];
+        sums[key * 3 + 1] += data[i + 1];
+        sums[key * 3 + 2] += data[i + 2];
+        if (best < 0 || counts[key] > counts[best]) best = key;
+      }
+      if (best < 0) return null;
+      return (
+        "#" +
+        [0, 1, 2]
+          .map((c) =>
+            Math.round(sums[best * 3 + c] / counts[best])
+              .toString(16)
+              .padStart(2, "0")
+          )
+          .join("")
+      );
+    }
+
+    /**
+     * Tiny WebP (JPEG where WebP cannot be encoded) as a base64 data URL.
+     * Quality and then size are stepped down until the data URL fits
+     * lqipMaxBytes. JPEG is flattened onto white.
+     * @param {HTMLImageElement|HTMLCanvasElement|ImageBitmap} img
+     * @param {Object} [options] - { lqipMaxBytes, lqipMaxDimension }
+     * @returns {Promise<Object|null>} { dataUrl, width, height, type, size }
+     *   where size is the data URL's length, or null when even a 4 pixel
+     *   image does not fit
+     */
+    static async lqip(img, options = {}) {
+      const { lqipMaxBytes = 1024, lqipMaxDimension = 32 } = options;
+      const type = (await ImageUtils.probeEncoder(ImageFormat.WEBP))
+        ? ImageFormat.WEBP
+        : ImageFormat.JPEG;
+
+      // A single pixel is the smallest file the encoder writes. The js
+      // backend's JPEGs carry the standard Huffman tables, about 850 bytes
+      // as a data URL, so a lower budget cannot fit at any size.
+      const floor = await ImageUtils.canvasToBlob(
+        ImageUtils.createCanvas(1, 1),
+        type,
+        LQIP_QUALITIES[LQIP_QUALITIES.length - 1]
+      );
+      if (this._dataUrlLength(floor) > lqipMaxBytes) return null;
+
+      for (
+        let side = lqipMaxDimension;
+        side >= 4;
+        side = Math.min(side - 1, Math.floor(side * 0.75))
+      ) {
+        const { width, height, data } = await this._thumbnail(img, side);
+        const canvas = ImageUtils.createCanvas(width, height);
+        const ctx = canvas.getContext("2d");
+        const imageData = ctx.createImageData(width, height);
+        imageData.data.set(data);
+        if (type === ImageFormat.JPEG) {
+          const pixels = imageData.data;
+          for (let i = 0; i < pixels.length; i += 4) {
+            const alpha = pixels[i + 3] / 255;
+            for (let c = 0; c < 3; c++) {
+              pixels[i + c] = pixels[i + c] * alpha + 255 * (1 - alpha);
+            }
+            pixels[i + 3] = 255;
+          }
+        }
+        ctx.putImageData(imageData, 0, 0);
+
+        for (const quality of LQIP_QUALITIES) {
+          const blob = await ImageUtils.canvasToBlob(canvas, type, quality);
+          const bytes = new Uint8Array(await blob.arrayBuffer());
+          const dataUrl = `data:${blob.type};base64,${this._base64(bytes)}`;
+          if (dataUrl.length <= lqipMaxBytes) {
+            return {
+              dataUrl,
+              width,
+              height,
+              type: blob.type,
+              size: dataUrl.length,
+            };
+          }
+        }
+      }
+      return null;
+    }
+
+    // Pixels of a copy fitting maxSide x maxSide, aspect ratio kept
+    static _thumbnail(img, maxSide) {
+      const fit = Math.min(1, maxSide / Math.max(img.width, img.height));
+      return ImageUtils.getImageData(
+        img,
+        Math.max(1, Math.round(img.width * fit)),
+        Math.max(1, Math.round(img.height * fit))
+      );
+    }
+
+    // Length of a blob's base64 data URL
+    static _dataUrlLength(blob) {
+      return `data:${blob.type};base64,`.length + Math.ceil(blob.size / 3) * 4;
+    }
+
+    static _base64(bytes) {
+      let binary = "";
+      for (let i = 0; i < bytes.length; i += 0x8000) {
+        binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+      }
+      return btoa(binary);
+    }
+  }
+
+  // ==================== COMPRESSION ENGINE ====================
+
+  // Formats raced by outputFormat: "auto", in tie-break order
+  const AUTO_FORMAT_CANDIDATES = [
+    ImageFormat.AVIF,
+    ImageFormat.WEBP,
+    ImageFormat.JPEG,
+    ImageFormat.PNG,
+    ImageFormat.PNG8,
+  ];
+
+  // SSIM every candidate must reach when the preset sets no targetQuality
+  const AUTO_FORMAT_QUALITY = 0.95;
+
+  // Range in KB the V23 adaptive target formulas were tuned for; results
+  // are mapped from it onto each preset's own range. Source size adds 10%
+  // per megapixel up to `megapixels`.
+  const ADAPTIVE_REFERENCE = { min: 4, max: 40, megapixels: 2 };
+
+  // Per content subtype: the starting point as a multiple of the reference
+  // minimum, and the KB each unit of a classifier feature adds. Colour and
+  // corner terms are scaled down from V23's, which alone filled the range
+  // for any multi-megapixel photo, UI capture or drawing.
+  const ADAPTIVE_TARGETS = {
+    PHOTO_NATURAL: {
+      base: 0.8,
+      terms: {
+        textureScore: 90,
+        uniqueColorCount: 0.0018,
+        naturalness: 45,
+        microDetailDensity: 50,
+      },
+    },
+    PHOTO_PORTRAIT: {
+      // Smooth skin needs bytes
+      base: 0.8,
+      terms: {
+        textureScore: 80,
+        uniqueColorCount: 0.002,
+        gradientSmoothness: 60,
+      },
+    },
+    PHOTO_LOWCOLOR: {
+      base: 0.8,
+      terms: { textureScore: 60, uniqueColorCount: 0.0012, naturalness: 40 },
+    },
+    PHOTO_GENERAL: {
+      base: 0.8,
+      terms: { textureScore: 75, uniqueColorCount: 0.0015, naturalness: 40 },
+    },
+    LINE_ART_PURE: { base: 0.7, terms: { edgeDensity: 120, cornerCount: 0.1 } },
+    LOGO_SIMPLE: {
+      base: 0.6,
+      terms: { edgeSharpness: 15, uniqueColorCount: 0.1 },
+    },
+    LOGO_COMPLEX: {
+      base: 0.8,
+      terms: { edgeSharpness: 30, uniqueColorCount: 0.01 },
+    },
+    UI_BLOCKS: { base: 1.035, terms: { edgeDensity: 100 } },
+    UI_GRID: {
+      base: 1.2,
+      terms: { edgeDensity: 110, uniqueColorCount: 0.005 },
+    },
+    UI_STRUCTURED: {
+      base: 1.2,
+      terms: { edgeDensity: 110, uniqueColorCount: 0.005 },
+    },
+    UI_GENERAL: {
+      base: 1.2,
+      terms: { edgeDensity: 110, uniqueColorCount: 0.005 },
+    },
+    SCREENSHOT: {
+      base: 1.2,
+      terms: { edgeDensity: 110, uniqueColorCount: 0.005 },
+    },
+    GRAPHIC: {
+      base: 1,
+      terms: { uniqueColorCount: 8 / 1500, textureScore: 40 },
+    },
+    ICON_FLAT: { base: 0.7, terms: {} },
+    ICON_SMALL: { base: 0.7, terms: {} },
+    DEFAULT: { base: 1.5, terms: {} },
+  };
+
+  class CompressionEngine {
+    /**
+     * Intelligent binary search compression
+     * @param {HTMLCanvasElement} canvas
+     * @param {string} format
+     * @param {number} targetSize
+     * @param {Object} analysis
+     * @param {string} qualityMode
+     * @param {Object} options
+     * @param {AbortSignal} options.signal - Checked before every encode
+     * @param {Object} options.palette - PNG8/GIF options for canvasToBlob()
+     * @returns {Promise<Blob>}
+     */
+    static async compress(
+      canvas,
+      format,
+      targetSize,
+      analysis,
+      qualityMode = CompressionQuality.BALANCED,
+      { signal, palette } = {}
+    ) {
+      const baseQuality = analysis.recommendedQuality;
+      const qualityAdjustment = this.getQualityAdjustment(qualityMode);
+      const [floor, ceiling] = ImageAnalyzer.categoryProfile(analysis).quality;
+
+      let minQuality = Math.max(floor, baseQuality - qualityAdjustment.range);
+      let maxQuality = Math.min(ceiling, baseQuality + qualityAdjustment.boost);
+      let bestBlob = null;
+      let iterations = 0;
+      const maxIterations = qualityAdjustment.iterations;
+
+      while (iterations < maxIterations && maxQuality - minQuality > 0.005) {
+        await checkpoint(signal);
+        const quality = (minQuality + maxQuality) / 2;
+        const blob = await ImageUtils.canvasToBlob(
+          canvas,
+          format,
+          quality,
+          palette
+        );
+
+        if (blob.size <= targetSize * qualityAdjustment.tolerance) {
+          bestBlob = blob;
+          minQuality = quality;
+        } else {
+          maxQuality = quality;
+        }
+
+        iterations++;
+      }
+
+      if (!bestBlob) {
+        await checkpoint(signal);
+        bestBlob = await ImageUtils.canvasToBlob(
+          canvas,
+          format,
+          minQuality,
+          palette
+        );
+      }
+
+      return bestBlob;
+    }
+
+    /**
+     * Find the smallest blob whose SSIM against the canvas meets
+     * `targetQuality`, optionally capped by `maxSize`
+     * @param {HTMLCanvasElement} canvas
+     * @param {string} format
+     * @param {Object} constraints
+     * @param {number} constraints.targetQuality - Minimum SSIM (0-1)
+     * @param {number} [constraints.maxSize] - Maximum bytes
+     * @param {Object} options
+     * @param {AbortSignal} options.signal - Checked before every encode
+     * @param {number} options.iterations - Bisection steps per constraint
+     * @param {Object} options.palette - PNG8/GIF options for canvasToBlob()
+     * @returns {Promise<Object>} { blob, quality, ssim, binding, qualityMet, sizeMet }
+     */
+    static async compressToQuality(
+      canvas,
+      format,
+      { targetQuality, maxSize = null },
+      { signal, iterations = 7, palette } = {}
+    ) {
+      const reference = await ImageUtils.getImageData(canvas);
+      const encode = async (quality) => {
+        await checkpoint(signal);
+        const blob = await ImageUtils.canvasToBlob(
+          canvas,
+          format,
+          quality,
+          palette
+        );
+        const decoded = await ImageUtils.getImageData(
+          blob,
+          reference.width,
+          reference.height
+        );
+        return { blob, quality, ssim: QualityMetrics.ssim(reference, decoded) };
+      };
+      const fitsSize = (attempt) => !maxSize || attempt.blob.size <= maxSize;
+
+      // Lossless output ignores the quality parameter
+      if (format === ImageFormat.PNG) {
+        const attempt = await encode(1);
+        return {
+          ...attempt,
+          binding: fitsSize(attempt) ? "quality" : "size",
+          qualityMet: attempt.ssim >= targetQuality,
+          sizeMet: fitsSize(attempt),
+        };
+      }
+
+      // Lowest encoder quality that still meets the perceptual threshold
+      let best = await encode(1);
+      if (best.ssim >= targetQuality) {
+        let low = 0.05;
+        let high = 1;
+        for (let i = 0; i < iterations && high - low > 0.01; i++) {
+          const attempt = await encode((low + high) / 2);
+          if (attempt.ssim >= targetQuality) {
+            best = attempt;
+            high = attempt.quality;
+          } else {
+            low = attempt.quality;
+          }
+        }
+      }
+
+      if (fitsSize(best)) {
+        return {
+          ...best,
+          binding: "quality",
+          qualityMet: best.ssim >= targetQuality,
+          sizeMet: true,
+        };
+      }
+
+      // The size cap binds: highest quality that still fits
+      let fitting = null;
+      let low = 0.05;
+      let high = best.quality;
+      for (let i = 0; i < iterations && high - low > 0.01; i++) {
+        const attempt = await encode((low + high) / 2);
+        if (fitsSize(attempt)) {
+          fitting = attempt;
+          low = attempt.quality;
+        } else {
+          high = attempt.quality;
+        }
+      }
+      const result = fitting || (await encode(low));
+
+      return {
+        ...result,
+        binding: "size",
+        qualityMet: result.ssim >= targetQuality,
+        sizeMet: fitsSize(result),
+      };
+    }
+
+    /**
+     * Encode every candidate format at the same perceptual quality and
+     * pick the smallest one that meets the constraints
+     * @param {HTMLCanvasElement} canvas
+     * @param {string[]} formats
+     * @param {Object} constraints - { targetQuality, maxSize }
+     * @param {Object} options - { signal, palette }
+     * @returns {Promise<Object>} { format, result, candidates }
+     */
+    static async raceFormats(
+      canvas,
+      formats,
+      constraints,
+      { signal, palette } = {}
+    ) {
+      const attempts = [];
+      for (const format of formats) {
+        const result = await CompressionEngine.compressToQuality(
+          canvas,
+          format,
+          constraints,
+          { signal, palette }
+        );
+        attempts.push({ format, result });
+      }
+
+      // Smallest output meeting both constraints, then quality alone,
+      // then whichever came closest to the quality bar
+      const smallest = (list) =>
+        list.reduce((best, a) =>
+          a.result.blob.size < best.result.blob.size ? a : best
+        );
+      const meetsAll = attempts.filter(
+        (a) => a.result.qualityMet && a.result.sizeMet
+      );
+      const meetsQuality = attempts.filter((a) => a.result.qualityMet);
+      const winner = meetsAll.length
+        ? smallest(meetsAll)
+        : meetsQuality.length
+        ? smallest(meetsQuality)
+        : attempts.reduce((best, a) =>
+            a.result.ssim > best.result.ssim ? a : best
+          );
+
+      return {
+        format: winner.format,
+        result: winner.result,
+        candidates: attempts.map(({ format, result }) => ({
+          format,
+          size: result.blob.size,
+          encoderQuality: parseFloat(result.quality.toFixed(3)),
+          ssim: parseFloat(result.ssim.toFixed(4)),
+          qualityMet: result.qualityMet,
+          sizeMet: result.sizeMet,
+          selected: format === winner.format,
+        })),
+      };
+    }
+
+    /**
+     * Encode every candidate format toward the same byte target and pick
+     * the one that looks best there. Candidates more than 15% over the
+     * target only win when none fits, and then the smallest does.
+     * @param {HTMLCanvasElement} canvas
+     * @param {string[]} formats
+     * @param {number} targetSize
+     * @param {Object} analysis
+     * @param {string} qualityMode
+     * @param {Object} options - { signal, palette }
+     * @returns {Promise<Object>} { format, blob, candidates }
+     */
+    static async raceFormatsToSize(
+      canvas,
+      formats,
+      targetSize,
+      analysis,
+      qualityMode,
+      { signal, palette } = {}
+    ) {
+      const reference = await ImageUtils.getImageData(canvas);
+      const attempts = [];
+      for (const format of formats) {
+        const blob = await CompressionEngine.compress(
+          canvas,
+          format,
+          targetSize,
+          analysis,
+          qualityMode,
+          { signal, palette }
+        );
+        const decoded = await ImageUtils.getImageData(
+          blob,
+          reference.width,
+          reference.height
+        );
+        attempts.push({
+          format,
+          blob,
+          ssim: QualityMetrics.ssim(reference, decoded),
+          sizeMet: blob.size <= targetSize * 1.15,
+        });
+      }
+
+      const fitting = attempts.filter((a) => a.sizeMet);
+      const winner = fitting.length
+        ? fitting.reduce((best, a) => (a.ssim > best.ssim ? a : best))
+        : attempts.reduce((best, a) =>
+            a.blob.size < best.blob.size ? a : best
+          );
+
+      return {
+        format: winner.format,
+        blob: winner.blob,
+        candidates: attempts.map(({ format, blob, ssim, sizeMet }) => ({
+          format,
+          size: blob.size,
+          encoderQuality: null,
+          ssim: parseFloat(ssim.toFixed(4)),
+          qualityMet: null,
+          sizeMet,
+          selected: format === winner.format,
+        })),
+      };
+    }
+
+    static getQualityAdjustment(mode) {
+      const adjustments = {
+        [CompressionQuality.MAXIMUM]: {
+          range: 0.1,
+          boost: 0.15,
+          tolerance: 1.3,
+          iterations: 12,
+        },
+        [CompressionQuality.HIGH]: {
+          range: 0.15,
+          boost: 0.1,
+          tolerance: 1.2,
+          iterations: 15,
+        },
+        [CompressionQuality.BALANCED]: {
+          range: 0.25,
+          boost: 0.05,
+          tolerance: 1.1,
+          iterations: 15,
+        },
+        [CompressionQuality.AGGRESSIVE]: {
+          range: 0.35,
+          boost: 0,
+          tolerance: 1.0,
+          iterations: 18,
+        },
+        [CompressionQuality.EXTREME]: {
+          range: 0.45,
+          boost: 0,
+          tolerance: 0.95,
+          iterations: 20,
+        },
+      };
+      return adjustments[mode] || adjustments[CompressionQuality.BALANCED];
+    }
+
+    /**
+     * Advanced optimization with progressive scaling
+     * @param {HTMLCanvasElement} canvas
+     * @param {string} format
+     * @param {number} targetSize
+     * @param {Object} analysis
+     * @param {Object} options
+     * @param {AbortSignal} options.signal - Checked before every scale step
+     * @param {Object} options.palette - PNG8/GIF options for canvasToBlob()
+     * @param {Object} options.resize - Preset resampling, see scaleCanvas()
+     * @returns {Promise<Blob>}
+     */
+    static async advancedOptimize(
+      canvas,
+      format,
+      targetSize,
+      analysis,
+      { signal, palette, resize } = {}
+    ) {
+      const scales = [
+        0.98, 0.95, 0.92, 0.88, 0.85, 0.8, 0.75, 0.7, 0.65, 0.6, 0.55, 0.5,
+      ];
+
+      for (const scale of scales) {
+        await checkpoint(signal);
+        const tempCanvas = this.scaleCanvas(canvas, scale, resize);
+        const blob = await this.compress(
+          tempCanvas,
+          format,
+          targetSize,
+          analysis,
+          CompressionQuality.AGGRESSIVE,
+          { signal, palette }
+        );
+
+        if (blob.size <= targetSize) {
+          return blob;
+        }
+      }
+
+      // Last resort
+      await checkpoint(signal);
+      const finalCanvas = this.scaleCanvas(canvas, 0.4, resize);
+      return await ImageUtils.canvasToBlob(finalCanvas, format, 0.1, palette);
+    }
+
+    /**
+     * Scale a canvas, with the canvas' own smoothing unless a resampling
+     * kernel is given
+     * @param {HTMLCanvasElement} sourceCanvas
+     * @param {number} scale
+     * @param {Object} [resize] - { kernel, linear }
+     * @returns {HTMLCanvasElement}
+     */
+    static scaleCanvas(sourceCanvas, scale, resize = null) {
+      const width = Math.round(sourceCanvas.width * scale);
+      const height = Math.round(sourceCanvas.height * scale);
+      const options = CompressionEngine.normalizeResize(resize);
+      if (options) {
+        return CompressionEngine.resample(
+          sourceCanvas,
+          {
+            x: 0,
+            y: 0,
+            width: sourceCanvas.width,
+            height: sourceCanvas.height,
+          },
+          width,
+          height,
+          options
+        );
+      }
+
+      const canvas = ImageUtils.createCanvas(width, height);
+      const ctx = canvas.getContext("2d");
+      ctx.imageSmoothingEnabled = true;
+      ctx.imageSmoothingQuality = "high";
+      ctx.drawImage(sourceCanvas, 0, 0, canvas.width, canvas.height);
+
+      return canvas;
+    }
+
+    /**
+     * Check a preset's targetSize: bytes, or { min, max } bytes for a
+     * target derived from the analysis. A range is adaptive unless
+     * adaptiveTarget is false, which aims for max.
+     * @param {Object} config - Preset with targetSize and adaptiveTarget
+     * @returns {Object} { targetSize, adaptiveTarget }
+     */
+    static normalizeTargetSize({ targetSize = null, adaptiveTarget } = {}) {
+      if (targetSize !== null && typeof targetSize === "object") {
+        const min = parseInt(targetSize.min);
+        const max = parseInt(targetSize.max);
+        if (!(min > 0 && max >= min)) {
+          throw new InvalidInputError(
+            "targetSize range needs 0 < min <= max bytes"
+          );
+        }
+        return {
+          targetSize: { min, max },
+          adaptiveTarget: adaptiveTarget !== false,
+        };
+      }
+      if (adaptiveTarget) {
+        throw new InvalidInputError(
+          "adaptiveTarget needs a targetSize range: { min, max }"
+        );
+      }
+      if (targetSize === null || targetSize === undefined) {
+        return { targetSize: null, adaptiveTarget: false };
+      }
+      const bytes = parseInt(targetSize);
+      if (!(bytes > 0)) {
+        throw new InvalidInputError(
+          "targetSize must be a positive number of bytes"
+        );
+      }
+      return { targetSize: bytes, adaptiveTarget: false };
+    }
+
+    /**
+     * Byte target of a preset for one image. Adaptive targets evaluate the
+     * V23 formula for the image's subtype on the 4-40KB scale it was tuned
+     * for, then map the result onto the preset's range.
+     * @param {Object} preset
+     * @param {Object} analysis - From ImageAnalyzer.analyze()
+     * @returns {Object} { targetSize, adaptiveTarget } where adaptiveTarget
+     *   explains the derivation, or is null for a fixed target
+     */
+    static resolveTargetSize(preset, analysis) {
+      const { targetSize, adaptiveTarget } =
+        CompressionEngine.normalizeTargetSize(preset);
+      if (!targetSize || typeof targetSize === "number") {
+        return { targetSize, adaptiveTarget: null };
+      }
+      if (!adaptiveTarget) {
+        return { targetSize: targetSize.max, adaptiveTarget: null };
+      }
+
+      const round = (value, digits) => parseFloat(value.toFixed(digits));
+      const subType = analysis.subType || null;
+      const formulaName = ADAPTIVE_TARGETS[subType] ? subType : "DEFAULT";
+      const formula = ADAPTIVE_TARGETS[formulaName];
+      const features = analysis.contentFeatures || {};
+      const reference = ADAPTIVE_REFERENCE;
+
+      let referenceKB = reference.min * formula.base;
+      const terms = {};
+      Object.keys(formula.terms).forEach((feature) => {
+        const kb = (features[feature] || 0) * formula.terms[feature];
+        terms[feature] = round(kb, 2);
+        referenceKB += kb;
+      });
+      // Larger images get a little more
+      const megapixels = features.megapixels || 0;
+      referenceKB *= 1 + Math.min(megapixels, reference.megapixels) / 10;
+
+      // 0 at half the reference minimum, 1 at the reference maximum
+      const floor = reference.min * 0.5;
+      const demand =
+        (Math.min(reference.max, Math.max(floor, referenceKB)) - floor) /
+        (reference.max - floor);
+
+      return {
+        targetSize: Math.round(
+          targetSize.min + demand * (targetSize.max - targetSize.min)
+        ),
+        adaptiveTarget: {
+          subType,
+          formula: formulaName,
+          range: targetSize,
+          baseKB: round(reference.min * formula.base, 2),
+          terms,
+          megapixels,
+          referenceKB: round(referenceKB, 2),
+          demand: round(demand, 4),
+        },
+      };
+    }
+
+    /**
+     * Check a preset's resize option
+     * @param {Object} [resize] - { kernel, linear }
+     * @returns {Object|null} { kernel, linear }, or null for canvas smoothing
+     */
+    static normalizeResize(resize) {
+      if (!resize) return null;
+      const { kernel = "lanczos3", linear = false } = resize;
+      if (!RESAMPLE_KERNELS[kernel]) {
+        throw new InvalidInputError(
+          `Unknown resampling kernel "${kernel}" (use ${Object.keys(
+            RESAMPLE_KERNELS
+          ).join(", ")})`
+        );
+      }
+      return { kernel, linear: Boolean(linear) };
+    }
+
+    /**
+     * Resample part of any drawable with a kernel from RESAMPLE_KERNELS,
+     * independent of the browser's smoothing
+     * @param {HTMLImageElement|HTMLCanvasElement|ImageData} source
+     * @param {Object} rect - Source rectangle { x, y, width, height }
+     * @param {number} width
+     * @param {number} height
+     * @param {Object} options - { kernel, linear }
+     * @returns {HTMLCanvasElement}
+     */
+    static resample(source, rect, width, height, options) {
+      const pixels = CompressionEngine._pixelsOf(source);
+      const canvas = ImageUtils.createCanvas(width, height);
+      const ctx = canvas.getContext("2d");
+      const imageData = ctx.createImageData(width, height);
+      imageData.data.set(
+        RasterContext.resample(pixels, rect, width, height, options)
+      );
+      ctx.putImageData(imageData, 0, 0);
+      return canvas;
+    }
+
+    /**
+     * Create optimized canvas with smart cropping
+     * @param {HTMLImageElement} img
+     * @param {Object} dimensions - From ImageUtils.calculateDimensions()
+     * @param {Object} analysis
+     * @param {Object} [resize] - { kernel, linear }; without it the canvas
+     *   smooths and downscaled photos are sharpened
+     * @returns {HTMLCanvasElement}
+     */
+    static createOptimizedCanvas(img, dimensions, analysis, resize = null) {
+      const options = CompressionEngine.normalizeResize(resize);
+      const { placement } = dimensions;
+      if (options && !placement) {
+        return CompressionEngine.resample(
+          img,
+          CompressionEngine._cropRect(dimensions),
+          dimensions.width,
+          dimensions.height,
+          options
+        );
+      }
+
+      // Contained images are padded; transparent inputs stay transparent
+      const background = placement
+        ? dimensions.background ||
+          (analysis.hasTransparency ? "transparent" : "white")
+        : null;
+      const canvas = ImageUtils.createCanvas(
+        dimensions.width,
+        dimensions.height
+      );
+
+      const ctx = canvas.getContext("2d", {
+        alpha:
+          analysis.hasTransparency ||
+          (background !== null &&
+            background !== "blur" &&
+            RasterContext.parseColor(background)[3] < 255),
+        desynchronized: true,
+        willReadFrequently: false,
+      });
+
+      if (background) {
+        CompressionEngine._drawBackground(ctx, img, dimensions, background);
+      }
+
+      if (options) {
+        const { x, y, width, height } = placement;
+        ctx.drawImage(
+          CompressionEngine.resample(
+            img,
+            CompressionEngine._cropRect(dimensions),
+            width,
+            height,
+            options
+          ),
+          x,
+          y
+        );
+        return canvas;
+      }
+
+      ctx.imageSmoothingEnabled = true;
+      ctx.imageSmoothingQuality =
+        analysis.imageType === "graphic" ? "high" : "high";
+
+      this.drawWithSmartCrop(ctx, img, dimensions);
+
+      // Apply sharpening for downscaled photos
+      if (
+        ImageAnalyzer.categoryProfile(analysis).sharpen &&
+        dimensions.scale < 0.7
+      ) {
+        this.applySharpen(ctx, canvas.width, canvas.height, 0.3);
+      }
+
+      return canvas;
+    }
+
+    static drawWithSmartCrop(ctx, img, dims) {
+      const { x, y, width, height } = CompressionEngine._cropRect(dims);
+      const target = dims.placement || {
+        x: 0,
+        y: 0,
+        width: dims.width,
+        height: dims.height,
+      };
+      ctx.drawImage(
+        img,
+        x,
+        y,
+        width,
+        height,
+        target.x,
+        target.y,
+        target.width,
+        target.height
+      );
+    }
+
+    // Padding behind a contained image: a CSS color, or "blur" for the
+    // image itself scaled to cover the output and blurred
+    static _drawBackground(ctx, img, dimensions, background) {
+      const { width, height, sourceWidth, sourceHeight } = dimensions;
+      if (background !== "blur") {
+        ctx.fillStyle = background;
+        ctx.fillRect(0, 0, width, height);
+        return;
+      }
+
+      // Shrinking to a few pixels and scaling back up blurs identically
+      // on every backend
+      const small = CompressionEngine.resample(
+        img,
+        CompressionEngine._cropRect({
+          width,
+          height,
+          sourceWidth,
+          sourceHeight,
+        }),
+        Math.max(1, Math.round(width / 32)),
+        Math.max(1, Math.round(height / 32)),
+        { kernel: "box" }
+      );
+      ctx.drawImage(
+        CompressionEngine.resample(
+          small,
+          { x: 0, y: 0, width: small.width, height: small.height },
+          width,
+          height,
+          { kernel: "mitchell" }
+        ),
+        0,
+        0
+      );
+    }
+
+    // RGBA pixels of a drawable at its natural size
+    static _pixelsOf(source) {
+      if (
+        source instanceof RasterCanvas ||
+        source instanceof RasterImage ||
+        (source.data && typeof source.getContext !== "function")
+      ) {
+        return source;
+      }
+      const width = source.naturalWidth || source.width;
+      const height = source.naturalHeight || source.height;
+      const canvas = ImageUtils.createCanvas(width, height);
+      const ctx = canvas.getContext("2d", { willReadFrequently: true });
+      ctx.drawImage(source, 0, 0);
+      return ctx.getImageData(0, 0, width, height);
+    }
+
+    // Source rectangle to draw: the one calculateDimensions() chose, or
+    // a centered one with the output's aspect ratio
+    static _cropRect({ width, height, sourceWidth, sourceHeight, crop }) {
+      if (crop) return crop;
+      const sourceAspect = sourceWidth / sourceHeight;
+      const targetAspect = width / height;
+
+      let sx = 0,
+        sy = 0,
+        sw = sourceWidth,
+        sh = sourceHeight;
+
+      if (sourceAspect > targetAspect) {
+        sw = sourceHeight * targetAspect;
+        sx = (sourceWidth - sw) / 2;
+      } else if (sourceAspect < targetAspect) {
+        sh = sourceWidth / targetAspect;
+        sy = (sourceHeight - sh) / 2;
+      }
+
+      return { x: sx, y: sy, width: sw, height: sh };
+    }
+
+    /**
+     * Check the crop placement options of a compress call
+     * @param {Object} options
+     * @param {Object} [options.focalPoint] - { x, y } in source pixels
+     * @param {Object} [options.focusRect] - { x, y, width, height } in
+     *   source pixels
+     * @param {string} [options.cropStrategy="attention"] - "attention" or
+     *   "center"
+     * @returns {Object} { strategy, focalPoint, focusRect }
+     */
+    static normalizeFocus({
+      focalPoint = null,
+      focusRect = null,
+      cropStrategy = "attention",
+    } = {}) {
+      if (!CROP_STRATEGIES.includes(cropStrategy)) {
+        throw new InvalidInputError(
+          `Unknown crop strategy "${cropStrategy}" (use ${CROP_STRATEGIES.join(
+            ", "
+          )})`
+        );
+      }
+      const isNumber = (value) => typeof value === "number" && isFinite(value);
+      if (focalPoint && !(isNumber(focalPoint.x) && isNumber(focalPoint.y))) {
+        throw new InvalidInputError("focalPoint needs numeric x and y");
+      }
+      if (
+        focusRect &&
+        !(
+          isNumber(focusRect.x) &&
+          isNumber(focusRect.y) &&
+          focusRect.width > 0 &&
+          focusRect.height > 0
+        )
+      ) {
+        throw new InvalidInputError(
+          "focusRect needs numeric x and y and a positive width and height"
+        );
+      }
+      return { strategy: cropStrategy, focalPoint, focusRect };
+    }
+
+    /**
+     * Move a cover crop onto the subject: centered on focusRect or
+     * focalPoint when given, otherwise onto the most salient window
+     * @param {HTMLImageElement|HTMLCanvasElement|ImageBitmap} img
+     * @param {Object} dimensions - From ImageUtils.calculateDimensions()
+     * @param {Object} [focus] - From CompressionEngine.normalizeFocus()
+     * @returns {Object} { x, y, width, height, strategy }; strategy is
+     *   null when nothing is cropped
+     */
+    static placeCrop(img, dimensions, focus = null) {
+      const { sourceWidth, sourceHeight } = dimensions;
+      const crop = CompressionEngine._cropRect(dimensions);
+      const { width, height } = crop;
+      if (width >= sourceWidth && height >= sourceHeight) {
+        return { ...crop, strategy: null };
+      }
+
+      const clamp = (value, max) => Math.min(Math.max(0, value), max);
+      const around = (cx, cy, strategy) => ({
+        x: clamp(cx - width / 2, sourceWidth - width),
+        y: clamp(cy - height / 2, sourceHeight - height),
+        width,
+        height,
+        strategy,
+      });
+      const { strategy = "attention", focalPoint, focusRect } = focus || {};
+      if (focusRect) {
+        return around(
+          focusRect.x + focusRect.width / 2,
+          focusRect.y + focusRect.height / 2,
+          "focusRect"
+        );
+      }
+      if (focalPoint) return around(focalPoint.x, focalPoint.y, "focalPoint");
+      if (strategy === "center") return { ...crop, strategy: "center" };
+
+      const map = ImageAnalyzer.saliencyMap(img);
+      const best = CompressionEngine._salientWindow(
+        map,
+        Math.min(map.width, Math.max(1, Math.round(width * map.scaleX))),
+        Math.min(map.height, Math.max(1, Math.round(height * map.scaleY)))
+      );
+      if (!best) return { ...crop, strategy: "center" };
+      return {
+        x: clamp(best.x / map.scaleX, sourceWidth - width),
+        y: clamp(best.y / map.scaleY, sourceHeight - height),
+        width,
+        height,
+        strategy: "attention",
+      };
+    }
+
+    // Window of the saliency map with the most energy, discounted by its
+    // distance from the center; null for a map without any
+    static _salientWindow({ width, height, data }, windowWidth, windowHeight) {
+      const stride = width + 1;
+      const integral = new Float64Array(stride * (height + 1));
+      for (let y = 0; y < height; y++) {
+        let row = 0;
+        for (let x = 0; x < width; x++) {
+          row += data[y * width + x];
+          integral[(y + 1) * stride + x + 1] =
+            integral[y * stride + x + 1] + row;
+        }
+      }
+      if (!integral[integral.length - 1]) return null;
+
+      let best = null;
+      for (let y = 0; y + windowHeight <= height; y++) {
+        for (let x = 0; x + windowWidth <= width; x++) {
+          const sum =
+            integral[(y + windowHeight) * stride + x + windowWidth] -
+            integral[(y + windowHeight) * stride + x] -
+            integral[y * stride + x + windowWidth] +
+            integral[y * stride + x];
+          const distance = Math.hypot(
+            (x + windowWidth / 2) / width - 0.5,
+            (y + windowHeight / 2) / height - 0.5
+          );
+          const score = sum * (1 - 0.2 * distance);
+          if (!best || score > best.score) best = { x, y, score };
+        }
+      }
+      return best;
+    }
+
+    static applySharpen(ctx, width, height, strength = 0.3) {
+      const imageData = ctx.getImageData(0, 0, width, height);
+      const data = imageData.data;
+      const output = new Uint8ClampedArray(data);
+
+      for (let y = 1; y < height - 1; y++) {
+        for (let x = 1; x < width - 1; x++) {
+          const i = (y * width + x) * 4;
+
+          for (let c = 0; c < 3; c++) {
+            const current = data[i + c];
+            const neighbors =
+              (data[i - 4 + c] +
+                data[i + 4 + c] +
+                data[i - width * 4 + c] +
+                data[i + width * 4 + c]) /
+              4;
+
+            output[i + c] = Math.min(
+              255,
+              Math.max(0, current + (current - neighbors) * strength)
+            );
+          }
+        }
+      }
+
+      imageData.data.set(output);
+      ctx.putImageData(imageData, 0, 0);
+    }
+  }
+
+  // ==================== EVENT EMITTER ====================
+
+  class EventEmitter {
+    constructor() {
+      this.events = new Map();
+    }
+
+    on(event, callback) {
+      if (!this.events.has(event)) {
+        this.events.set(event, []);
+      }
+      this.events.get(event).push(callback);
+      return () => this.off(event, callback);
+    }
+
+    off(event, callback) {
+      const callbacks = this.events.get(event);
+      if (callbacks) {
+        const index = callbacks.indexOf(callback);
+        if (index > -1) callbacks.splice(index, 1);
+      }
+    }
+
+    emit(event, data) {
+      const callbacks = this.events.get(event);
+      if (callbacks) {
+        callbacks.forEach((cb) => {
+          try {
+            cb(data);
+          } catch (err) {
+            console.error(`Error in event handler for ${event}:`, err);
+          }
+        });
+      }
+    }
+
+    once(event, callback) {
+      const wrapper = (data) => {
+        callback(data);
+        this.off(event, wrapper);
+      };
+      this.on(event, wrapper);
+    }
+
+    removeAllListeners(event) {
+      if (event) {
+        this.events.delete(event);
+      } else {
+        this.events.clear();
+      }
+    }
+  }
+
+  // ==================== RESULT CACHE ====================
+
+  class MemoryCacheStore {
+    /**
+     * In-memory LRU store
+     * @param {Object} options
+     * @param {number} options.maxEntries - Maximum cached results
+     * @param {number} options.maxSize - Maximum total blob bytes
+     */
+    constructor({ maxEntries = 50, maxSize = 100 * 1024 * 1024 } = {}) {
+      this.name = "memory";
+      this.maxEntries = maxEntries;
+      this.maxSize = maxSize;
+      this.entries = new Map();
+      this.size = 0;
+    }
+
+    async get(key) {
+      const entry = this.entries.get(key);
+      if (!entry) return null;
+      // Re-insert to mark as most recently used
+      this.entries.delete(key);
+      this.entries.set(key, entry);
+      return entry;
+    }
+
+    async set(key, entry) {
+      await this.delete(key);
+      this.entries.set(key, entry);
+      this.size += entry.size;
+
+      while (
+        this.entries.size > this.maxEntries ||
+        (this.size > this.maxSize && this.entries.size > 1)
+      ) {
+        await this.delete(this.entries.keys().next().value);
+      }
+    }
+
+    async delete(key) {
+      const entry = this.entries.get(key);
+      if (entry) {
+        this.size -= entry.size;
+        this.entries.delete(key);
+      }
+    }
+
+    async clear() {
+      this.entries.clear();
+      this.size = 0;
+    }
+
+    async getStats() {
+      return { entries: this.entries.size, size: this.size };
+    }
+  }
+
+  class IndexedDBCacheStore {
+    /**
+     * Persistent store backed by IndexedDB, evicting least recently used
+     * @param {Object} options
+     * @param {string} options.dbName - Database name
+     * @param {number} options.maxEntries - Maximum cached results
+     */
+    constructor({ dbName = "ultracompress-cache", maxEntries = 200 } = {}) {
+      this.name = "indexeddb";
+      this.dbName = dbName;
+      this.maxEntries = maxEntries;
+      this._db = null;
+    }
+
+    static isSupported() {
+      return typeof indexedDB !== "undefined";
+    }
+
+    async get(key) {
+      const entry = await this._request("readwrite", (store) => store.get(key));
+      if (!entry) return null;
+
+      entry.lastAccess = Date.now();
+      await this._request("readwrite", (store) => store.put(entry));
+      return entry;
+    }
+
+    async set(key, entry) {
+      await this._request("readwrite", (store) =>
+        store.put({ ...entry, key, lastAccess: Date.now() })
+      );
+      await this._evict();
+    }
+
+    async delete(key) {
+      await this._request("readwrite", (store) => store.delete(key));
+    }
+
+    async clear() {
+      await this._request("readwrite", (store) => store.clear());
+    }
+
+    async getStats() {
+      const entries = await this._request("readonly", (store) =>
+        store.getAll()
+      );
+      return {
+        entries: entries.length,
+        size: entries.reduce((sum, e) => sum + e.size, 0),
+      };
+    }
+
+    async _evict() {
+      const count = await this._request("readonly", (store) => store.count());
+      let excess = count - this.maxEntries;
+      if (excess <= 0) return;
+
+      const db = await this._open();
+      await new Promise((resolve, reject) => {
+        const tx = db.transaction("results", "readwrite");
+        const cursorRequest = tx
+          .objectStore("results")
+          .index("lastAccess")
+          .openCursor();
+
+        cursorRequest.onsuccess = () => {
+          const cursor = cursorRequest.result;
+          if (cursor && excess > 0) {
+            cursor.delete();
+            excess--;
+            cursor.continue();
+          }
+        };
+        tx.oncomplete = () => resolve();
+        tx.onerror = () => reject(tx.error);
+      });
+    }
+
+    _open() {
+      if (!this._db) {
+        this._db = new Promise((resolve, reject) => {
+          const request = indexedDB.open(this.dbName, 1);
+          request.onupgradeneeded = () => {
+            const store = request.result.createObjectStore("results", {
+              keyPath: "key",
+            });
+            store.createIndex("lastAccess", "lastAccess");
+          };
+          request.onsuccess = () => resolve(request.result);
+          request.onerror = () => reject(request.error);
+        });
+      }
+      return this._db;
+    }
+
+    async _request(mode, operation) {
+      const db = await this._open();
+      return new Promise((resolve, reject) => {
+        const request = operation(
+          db.transaction("results", mode).objectStore("results")
+        );
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      });
+    }
+  }
+
+  class ResultCache {
+    /**
+     * Content-addressed cache of pipeline outputs
+     * @param {MemoryCacheStore|IndexedDBCacheStore} store
+     */
+    constructor(store) {
+      this.store = store;
+      this.hits = 0;
+      this.misses = 0;
+    }
+
+    /**
+     * Create a cache from the `cacheResults` config value
+     * @param {boolean|Object} config
+     * @returns {ResultCache}
+     */
+    static create(config) {
+      const options = typeof config === "object" ? config : {};
+      const store =
+        options.storage === "indexeddb" && IndexedDBCacheStore.isSupported()
+          ? new IndexedDBCacheStore(options)
+          : new MemoryCacheStore(options);
+      return new ResultCache(store);
+    }
+
+    /**
+     * Hash file bytes together with the effective options
+     * @param {File|Blob} file
+     * @param {Object} options - Serializable options affecting the output
+     * @returns {Promise<string>}
+     */
+    static async createKey(file, options) {
+      const fileBytes = new Uint8Array(await file.arrayBuffer());
+      const optionBytes = new TextEncoder().encode(
+        ResultCache.stableStringify(options)
+      );
+      const bytes = new Uint8Array(fileBytes.length + optionBytes.length);
+      bytes.set(fileBytes);
+      bytes.set(optionBytes, fileBytes.length);
+
+      // crypto.subtle is missing outside secure contexts
+      if (typeof crypto !== "undefined" && crypto.subtle) {
+        const digest = await crypto.subtle.digest("SHA-256", bytes);
+        return Array.from(new Uint8Array(digest), (b) =>
+          b.toString(16).padStart(2, "0")
+        ).join("");
+      }
+
+      let h1 = 0x811c9dc5;
+      let h2 = 0x01000193;
+      for (let i = 0; i < bytes.length; i++) {
+        h1 = Math.imul(h1 ^ bytes[i], 0x01000193);
+        h2 = Math.imul(h2 ^ bytes[i], 0x5bd1e995);
+      }
+      return (
+        (h1 >>> 0).toString(16).padStart(8, "0") +
+        (h2 >>> 0).toString(16).padStart(8, "0") +
+        bytes.length.toString(16)
+      );
+    }
+
+    static stableStringify(value) {
+      if (Array.isArray(value)) {
+        return `[${value
+          .map((v) => ResultCache.stableStringify(v))
+          .join(",")}]`;
+      }
+      if (value && typeof value === "object") {
+        return `{${Object.keys(value)
+          .filter(
+            (k) => value[k] !== undefined && typeof value[k] !== "function"
+          )
+          .sort()
+          .map(
+            (k) =>
+              `${JSON.stringify(k)}:${ResultCache.stableStringify(value[k])}`
+          )
+          .join(",")}}`;
+      }
+      return JSON.stringify(value === undefined ? null : value);
+    }
+
+    // Callers get their own copy of the plain data, so mutating one
+    // result cannot change the cached entry or later hits. Blobs are
+    // immutable and shared.
+    static copy(value) {
+      if (Array.isArray(value)) return value.map(ResultCache.copy);
+      if (value && Object.getPrototypeOf(value) === Object.prototype) {
+        const copy = {};
+        Object.keys(value).forEach((key) => {
+          copy[key] = ResultCache.copy(value[key]);
+        });
+        return copy;
+      }
+      return value;
+    }
+
+    async get(key) {
+      const entry = await this.store.get(key);
+      if (entry) this.hits++;
+      else this.misses++;
+      return entry ? ResultCache.copy(entry.output) : null;
+    }
+
+    async set(key, output) {
+      const size = output.versions.reduce((sum, v) => sum + v.blob.size, 0);
+      await this.store.set(key, {
+        output: ResultCache.copy(output),
+        size,
+        createdAt: Date.now(),
+      });
+    }
+
+    async clear() {
+      await this.store.clear();
+      this.hits = 0;
+      this.misses = 0;
+    }
+
+    async getStats() {
+      const { entries, size } = await this.store.getStats();
+      const lookups = this.hits + this.misses;
+      return {
+        storage: this.store.name,
+        entries,
+        size,
+        sizeKB: parseFloat((size / 1024).toFixed(2)),
+        hits: this.hits,
+        misses: this.misses,
+        hitRate:
+          lookups > 0
+            ? parseFloat(((this.hits / lookups) * 100).toFixed(2))
+            : 0,
+      };
+    }
+  }
+
+  // ==================== JOB QUEUE ====================
+
+  class JobQueue {
+    /**
+     * Sliding-window queue: starts the next job as soon as a slot frees
+     * @param {number} concurrency - Maximum jobs running at once
+     * @param {Function} run - Called with a job, returns a Promise
+     * @param {Function} onSettle - Called with (job, error) after each job.
+     *   If it throws, the remaining jobs still run and whenDrained()
+     *   rejects with the first error thrown.
+     */
+    constructor(concurrency, run, onSettle) {
+      this.concurrency = Math.max(1, concurrency);
+      this.run = run;
+      this.onSettle = onSettle;
+      this.jobs = [];
+      this.pending = [];
+      this.running = new Set();
+      this.paused = false;
+      this.throttled = false; // Consumer backpressure, independent of pause()
+      this.drained = false;
+      this.settleError = null;
+      this._drainedPromise = new Promise((resolve, reject) => {
+        this._resolveDrained = resolve;
+        this._rejectDrained = reject;
+      });
+    }
+
+    /**
+     * Add jobs; higher priority runs first, ties keep insertion order
+     * @param {Object[]} jobs
+     */
+    add(jobs) {
+      if (this.drained) {
+        throw new InvalidInputError("Cannot add files to a completed batch");
+      }
+
+      jobs.forEach((job) => {
+        job.status = ProcessingStatus.PENDING;
+        this.jobs.push(job);
+
+        let index = this.pending.findIndex(
+          (other) => other.priority < job.priority
+        );
+        if (index === -1) index = this.pending.length;
+        this.pending.splice(index, 0, job);
+      });
+
+      this._next();
+    }
+
+    pause() {
+      this.paused = true;
+    }
+
+    resume() {
+      this.paused = false;
+      this._next();
+    }
+
+    setThrottled(throttled) {
+      this.throttled = throttled;
+      this._next();
+    }
+
+    /**
+     * Cancel a job that has not started yet
+     * @param {Object} job
+     * @returns {boolean}
+     */
+    cancelPending(job) {
+      const index = this.pending.indexOf(job);
+      if (index === -1) return false;
+
+      this.pending.splice(index, 1);
+      job.status = ProcessingStatus.CANCELLED;
+      job.completedAt = Date.now();
+      this._settle(job, new AbortError(undefined, { jobId: job.id }));
+      this._next();
+      return true;
+    }
+
+    cancelAllPending() {
+      [...this.pending].forEach((job) => this.cancelPending(job));
+    }
+
+    /**
+     * Resolves once no job is pending or running; rejects if onSettle threw
+     * @returns {Promise<void>}
+     */
+    whenDrained() {
+      this._next();
+      return this._drainedPromise;
+    }
+
+    _next() {
+      while (
+        !this.paused &&
+        !this.throttled &&
+        this.running.size < this.concurrency &&
+        this.pending.length > 0
+      ) {
+        this._start(this.pending.shift());
+      }
+
+      if (
+        !this.drained &&
+        this.pending.length === 0 &&
+        this.running.size === 0
+      ) {
+        this.drained = true;
+        if (this.settleError) this._rejectDrained(this.settleError);
+        else this._resolveDrained();
+      }
+    }
+
+    _settle(job, error) {
+      try {
+        this.onSettle(job, error);
+      } catch (caught) {
+        if (!this.settleError) this.settleError = caught;
+      }
+    }
+
+    _start(job) {
+      job.status = ProcessingStatus.PROCESSING;
+      job.startedAt = Date.now();
+      this.running.add(job);
+
+      Promise.resolve()
+        .then(() => this.run(job))
+        .then(
+          (result) => {
+            job.status = ProcessingStatus.COMPLETED;
+            job.result = result;
+            return null;
+          },
+          (error) => {
+            job.status =
+              error instanceof AbortError
+                ? ProcessingStatus.CANCELLED
+                : ProcessingStatus.FAILED;
+            job.error = error;
+            return error;
+          }
+        )
+        .then((error) => {
+          job.completedAt = Date.now();
+          this.running.delete(job);
+          this._settle(job, error);
+          this._next();
+        });
+    }
+  }
+
+  // ==================== WORKER POOL ====================
+
+  const WORKER_MESSAGE_KEY = "__ultracompress";
+
+  class WorkerPool {
+    /**
+     * Pool of library workers running the compression pipeline off-thread
+     * @param {string} scriptUrl - URL of this library script
+     * @param {number} size - Maximum number of workers
+     */
+    constructor(scriptUrl, size) {
+      this.scriptUrl = scriptUrl;
+      this.size = Math.max(1, size);
+      this.workers = [];
+      this.idle = [];
+      this.queue = [];
+      this.tasks = new Map();
+      this._nextTaskId = 1;
+    }
+
+    /**
+     * Check whether the current environment can host the pool
+     * @param {string|null} scriptUrl
+     * @returns {boolean}
+     */
+    static isSupported(scriptUrl) {
+      return (
+        !!scriptUrl &&
+        typeof Worker !== "undefined" &&
+        typeof OffscreenCanvas !== "undefined" &&
+        typeof createImageBitmap === "function"
+      );
+    }
+
+    /**
+     * Queue a pipeline run
+     * @param {Object} payload - Structured-cloneable task data
+     * @param {Function} onEvent - Receives (event, data) forwarded from the worker
+     * @param {AbortSignal} [signal] - Cancels the task, queued or running
+     * @returns {Promise<Object>}
+     */
+    run(payload, onEvent, signal) {
+      return new Promise((resolve, reject) => {
+        const task = {
+          id: this._nextTaskId++,
+          payload,
+          onEvent,
+          resolve,
+          reject,
+          worker: null,
+        };
 
-        if (blob.size <= targetSize) {
-          return blob;
+        if (signal) {
+          if (signal.aborted) {
+            return reject(new AbortError(undefined, { jobId: payload.jobId }));
+          }
+          signal.addEventListener("abort", () => this._abort(task), {
+            once: true,
+          });
         }
-      }
 
-      // Last resort
-      const finalCanvas = this.scaleCanvas(canvas, 0.4);
-      return await ImageUtils.canvasToBlob(finalCanvas, format, 0.1);
+        this.queue.push(task);
+        this._dispatch();
+      });
     }
 
-    static scaleCanvas(sourceCanvas, scale) {
-      const canvas = document.createElement("canvas");
-      canvas.width = Math.round(sourceCanvas.width * scale);
-      canvas.height = Math.round(sourceCanvas.height * scale);
-
-      const ctx = canvas.getContext("2d");
-      ctx.imageSmoothingEnabled = true;
-      ctx.imageSmoothingQuality = "high";
-      ctx.drawImage(sourceCanvas, 0, 0, canvas.width, canvas.height);
-
-      return canvas;
+    _abort(task) {
+      const queuedIndex = this.queue.indexOf(task);
+      if (queuedIndex > -1) {
+        this.queue.splice(queuedIndex, 1);
+        task.reject(new AbortError(undefined, { jobId: task.payload.jobId }));
+      } else if (this.tasks.has(task.id)) {
+        // The worker answers with an AbortError once its pipeline stops
+        task.worker.postMessage({
+          [WORKER_MESSAGE_KEY]: true,
+          type: "abort",
+          taskId: task.id,
+        });
+      }
     }
 
     /**
-     * Create optimized canvas with smart cropping
-     * @param {HTMLImageElement} img
-     * @param {Object} dimensions
-     * @param {Object} analysis
-     * @returns {HTMLCanvasElement}
+     * Terminate all workers and reject pending tasks
      */
-    static createOptimizedCanvas(img, dimensions, analysis) {
-      const canvas = document.createElement("canvas");
-      canvas.width = dimensions.width;
-      canvas.height = dimensions.height;
-
-      const ctx = canvas.getContext("2d", {
-        alpha: analysis.hasTransparency,
-        desynchronized: true,
-        willReadFrequently: false,
-      });
+    terminate() {
+      const error = new AbortError("Worker pool terminated");
+      this.queue.splice(0).forEach((task) => task.reject(error));
+      this.tasks.forEach((task) => task.reject(error));
+      this.tasks.clear();
+      this.workers.forEach((worker) => worker.terminate());
+      this.workers = [];
+      this.idle = [];
+    }
 
-      ctx.imageSmoothingEnabled = true;
-      ctx.imageSmoothingQuality =
-        analysis.imageType === "graphic" ? "high" : "high";
+    _dispatch() {
+      while (this.queue.length > 0) {
+        let worker = this.idle.pop();
+        if (!worker && this.workers.length < this.size) {
+          worker = this._spawn();
+        }
+        if (!worker) return;
+
+        const task = this.queue.shift();
+        task.worker = worker;
+        this.tasks.set(task.id, task);
+        worker.postMessage({
+          [WORKER_MESSAGE_KEY]: true,
+          type: "run",
+          taskId: task.id,
+          ...task.payload,
+        });
+      }
+    }
 
-      this.drawWithSmartCrop(ctx, img, dimensions);
+    _spawn() {
+      const worker = new Worker(this.scriptUrl);
 
-      // Apply sharpening for downscaled photos
-      if (analysis.imageType === "photo" && dimensions.scale < 0.7) {
-        this.applySharpen(ctx, canvas.width, canvas.height, 0.3);
-      }
+      worker.onmessage = (event) => {
+        const message = event.data;
+        if (!message || !message[WORKER_MESSAGE_KEY]) return;
 
-      return canvas;
-    }
+        const task = this.tasks.get(message.taskId);
+        if (!task) return;
 
-    static drawWithSmartCrop(ctx, img, dims) {
-      const { width, height, sourceWidth, sourceHeight } = dims;
-      const sourceAspect = sourceWidth / sourceHeight;
-      const targetAspect = width / height;
+        if (message.type === "event") {
+          if (task.onEvent) task.onEvent(message.event, message.data);
+          return;
+        }
 
-      let sx = 0,
-        sy = 0,
-        sw = sourceWidth,
-        sh = sourceHeight;
+        this.tasks.delete(task.id);
+        this.idle.push(worker);
 
-      if (sourceAspect > targetAspect) {
-        sw = sourceHeight * targetAspect;
-        sx = (sourceWidth - sw) / 2;
-      } else if (sourceAspect < targetAspect) {
-        sh = sourceWidth / targetAspect;
-        sy = (sourceHeight - sh) / 2;
-      }
+        if (message.type === "result") {
+          task.resolve(message.result);
+        } else {
+          task.reject(UltraCompressError.fromJSON(message.error));
+        }
 
-      ctx.drawImage(img, sx, sy, sw, sh, 0, 0, width, height);
-    }
+        this._dispatch();
+      };
 
-    static applySharpen(ctx, width, height, strength = 0.3) {
-      const imageData = ctx.getImageData(0, 0, width, height);
-      const data = imageData.data;
-      const output = new Uint8ClampedArray(data);
+      worker.onerror = (event) => {
+        event.preventDefault();
+        this._replace(
+          worker,
+          new UltraCompressError(event.message || "Worker crashed", {
+            code: ErrorCode.WORKER_FAILED,
+          })
+        );
+      };
 
-      for (let y = 1; y < height - 1; y++) {
-        for (let x = 1; x < width - 1; x++) {
-          const i = (y * width + x) * 4;
+      this.workers.push(worker);
+      return worker;
+    }
 
-          for (let c = 0; c < 3; c++) {
-            const current = data[i + c];
-            const neighbors =
-              (data[i - 4 + c] +
-                data[i + 4 + c] +
-                data[i - width * 4 + c] +
-                data[i + width * 4 + c]) /
-              4;
+    _replace(worker, error) {
+      worker.terminate();
+      this.workers = this.workers.filter((w) => w !== worker);
+      this.idle = this.idle.filter((w) => w !== worker);
 
-            output[i + c] = Math.min(
-              255,
-              Math.max(0, current + (current - neighbors) * strength)
-            );
-          }
+      this.tasks.forEach((task, id) => {
+        if (task.worker === worker) {
+          this.tasks.delete(id);
+          task.reject(error);
         }
-      }
+      });
 
-      imageData.data.set(output);
-      ctx.putImageData(imageData, 0, 0);
+      this._dispatch();
     }
   }
 
-  // ==================== EVENT EMITTER ====================
-
-  class EventEmitter {
-    constructor() {
-      this.events = new Map();
+  class WorkerRuntime {
+    /**
+     * Serve pipeline requests when this script is loaded inside a pool worker
+     * @param {DedicatedWorkerGlobalScope} scope
+     */
+    static install(scope) {
+      const controllers = new Map();
+
+      scope.addEventListener("message", (event) => {
+        const message = event.data;
+        if (!message || !message[WORKER_MESSAGE_KEY]) return;
+
+        if (message.type === "run") {
+          const controller = new AbortController();
+          controllers.set(message.taskId, controller);
+          WorkerRuntime.run(scope, message, controller.signal).finally(() =>
+            controllers.delete(message.taskId)
+          );
+        } else if (message.type === "abort") {
+          const controller = controllers.get(message.taskId);
+          if (controller) controller.abort();
+        }
+      });
     }
 
-    on(event, callback) {
-      if (!this.events.has(event)) {
-        this.events.set(event, []);
-      }
-      this.events.get(event).push(callback);
-      return () => this.off(event, callback);
-    }
+    static async run(scope, message, signal) {
+      const { taskId, file, presets, options, config, jobId, env } = message;
+      const post = (type, body, transfer = []) =>
+        scope.postMessage(
+          { [WORKER_MESSAGE_KEY]: true, type, taskId, ...body },
+          transfer
+        );
 
-    off(event, callback) {
-      const callbacks = this.events.get(event);
-      if (callbacks) {
-        const index = callbacks.indexOf(callback);
-        if (index > -1) callbacks.splice(index, 1);
+      if (env && env.webpSupported !== undefined) {
+        ImageUtils._webpSupported = env.webpSupported;
       }
-    }
 
-    emit(event, data) {
-      const callbacks = this.events.get(event);
-      if (callbacks) {
-        callbacks.forEach((cb) => {
-          try {
-            cb(data);
-          } catch (err) {
-            console.error(`Error in event handler for ${event}:`, err);
-          }
-        });
-      }
-    }
+      const compressor = new UltraCompressPro({
+        ...config,
+        enableWebWorkers: false,
+        cacheResults: false,
+      });
+      // Everything _runPipeline() emits is re-emitted by the main thread
+      Object.values(EventType).forEach((event) =>
+        compressor.on(event, (data) => post("event", { event, data }))
+      );
 
-    once(event, callback) {
-      const wrapper = (data) => {
-        callback(data);
-        this.off(event, wrapper);
-      };
-      this.on(event, wrapper);
-    }
+      try {
+        const output = await compressor._runPipeline(
+          file,
+          presets,
+          { ...options, signal },
+          jobId
+        );
 
-    removeAllListeners(event) {
-      if (event) {
-        this.events.delete(event);
-      } else {
-        this.events.clear();
+        const transfer = [];
+        const versions = await Promise.all(
+          output.versions.map(async (version) => {
+            const buffer = await version.blob.arrayBuffer();
+            transfer.push(buffer);
+            return {
+              buffer,
+              type: version.blob.type,
+              metadata: version.metadata,
+            };
+          })
+        );
+
+        post("result", { result: { ...output, versions } }, transfer);
+      } catch (error) {
+        post("error", {
+          error: UltraCompressError.wrap(error, UltraCompressError, {
+            jobId,
+          }).toJSON(),
+        });
       }
     }
   }
@@ -659,8 +9067,10 @@
       this.config = {
         defaultQuality: CompressionQuality.BALANCED,
         maxFileSize: 50 * 1024 * 1024, // 50MB
+        allowedFormats: null, // Sniffed types to accept; null accepts any image
         concurrency: 5,
-        enableWebWorkers: false, // Future feature
+        enableWebWorkers: false,
+        workerUrl: null, // Defaults to the URL this script was loaded from
         cacheResults: false,
         ...config,
       };
@@ -697,7 +9107,12 @@
       };
 
       this.version = VERSION;
-      this._abortController = null;
+      this._jobs = new Map();
+      this._batches = new Map();
+      this._workerPool = null;
+      this._cache = this.config.cacheResults
+        ? ResultCache.create(this.config.cacheResults)
+        : null;
     }
 
     // ==================== PUBLIC API ====================
@@ -772,22 +9187,36 @@
     }
 
     /**
-     * Validate input file
+     * Validate input file. The type is sniffed from the file's bytes;
+     * file.type is only a name the caller chose and is not trusted.
      * @param {File|Blob} file
-     * @throws {Error}
+     * @returns {Promise<boolean>}
+     * @throws {InvalidInputError|FileTooLargeError|UnsupportedFormatError}
      */
-    validateFile(file) {
+    async validateFile(file) {
       if (!file || !(file instanceof Blob)) {
-        throw new Error("Invalid input: must be a File or Blob");
+        throw new InvalidInputError("Invalid input: must be a File or Blob");
       }
 
       if (file.size === 0) {
-        throw new Error("Invalid input: file is empty");
+        throw new InvalidInputError("Invalid input: file is empty", {
+          code: ErrorCode.EMPTY_FILE,
+        });
       }
 
       if (file.size > this.config.maxFileSize) {
-        throw new Error(
-          `File too large: maximum ${this.config.maxFileSize / 1024 / 1024}MB`
+        throw new FileTooLargeError(
+          `File too large: maximum ${this.config.maxFileSize / 1024 / 1024}MB`,
+          { size: file.size, maxSize: this.config.maxFileSize }
+        );
+      }
+
+      const detected = await ImageUtils.sniffMimeType(file);
+      const allowed = this.config.allowedFormats;
+      if (!detected || (allowed && !allowed.includes(detected))) {
+        throw new UnsupportedFormatError(
+          `Unsupported file type: ${detected || "unrecognized"}`,
+          { type: detected, declaredType: file.type || null }
         );
       }
 
@@ -802,9 +9231,7 @@
      */
     async compress(file, options = {}) {
       const startTime = performance.now();
-      const jobId = `job_${Date.now()}_${Math.random()
-        .toString(36)
-        .substr(2, 9)}`;
+      const jobId = options.jobId || this.createJobId("job");
 
       const opts = {
         quality: this.config.defaultQuality,
@@ -812,39 +9239,101 @@
         customPresets: null,
         outputFormat: null,
         metadata: true,
+        signal: null,
         ...options,
       };
 
+      // Each job gets its own controller so cancel(jobId) can target it;
+      // an external signal is forwarded into it
+      const controller = new AbortController();
+      const forwardAbort = () => controller.abort();
+      if (opts.signal) {
+        if (opts.signal.aborted) controller.abort();
+        else
+          opts.signal.addEventListener("abort", forwardAbort, { once: true });
+      }
+      this._jobs.set(jobId, controller);
+      opts.signal = controller.signal;
+
       try {
-        this.validateFile(file);
+        await this.validateFile(file);
+        throwIfAborted(opts.signal, jobId);
         this.emit(EventType.START, {
           jobId,
           fileName: file.name,
           fileSize: file.size,
         });
 
-        // Analyze file
-        const buffer = await file.arrayBuffer();
-        const bytes = new Uint8Array(buffer);
-        const detectedType = ImageUtils.detectMimeType(bytes);
-        const isAnimated = await ImageUtils.isAnimated(file);
-
-        // Load and analyze image
-        const img = await ImageUtils.loadImage(file);
-        const analysis = await ImageAnalyzer.analyze(img, file);
-
-        // Determine presets
+        // Determine presets (named presets carry their name for metadata)
         const presetsToUse =
-          opts.customPresets || opts.presets.map((p) => this.presets[p] || p);
+          opts.customPresets ||
+          opts.presets.map((p) =>
+            typeof p === "string" && this.presets[p]
+              ? { name: p, ...this.presets[p] }
+              : p
+          );
 
-        // Process versions
-        const versions = await this._processVersions(
-          img,
-          file,
-          presetsToUse,
+        const cacheKey = this._cache
+          ? await ResultCache.createKey(
+              file,
+              this._getCacheKeyOptions(presetsToUse, opts)
+            )
+          : null;
+        let output = cacheKey ? await this._cache.get(cacheKey) : null;
+        const fromCache = !!output;
+
+        if (fromCache) {
+          // Same payload as a fresh run; result.fromCache tells them apart
+          output.versions.forEach((v) =>
+            this.emit(EventType.VERSION_COMPLETE, {
+              jobId,
+              versionIndex: v.metadata.versionIndex,
+              totalVersions: presetsToUse.length,
+              metadata: v.metadata,
+            })
+          );
+        } else {
+          output = this._getWorkerPool()
+            ? await this._runInWorker(file, presetsToUse, opts, jobId)
+            : await this._runPipeline(file, presetsToUse, opts, jobId);
+          throwIfAborted(opts.signal, jobId);
+
+          if (cacheKey) {
+            try {
+              await this._cache.set(cacheKey, output);
+            } catch (err) {
+              console.warn("Failed to cache compression result:", err);
+            }
+          }
+        }
+
+        const {
+          detectedType,
+          isAnimated,
+          frameCount = 1,
+          duration = 0,
+          width,
+          height,
           analysis,
-          opts,
-          jobId
+          placeholders = null,
+        } = output;
+        const failedVersions = output.failedVersions.map((failure) => ({
+          versionIndex: failure.versionIndex,
+          presetName: failure.presetName,
+          code: failure.error.code,
+          error: UltraCompressError.fromJSON(failure.error),
+        }));
+
+        if (output.versions.length === 0) {
+          const error = failedVersions.length
+            ? failedVersions[0].error
+            : new EncodeError("No versions requested", { jobId });
+          error.failedVersions = failedVersions;
+          throw error;
+        }
+
+        const versions = output.versions.map((v) =>
+          this._createVersion(v.blob, v.metadata)
         );
 
         const totalTime = performance.now() - startTime;
@@ -855,20 +9344,25 @@
         const result = {
           success: true,
           jobId,
+          fromCache,
           file: {
             name: file.name,
             size: file.size,
             sizeKB: parseFloat((file.size / 1024).toFixed(2)),
             sizeMB: parseFloat((file.size / 1024 / 1024).toFixed(2)),
             type: file.type || detectedType,
-            dimensions: `${img.width}x${img.height}`,
-            width: img.width,
-            height: img.height,
-            aspectRatio: parseFloat((img.width / img.height).toFixed(3)),
+            dimensions: `${width}x${height}`,
+            width,
+            height,
+            aspectRatio: parseFloat((width / height).toFixed(3)),
             isAnimated,
+            frameCount,
+            duration,
           },
           versions,
+          failedVersions,
           analysis,
+          placeholders,
           performance: {
             totalTime: parseFloat(totalTime.toFixed(2)),
             timePerVersion: parseFloat(
@@ -884,16 +9378,37 @@
 
         this.emit(EventType.COMPLETE, result);
         return result;
-      } catch (error) {
+      } catch (caught) {
+        const error = UltraCompressError.wrap(caught, UltraCompressError, {
+          jobId,
+        });
+
+        if (error instanceof AbortError) {
+          this.emit(EventType.CANCEL, {
+            cancelled: true,
+            jobId,
+            fileName: file && file.name,
+            timestamp: new Date().toISOString(),
+          });
+          throw error;
+        }
+
         const errorResult = {
           success: false,
           jobId,
           error: error.message,
+          code: error.code,
           stack: error.stack,
-          file: { name: file.name, size: file.size },
+          failedVersions: error.failedVersions || [],
+          file: { name: file && file.name, size: file && file.size },
         };
         this.emit(EventType.ERROR, errorResult);
         throw error;
+      } finally {
+        this._jobs.delete(jobId);
+        if (options.signal) {
+          options.signal.removeEventListener("abort", forwardAbort);
+        }
       }
     }
 
@@ -904,10 +9419,7 @@
      * @returns {Promise<BatchResult>}
      */
     async compressMultiple(files, options = {}) {
-      const batchId = `batch_${Date.now()}_${Math.random()
-        .toString(36)
-        .substr(2, 9)}`;
-      const filesArray = Array.from(files);
+      const batchId = options.batchId || this.createJobId("batch");
       const startTime = performance.now();
 
       const opts = {
@@ -915,81 +9427,122 @@
         onProgress: null,
         onFileComplete: null,
         stopOnError: false,
+        signal: null,
+        priority: 0,
         ...options,
       };
 
-      this._abortController = new AbortController();
+      const batchController = new AbortController();
+      const forwardAbort = () => batchController.abort();
+      if (opts.signal) {
+        if (opts.signal.aborted) batchController.abort();
+        else
+          opts.signal.addEventListener("abort", forwardAbort, { once: true });
+      }
+
       const results = [];
       let processed = 0;
       let failed = 0;
+      let stopError = null;
+
+      const queue = new JobQueue(
+        opts.concurrency,
+        (job) =>
+          this.compress(job.file, {
+            ...options,
+            jobId: job.id,
+            signal: batchController.signal,
+          }),
+        (job, error) => {
+          processed++;
+
+          const resultData = {
+            fileName: job.file.name,
+            fileSize: job.file.size,
+            index: job.index,
+            jobId: job.id,
+            success: !error,
+            cancelled: error instanceof AbortError,
+            data: error ? null : job.result,
+            error: error ? error.message : null,
+            code: error ? error.code || null : null,
+          };
 
-      this.emit(EventType.BATCH_START, {
-        batchId,
-        totalFiles: filesArray.length,
-        options: opts,
-      });
+          if (!resultData.success) failed++;
 
-      try {
-        // Process in batches
-        for (let i = 0; i < filesArray.length; i += opts.concurrency) {
-          if (this._abortController.signal.aborted) {
-            throw new Error("Batch processing cancelled");
+          results.push(resultData);
+
+          // Progress callback
+          const progressData = {
+            batchId,
+            processed,
+            total: queue.jobs.length,
+            percentage: parseFloat(
+              ((processed / queue.jobs.length) * 100).toFixed(2)
+            ),
+            currentFile: job.file.name,
+            currentIndex: job.index,
+            success: resultData.success,
+            failed,
+            remaining: queue.jobs.length - processed,
+          };
+
+          this.emit(EventType.PROGRESS, progressData);
+          if (opts.onProgress) opts.onProgress(progressData);
+
+          // File complete callback
+          if (opts.onFileComplete) {
+            opts.onFileComplete(resultData, progressData);
           }
 
-          const batch = filesArray.slice(i, i + opts.concurrency);
-          const batchResults = await Promise.allSettled(
-            batch.map((file) => this.compress(file, options))
-          );
+          // Stop on error
+          if (
+            opts.stopOnError &&
+            !resultData.success &&
+            !resultData.cancelled &&
+            !stopError
+          ) {
+            stopError = new UltraCompressError(
+              `Processing stopped due to error: ${resultData.error}`,
+              { code: error.code, jobId: job.id, cause: error }
+            );
+            batchController.abort();
+          }
+        }
+      );
 
-          batchResults.forEach((result, idx) => {
-            const file = batch[idx];
-            processed++;
-
-            const resultData = {
-              fileName: file.name,
-              fileSize: file.size,
-              index: i + idx,
-              success: result.status === "fulfilled",
-              data: result.status === "fulfilled" ? result.value : null,
-              error:
-                result.status === "rejected" ? result.reason.message : null,
-            };
+      const batch = {
+        batchId,
+        queue,
+        controller: batchController,
+        options: opts,
+      };
+      this._batches.set(batchId, batch);
 
-            if (!resultData.success) failed++;
+      // Queued jobs never reach compress(), so batch aborts cancel them here
+      batchController.signal.addEventListener(
+        "abort",
+        () => queue.cancelAllPending(),
+        { once: true }
+      );
 
-            results.push(resultData);
+      const jobIds = this._enqueueFiles(batch, files, opts.priority);
 
-            // Progress callback
-            const progressData = {
-              batchId,
-              processed,
-              total: filesArray.length,
-              percentage: parseFloat(
-                ((processed / filesArray.length) * 100).toFixed(2)
-              ),
-              currentFile: file.name,
-              currentIndex: i + idx,
-              success: resultData.success,
-              failed,
-              remaining: filesArray.length - processed,
-            };
+      this.emit(EventType.BATCH_START, {
+        batchId,
+        totalFiles: jobIds.length,
+        jobIds,
+        options: opts,
+      });
 
-            this.emit(EventType.PROGRESS, progressData);
-            if (opts.onProgress) opts.onProgress(progressData);
+      try {
+        await queue.whenDrained();
 
-            // File complete callback
-            if (opts.onFileComplete) {
-              opts.onFileComplete(resultData, progressData);
-            }
+        if (stopError) throw stopError;
+        throwIfAborted(batchController.signal);
 
-            // Stop on error
-            if (opts.stopOnError && !resultData.success) {
-              throw new Error(
-                `Processing stopped due to error: ${resultData.error}`
-              );
-            }
-          });
-        }
+        results.sort((a, b) => a.index - b.index);
+        const filesArray = queue.jobs.map((job) => job.file);
 
         const totalTime = performance.now() - startTime;
         const successful = results.filter((r) => r.success);
@@ -1074,35 +9627,293 @@
           timestamp: new Date().toISOString(),
         };
 
-        this.emit(EventType.BATCH_COMPLETE, batchResult);
-        return batchResult;
-      } catch (error) {
-        const errorResult = {
-          success: false,
-          batchId,
-          error: error.message,
-          processed,
-          failed,
-          results,
-        };
-        this.emit(EventType.ERROR, errorResult);
-        throw error;
+        this.emit(EventType.BATCH_COMPLETE, batchResult);
+        return batchResult;
+      } catch (error) {
+        const errorResult = {
+          success: false,
+          batchId,
+          error: error.message,
+          processed,
+          failed,
+          results,
+        };
+        this.emit(EventType.ERROR, errorResult);
+        throw error;
+      } finally {
+        this._batches.delete(batchId);
+        if (options.signal) {
+          options.signal.removeEventListener("abort", forwardAbort);
+        }
+      }
+    }
+
+    /**
+     * Stream batch results as they finish
+     *
+     * Processing starts on the first iteration and is throttled while
+     * `highWaterMark` unconsumed file results are buffered. Leaving the
+     * loop early (break/return/throw) cancels the remaining work.
+     *
+     * @param {File[]|FileList|Object[]} files - Files or { file, priority } entries
+     * @param {Object} options - Batch options plus:
+     * @param {boolean} options.includeVersions - Also yield version events;
+     *   items become { type: "file", result } | { type: "version", ... }
+     * @param {number} options.highWaterMark - Buffered results before throttling
+     * @returns {AsyncGenerator<Object>}
+     */
+    async *stream(files, options = {}) {
+      const {
+        includeVersions = false,
+        highWaterMark = options.concurrency || this.config.concurrency,
+        ...batchOptions
+      } = options;
+
+      const batchId = this.createJobId("batch");
+      const controller = new AbortController();
+      const forwardAbort = () => controller.abort();
+      if (options.signal) {
+        if (options.signal.aborted) controller.abort();
+        else
+          options.signal.addEventListener("abort", forwardAbort, {
+            once: true,
+          });
+      }
+
+      const buffer = [];
+      let bufferedFiles = 0;
+      let finished = false;
+      let failure = null;
+      let wake = null;
+
+      const notify = () => {
+        if (wake) wake();
+        wake = null;
+      };
+      const setThrottled = (throttled) => {
+        const batch = this._batches.get(batchId);
+        if (batch) batch.queue.setThrottled(throttled);
+      };
+
+      const offVersion = includeVersions
+        ? this.on(EventType.VERSION_COMPLETE, (data) => {
+            const batch = this._batches.get(batchId);
+            if (
+              batch &&
+              batch.queue.jobs.some((job) => job.id === data.jobId)
+            ) {
+              buffer.push({ type: "version", ...data });
+              notify();
+            }
+          })
+        : null;
+
+      const done = this.compressMultiple(files, {
+        ...batchOptions,
+        batchId,
+        signal: controller.signal,
+        onFileComplete: (result, progress) => {
+          buffer.push(includeVersions ? { type: "file", result } : result);
+          if (++bufferedFiles >= highWaterMark) setThrottled(true);
+          notify();
+          if (options.onFileComplete) options.onFileComplete(result, progress);
+        },
+      }).then(
+        () => {
+          finished = true;
+          notify();
+        },
+        (error) => {
+          failure = error;
+          finished = true;
+          notify();
+        }
+      );
+
+      try {
+        while (buffer.length > 0 || !finished) {
+          if (buffer.length === 0) {
+            await new Promise((resolve) => (wake = resolve));
+            continue;
+          }
+
+          const item = buffer.shift();
+          if (!includeVersions || item.type === "file") {
+            if (--bufferedFiles < highWaterMark) setThrottled(false);
+          }
+          yield item;
+        }
+
+        if (failure) throw failure;
       } finally {
-        this._abortController = null;
+        if (!finished) {
+          controller.abort();
+          await done;
+        }
+        if (offVersion) offVersion();
+        if (options.signal) {
+          options.signal.removeEventListener("abort", forwardAbort);
+        }
       }
     }
 
     /**
-     * Cancel ongoing batch operation
+     * Cancel a single job, or every running job and batch
+     * @param {string} [jobId] - Job to cancel; omit to cancel everything
+     * @returns {boolean} Whether anything was cancelled
      */
-    cancel() {
-      if (this._abortController) {
-        this._abortController.abort();
+    cancel(jobId) {
+      if (jobId) {
+        const controller = this._jobs.get(jobId);
+        if (controller) {
+          controller.abort();
+          return true;
+        }
+
+        for (const { queue } of this._batches.values()) {
+          const job = queue.jobs.find((j) => j.id === jobId);
+          if (job && queue.cancelPending(job)) return true;
+        }
+        return false;
+      }
+
+      const hadWork = this._batches.size > 0 || this._jobs.size > 0;
+      this._jobs.forEach((controller) => controller.abort());
+
+      if (this._batches.size > 0) {
+        this._batches.forEach(({ controller }) => controller.abort());
         this.emit(EventType.CANCEL, {
           cancelled: true,
           timestamp: new Date().toISOString(),
         });
       }
+
+      return hadWork;
+    }
+
+    /**
+     * Whether a job with this id is running, or waiting in a batch
+     * @param {string} jobId
+     * @returns {boolean}
+     */
+    hasJob(jobId) {
+      if (this._jobs.has(jobId)) return true;
+      return this.getQueue().some(
+        (job) => job.jobId === jobId && job.status === ProcessingStatus.PENDING
+      );
+    }
+
+    /**
+     * Create a unique id, e.g. for the jobId option of compress()
+     * @param {string} [prefix="job"]
+     * @returns {string}
+     */
+    createJobId(prefix = "job") {
+      return `${prefix}_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    }
+
+    /**
+     * Stop starting new files; running files finish normally
+     * @param {string} [batchId] - Batch to pause; omit to pause all
+     */
+    pause(batchId) {
+      this._getBatches(batchId).forEach(({ batchId: id, queue }) => {
+        if (queue.paused) return;
+        queue.pause();
+        this.emit(EventType.BATCH_PAUSE, { batchId: id });
+      });
+    }
+
+    /**
+     * Resume starting files in a paused batch
+     * @param {string} [batchId] - Batch to resume; omit to resume all
+     */
+    resume(batchId) {
+      this._getBatches(batchId).forEach(({ batchId: id, queue }) => {
+        if (!queue.paused) return;
+        queue.resume();
+        this.emit(EventType.BATCH_RESUME, { batchId: id });
+      });
+    }
+
+    /**
+     * Add files to a running batch
+     * @param {File[]|FileList|Object[]} files - Files or { file, priority } entries
+     * @param {Object} options
+     * @param {string} options.batchId - Target batch (defaults to the latest)
+     * @param {number} options.priority - Default priority for added files
+     * @returns {string[]} Job ids of the added files
+     */
+    addToBatch(files, { batchId, priority } = {}) {
+      const batch = batchId
+        ? this._batches.get(batchId)
+        : Array.from(this._batches.values()).pop();
+
+      if (!batch) {
+        throw new InvalidInputError("No running batch to add files to");
+      }
+
+      return this._enqueueFiles(
+        batch,
+        files,
+        priority !== undefined ? priority : batch.options.priority
+      );
+    }
+
+    /**
+     * Inspect jobs of running batches
+     * @param {string} [batchId] - Batch to inspect; omit for all
+     * @returns {Object[]}
+     */
+    getQueue(batchId) {
+      const jobs = [];
+      this._getBatches(batchId).forEach(({ batchId: id, queue }) => {
+        queue.jobs.forEach((job) =>
+          jobs.push({
+            jobId: job.id,
+            batchId: id,
+            index: job.index,
+            fileName: job.file.name,
+            fileSize: job.file.size,
+            priority: job.priority,
+            status: job.status,
+            startedAt: job.startedAt || null,
+            completedAt: job.completedAt || null,
+            error: job.error ? job.error.message : null,
+          })
+        );
+      });
+      return jobs;
+    }
+
+    /**
+     * Terminate worker pool threads. The instance stays usable and will
+     * spawn new workers on the next call if enableWebWorkers is on.
+     */
+    destroy() {
+      if (this._workerPool) {
+        this._workerPool.terminate();
+        this._workerPool = null;
+      }
+    }
+
+    /**
+     * Remove all cached results
+     * @returns {Promise<void>}
+     */
+    async clearCache() {
+      if (this._cache) await this._cache.clear();
+    }
+
+    /**
+     * Get result cache statistics
+     * @returns {Promise<Object>}
+     */
+    async getCacheStats() {
+      if (!this._cache) {
+        return { enabled: false, entries: 0, size: 0, hits: 0, misses: 0 };
+      }
+      return { enabled: true, ...(await this._cache.getStats()) };
     }
 
     /**
@@ -1111,17 +9922,39 @@
      * @param {Object} config - Preset configuration
      */
     addPreset(name, config) {
-      const { maxDimension, targetSize, aspectRatio = null } = config;
-
-      if (!maxDimension || !targetSize) {
-        throw new Error("Preset requires maxDimension and targetSize");
+      const {
+        maxDimension,
+        targetSize,
+        aspectRatio = null,
+        targetQuality,
+        maxSize,
+      } = config;
+
+      if (
+        !(maxDimension || config.width || config.height) ||
+        (!targetSize && !targetQuality)
+      ) {
+        throw new InvalidInputError(
+          "Preset requires maxDimension, width or height and targetSize or targetQuality"
+        );
       }
+      const resize = CompressionEngine.normalizeResize(config.resize);
+      const fit = ImageUtils.normalizeFit(config);
+      const target = CompressionEngine.normalizeTargetSize(config);
 
       this.presets[name] = {
-        maxDimension: parseInt(maxDimension),
-        targetSize: parseInt(targetSize),
+        ...config,
+        ...fit,
+        maxDimension: maxDimension ? parseInt(maxDimension) : null,
+        targetSize: target.targetSize,
         aspectRatio: aspectRatio ? parseFloat(aspectRatio) : null,
       };
+      if (targetQuality) {
+        this.presets[name].targetQuality = parseFloat(targetQuality);
+      }
+      if (maxSize) this.presets[name].maxSize = parseInt(maxSize);
+      if (resize) this.presets[name].resize = resize;
+      if (target.adaptiveTarget) this.presets[name].adaptiveTarget = true;
 
       return this.presets[name];
     }
@@ -1157,6 +9990,16 @@
       return ImageUtils.loadImage(file);
     }
 
+    /**
+     * Read format, dimensions, alpha, animation and orientation from the
+     * file header without decoding
+     * @param {File|Blob} file
+     * @returns {Promise<Object>}
+     */
+    async probe(file) {
+      return ImageUtils.probe(file);
+    }
+
     /**
      * Create canvas from image
      * @param {HTMLImageElement} img
@@ -1164,9 +10007,10 @@
      * @returns {HTMLCanvasElement}
      */
     createCanvas(img, dimensions) {
-      const canvas = document.createElement("canvas");
-      canvas.width = dimensions.width;
-      canvas.height = dimensions.height;
+      const canvas = ImageUtils.createCanvas(
+        dimensions.width,
+        dimensions.height
+      );
       const ctx = canvas.getContext("2d");
       ctx.drawImage(img, 0, 0, dimensions.width, dimensions.height);
       return canvas;
@@ -1189,26 +10033,38 @@
      * @param {number} height
      * @param {number} maxDimension
      * @param {number} aspectRatio
+     * @param {Object} [fit] - { fit, width, height, withoutEnlargement,
+     *   background }, as on a preset
      * @returns {Object}
      */
-    calculateDimensions(width, height, maxDimension, aspectRatio = null) {
+    calculateDimensions(
+      width,
+      height,
+      maxDimension,
+      aspectRatio = null,
+      fit = null
+    ) {
       return ImageUtils.calculateDimensions(
         width,
         height,
         maxDimension,
-        aspectRatio
+        aspectRatio,
+        fit && ImageUtils.normalizeFit(fit)
       );
     }
 
     /**
      * Analyze image without compression
      * @param {File|Blob} file
+     * @param {Object} [options]
+     * @param {string|Object} [options.sampling] - "downsample", "grid" or
+     *   { strategy, size }
      * @returns {Promise<Object>}
      */
-    async analyzeImage(file) {
-      this.validateFile(file);
+    async analyzeImage(file, options = {}) {
+      await this.validateFile(file);
       const img = await ImageUtils.loadImage(file);
-      return ImageAnalyzer.analyze(img, file);
+      return ImageAnalyzer.analyze(img, file, options.sampling);
     }
 
     /**
@@ -1220,55 +10076,545 @@
       if (format === ImageFormat.WEBP) {
         return ImageUtils.isWebPSupported();
       }
+      if (format === ImageFormat.AVIF) {
+        // Only known after canEncode() has probed the encoder
+        return Boolean(
+          ImageUtils._encoderSupported && ImageUtils._encoderSupported[format]
+        );
+      }
       return Object.values(ImageFormat).includes(format);
     }
 
+    /**
+     * Probe whether this environment can encode a format
+     * @param {string} format
+     * @returns {Promise<boolean>}
+     */
+    async canEncode(format) {
+      if (format === ImageFormat.WEBP && typeof document !== "undefined") {
+        return ImageUtils.isWebPSupported();
+      }
+      if (FORMAT_FALLBACKS[format]) return ImageUtils.probeEncoder(format);
+      return this.isFormatSupported(format);
+    }
+
     // ==================== PRIVATE METHODS ====================
 
-    async _processVersions(img, file, presets, analysis, opts, jobId) {
+    /**
+     * Formats worth racing for this image. JPEG is skipped when the image
+     * has transparency since it would flatten the alpha channel, and PNG8
+     * unless the image has few colors or a category that suits a
+     * palette.
+     * @param {Object} analysis
+     * @returns {string[]}
+     */
+    async _getAutoFormatCandidates(analysis) {
+      const candidates = [];
+      for (const format of AUTO_FORMAT_CANDIDATES) {
+        if (analysis.hasTransparency && format === ImageFormat.JPEG) continue;
+        if (
+          format === ImageFormat.PNG8 &&
+          analysis.imageType !== "graphic" &&
+          !ImageAnalyzer.categoryProfile(analysis).palette
+        ) {
+          continue;
+        }
+        if (await this.canEncode(format)) candidates.push(format);
+      }
+      return candidates;
+    }
+
+    /**
+     * Walk the fallback chain until an encodable format is found
+     * @param {string} format - Requested output format
+     * @param {Object} analysis
+     * @returns {Promise<Object>} { format, fallback }
+     */
+    async _resolveOutputFormat(format, analysis) {
+      if (format === "auto" || (await this.canEncode(format))) {
+        return { format, fallback: null };
+      }
+
+      const tried = [format];
+      for (let next of FORMAT_FALLBACKS[format] || []) {
+        if (next === ImageFormat.JPEG && analysis.hasTransparency) {
+          next = ImageFormat.PNG;
+        }
+        if (await this.canEncode(next)) {
+          return {
+            format: next,
+            fallback: { requested: format, used: next, tried },
+          };
+        }
+        tried.push(next);
+      }
+
+      throw new UnsupportedFormatError(`Cannot encode ${format}`, { format });
+    }
+
+    /**
+     * Animations are written as WebP where it can be encoded and as GIF
+     * otherwise; other formats cannot hold frames
+     * @param {string} format - Requested output format (may be null)
+     * @returns {Promise<Object>} { format, fallback }
+     */
+    async _resolveAnimatedFormat(format) {
+      if (format === ImageFormat.GIF) {
+        return { format: ImageFormat.GIF, fallback: null };
+      }
+      const wantsWebP =
+        !format || format === "auto" || format === ImageFormat.WEBP;
+      if (wantsWebP && (await this.canEncode(ImageFormat.WEBP))) {
+        return { format: ImageFormat.WEBP, fallback: null };
+      }
+      return {
+        format: ImageFormat.GIF,
+        fallback:
+          format && format !== "auto"
+            ? { requested: format, used: ImageFormat.GIF, tried: [format] }
+            : null,
+      };
+    }
+
+    /**
+     * Decode, analyze and compress all versions. Runs on whichever thread
+     * calls it; the worker runtime calls it directly.
+     */
+    async _runPipeline(file, presets, opts, jobId) {
+      // Analyze file: the header probe replaces separate type and
+      // animation scans, leaving one full read for embedded metadata
+      const probe = await ImageUtils.probe(file).catch((error) => {
+        throw UltraCompressError.wrap(error, DecodeError, { jobId });
+      });
+      const bytes = new Uint8Array(await file.arrayBuffer());
+      const detectedType = probe.format || "image/unknown";
+      const isAnimated = probe.isAnimated;
+      const metadataOptions = ImageMetadata.normalizeOptions(opts.metadata);
+      const palette = ColorQuantizer.normalizeOptions(opts.palette);
+      const focus = CompressionEngine.normalizeFocus(opts);
+      const sampling = ImageAnalyzer.normalizeSampling(opts.sampling);
+      const placeholderOptions = ImagePlaceholder.normalizeOptions(
+        opts.placeholders
+      );
+      const embedded = await ImageMetadata.read(bytes);
+
+      // Animations are decoded frame by frame; one that cannot be is
+      // compressed from its first frame like a still image
+      await checkpoint(opts.signal, jobId);
+      const animation = isAnimated
+        ? await ImageAnimation.decode(bytes, detectedType).catch(() => null)
+        : null;
+
+      // Load and analyze image. A kept ICC profile only describes the
+      // pixels if the decoder leaves them unconverted.
+      const img = animation
+        ? ImageAnimation.frameToCanvas(animation)
+        : await ImageUtils.loadImage(file, {
+            colorSpaceConversion:
+              embedded.icc && ImageMetadata.keeps("icc", metadataOptions)
+                ? "none"
+                : "default",
+          }).catch((error) => {
+            throw UltraCompressError.wrap(error, DecodeError, { jobId });
+          });
+
+      try {
+        // Frames are not reoriented; their tag is kept instead
+        const { image, transform } = animation
+          ? { image: img, transform: 1 }
+          : ImageMetadata.applyOrientation(
+              img,
+              embedded.orientation,
+              metadataOptions.orientation
+            );
+        const { width, height } = image;
+        const metadataPlan = ImageMetadata.plan(
+          embedded,
+          animation
+            ? { ...metadataOptions, orientation: "preserve" }
+            : metadataOptions,
+          transform
+        );
+
+        await checkpoint(opts.signal, jobId);
+        const analysis = await ImageAnalyzer.analyze(image, file, sampling);
+        const placeholders = placeholderOptions
+          ? await ImagePlaceholder.generate(image, placeholderOptions)
+          : null;
+
+        const { versions, failedVersions } = await this._processVersions(
+          image,
+          file,
+          presets,
+          analysis,
+          { ...opts, palette, focus },
+          jobId,
+          metadataPlan,
+          animation
+        );
+
+        return {
+          detectedType,
+          isAnimated,
+          frameCount: animation ? animation.frames.length : 1,
+          duration: animation ? animation.duration : 0,
+          width,
+          height,
+          analysis,
+          placeholders,
+          versions,
+          failedVersions,
+        };
+      } finally {
+        if (typeof img.close === "function") img.close();
+      }
+    }
+
+    async _runInWorker(file, presets, opts, jobId) {
+      const output = await this._workerPool.run(
+        {
+          file,
+          presets,
+          options: this._serializeOptions(opts),
+          config: this._serializeOptions(this.config),
+          jobId,
+          env: { webpSupported: ImageUtils.isWebPSupported() },
+        },
+        (event, data) => this.emit(event, data),
+        opts.signal
+      );
+
+      return {
+        ...output,
+        versions: output.versions.map((v) => ({
+          blob: new Blob([v.buffer], { type: v.type }),
+          metadata: v.metadata,
+        })),
+      };
+    }
+
+    _getWorkerPool() {
+      if (!this.config.enableWebWorkers || IS_WORKER_SCOPE) return null;
+
+      if (!this._workerPool) {
+        const scriptUrl = this.config.workerUrl || SCRIPT_URL;
+        if (!WorkerPool.isSupported(scriptUrl)) return null;
+
+        const cores =
+          (typeof navigator !== "undefined" && navigator.hardwareConcurrency) ||
+          this.config.concurrency;
+        this._workerPool = new WorkerPool(
+          scriptUrl,
+          Math.min(this.config.concurrency, cores)
+        );
+      }
+
+      return this._workerPool;
+    }
+
+    _getCacheKeyOptions(presets, opts) {
+      // Callbacks, job bookkeeping and preset names do not affect the
+      // output; resolved preset configs do
+      const keyOptions = this._serializeOptions(opts);
+      [
+        "presets",
+        "customPresets",
+        "jobId",
+        "batchId",
+        "concurrency",
+        "stopOnError",
+        "priority",
+      ].forEach((key) => delete keyOptions[key]);
+      return { ...keyOptions, presets };
+    }
+
+    _serializeOptions(options) {
+      const plain = {};
+      Object.keys(options).forEach((key) => {
+        const value = options[key];
+        const isSignal =
+          typeof AbortSignal !== "undefined" && value instanceof AbortSignal;
+        if (typeof value !== "function" && !isSignal) plain[key] = value;
+      });
+      return plain;
+    }
+
+    _getBatches(batchId) {
+      if (!batchId) return Array.from(this._batches.values());
+      const batch = this._batches.get(batchId);
+      return batch ? [batch] : [];
+    }
+
+    _enqueueFiles(batch, files, defaultPriority = 0) {
+      const offset = batch.queue.jobs.length;
+      const jobs = Array.from(files).map((entry, i) => {
+        const isEntry = entry && !(entry instanceof Blob) && entry.file;
+        return {
+          id: this.createJobId("job"),
+          index: offset + i,
+          file: isEntry ? entry.file : entry,
+          priority:
+            isEntry && entry.priority !== undefined
+              ? entry.priority
+              : defaultPriority,
+        };
+      });
+
+      batch.queue.add(jobs);
+      return jobs.map((job) => job.id);
+    }
+
+    _createVersion(blob, metadata) {
+      return {
+        blob,
+        metadata,
+        preview: URL.createObjectURL(blob),
+        dataUrl: null, // Can be generated on demand
+      };
+    }
+
+    async _processVersions(
+      img,
+      file,
+      presets,
+      analysis,
+      opts,
+      jobId,
+      metadataPlan = null,
+      animation = null
+    ) {
       const versions = [];
+      const failedVersions = [];
+      const resolved = animation
+        ? await this._resolveAnimatedFormat(opts.outputFormat)
+        : await this._resolveOutputFormat(
+            opts.outputFormat || analysis.suggestedFormat,
+            analysis
+          );
 
       for (let i = 0; i < presets.length; i++) {
         const preset = presets[i];
         const versionStartTime = performance.now();
+        await checkpoint(opts.signal, jobId);
 
         try {
+          const { targetSize, adaptiveTarget } =
+            CompressionEngine.resolveTargetSize(preset, analysis);
+
           // Calculate dimensions
           const dimensions = ImageUtils.calculateDimensions(
             img.width,
             img.height,
             preset.maxDimension,
-            preset.aspectRatio
+            preset.aspectRatio,
+            ImageUtils.normalizeFit(preset)
           );
+          if (dimensions.fit === FitMode.COVER) {
+            dimensions.crop = CompressionEngine.placeCrop(
+              img,
+              dimensions,
+              opts.focus
+            );
+          }
 
           // Create optimized canvas
+          const resize = CompressionEngine.normalizeResize(preset.resize);
           const canvas = CompressionEngine.createOptimizedCanvas(
             img,
             dimensions,
-            analysis
-          );
-
-          // Determine output format
-          const outputFormat = opts.outputFormat || analysis.suggestedFormat;
-
-          // Compress with intelligent algorithm
-          let blob = await CompressionEngine.compress(
-            canvas,
-            outputFormat,
-            preset.targetSize,
             analysis,
-            opts.quality
+            resize
           );
 
-          // Advanced optimization if needed
-          if (blob.size > preset.targetSize * 1.15) {
-            blob = await CompressionEngine.advancedOptimize(
-              canvas,
+          // Quality mode bounds bytes by maxSize; size mode by targetSize
+          const sizeLimit = preset.targetQuality
+            ? preset.maxSize || targetSize || null
+            : targetSize;
+          // Kept metadata is written after encoding, so the encoder gets
+          // the budget minus its bytes (at least half the budget)
+          const reserved = metadataPlan
+            ? ImageMetadata.reservedBytes(metadataPlan)
+            : 0;
+          const encodeBudget = (bytes) =>
+            bytes && Math.max(bytes - reserved, Math.round(bytes / 2));
+          const encodeTarget = encodeBudget(targetSize);
+          const encodeLimit = encodeBudget(sizeLimit);
+
+          let outputFormat = resolved.format;
+          let race = null;
+          let blob;
+          let constraint;
+          let animated = null;
+
+          if (animation) {
+            // Every frame is resized and encoded; the first frame stands
+            // in for the quality measurement below
+            const encodedAnimation = await ImageAnimation.compress(
+              ImageAnimation.resize(animation, dimensions, analysis, resize),
               outputFormat,
-              preset.targetSize,
-              analysis
+              {
+                targetSize: encodeLimit,
+                quality: analysis.recommendedQuality,
+                signal: opts.signal,
+              }
+            );
+            blob = encodedAnimation.blob;
+            constraint = {
+              mode: "size",
+              binding: "size",
+              targetSize: sizeLimit,
+              sizeMet: encodedAnimation.sizeMet,
+            };
+            if (encodedAnimation.colors) {
+              constraint.colors = encodedAnimation.colors;
+            } else {
+              constraint.encoderQuality = parseFloat(
+                encodedAnimation.quality.toFixed(3)
+              );
+            }
+            animated = {
+              frameCount: animation.frames.length,
+              duration: animation.duration,
+              loopCount: animation.loopCount,
+            };
+          } else {
+            // Determine output format, racing candidates in auto mode:
+            // at equal SSIM for quality presets, at equal bytes otherwise
+            if (
+              outputFormat === "auto" &&
+              !preset.targetQuality &&
+              targetSize
+            ) {
+              race = await CompressionEngine.raceFormatsToSize(
+                canvas,
+                await this._getAutoFormatCandidates(analysis),
+                encodeTarget,
+                analysis,
+                opts.quality,
+                { signal: opts.signal, palette: opts.palette }
+              );
+              outputFormat = race.format;
+            } else if (outputFormat === "auto") {
+              race = await CompressionEngine.raceFormats(
+                canvas,
+                await this._getAutoFormatCandidates(analysis),
+                {
+                  targetQuality: preset.targetQuality || AUTO_FORMAT_QUALITY,
+                  maxSize: preset.targetQuality ? encodeLimit : null,
+                },
+                { signal: opts.signal, palette: opts.palette }
+              );
+              outputFormat = race.format;
+            }
+
+            if (preset.targetQuality) {
+              const searched = race
+                ? race.result
+                : await CompressionEngine.compressToQuality(
+                    canvas,
+                    outputFormat,
+                    {
+                      targetQuality: preset.targetQuality,
+                      maxSize: encodeLimit,
+                    },
+                    { signal: opts.signal, palette: opts.palette }
+                  );
+              blob = searched.blob;
+              constraint = {
+                mode: "quality",
+                binding: searched.binding,
+                targetQuality: preset.targetQuality,
+                maxSize: sizeLimit,
+                encoderQuality: parseFloat(searched.quality.toFixed(3)),
+                achievedSsim: parseFloat(searched.ssim.toFixed(4)),
+                qualityMet: searched.qualityMet,
+                sizeMet: searched.sizeMet,
+              };
+            } else {
+              // Compress with intelligent algorithm; a size race already has
+              blob = race
+                ? race.blob
+                : await CompressionEngine.compress(
+                    canvas,
+                    outputFormat,
+                    encodeTarget,
+                    analysis,
+                    opts.quality,
+                    { signal: opts.signal, palette: opts.palette }
+                  );
+              constraint = {
+                mode: "size",
+                binding: "size",
+                targetSize,
+              };
+            }
+
+            // Advanced optimization if needed
+            if (encodeLimit && blob.size > encodeLimit * 1.15) {
+              blob = await CompressionEngine.advancedOptimize(
+                canvas,
+                outputFormat,
+                encodeLimit,
+                analysis,
+                { signal: opts.signal, palette: opts.palette, resize }
+              );
+              constraint.binding = "size";
+              constraint.downscaled = true;
+            }
+          }
+
+          // How an adaptive targetSize was derived from the analysis
+          if (adaptiveTarget) constraint.adaptiveTarget = adaptiveTarget;
+
+          // Carry kept EXIF/ICC/XMP over; quality is measured on the
+          // encoder output so an orientation tag cannot skew it
+          const encoded = blob;
+          let embeddedMetadata = null;
+          if (metadataPlan) {
+            ({ blob, report: embeddedMetadata } = await ImageMetadata.inject(
+              blob,
+              metadataPlan,
+              dimensions
+            ));
+          }
+
+          if (
+            opts.enforceTargetSize &&
+            sizeLimit &&
+            blob.size > sizeLimit * 1.15
+          ) {
+            throw new TargetUnreachableError(
+              `Could not reach ${sizeLimit} bytes (best: ${blob.size} bytes)`,
+              { targetSize: sizeLimit, actualSize: blob.size }
             );
           }
+          if (constraint.sizeMet !== undefined) {
+            constraint.sizeMet = !sizeLimit || blob.size <= sizeLimit;
+          }
+
+          // Measure what the output actually looks like
+          const qualityMetrics = await this._measureQuality(
+            canvas,
+            encoded,
+            opts
+          );
+          // Downscaling replaces the race winner's blob; report what ships
+          if (race && constraint.downscaled) {
+            const selected = race.candidates.find((c) => c.selected);
+            selected.size = encoded.size;
+            selected.ssim =
+              qualityMetrics && qualityMetrics.ssim != null
+                ? parseFloat(qualityMetrics.ssim.toFixed(4))
+                : null;
+            selected.downscaled = true;
+          }
+          if (constraint.downscaled && constraint.mode === "quality") {
+            const ssim = qualityMetrics ? qualityMetrics.ssim : null;
+            constraint.achievedSsim =
+              ssim != null ? parseFloat(ssim.toFixed(4)) : null;
+            constraint.qualityMet =
+              ssim != null ? ssim >= preset.targetQuality : null;
+          }
 
           const versionTime = performance.now() - versionStartTime;
 
@@ -1281,17 +10627,18 @@
             versionTime,
             analysis,
             preset,
-            i
+            i,
+            {
+              qualityMetrics,
+              constraint,
+              formatCandidates: race ? race.candidates : null,
+              formatFallback: resolved.fallback,
+              embeddedMetadata,
+              animation: animated,
+            }
           );
 
-          const version = {
-            blob,
-            metadata,
-            preview: URL.createObjectURL(blob),
-            dataUrl: null, // Can be generated on demand
-          };
-
-          versions.push(version);
+          versions.push({ blob, metadata });
 
           // Emit version complete
           this.emit(EventType.VERSION_COMPLETE, {
@@ -1301,12 +10648,57 @@
             metadata,
           });
         } catch (error) {
-          console.error(`Failed to create version ${i}:`, error);
-          // Continue with other versions
+          if (error instanceof AbortError) {
+            error.jobId = jobId;
+            throw error;
+          }
+
+          // Record the failure and continue with other versions
+          const typedError = UltraCompressError.wrap(error, EncodeError, {
+            jobId,
+            versionIndex: i,
+          });
+          const failure = {
+            versionIndex: i,
+            presetName: this._getPresetName(preset),
+            error: typedError.toJSON(),
+          };
+          failedVersions.push(failure);
+
+          this.emit(EventType.VERSION_ERROR, {
+            jobId,
+            versionIndex: i,
+            totalVersions: presets.length,
+            presetName: failure.presetName,
+            code: typedError.code,
+            error: typedError.message,
+          });
         }
       }
 
-      return versions;
+      return { versions, failedVersions };
+    }
+
+    async _measureQuality(canvas, blob, opts) {
+      if (opts.qualityMetrics === false) return null;
+
+      const metrics = Array.isArray(opts.qualityMetrics)
+        ? opts.qualityMetrics
+        : ["ssim", "psnr"];
+
+      try {
+        await checkpoint(opts.signal);
+        return await QualityMetrics.compare(canvas, blob, { metrics });
+      } catch (error) {
+        if (error instanceof AbortError) throw error;
+        // Metrics are informative; a failed decode must not fail the version
+        return null;
+      }
+    }
+
+    _getPresetName(preset) {
+      if (typeof preset === "string") return preset;
+      return (preset && preset.name) || "custom";
     }
 
     _generateMetadata(
@@ -1317,9 +10709,21 @@
       time,
       analysis,
       preset,
-      index
+      index,
+      {
+        qualityMetrics = null,
+        constraint = null,
+        formatCandidates = null,
+        formatFallback = null,
+        embeddedMetadata = null,
+        animation = null,
+      } = {}
     ) {
       const originalSize = file.size;
+      const round = (value, digits) =>
+        value === undefined || value === null
+          ? null
+          : parseFloat(value.toFixed(digits));
       const compressedSize = blob.size;
       const saved = originalSize - compressedSize;
       const ratio = (saved / originalSize) * 100;
@@ -1327,7 +10731,7 @@
       return {
         // Version info
         versionIndex: index,
-        presetName: typeof preset === "string" ? preset : "custom",
+        presetName: this._getPresetName(preset),
 
         // Size metrics
         originalSize,
@@ -1353,11 +10757,24 @@
         aspectRatio: parseFloat(dimensions.aspectRatio.toFixed(3)),
         scale: parseFloat(dimensions.scale.toFixed(4)),
         resolutionReduction: parseFloat((1 - dimensions.scale).toFixed(4)),
+        fit: dimensions.fit,
+        // Source rectangle the version shows, in input pixels
+        crop: dimensions.crop && {
+          x: Math.round(dimensions.crop.x),
+          y: Math.round(dimensions.crop.y),
+          width: Math.round(dimensions.crop.width),
+          height: Math.round(dimensions.crop.height),
+          strategy: dimensions.crop.strategy || null,
+        },
 
         // Format info
         inputFormat: file.type,
         outputFormat: format,
         formatChanged: file.type !== format,
+        // Every format tried by outputFormat: "auto" (null otherwise)
+        formatCandidates,
+        // { requested, used, tried } when the requested encoder was missing
+        formatFallback,
 
         // Performance
         compressionTime: parseFloat(time.toFixed(2)),
@@ -1373,12 +10790,29 @@
         quality: analysis.recommendedQuality
           ? `${(analysis.recommendedQuality * 100).toFixed(0)}%`
           : "auto",
-        qualityScore: parseFloat(
-          (analysis.recommendedQuality * 100).toFixed(0)
-        ),
+        qualityScore:
+          qualityMetrics && qualityMetrics.ssim !== undefined
+            ? round(qualityMetrics.ssim * 100, 0)
+            : parseFloat((analysis.recommendedQuality * 100).toFixed(0)),
+
+        // Perceptual metrics (output decoded and compared to the resized source)
+        ssim: qualityMetrics ? round(qualityMetrics.ssim, 4) : null,
+        msssim: qualityMetrics ? round(qualityMetrics.msssim, 4) : null,
+        psnr: qualityMetrics ? round(qualityMetrics.psnr, 2) : null,
+
+        // Which target drove the encoder (size or perceptual quality)
+        constraint,
+
+        // EXIF/ICC/XMP kept or removed, and how orientation was handled
+        embeddedMetadata,
+
+        // { frameCount, duration, loopCount } for animated output
+        animation,
 
         // Analysis summary
         imageType: analysis.imageType,
+        category: analysis.category,
+        subType: analysis.subType,
         complexity: analysis.complexity,
         compressibility: analysis.compressibility,
         hasTransparency: analysis.hasTransparency,
@@ -1481,6 +10915,7 @@
   UltraCompressPro.VERSION = VERSION;
   UltraCompressPro.CompressionQuality = CompressionQuality;
   UltraCompressPro.ImageFormat = ImageFormat;
+  UltraCompressPro.FitMode = FitMode;
   UltraCompressPro.ProcessingStatus = ProcessingStatus;
   UltraCompressPro.EventType = EventType;
 
@@ -1488,9 +10923,36 @@
   UltraCompressPro.Utils = ImageUtils;
   UltraCompressPro.Analyzer = ImageAnalyzer;
   UltraCompressPro.Engine = CompressionEngine;
+  UltraCompressPro.Metrics = QualityMetrics;
+  UltraCompressPro.ErrorCode = ErrorCode;
+  UltraCompressPro.UltraCompressError = UltraCompressError;
+  UltraCompressPro.InvalidInputError = InvalidInputError;
+  UltraCompressPro.UnsupportedFormatError = UnsupportedFormatError;
+  UltraCompressPro.FileTooLargeError = FileTooLargeError;
+  UltraCompressPro.DecodeError = DecodeError;
+  UltraCompressPro.EncodeError = EncodeError;
+  UltraCompressPro.TargetUnreachableError = TargetUnreachableError;
+  UltraCompressPro.AbortError = AbortError;
+  UltraCompressPro.Cache = {
+    ResultCache,
+    MemoryCacheStore,
+    IndexedDBCacheStore,
+  };
+  UltraCompressPro.Backends = ImageBackends;
+  UltraCompressPro.RasterCanvas = RasterCanvas;
+  UltraCompressPro.Codecs = { Jpeg: JpegCodec, Png: PngCodec, Gif: GifCodec };
+  UltraCompressPro.Metadata = ImageMetadata;
+  UltraCompressPro.Animation = ImageAnimation;
+  UltraCompressPro.Quantizer = ColorQuantizer;
+  UltraCompressPro.Placeholder = ImagePlaceholder;
+
+  // Pool workers load this same script and serve pipeline requests
+  if (IS_WORKER_SCOPE) {
+    WorkerRuntime.install(self);
+  }
 
-  // Console initialization message
-  if (typeof console !== "undefined") {
+  // Console initialization message (browser pages only; keeps CLI output clean)
+  if (typeof console !== "undefined" && typeof document !== "undefined") {
     console.log(
       `%c🚀 UltraCompressPro v${VERSION} loaded successfully`,
       "color: #10b981; font-size: 14px; font-weight: bold;"
@@ -0,0 +1,575 @@
+#!/usr/bin/env node
+/**
+ * UltraCompressPro Server - minimal HTTP service around the compress API
+ *
+ * @description Node.js `http` front end for UltraCompressPro (no framework)
+ * @license MIT
+ *
+ * Endpoints:
+ *   POST /compress?presets=large,small&quality=balanced&format=webp
+ *   GET  /results/:jobId/:versionIndex
+ *   GET  /presets
+ *   GET  /stats
+ *   GET  /events[?jobId=...]   Server-Sent Events
+ *
+ * Usage:
+ *   node UltraCompressServer.js --port 8080 --host 127.0.0.1
+ */
+
+"use strict";
+
+const http = require("http");
+const UltraCompressPro = require("./UltraCompressPro.js");
+
+const File = globalThis.File || require("buffer").File;
+const { EventType, ErrorCode } = UltraCompressPro;
+
+// ==================== CONSTANTS ====================
+
+const FORMAT_ALIASES = {
+  jpg: UltraCompressPro.ImageFormat.JPEG,
+  jpeg: UltraCompressPro.ImageFormat.JPEG,
+  png: UltraCompressPro.ImageFormat.PNG,
+  png8: UltraCompressPro.ImageFormat.PNG8,
+  gif: UltraCompressPro.ImageFormat.GIF,
+  webp: UltraCompressPro.ImageFormat.WEBP,
+  avif: UltraCompressPro.ImageFormat.AVIF,
+  auto: "auto",
+};
+
+const OUTPUT_EXTENSIONS = {
+  "image/jpeg": "jpg",
+  "image/png": "png",
+  "image/webp": "webp",
+  "image/avif": "avif",
+  "image/gif": "gif",
+};
+
+const DEFAULTS = {
+  port: 8080,
+  host: "127.0.0.1",
+  maxUploadSize: null, // Defaults to the compressor's maxFileSize + 1MB
+  resultTTL: 10 * 60 * 1000, // 10 minutes
+  maxResults: 100,
+  cors: null, // Value for Access-Control-Allow-Origin, e.g. "*"
+};
+
+// Instance events forwarded to SSE clients
+const JOB_EVENTS = [
+  EventType.START,
+  EventType.VERSION_COMPLETE,
+  EventType.VERSION_ERROR,
+  EventType.COMPLETE,
+  EventType.ERROR,
+  EventType.CANCEL,
+];
+
+const STATUS_BY_CODE = {
+  [ErrorCode.INVALID_INPUT]: 400,
+  [ErrorCode.EMPTY_FILE]: 400,
+  [ErrorCode.FILE_TOO_LARGE]: 413,
+  [ErrorCode.UNSUPPORTED_FORMAT]: 415,
+  [ErrorCode.DECODE_FAILED]: 422,
+  [ErrorCode.TARGET_UNREACHABLE]: 422,
+  [ErrorCode.ABORTED]: 499,
+};
+
+const SSE_KEEPALIVE = 15000;
+
+class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+HttpError.prototype.name = "HttpError";
+
+// ==================== REQUEST PARSING ====================
+
+/**
+ * Collect a request body, rejecting once it exceeds the limit
+ * @param {http.IncomingMessage} req
+ * @param {number} limit - Maximum bytes
+ * @returns {Promise<Buffer>}
+ */
+function readBody(req, limit) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    req.on("data", (chunk) => {
+      size += chunk.length;
+      if (size > limit) {
+        req.removeAllListeners("data");
+        req.resume();
+        reject(new HttpError(413, `Upload exceeds ${limit} bytes`));
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on("end", () => resolve(Buffer.concat(chunks)));
+    req.on("error", reject);
+  });
+}
+
+/**
+ * Parse a multipart/form-data body
+ * @param {Buffer} body
+ * @param {string} contentType - Request Content-Type header
+ * @returns {Object} { fields, files } where files are { field, filename, type, data }
+ */
+function parseMultipart(body, contentType) {
+  const match = /boundary=(?:"([^"]+)"|([^;]+))/i.exec(contentType || "");
+  if (!match) throw new HttpError(400, "Missing multipart boundary");
+
+  const delimiter = Buffer.from(`--${match[1] || match[2]}`);
+  const fields = {};
+  const files = [];
+
+  let start = body.indexOf(delimiter);
+  while (start !== -1) {
+    start += delimiter.length;
+    // "--" after a delimiter closes the body
+    if (body[start] === 0x2d && body[start + 1] === 0x2d) break;
+
+    const next = body.indexOf(delimiter, start);
+    if (next === -1) throw new HttpError(400, "Truncated multipart body");
+
+    // Each part sits between the CRLF after one delimiter and before the next
+    const part = body.subarray(start + 2, next - 2);
+    const split = part.indexOf("\r\n\r\n");
+    if (split === -1) throw new HttpError(400, "Malformed multipart part");
+
+    const headers = {};
+    part
+      .subarray(0, split)
+      .toString("utf8")
+      .split("\r\n")
+      .forEach((line) => {
+        const colon = line.indexOf(":");
+        if (colon > 0) {
+          headers[line.slice(0, colon).trim().toLowerCase()] = line
+            .slice(colon + 1)
+            .trim();
+        }
+      });
+
+    const disposition = headers["content-disposition"] || "";
+    const name = /\bname="([^"]*)"/i.exec(disposition);
+    const filename = /\bfilename="([^"]*)"/i.exec(disposition);
+    const data = part.subarray(split + 4);
+
+    if (filename) {
+      files.push({
+        field: name ? name[1] : null,
+        filename: filename[1],
+        type: headers["content-type"] || "",
+        data,
+      });
+    } else if (name) {
+      fields[name[1]] = data.toString("utf8");
+    }
+
+    start = next;
+  }
+
+  return { fields, files };
+}
+
+/**
+ * Build compress() options from query parameters and form fields
+ * @param {URLSearchParams} query
+ * @param {Object} fields - Multipart text fields (query wins)
+ * @param {UltraCompressPro} compressor
+ * @returns {Object}
+ */
+function parseCompressOptions(query, fields, compressor) {
+  const param = (name) => query.get(name) ?? fields[name] ?? null;
+  const options = {};
+
+  const presets = param("presets") || param("preset");
+  if (presets) {
+    options.presets = presets
+      .split(",")
+      .map((name) => name.trim())
+      .filter(Boolean);
+    const unknown = options.presets.find((name) => !compressor.presets[name]);
+    if (unknown) throw new HttpError(400, `Unknown preset: ${unknown}`);
+  }
+
+  const quality = param("quality");
+  if (quality) {
+    if (!Object.values(UltraCompressPro.CompressionQuality).includes(quality)) {
+      throw new HttpError(400, `Unknown quality mode: ${quality}`);
+    }
+    options.quality = quality;
+  }
+
+  const format = param("format");
+  if (format) {
+    options.outputFormat = FORMAT_ALIASES[format.toLowerCase()];
+    if (!options.outputFormat) {
+      throw new HttpError(400, `Unknown format: ${format}`);
+    }
+  }
+
+  const jobId = param("jobId");
+  if (jobId) {
+    if (!/^[\w-]{1,64}$/.test(jobId)) {
+      throw new HttpError(400, "jobId must be 1-64 word characters");
+    }
+    options.jobId = jobId;
+  }
+
+  return options;
+}
+
+// ==================== RESULT STORE ====================
+
+/**
+ * In-memory store for compressed versions, expired lazily on access
+ */
+class ResultStore {
+  constructor({ ttl, maxEntries }) {
+    this.ttl = ttl;
+    this.maxEntries = maxEntries;
+    this.entries = new Map();
+  }
+
+  set(jobId, fileName, versions) {
+    this.prune();
+    this.entries.delete(jobId);
+    this.entries.set(jobId, {
+      fileName,
+      versions: versions.map(({ blob, metadata }) => ({ blob, metadata })),
+      expires: Date.now() + this.ttl,
+    });
+    // Maps iterate in insertion order, so the first keys are the oldest
+    for (const key of this.entries.keys()) {
+      if (this.entries.size <= this.maxEntries) break;
+      this.entries.delete(key);
+    }
+  }
+
+  get(jobId) {
+    this.prune();
+    return this.entries.get(jobId) || null;
+  }
+
+  has(jobId) {
+    return !!this.get(jobId);
+  }
+
+  prune() {
+    const now = Date.now();
+    for (const [key, entry] of this.entries) {
+      if (entry.expires <= now) this.entries.delete(key);
+    }
+  }
+}
+
+// ==================== RESPONSES ====================
+
+/**
+ * JSON-safe error body (stack traces stay on the server)
+ * @param {Error} error
+ * @returns {Object}
+ */
+function errorBody(error) {
+  if (error instanceof UltraCompressPro.UltraCompressError) {
+    const { stack, ...data } = error.toJSON();
+    return { success: false, error: data.message, ...data };
+  }
+  return { success: false, error: error.message };
+}
+
+function statusFor(error) {
+  if (error instanceof HttpError) return error.status;
+  return STATUS_BY_CODE[error.code] || 500;
+}
+
+/**
+ * Replace blobs with result URLs so a CompressionResult can be sent as JSON
+ * @param {Object} result - CompressionResult from compress()
+ * @returns {Object}
+ */
+function serializeResult(result) {
+  return {
+    ...result,
+    versions: result.versions.map((version, index) => ({
+      index,
+      url: `/results/${encodeURIComponent(result.jobId)}/${index}`,
+      size: version.blob.size,
+      type: version.blob.type,
+      metadata: version.metadata,
+    })),
+    failedVersions: result.failedVersions.map(({ error, ...failure }) => ({
+      ...failure,
+      error: error.message,
+    })),
+  };
+}
+
+/**
+ * Event payload for SSE clients
+ * @param {string} event
+ * @param {Object} data
+ * @returns {Object}
+ */
+function eventData(event, data) {
+  if (event === EventType.COMPLETE) return serializeResult(data);
+  if (event === EventType.ERROR) {
+    const { stack, ...rest } = data;
+    return rest;
+  }
+  return data;
+}
+
+function sendJSON(res, status, body, headers = {}) {
+  const payload = Buffer.from(JSON.stringify(body));
+  res.writeHead(status, {
+    "Content-Type": "application/json; charset=utf-8",
+    "Content-Length": payload.length,
+    ...headers,
+  });
+  res.end(payload);
+}
+
+/**
+ * Switch a response to Server-Sent Events
+ * @param {http.ServerResponse} res
+ * @returns {Function} send(event, data)
+ */
+function openEventStream(res) {
+  res.writeHead(200, {
+    "Content-Type": "text/event-stream; charset=utf-8",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive",
+  });
+  res.write(": connected\n\n");
+
+  const keepAlive = setInterval(() => res.write(": ping\n\n"), SSE_KEEPALIVE);
+  res.on("close", () => clearInterval(keepAlive));
+
+  return (event, data) => {
+    if (!res.writableEnded) {
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    }
+  };
+}
+
+/**
+ * Forward instance events to an SSE client
+ * @param {UltraCompressPro} compressor
+ * @param {Function} send - From openEventStream()
+ * @param {string} [jobId] - Only forward this job's events
+ * @param {string[]} [events] - Events to forward
+ * @returns {Function} Unsubscribe
+ */
+function subscribe(compressor, send, jobId = null, events = JOB_EVENTS) {
+  const unsubscribers = events.map((event) =>
+    compressor.on(event, (data) => {
+      if (!jobId || (data && data.jobId === jobId)) {
+        send(event, eventData(event, data));
+      }
+    })
+  );
+  return () => unsubscribers.forEach((off) => off());
+}
+
+// ==================== HANDLERS ====================
+
+async function handleCompress(req, res, url, context) {
+  const { compressor, store, maxUploadSize } = context;
+
+  if (!/^multipart\/form-data/i.test(req.headers["content-type"] || "")) {
+    throw new HttpError(415, "Expected a multipart/form-data upload");
+  }
+  const body = await readBody(req, maxUploadSize);
+  const { fields, files } = parseMultipart(body, req.headers["content-type"]);
+  const upload = files.find((file) => file.field === "file") || files[0];
+  if (!upload) throw new HttpError(400, 'Missing "file" field');
+
+  const options = parseCompressOptions(url.searchParams, fields, compressor);
+  if (
+    options.jobId &&
+    (store.has(options.jobId) || compressor.hasJob(options.jobId))
+  ) {
+    throw new HttpError(409, `Job ${options.jobId} already exists`);
+  }
+  const jobId = options.jobId || compressor.createJobId("http");
+
+  // Cancel the job when the client goes away before the response is sent
+  const controller = new AbortController();
+  res.on("close", () => {
+    if (!res.writableFinished) controller.abort();
+  });
+
+  const streaming = /text\/event-stream/.test(req.headers.accept || "");
+  let send = null;
+  let unsubscribe = null;
+  if (streaming) {
+    send = openEventStream(res);
+    // The stream ends with "result" or "failure" once versions are stored
+    unsubscribe = subscribe(
+      compressor,
+      send,
+      jobId,
+      JOB_EVENTS.filter(
+        (event) => event !== EventType.COMPLETE && event !== EventType.ERROR
+      )
+    );
+  }
+
+  const file = new File([upload.data], upload.filename, { type: upload.type });
+  try {
+    const result = await compressor.compress(file, {
+      ...options,
+      jobId,
+      signal: controller.signal,
+    });
+    // Node keeps blob URLs alive until revoked; results are served by id
+    result.versions.forEach((version) => URL.revokeObjectURL(version.preview));
+    store.set(jobId, file.name, result.versions);
+
+    if (streaming) {
+      send("result", serializeResult(result));
+      res.end();
+    } else {
+      sendJSON(res, 200, serializeResult(result));
+    }
+  } catch (error) {
+    if (!streaming) throw error;
+    send("failure", errorBody(error));
+    res.end();
+  } finally {
+    if (unsubscribe) unsubscribe();
+  }
+}
+
+async function handleResult(req, res, params, context) {
+  const entry = context.store.get(params.jobId);
+  const version = entry && entry.versions[params.versionIndex];
+  if (!version) throw new HttpError(404, "Result not found or expired");
+
+  const { blob, metadata } = version;
+  const baseName = entry.fileName.replace(/\.[^.]+$/, "");
+  const fileName = `${baseName}-${metadata.presetName || params.versionIndex}.${
+    OUTPUT_EXTENSIONS[blob.type] || "bin"
+  }`;
+  const data = Buffer.from(await blob.arrayBuffer());
+
+  res.writeHead(200, {
+    "Content-Type": blob.type || "application/octet-stream",
+    "Content-Length": data.length,
+    "Content-Disposition": `inline; filename="${fileName.replace(
+      /["\\\r\n]/g,
+      "_"
+    )}"`,
+    "Cache-Control": "private, max-age=60",
+  });
+  res.end(data);
+}
+
+function handleEvents(req, res, url, context) {
+  const send = openEventStream(res);
+  const unsubscribe = subscribe(
+    context.compressor,
+    send,
+    url.searchParams.get("jobId")
+  );
+  res.on("close", unsubscribe);
+}
+
+// ==================== SERVER ====================
+
+/**
+ * Create an HTTP server exposing the compress API
+ * @param {Object} options
+ * @param {UltraCompressPro} options.compressor - Instance to use (default: new)
+ * @param {number} options.maxUploadSize - Maximum request body in bytes
+ * @param {number} options.resultTTL - How long versions stay downloadable (ms)
+ * @param {number} options.maxResults - Stored jobs before the oldest is dropped
+ * @param {string} options.cors - Access-Control-Allow-Origin value
+ * @returns {http.Server} Not yet listening; the context is on server.context
+ */
+function createServer(options = {}) {
+  const config = { ...DEFAULTS, ...options };
+  const compressor = config.compressor || new UltraCompressPro();
+  const context = {
+    compressor,
+    store: new ResultStore({
+      ttl: config.resultTTL,
+      maxEntries: config.maxResults,
+    }),
+    maxUploadSize:
+      config.maxUploadSize || compressor.config.maxFileSize + 1024 * 1024,
+  };
+
+  const server = http.createServer(async (req, res) => {
+    if (config.cors) res.setHeader("Access-Control-Allow-Origin", config.cors);
+
+    const url = new URL(req.url, "http://localhost");
+    const route = `${req.method} ${url.pathname.replace(/\/+$/, "") || "/"}`;
+    const resultMatch = /^GET \/results\/([^/]+)\/(\d+)$/.exec(route);
+
+    try {
+      if (route === "POST /compress") {
+        await handleCompress(req, res, url, context);
+      } else if (resultMatch) {
+        await handleResult(
+          req,
+          res,
+          {
+            jobId: decodeURIComponent(resultMatch[1]),
+            versionIndex: parseInt(resultMatch[2], 10),
+          },
+          context
+        );
+      } else if (route === "GET /presets") {
+        sendJSON(res, 200, compressor.getPresets());
+      } else if (route === "GET /stats") {
+        sendJSON(res, 200, compressor.getStats());
+      } else if (route === "GET /events") {
+        handleEvents(req, res, url, context);
+      } else {
+        throw new HttpError(404, `No route for ${req.method} ${url.pathname}`);
+      }
+    } catch (error) {
+      if (res.headersSent) {
+        res.destroy(error);
+        return;
+      }
+      const status = statusFor(error);
+      if (status >= 500) console.error(error);
+      sendJSON(
+        res,
+        status,
+        errorBody(error),
+        error.status === 413 ? { Connection: "close" } : {}
+      );
+    }
+  });
+
+  server.context = context;
+  return server;
+}
+
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const arg = (name, fallback) => {
+    const index = args.indexOf(name);
+    return index !== -1 && index + 1 < args.length ? args[index + 1] : fallback;
+  };
+  const port = parseInt(arg("--port", process.env.PORT || DEFAULTS.port), 10);
+  const host = arg("--host", DEFAULTS.host);
+
+  const server = createServer({ cors: arg("--cors", DEFAULTS.cors) });
+  server.listen(port, host, () => {
+    const backend = UltraCompressPro.Backends.get().name;
+    process.stdout.write(
+      `ultracompress server listening on http://${host}:${port} (${backend} backend)\n`
+    );
+  });
+}
+
+module.exports = { createServer, parseMultipart, ResultStore };
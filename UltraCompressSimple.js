@@ -1522,7 +1522,8 @@ class AppImageCompressor {
    * Xử lý một ảnh duy nhất, kiểm tra tỷ lệ 4:3 và xuất ra 2 phiên bản.
    * @param {File} file - Tệp ảnh đầu vào.
    * @param {Function} [onProgress] - (TÙY CHỌN) Callback để nhận tiến trình. Ví dụ: (progress) => console.log(progress.percent)
-   * @returns {Promise<Object>} - Promise trả về đối tượng chứa 2 phiên bản ảnh hoặc lỗi.
+   * @returns {Promise<Object>} - Promise trả về đối tượng chứa 2 phiên bản ảnh hoặc lỗi
+   *   ({ success: false, error, cause } với `cause` là lỗi gốc).
    */
   async processImage(file, onProgress) {
     // Hàm trợ giúp để gửi tiến trình một cách an toàn
@@ -1532,6 +1533,20 @@ class AppImageCompressor {
       }
     };
 
+    // Lắng nghe sự kiện từ thư viện gốc để báo cáo tiến trình nén
+    const progressListener = (versionData) => {
+      // Quy trình nén chiếm khoảng 70% tổng thời gian (từ 20% đến 90%)
+      const baseProgress = 20;
+      const compressionWorkload = 70;
+      const progress =
+        baseProgress +
+        (compressionWorkload / 2) * (versionData.versionIndex + 1);
+      reportProgress(
+        Math.round(progress),
+        `Đã nén xong phiên bản ${versionData.versionIndex + 1}/2...`
+      );
+    };
+
     try {
       reportProgress(5, "Đang xác thực tệp...");
       this.compressor.validateFile(file);
@@ -1547,20 +1562,6 @@ class AppImageCompressor {
         );
       }
 
-      // Lắng nghe sự kiện từ thư viện gốc để báo cáo tiến trình nén
-      const progressListener = (versionData) => {
-        // Quy trình nén chiếm khoảng 70% tổng thời gian (từ 20% đến 90%)
-        const baseProgress = 20;
-        const compressionWorkload = 70;
-        const progress =
-          baseProgress +
-          (compressionWorkload / 2) * (versionData.versionIndex + 1);
-        reportProgress(
-          Math.round(progress),
-          `Đã nén xong phiên bản ${versionData.versionIndex + 1}/2...`
-        );
-      };
-
       this.compressor.on("version_complete", progressListener);
 
       reportProgress(20, "Bắt đầu nén thông minh...");
@@ -1568,9 +1569,6 @@ class AppImageCompressor {
         customPresets: [this.presetLarge, this.presetSmall],
       });
 
-      // Rất quan trọng: Gỡ bỏ listener sau khi hoàn tất để tránh rò rỉ bộ nhớ
-      this.compressor.off("version_complete", progressListener);
-
       if (!result.success || result.versions.length < 2) {
         throw new Error("Không thể tạo đủ 2 phiên bản ảnh.");
       }
@@ -1610,7 +1608,10 @@ class AppImageCompressor {
     } catch (error) {
       console.error("AppImageCompressor Error:", error);
       reportProgress(100, `Lỗi: ${error.message}`); // Báo cáo lỗi qua progress
-      return { success: false, error: error.message };
+      return { success: false, error: error.message, cause: error };
+    } finally {
+      // Rất quan trọng: Gỡ bỏ listener kể cả khi lỗi để tránh rò rỉ bộ nhớ
+      this.compressor.off("version_complete", progressListener);
     }
   }
 }
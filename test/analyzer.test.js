@@ -0,0 +1,138 @@
+/**
+ * ImageAnalyzer tests - run with `node --test test/`
+ */
+
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const path = require("path");
+const UltraCompressPro = require("../UltraCompressPro.js");
+
+const fixture = (name) =>
+  new Blob([fs.readFileSync(path.join(__dirname, "..", "test-image", name))], {
+    type: "image/jpeg",
+  });
+
+const FIXTURES = [
+  "black and white line art high resolution.jpg",
+  "flat design logo collection dribbble.jpg",
+  "night city street photography grain.jpg",
+  "ui dashboard design figma community.jpg",
+  "waterfall slow shutter speed photography.jpg",
+];
+
+// Decoding the fixtures takes seconds; every test shares one analysis each
+let analyses = null;
+function analyzeFixtures() {
+  if (!analyses) {
+    const compressor = new UltraCompressPro();
+    analyses = (async () => {
+      const byName = {};
+      for (const name of FIXTURES) {
+        byName[name] = await compressor.analyzeImage(fixture(name));
+      }
+      return byName;
+    })();
+  }
+  return analyses;
+}
+
+test.before(() => UltraCompressPro.Backends.use("js"));
+
+test("classifies the fixtures by their content", async () => {
+  const expected = {
+    "black and white line art high resolution.jpg": [
+      "LINE_ART",
+      "LINE_ART_PURE",
+    ],
+    // A sheet of logos laid out on a grid
+    "flat design logo collection dribbble.jpg": ["UI", "UI_GRID"],
+    "night city street photography grain.jpg": ["PHOTO", "PHOTO_GENERAL"],
+    "ui dashboard design figma community.jpg": ["UI", "UI_STRUCTURED"],
+    "waterfall slow shutter speed photography.jpg": ["PHOTO", "PHOTO_LOWCOLOR"],
+  };
+
+  const byName = await analyzeFixtures();
+  for (const [name, [category, subType]] of Object.entries(expected)) {
+    const analysis = byName[name];
+    assert.deepStrictEqual(
+      [analysis.category, analysis.subType],
+      [category, subType],
+      `${name}: ${analysis.reason}`
+    );
+  }
+});
+
+test("adaptive targets follow the content of each fixture", async () => {
+  const byName = await analyzeFixtures();
+  const preset = {
+    targetSize: { min: 10 * 1024, max: 45 * 1024 },
+    adaptiveTarget: true,
+  };
+  const targets = {};
+  for (const name of FIXTURES) {
+    const { targetSize, adaptiveTarget } =
+      UltraCompressPro.Engine.resolveTargetSize(preset, byName[name]);
+    assert.ok(
+      adaptiveTarget.demand > 0 && adaptiveTarget.demand < 1,
+      `${name}: demand ${adaptiveTarget.demand}`
+    );
+    targets[name] = targetSize;
+  }
+
+  assert.strictEqual(new Set(Object.values(targets)).size, FIXTURES.length);
+  // A flat dashboard needs less than either photo
+  const dashboard = targets["ui dashboard design figma community.jpg"];
+  assert.ok(dashboard < targets["night city street photography grain.jpg"]);
+  assert.ok(
+    dashboard < targets["waterfall slow shutter speed photography.jpg"]
+  );
+});
+
+test("grid sampling reads a dithered graphic's palette", async () => {
+  // Random pixels from 16 colours: scaling down averages them into many
+  const size = 1600;
+  const canvas = UltraCompressPro.Backends.get().createCanvas(size, size);
+  const ctx = canvas.getContext("2d");
+  const image = ctx.createImageData(size, size);
+  let seed = 7;
+  for (let p = 0; p < size * size; p++) {
+    seed = (seed * 1103515245 + 12345) % 2147483648;
+    const i = Math.floor(seed / 2 ** 27); // Top bits; the low ones cycle
+    image.data.set(
+      [(i * 53) % 256, (i * 97) % 256, (i * 151) % 256, 255],
+      p * 4
+    );
+  }
+  ctx.putImageData(image, 0, 0);
+
+  const downsampled = await UltraCompressPro.Analyzer.analyze(canvas, null);
+  const grid = await UltraCompressPro.Analyzer.analyze(canvas, null, "grid");
+
+  assert.strictEqual(downsampled.imageType, "photo");
+  assert.strictEqual(grid.uniqueColors, 16);
+  assert.strictEqual(grid.imageType, "graphic");
+  assert.ok(grid.recommendedQuality > downsampled.recommendedQuality);
+  // Complexity stays on the downsampled scale either way
+  assert.strictEqual(grid.complexity, downsampled.complexity);
+});
+
+test("recognizes SVG by content, not by the declared type", async () => {
+  const canvas = UltraCompressPro.Backends.get().createCanvas(16, 16);
+  const svg =
+    '<?xml version="1.0"?>\n<svg xmlns="http://www.w3.org/2000/svg"/>';
+
+  const untyped = await UltraCompressPro.Analyzer.analyze(
+    canvas,
+    new Blob([svg])
+  );
+  const mislabelled = await UltraCompressPro.Analyzer.analyze(
+    canvas,
+    new Blob([fs.readFileSync(__filename)], { type: "image/svg+xml" })
+  );
+
+  assert.strictEqual(untyped.category, "VECTOR");
+  assert.notStrictEqual(mislabelled.category, "VECTOR");
+});
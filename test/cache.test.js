@@ -0,0 +1,52 @@
+/**
+ * ResultCache tests - run with `node --test test/`
+ */
+
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const path = require("path");
+const UltraCompressPro = require("../UltraCompressPro.js");
+
+const FIXTURE = path.join(
+  __dirname,
+  "..",
+  "test-image",
+  "flat design logo collection dribbble.jpg"
+);
+
+test.before(() => UltraCompressPro.Backends.use("js"));
+
+test("cache hits emit the same version_complete payload as a fresh run", async () => {
+  const compressor = new UltraCompressPro({ cacheResults: true });
+  const file = new Blob([fs.readFileSync(FIXTURE)], { type: "image/jpeg" });
+  const options = { presets: ["thumbnail"], outputFormat: "image/jpeg" };
+  const runs = [];
+  compressor.on(
+    UltraCompressPro.EventType.VERSION_COMPLETE,
+    ({ jobId, ...data }) => runs[runs.length - 1].push(data)
+  );
+
+  runs.push([]);
+  const fresh = await compressor.compress(file, options);
+  runs.push([]);
+  const cached = await compressor.compress(file, options);
+
+  assert.strictEqual(fresh.fromCache, false);
+  assert.strictEqual(cached.fromCache, true);
+  assert.deepStrictEqual(runs[1], runs[0]);
+});
+
+test("cached results cannot be changed through a returned result", async () => {
+  const compressor = new UltraCompressPro({ cacheResults: true });
+  const file = new Blob([fs.readFileSync(FIXTURE)], { type: "image/jpeg" });
+  const options = { presets: ["thumbnail"], outputFormat: "image/jpeg" };
+
+  const first = await compressor.compress(file, options);
+  first.versions[0].metadata.presetName = "changed";
+  const second = await compressor.compress(file, options);
+
+  assert.strictEqual(second.versions[0].metadata.presetName, "thumbnail");
+});
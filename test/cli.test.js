@@ -0,0 +1,283 @@
+/**
+ * UltraCompressCLI tests - run with `node --test test/`
+ */
+
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const UltraCompressPro = require("../UltraCompressPro.js");
+const {
+  run,
+  parseArgs,
+  resolveInputs,
+  formatName,
+  claimTargets,
+  openAsFile,
+  summarize,
+} = require("../UltraCompressCLI.js");
+
+let tmp;
+
+// Small JPEG from the js encoder, so end-to-end runs stay fast
+async function writeJpeg(file, width = 48, height = 36) {
+  UltraCompressPro.Backends.use("js");
+  const canvas = UltraCompressPro.Backends.get().createCanvas(width, height);
+  const ctx = canvas.getContext("2d");
+  ctx.fillStyle = "#3a7";
+  ctx.fillRect(0, 0, width, height);
+  ctx.fillStyle = "#fc2";
+  ctx.fillRect(0, 0, width / 2, height / 2);
+  const blob = await UltraCompressPro.Backends.get().encode(
+    canvas,
+    "image/jpeg",
+    0.9
+  );
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, Buffer.from(await blob.arrayBuffer()));
+}
+
+async function runCli(argv) {
+  let stdout = "";
+  let stderr = "";
+  const code = await run(argv, {
+    stdout: { write: (text) => (stdout += text) },
+    stderr: { write: (text) => (stderr += text) },
+  });
+  return { code, stdout, stderr };
+}
+
+const listFiles = (dir) =>
+  fs.existsSync(dir)
+    ? fs
+        .readdirSync(dir, { recursive: true })
+        .filter((file) => fs.statSync(path.join(dir, file)).isFile())
+        .map((file) => file.split(path.sep).join("/"))
+        .sort()
+    : [];
+
+test.beforeEach(() => {
+  tmp = fs.mkdtempSync(path.join(os.tmpdir(), "ultracompress-cli-"));
+});
+
+test.afterEach(() => {
+  fs.rmSync(tmp, { recursive: true, force: true });
+});
+
+test("parseArgs reads aliases, --key=value and defaults", () => {
+  const options = parseArgs([
+    "a.jpg",
+    "-p",
+    "large, small",
+    "--format=png",
+    "-c",
+    "2",
+    "--stop-on-error",
+  ]);
+  assert.deepStrictEqual(options.inputs, ["a.jpg"]);
+  assert.deepStrictEqual(options.presets, ["large", "small"]);
+  assert.strictEqual(options.format, "image/png");
+  assert.strictEqual(options.concurrency, 2);
+  assert.strictEqual(options.stopOnError, true);
+  assert.strictEqual(options.name, "{dir}/{name}-{preset}.{ext}");
+});
+
+test("parseArgs rejects unknown options and bad values", () => {
+  for (const argv of [
+    ["--nope"],
+    ["-q", "best"],
+    ["-f", "tiff"],
+    ["-c", "0"],
+    ["-o"],
+  ]) {
+    assert.throws(
+      () => parseArgs(argv),
+      { name: "UsageError" },
+      argv.join(" ")
+    );
+  }
+});
+
+test("resolveInputs expands folders and globs relative to their base", () => {
+  for (const file of ["a/x.jpg", "a/deep/y.png", "b/x.jpg", "b/notes.txt"]) {
+    fs.mkdirSync(path.dirname(path.join(tmp, file)), { recursive: true });
+    fs.writeFileSync(path.join(tmp, file), "");
+  }
+  const relative = (inputs) =>
+    inputs.map(({ file, root }) => [
+      path.relative(tmp, file).split(path.sep).join("/"),
+      path.relative(tmp, root).split(path.sep).join("/"),
+    ]);
+
+  assert.deepStrictEqual(relative(resolveInputs([path.join(tmp, "a")])), [
+    ["a/deep/y.png", "a"],
+    ["a/x.jpg", "a"],
+  ]);
+  assert.deepStrictEqual(
+    relative(resolveInputs([`${tmp}/**/*.jpg`, path.join(tmp, "b", "x.jpg")])),
+    [
+      ["a/x.jpg", ""],
+      ["b/x.jpg", ""],
+    ]
+  );
+});
+
+test("formatName keeps the folder below the input root", () => {
+  const metadata = {
+    presetName: "small",
+    versionIndex: 1,
+    width: 10,
+    height: 8,
+    outputFormat: "image/jpeg",
+  };
+  const root = path.join(tmp, "in");
+  const target = (file) =>
+    path.join(
+      tmp,
+      formatName("{dir}/{name}-{preset}.{ext}", { file, root }, metadata)
+    );
+
+  assert.strictEqual(
+    target(path.join(root, "a", "x.png")),
+    path.join(tmp, "a", "x-small.jpg")
+  );
+  assert.strictEqual(
+    target(path.join(root, "x.png")),
+    path.join(tmp, "x-small.jpg")
+  );
+});
+
+test("claimTargets refuses a path another file or version already took", () => {
+  const options = { out: tmp, name: "{name}.{ext}" };
+  const version = (presetName) => ({
+    metadata: { presetName, outputFormat: "image/jpeg" },
+  });
+  const claimed = new Map();
+  const a = { file: path.join(tmp, "a", "x.jpg"), root: path.join(tmp, "a") };
+  const b = { file: path.join(tmp, "b", "x.jpg"), root: path.join(tmp, "b") };
+
+  assert.deepStrictEqual(
+    claimTargets([version("small")], a, options, claimed),
+    [path.join(tmp, "x.jpg")]
+  );
+  assert.throws(
+    () => claimTargets([version("small")], b, options, claimed),
+    /is also written for/
+  );
+  assert.throws(
+    () =>
+      claimTargets([version("large"), version("small")], b, options, new Map()),
+    /is also written for/
+  );
+});
+
+test("openAsFile does not read the file until the job does", async () => {
+  const file = path.join(tmp, "photo.jpg");
+  fs.writeFileSync(file, Buffer.alloc(64, 1));
+  const opened = await openAsFile({ file, root: tmp });
+
+  assert.strictEqual(opened.name, "photo.jpg");
+  assert.strictEqual(opened.type, "image/jpeg");
+  assert.strictEqual(opened.size, 64);
+
+  // A disk-backed blob notices the file changed; a copy in memory would not
+  fs.writeFileSync(file, Buffer.alloc(32, 2));
+  await assert.rejects(opened.arrayBuffer());
+});
+
+test("summarize counts cancelled files apart from failures", () => {
+  const rows = [];
+  rows[0] = { status: "ok" };
+  rows[1] = { status: "failed" };
+  rows[3] = { status: "cancelled" };
+  rows[4] = { status: "cancelled" };
+
+  assert.deepStrictEqual(summarize(5, rows), {
+    total: 5,
+    successful: 1,
+    failed: 1,
+    cancelled: 2,
+    successRate: 20,
+  });
+});
+
+test("writes folder inputs below {dir} by default", async () => {
+  await writeJpeg(path.join(tmp, "in", "a", "x.jpg"));
+  await writeJpeg(path.join(tmp, "in", "b", "x.jpg"));
+  const out = path.join(tmp, "out");
+
+  const { code } = await runCli([
+    path.join(tmp, "in"),
+    "-p",
+    "thumbnail",
+    "-f",
+    "jpeg",
+    "-o",
+    out,
+    "--quiet",
+  ]);
+
+  assert.strictEqual(code, 0);
+  assert.deepStrictEqual(listFiles(out), [
+    "a/x-thumbnail.jpg",
+    "b/x-thumbnail.jpg",
+  ]);
+});
+
+test("fails a file whose output path is taken instead of overwriting", async () => {
+  await writeJpeg(path.join(tmp, "in", "a", "x.jpg"));
+  await writeJpeg(path.join(tmp, "in", "b", "x.jpg"), 64, 48);
+  const out = path.join(tmp, "out");
+
+  const { code, stdout } = await runCli([
+    path.join(tmp, "in"),
+    "-p",
+    "thumbnail",
+    "-f",
+    "jpeg",
+    "-o",
+    out,
+    "-n",
+    "{name}-{preset}.{ext}",
+    "-c",
+    "1",
+    "--json",
+  ]);
+  const report = JSON.parse(stdout);
+
+  assert.strictEqual(code, 1);
+  assert.deepStrictEqual(listFiles(out), ["x-thumbnail.jpg"]);
+  assert.strictEqual(report.summary.successful, 1);
+  assert.strictEqual(report.summary.failed, 1);
+  assert.match(
+    report.files.find((row) => row.status === "failed").note,
+    /^OUTPUT_EXISTS/
+  );
+});
+
+test("--stop-on-error reports the files it skipped as cancelled", async () => {
+  fs.mkdirSync(path.join(tmp, "in"));
+  fs.writeFileSync(path.join(tmp, "in", "0-broken.jpg"), "not a jpeg");
+  await writeJpeg(path.join(tmp, "in", "1.jpg"));
+  await writeJpeg(path.join(tmp, "in", "2.jpg"));
+
+  const { code, stdout } = await runCli([
+    path.join(tmp, "in"),
+    "-p",
+    "thumbnail",
+    "-o",
+    path.join(tmp, "out"),
+    "-c",
+    "1",
+    "--stop-on-error",
+    "--json",
+  ]);
+  const { summary } = JSON.parse(stdout);
+
+  assert.strictEqual(code, 1);
+  assert.strictEqual(summary.failed, 1);
+  assert.strictEqual(summary.cancelled, 2);
+});
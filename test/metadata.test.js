@@ -0,0 +1,40 @@
+/**
+ * ImageMetadata tests - run with `node --test test/`
+ */
+
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const path = require("path");
+const UltraCompressPro = require("../UltraCompressPro.js");
+
+// Carries a 3 KB ICC profile, kept by default
+const FIXTURE = path.join(
+  __dirname,
+  "..",
+  "test-image",
+  "flat design logo collection dribbble.jpg"
+);
+
+test.before(() => UltraCompressPro.Backends.use("js"));
+
+test("kept metadata does not push a version over its targetSize", async () => {
+  const compressor = new UltraCompressPro();
+  const file = new Blob([fs.readFileSync(FIXTURE)], { type: "image/jpeg" });
+  const result = await compressor.compress(file, {
+    presets: ["large", "small", "thumbnail"],
+    outputFormat: "image/jpeg",
+  });
+
+  assert.strictEqual(result.versions.length, 3);
+  for (const { blob, metadata } of result.versions) {
+    assert.deepStrictEqual(metadata.embeddedMetadata.kept, ["icc"]);
+    // The engine's own tolerance for a size target
+    assert.ok(
+      blob.size <= metadata.constraint.targetSize * 1.15,
+      `${metadata.presetName}: ${blob.size} bytes for a ${metadata.constraint.targetSize} byte target`
+    );
+  }
+});
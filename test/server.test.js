@@ -0,0 +1,180 @@
+/**
+ * UltraCompressServer tests - run with `node --test test/`
+ */
+
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const http = require("http");
+const path = require("path");
+const UltraCompressPro = require("../UltraCompressPro.js");
+const { createServer } = require("../UltraCompressServer.js");
+
+const FIXTURE = path.join(
+  __dirname,
+  "..",
+  "test-image",
+  "ui dashboard design figma community.jpg"
+);
+
+function listen(server) {
+  return new Promise((resolve) =>
+    server.listen(0, "127.0.0.1", () => resolve(server.address().port))
+  );
+}
+
+function multipart(fileName, data) {
+  const boundary = "----ultracompress-test";
+  const body = Buffer.concat([
+    Buffer.from(
+      `--${boundary}\r\n` +
+        `Content-Disposition: form-data; name="file"; filename="${fileName}"\r\n` +
+        "Content-Type: image/jpeg\r\n\r\n"
+    ),
+    data,
+    Buffer.from(`\r\n--${boundary}--\r\n`),
+  ]);
+  return { body, contentType: `multipart/form-data; boundary=${boundary}` };
+}
+
+/**
+ * POST a file to /compress as an SSE client
+ * @param {number} port
+ * @param {Function} onEvent - Called with (event, data) as each one arrives
+ * @param {string} [query] - Extra query parameters
+ * @returns {http.ClientRequest}
+ */
+function postStreaming(port, onEvent, query = "") {
+  const { body, contentType } = multipart(
+    "dashboard.jpg",
+    fs.readFileSync(FIXTURE)
+  );
+  const req = http.request({
+    port,
+    host: "127.0.0.1",
+    method: "POST",
+    path: `/compress?presets=small&format=jpeg${query}`,
+    headers: {
+      "Content-Type": contentType,
+      "Content-Length": body.length,
+      Accept: "text/event-stream",
+    },
+  });
+  req.on("response", (res) => {
+    let buffer = "";
+    res.setEncoding("utf8");
+    res.on("data", (chunk) => {
+      buffer += chunk;
+      let end;
+      while ((end = buffer.indexOf("\n\n")) !== -1) {
+        const block = buffer.slice(0, end);
+        buffer = buffer.slice(end + 2);
+        const event = /^event: (.*)$/m.exec(block);
+        const data = /^data: (.*)$/m.exec(block);
+        if (event) onEvent(event[1], data && JSON.parse(data[1]));
+      }
+    });
+  });
+  req.on("error", () => {});
+  req.end(body);
+  return req;
+}
+
+function getJSON(port, pathname) {
+  return new Promise((resolve, reject) => {
+    http
+      .get({ port, host: "127.0.0.1", path: pathname }, (res) => {
+        let body = "";
+        res.setEncoding("utf8");
+        res.on("data", (chunk) => (body += chunk));
+        res.on("end", () => resolve(JSON.parse(body)));
+      })
+      .on("error", reject);
+  });
+}
+
+test.before(() => UltraCompressPro.Backends.use("js"));
+
+test("streams progress and serves other requests while a job runs", async () => {
+  const server = createServer();
+  const port = await listen(server);
+  const order = [];
+
+  try {
+    await new Promise((resolve, reject) => {
+      postStreaming(port, (event, data) => {
+        order.push(event);
+        if (event === "start") {
+          getJSON(port, "/stats")
+            .then(() => order.push("stats"))
+            .catch(reject);
+        } else if (event === "result") {
+          assert.strictEqual(data.versions.length, 1);
+          resolve();
+        } else if (event === "failure") {
+          reject(new Error(data.error));
+        }
+      });
+    });
+  } finally {
+    server.close();
+  }
+
+  assert.deepStrictEqual(
+    order.filter((event) => ["start", "stats", "result"].includes(event)),
+    ["start", "stats", "result"]
+  );
+});
+
+test("aborts the job when the client disconnects", async () => {
+  const server = createServer();
+  const port = await listen(server);
+  const { compressor } = server.context;
+
+  try {
+    const cancelled = new Promise((resolve) =>
+      compressor.on(UltraCompressPro.EventType.CANCEL, resolve)
+    );
+    const completed = new Promise((resolve) =>
+      compressor.on(UltraCompressPro.EventType.COMPLETE, resolve)
+    );
+    const req = postStreaming(port, (event) => {
+      if (event === "start") req.destroy();
+    });
+
+    const first = await Promise.race([
+      cancelled.then(() => "cancel"),
+      completed.then(() => "complete"),
+    ]);
+    assert.strictEqual(first, "cancel");
+  } finally {
+    server.close();
+  }
+});
+
+test("rejects a jobId that is already running", async () => {
+  const server = createServer();
+  const port = await listen(server);
+
+  try {
+    const status = await new Promise((resolve) => {
+      const req = postStreaming(
+        port,
+        (event) => {
+          if (event !== "start") return;
+          const duplicate = postStreaming(port, () => {}, "&jobId=dup");
+          duplicate.on("response", (res) => {
+            resolve(res.statusCode);
+            req.destroy();
+          });
+        },
+        "&jobId=dup"
+      );
+    });
+    assert.strictEqual(status, 409);
+  } finally {
+    server.close();
+  }
+});